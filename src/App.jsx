@@ -2,7 +2,114 @@ import { createContext, useContext, useEffect, useMemo, useRef, useState } from
 import { NavLink, Navigate, Route, Routes, useNavigate } from 'react-router-dom'
 import { hasSupabaseEnv, supabase, supabaseEnvError } from './lib/supabaseClient'
 import { usePerks } from './hooks/usePerks'
+import { useProgression } from './hooks/useProgression'
+import { useCosmetics } from './hooks/useCosmetics'
+import { useTitles } from './hooks/useTitles'
+import { useAchievements } from './hooks/useAchievements'
+import { useOnboarding } from './hooks/useOnboarding'
+import { useInventory } from './hooks/useInventory'
 import { PATH_CONFIG, PATH_KEYS } from './config/pathConfig'
+import {
+  getActiveQuestSlots,
+  getLevelProgress,
+  getNextRank,
+  getNextSlotUnlock,
+  getRankInfo,
+  getRankTier,
+  levelFromXp,
+} from './lib/progression'
+import {
+  countPeriodCompletions,
+  formatTimeUntil,
+  getNextReset,
+  getPeriodLimit,
+  getRecurrence,
+  getRecurrenceLabel,
+  isQuestOpenNow,
+  RECURRENCE_LABELS,
+} from './lib/questRecurrence'
+import {
+  EVIDENCE_ACCEPT,
+  isImagePath,
+  MAX_EVIDENCE_FILES,
+  signEvidencePaths,
+} from './lib/questEvidence'
+import { completeActiveQuest } from './lib/questCompletion'
+import {
+  CORE_QUEST_CATEGORIES,
+  DEFAULT_QUEST_FILTERS,
+  filterQuests,
+  getCategoryOrder,
+  getDifficultyOptions,
+  QUEST_SORTS,
+  sortQuests,
+} from './lib/questFilters'
+import {
+  buildHeatmapWeeks,
+  downloadTextFile,
+  heatLevel,
+  historyToCsv,
+  historyToJson,
+  shiftIsoDay,
+} from './lib/questHistory'
+import { DEFAULT_DAILY_REWARDS, getDailyBonusState, rewardForCycleDay } from './lib/dailyBonus'
+import { findPlanDayForDate, planDayWeekday } from './lib/workoutSchedule'
+import {
+  addDaysIso,
+  detectTimeZone,
+  isoDateInTimeZone,
+  listTimeZones,
+  minutesIntoDay,
+  nextWeekResetInTimeZone,
+  profileTimeZone,
+  startOfWeekInTimeZone,
+} from './lib/timeZone'
+import { renderShareCard, SHARE_CARD_STATS, shareOrDownloadCard } from './lib/shareCard'
+import { evaluateSystemAlerts, findRivalsWhoPassed } from './lib/systemAlerts'
+import {
+  bossDamageFor,
+  bossHpPercent,
+  bossStatus,
+  buildWeaknessChart,
+  describeMegaBossTier,
+  describeMultiplier,
+  formatCountdown,
+  megaBossGoalPercent,
+  raidRewardNote,
+  raidStatus,
+} from './lib/boss'
+import {
+  activeXpMultiplier,
+  bonusQuestSlots,
+  describeItemEffect,
+  describeItemExpiry,
+  describeDropSource,
+  ITEM_EFFECT_LABELS,
+  itemQuantity,
+} from './lib/inventory'
+import { describeTitleRequirement, describeTitleSource, hydrateRowsWithTitles } from './lib/titles'
+import {
+  COSMETIC_KINDS,
+  describeUnlockRule,
+  frameClass,
+  hudThemeClass,
+  hydrateRowsWithCosmetics,
+} from './lib/cosmetics'
+import {
+  achievementPercent,
+  describeAchievementProgress,
+  nextAchievements,
+  recentAchievements,
+} from './lib/achievements'
+import {
+  DEFAULT_REMINDER_TIME,
+  isOnboardingPending,
+  MAX_STARTER_QUESTS,
+  ONBOARDING_STEPS,
+  onboardingStepIndex,
+  pickStarterQuests,
+  STARTER_REWARD_XP,
+} from './lib/onboarding'
 
 const AppContext = createContext(null)
 
@@ -16,35 +123,31 @@ function cx(...parts) {
   return parts.filter(Boolean).join(' ')
 }
 
-function formatDate(date) {
-  return date.toISOString().slice(0, 10)
+// Local calendar day for the player's profile time zone.
+function todayIso(timeZone) {
+  return isoDateInTimeZone(new Date(), timeZone)
 }
 
-function todayIso() {
-  return formatDate(new Date())
+function questCategoryClass(category) {
+  const key = String(category || '').toLowerCase()
+  if (key === 'study') return 'q-study'
+  if (key === 'coding') return 'q-coding'
+  if (key === 'gym') return 'q-gym'
+  if (key === 'business') return 'q-business'
+  return ''
 }
 
-function levelFromXp(totalXP) {
-  const xp = Number(totalXP || 0)
-  return Math.max(1, Math.floor(xp / 100) + 1)
-}
-
-const RANK_TIERS = [
-  { rank: 'E', min: 0, max: 499, colorClass: 'is-rank-e' },
-  { rank: 'D', min: 500, max: 1499, colorClass: 'is-rank-d' },
-  { rank: 'C', min: 1500, max: 4999, colorClass: 'is-rank-c' },
-  { rank: 'B', min: 5000, max: 14999, colorClass: 'is-rank-b' },
-  { rank: 'A', min: 15000, max: 49999, colorClass: 'is-rank-a' },
-  { rank: 'S', min: 50000, max: Number.POSITIVE_INFINITY, colorClass: 'is-rank-s' },
-]
-
-function getRankInfo(totalXP) {
-  const xp = Number(totalXP || 0)
-  return RANK_TIERS.find((tier) => xp >= tier.min && xp <= tier.max) || RANK_TIERS[0]
+function questCategoryIcon(category) {
+  const key = String(category || '').toLowerCase()
+  if (key === 'study') return '📖'
+  if (key === 'coding') return '💻'
+  if (key === 'gym') return '⚔️'
+  if (key === 'business') return '💼'
+  return '🎯'
 }
 
 function getProfileXp(profile) {
-  return Number(profile?.total_xp ?? profile?.xp_total ?? 0)
+  return Number(profile?.xp_total ?? profile?.total_xp ?? 0)
 }
 
 function sleep(ms) {
@@ -64,49 +167,6 @@ function safeDisplayName(rowLike, fallbackSeed = '') {
   return `Hunter#${seed}`
 }
 
-async function incrementProfileXp(userId, deltaXp) {
-  const delta = Number(deltaXp || 0)
-  if (!userId || delta <= 0) {
-    return { data: null, error: null }
-  }
-
-  let selectRes = await supabase
-    .from('profiles')
-    .select('id, total_xp, xp_total')
-    .eq('id', userId)
-    .single()
-
-  if (selectRes.error && String(selectRes.error.message || '').toLowerCase().includes('total_xp')) {
-    selectRes = await supabase
-      .from('profiles')
-      .select('id, xp_total')
-      .eq('id', userId)
-      .single()
-  }
-  if (selectRes.error) return { data: null, error: selectRes.error }
-
-  const current = Number(selectRes.data?.total_xp ?? selectRes.data?.xp_total ?? 0)
-  const next = current + delta
-
-  let updateRes = await supabase
-    .from('profiles')
-    .update({ total_xp: next })
-    .eq('id', userId)
-    .select('id, total_xp, xp_total')
-    .single()
-
-  if (updateRes.error && String(updateRes.error.message || '').toLowerCase().includes('total_xp')) {
-    updateRes = await supabase
-      .from('profiles')
-      .update({ xp_total: next })
-      .eq('id', userId)
-      .select('id, total_xp, xp_total')
-      .single()
-  }
-
-  return { data: updateRes.data || null, error: updateRes.error || null }
-}
-
 async function hydrateRowsWithProfileNames(rows) {
   const list = Array.isArray(rows) ? rows : []
   const ids = [...new Set(list.map((row) => row?.user_id).filter(Boolean))]
@@ -211,10 +271,6 @@ async function ensureProfile(user) {
     username: safeUsername,
     player_class: 'HUNTER',
     path: 'HUNTER',
-    total_xp: 0,
-    xp_total: 0,
-    current_streak: 0,
-    longest_streak: 0,
   }
 
   let insertRes = await supabase
@@ -229,9 +285,7 @@ async function ensureProfile(user) {
       hint: insertRes.error.hint,
     })
     const msg = String(insertRes.error.message || '').toLowerCase()
-    const missingOptionalColumn =
-      msg.includes('column') &&
-      (msg.includes('path') || msg.includes('total_xp') || msg.includes('xp_total') || msg.includes('current_streak') || msg.includes('longest_streak'))
+    const missingOptionalColumn = msg.includes('column') && msg.includes('path')
     if (missingOptionalColumn) {
       insertRes = await supabase
         .from('profiles')
@@ -249,10 +303,11 @@ async function ensureProfile(user) {
   if (insertRes.error) throw insertRes.error
 
   const selectCandidates = [
-    'id, username, path, player_class, total_xp, current_streak, longest_streak',
+    'id, username, path, player_class, xp_total, current_streak, longest_streak, timezone',
     'id, username, path, player_class, xp_total, current_streak, longest_streak',
-    'id, username, player_class, total_xp, current_streak, longest_streak',
+    'id, username, path, player_class, total_xp, current_streak, longest_streak',
     'id, username, player_class, xp_total, current_streak, longest_streak',
+    'id, username, player_class, total_xp, current_streak, longest_streak',
     'id, username, player_class',
   ]
 
@@ -370,6 +425,247 @@ function PathSelectScreen({ profile, onSaved }) {
   )
 }
 
+function OnboardingScreen({ profile, onboarding, onFinished }) {
+  const state = onboarding.state
+  const step = state?.current_step || 'focus'
+  const pathConfig = PATH_CONFIG[profile.path] || PATH_CONFIG.HUNTER
+  const [categories, setCategories] = useState(state?.focus_categories || [])
+  const [questIds, setQuestIds] = useState(state?.starter_quest_ids || [])
+  const [quests, setQuests] = useState([])
+  const [plans, setPlans] = useState([])
+  const [planId, setPlanId] = useState(state?.workout_plan_id || '')
+  const [guildCode, setGuildCode] = useState('')
+  const [reminderTime, setReminderTime] = useState(String(state?.reminder_time || DEFAULT_REMINDER_TIME).slice(0, 5))
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (step !== 'quests') return
+    supabase
+      .from('quests')
+      .select('id, title, description, category, difficulty, xp_reward')
+      .eq('is_active', true)
+      .eq('path', profile.path)
+      .is('created_by', null)
+      .then(({ data, error: questsError }) => {
+        if (questsError) {
+          setError(questsError.message)
+          return
+        }
+        setQuests(pickStarterQuests(data, state?.focus_categories))
+      })
+  }, [step, profile.path, state?.focus_categories])
+
+  useEffect(() => {
+    if (step !== 'workout') return
+    supabase
+      .from('workout_plans')
+      .select('id, name, description')
+      .eq('is_active', true)
+      .eq('path', profile.path)
+      .order('created_at', { ascending: true })
+      .then(({ data, error: plansError }) => {
+        if (plansError) {
+          setError(plansError.message)
+          return
+        }
+        setPlans(data || [])
+      })
+  }, [step, profile.path])
+
+  const toggleCategory = (category) => {
+    setCategories((prev) => (prev.includes(category) ? prev.filter((entry) => entry !== category) : [...prev, category]))
+  }
+
+  const toggleQuest = (questId) => {
+    setQuestIds((prev) => {
+      if (prev.includes(questId)) return prev.filter((entry) => entry !== questId)
+      if (prev.length >= MAX_STARTER_QUESTS) return prev
+      return [...prev, questId]
+    })
+  }
+
+  const save = async (payload) => {
+    setIsSaving(true)
+    setError('')
+    const rpcError = await onboarding.saveStep(step, payload)
+    setIsSaving(false)
+    if (rpcError) setError(rpcError.message)
+  }
+
+  const claimReward = async () => {
+    setIsSaving(true)
+    setError('')
+    const { awardedXp, error: rpcError } = await onboarding.complete()
+    setIsSaving(false)
+    if (rpcError) {
+      setError(rpcError.message)
+      return
+    }
+    onFinished(awardedXp)
+  }
+
+  const stepIndex = onboardingStepIndex(step)
+
+  return (
+    <main className="auth-shell">
+      <div className="panel form-grid path-select-panel onboarding-panel">
+        <h2>{pathConfig.title} Awakening</h2>
+        <div className="onboarding-steps">
+          {ONBOARDING_STEPS.map((entry, index) => (
+            <span
+              key={entry.key}
+              className={cx('onboarding-step', index < stepIndex && 'is-done', index === stepIndex && 'is-current')}
+            >
+              {entry.label}
+            </span>
+          ))}
+        </div>
+
+        {step === 'focus' ? (
+          <>
+            <p className="muted">Pick the areas you want to level. Starter quests are drawn from these.</p>
+            <div className="path-options onboarding-options">
+              {CORE_QUEST_CATEGORIES.map((category) => (
+                <button
+                  key={category}
+                  type="button"
+                  className={cx('path-option', categories.includes(category) && 'is-selected')}
+                  onClick={() => toggleCategory(category)}
+                >
+                  <strong>
+                    {questCategoryIcon(category)} {category.toUpperCase()}
+                  </strong>
+                </button>
+              ))}
+            </div>
+            <button type="button" disabled={isSaving || categories.length === 0} onClick={() => save({ categories })}>
+              {isSaving ? 'Saving...' : 'Continue'}
+            </button>
+          </>
+        ) : null}
+
+        {step === 'quests' ? (
+          <>
+            <p className="muted">
+              Accept 1-{MAX_STARTER_QUESTS} starter quests. They go straight into your Active Missions.
+            </p>
+            <div className="path-options">
+              {quests.map((quest) => (
+                <button
+                  key={quest.id}
+                  type="button"
+                  className={cx('path-option', questIds.includes(quest.id) && 'is-selected')}
+                  onClick={() => toggleQuest(quest.id)}
+                >
+                  <strong>
+                    {questCategoryIcon(quest.category)} {quest.title}
+                  </strong>
+                  <span className="muted">
+                    {String(quest.difficulty || '').toUpperCase()} • +{quest.xp_reward} XP
+                  </span>
+                </button>
+              ))}
+              {quests.length === 0 ? <p className="muted">No starter quests for these categories yet.</p> : null}
+            </div>
+            <button
+              type="button"
+              disabled={isSaving || questIds.length === 0}
+              onClick={() => save({ quest_ids: questIds })}
+            >
+              {isSaving ? 'Accepting...' : `Accept ${questIds.length || ''} Quest${questIds.length === 1 ? '' : 's'}`}
+            </button>
+          </>
+        ) : null}
+
+        {step === 'workout' ? (
+          <>
+            <p className="muted">Choose the training plan your daily workout mission follows.</p>
+            <div className="path-options">
+              {plans.map((plan) => (
+                <button
+                  key={plan.id}
+                  type="button"
+                  className={cx('path-option', planId === plan.id && 'is-selected')}
+                  onClick={() => setPlanId(plan.id)}
+                >
+                  <strong>{plan.name}</strong>
+                  {plan.description ? <span className="muted">{plan.description}</span> : null}
+                </button>
+              ))}
+            </div>
+            <div className="onboarding-actions">
+              <button type="button" disabled={isSaving || !planId} onClick={() => save({ plan_id: planId })}>
+                {isSaving ? 'Saving...' : 'Select Plan'}
+              </button>
+              <button type="button" className="text-button" disabled={isSaving} onClick={() => save({ plan_id: null })}>
+                Use the default plan
+              </button>
+            </div>
+          </>
+        ) : null}
+
+        {step === 'guild' ? (
+          <>
+            <p className="muted">Have an invite code? Join your guild now to share boards and raids.</p>
+            <label>
+              Guild Code
+              <input
+                value={guildCode}
+                onChange={(event) => setGuildCode(event.target.value.toUpperCase())}
+                maxLength={12}
+                placeholder="e.g. ZB7K2Q"
+              />
+            </label>
+            <div className="onboarding-actions">
+              <button type="button" disabled={isSaving || !guildCode.trim()} onClick={() => save({ code: guildCode.trim() })}>
+                {isSaving ? 'Joining...' : 'Join Guild'}
+              </button>
+              <button type="button" className="text-button" disabled={isSaving} onClick={() => save({ code: null })}>
+                Skip for now
+              </button>
+            </div>
+          </>
+        ) : null}
+
+        {step === 'reminder' ? (
+          <>
+            <p className="muted">
+              Pick a daily check-in time ({profileTimeZone(profile)}). After it passes, the System flags unfinished work.
+            </p>
+            <label>
+              Reminder Time
+              <input type="time" value={reminderTime} onChange={(event) => setReminderTime(event.target.value)} />
+            </label>
+            <div className="onboarding-actions">
+              <button type="button" disabled={isSaving || !reminderTime} onClick={() => save({ time: reminderTime })}>
+                {isSaving ? 'Saving...' : 'Set Reminder'}
+              </button>
+              <button type="button" className="text-button" disabled={isSaving} onClick={() => save({ time: null })}>
+                No reminder
+              </button>
+            </div>
+          </>
+        ) : null}
+
+        {step === 'done' ? (
+          <>
+            <p className="muted">
+              Setup complete: {state?.focus_categories?.length || 0} focus areas, {state?.starter_quest_ids?.length || 0} starter
+              quests{state?.group_id ? ', guild joined' : ''}{state?.reminder_time ? `, reminder at ${String(state.reminder_time).slice(0, 5)}` : ''}.
+            </p>
+            <button type="button" disabled={isSaving} onClick={claimReward}>
+              {isSaving ? 'Claiming...' : `Claim Starter Reward (+${STARTER_REWARD_XP} XP)`}
+            </button>
+          </>
+        ) : null}
+
+        {error ? <p className="error-text">{error}</p> : null}
+      </div>
+    </main>
+  )
+}
+
 function AuthScreen() {
   const REMEMBER_EMAIL_KEY = 'zbxp.remember.email'
   const rememberedEmail = typeof window !== 'undefined' ? window.localStorage.getItem(REMEMBER_EMAIL_KEY) || '' : ''
@@ -802,33 +1098,61 @@ function HudPanel({ title, subtitle, children }) {
   )
 }
 
+const RANK_COLOR_VARS = {
+  'is-rank-e': '--e-rank',
+  'is-rank-d': '--d-rank',
+  'is-rank-c': '--c-rank',
+  'is-rank-b': '--b-rank',
+  'is-rank-a': '--a-rank',
+  'is-rank-s': '--s-rank',
+}
+
 function RankBadge({ rankInfo }) {
-  const rankColor = {
-    'is-rank-e': 'var(--e-rank)',
-    'is-rank-d': 'var(--d-rank)',
-    'is-rank-c': 'var(--c-rank)',
-    'is-rank-b': 'var(--b-rank)',
-    'is-rank-a': 'var(--a-rank)',
-    'is-rank-s': 'var(--s-rank)',
-  }[rankInfo.colorClass] || 'var(--e-rank)'
+  const rankColor = `var(${RANK_COLOR_VARS[rankInfo.colorClass] || '--e-rank'})`
 
   return (
     <span className="rank-letter" style={{ color: rankColor }}>{rankInfo.rank}</span>
   )
 }
 
+function EvidenceThumbs({ paths, urls }) {
+  if (!paths?.length) return null
+  return (
+    <div className="evidence-thumbs">
+      {paths.map((path) => {
+        const url = urls[path]
+        if (!url) return <span key={path} className="evidence-thumb is-missing">…</span>
+        return (
+          <a key={path} className="evidence-thumb" href={url} target="_blank" rel="noreferrer">
+            {isImagePath(path) ? <img src={url} alt="Quest evidence" loading="lazy" /> : <span>📄 PDF</span>}
+          </a>
+        )
+      })}
+    </div>
+  )
+}
+
+const VERIFICATION_LABELS = {
+  verified: '✓ VERIFIED',
+  disputed: '⚠ DISPUTED',
+  unverified: 'UNVERIFIED',
+}
+
 function ProfileHUD({ profile, weeklyXP, statPulse }) {
-  const { pathConfig } = useApp()
+  const { pathConfig, progression, cosmetics, titles, achievements } = useApp()
+  const { equipped } = cosmetics
   const totalXP = getProfileXp(profile)
-  const level = levelFromXp(totalXP)
-  const progress = totalXP % 100
-  const rankInfo = getRankInfo(totalXP)
-  const nextLevelXp = Math.ceil((totalXP + 1) / 100) * 100
+  const levelInfo = getLevelProgress(totalXP, progression.curve)
+  const level = levelInfo.level
+  const progress = levelInfo.percent
+  const rankInfo = getRankInfo(totalXP, progression.rankTiers)
+  const nextRank = getNextRank(totalXP, progression.rankTiers)
+  const nextLevelXp = levelInfo.nextLevelXp
   const streakDays = Math.max(0, Number(profile?.current_streak || 0))
   const streakActiveCount = Math.min(7, streakDays)
 
   return (
-    <section className="hunter-card">
+    <section className={cx('hunter-card', frameClass(equipped))}>
       <div className="corner corner-tl" />
       <div className="corner corner-tr" />
       <div className="corner corner-bl" />
@@ -836,13 +1160,17 @@ function ProfileHUD({ profile, weeklyXP, statPulse }) {
 
       <div className="hunter-top">
         <div className="hunter-identity">
-          <div className="hunter-name">{pathConfig.title}</div>
+          <div className="hunter-name">
+            {equipped.avatar?.icon ? <span className="hunter-avatar">{equipped.avatar.icon}</span> : null}
+            {pathConfig.title}
+          </div>
           <div className="hunter-username">@{profile?.username || 'unnamed'}</div>
+          {titles.equipped ? <div className="hunter-equipped-title">« {titles.equipped.name} »</div> : null}
           <div className="hunter-title">{pathConfig.worldLabel}</div>
         </div>
         <div className="rank-badge">
           <RankBadge rankInfo={rankInfo} />
-          <div className="rank-label">RANK</div>
+          <div className="rank-label">{rankInfo.label || 'RANK'}</div>
         </div>
       </div>
 
@@ -864,6 +1192,11 @@ function ProfileHUD({ profile, weeklyXP, statPulse }) {
           <span className="xp-stat">
             TOTAL: <span>{totalXP}</span> {statPulse > 0 ? <span className="gain-chip">+{statPulse}</span> : null}
           </span>
+          {nextRank ? (
+            <span className="xp-stat">
+              {nextRank.rank}-RANK IN: <span>{nextRank.min - totalXP}</span>
+            </span>
+          ) : null}
         </div>
       </div>
 
@@ -882,233 +1215,1051 @@ function ProfileHUD({ profile, weeklyXP, statPulse }) {
         </div>
         <span className="streak-count">🔥 {streakDays} DAYS</span>
       </div>
+
+      {achievements.achievements.length > 0 ? (
+        <div className="badge-strip">
+          <span className="streak-label">BADGES</span>
+          <div className="badge-strip-icons">
+            {recentAchievements(achievements.achievements).map((achievement) => (
+              <span key={achievement.achievement_id} className="badge-strip-icon" title={achievement.name}>
+                {achievement.icon || '🏅'}
+              </span>
+            ))}
+          </div>
+          <span className="streak-count">
+            {achievements.earnedCount}/{achievements.achievements.length}
+          </span>
+        </div>
+      ) : null}
     </section>
   )
 }
 
+const SHARE_PRIVACY_KEY = 'zbxp.share.hidden'
+const RIVAL_SNAPSHOT_PREFIX = 'zbxp.alerts.above'
+
 function DashboardPage({ onProfileRefresh, onXpGain }) {
-  const { pathConfig, profile } = useApp()
-  const claimKey = `zbxp.daily.claim.${profile?.id || 'anon'}.${todayIso()}`
-  const [dailyClaimed, setDailyClaimed] = useState(() => {
+  const { pathConfig, profile, progression, cosmetics, titles, achievements, onboarding } = useApp()
+  const [equipError, setEquipError] = useState('')
+  const [equippingId, setEquippingId] = useState('')
+  const [hiddenShareStats, setHiddenShareStats] = useState(() => {
     try {
-      return typeof window !== 'undefined' && window.localStorage.getItem(claimKey) === '1'
+      const stored = typeof window !== 'undefined' ? window.localStorage.getItem(SHARE_PRIVACY_KEY) : null
+      return new Set(stored ? JSON.parse(stored) : [])
     } catch {
-      return false
+      return new Set()
     }
   })
+  const [shareBusy, setShareBusy] = useState(false)
+  const [shareMessage, setShareMessage] = useState('')
+  const [rivalsPassed, setRivalsPassed] = useState([])
+  const [dailyRewards, setDailyRewards] = useState(DEFAULT_DAILY_REWARDS)
+  const [lastDailyClaim, setLastDailyClaim] = useState(null)
+  const [dailyLoaded, setDailyLoaded] = useState(false)
+  const [weeklyChallenges, setWeeklyChallenges] = useState([])
+  const [weeklyVersion, setWeeklyVersion] = useState(0)
+  const [claimingChallengeId, setClaimingChallengeId] = useState('')
+  const [weeklyError, setWeeklyError] = useState('')
+  const [weeklyNotice, setWeeklyNotice] = useState('')
+  const [missions, setMissions] = useState([])
+  const [missionCompletions, setMissionCompletions] = useState([])
+  const [missionNotes, setMissionNotes] = useState({})
+  const [noteOpenId, setNoteOpenId] = useState('')
+  const [completingMissionId, setCompletingMissionId] = useState('')
+  const [missionMessage, setMissionMessage] = useState('')
+  const [missionError, setMissionError] = useState('')
+  const [todayWorkout, setTodayWorkout] = useState(null)
   const [dailyClaiming, setDailyClaiming] = useState(false)
   const [dailyError, setDailyError] = useState('')
+  const [weeklyBoss, setWeeklyBoss] = useState(null)
   const totalXP = getProfileXp(profile)
-  const level = levelFromXp(totalXP)
-  const rank = getRankInfo(totalXP).rank
+  const level = levelFromXp(totalXP, progression.curve)
+  const rankInfo = getRankInfo(totalXP, progression.rankTiers)
+  const rank = rankInfo.rank
   const scrollToSection = (id) => {
     document.getElementById(id)?.scrollIntoView({ behavior: 'smooth', block: 'start' })
   }
 
-  const onClaimDailyXp = async () => {
-    if (dailyClaimed || dailyClaiming) return
-    setDailyError('')
-    setDailyClaiming(true)
+  const dailyState = getDailyBonusState(lastDailyClaim, todayIso(profileTimeZone(profile)))
+  const dailyReward = rewardForCycleDay(dailyRewards, dailyState.cycleDay)
+  const nextDailyReward = rewardForCycleDay(dailyRewards, dailyState.nextCycleDay)
 
-    const nextTotal = totalXP + 10
-    let updateRes = await supabase
-      .from('profiles')
-      .update({ total_xp: nextTotal })
-      .eq('id', profile.id)
-      .select('id, total_xp, xp_total')
-      .single()
+  useEffect(() => {
+    let isActive = true
+    if (!profile?.id) return undefined
 
-    if (updateRes.error && String(updateRes.error.message || '').toLowerCase().includes('total_xp')) {
-      updateRes = await supabase
-        .from('profiles')
-        .update({ xp_total: nextTotal })
-        .eq('id', profile.id)
-        .select('id, total_xp, xp_total')
-        .single()
+    Promise.all([
+      supabase.from('daily_bonus_rewards').select('cycle_day, xp_reward').order('cycle_day', { ascending: true }),
+      supabase
+        .from('daily_claims')
+        .select('claim_date, streak_days, cycle_day, xp_awarded')
+        .eq('user_id', profile.id)
+        .order('claim_date', { ascending: false })
+        .limit(1),
+    ]).then(([rewardsRes, claimRes]) => {
+      if (!isActive) return
+      if (!rewardsRes.error && rewardsRes.data?.length) setDailyRewards(rewardsRes.data)
+      if (claimRes.error) {
+        setDailyError(`Daily bonus load failed: ${claimRes.error.message}`)
+        return
+      }
+      setLastDailyClaim(claimRes.data?.[0] || null)
+      setDailyLoaded(true)
+    })
+    return () => {
+      isActive = false
     }
+  }, [profile?.id])
 
-    if (updateRes.error) {
-      setDailyError(`Daily claim failed: ${updateRes.error.message}`)
-      setDailyClaiming(false)
-      return
-    }
+  useEffect(() => {
+    let isActive = true
+    if (!profile?.id) return undefined
 
-    try {
-      if (typeof window !== 'undefined') {
-        window.localStorage.setItem(claimKey, '1')
+    supabase.rpc('get_weekly_challenges').then(({ data, error: weeklyLoadError }) => {
+      if (!isActive) return
+      if (weeklyLoadError) {
+        setWeeklyError(`Weekly challenge load failed: ${weeklyLoadError.message}`)
+        return
       }
-    } catch {
-      // ignore localStorage write issues
+      setWeeklyChallenges(data || [])
+    })
+    return () => {
+      isActive = false
     }
+  }, [profile?.id, weeklyVersion])
 
-    setDailyClaimed(true)
-    onXpGain(10)
-    await onProfileRefresh()
-    setDailyClaiming(false)
-  }
+  useEffect(() => {
+    let isActive = true
+    if (!profile?.id) return undefined
 
-  return (
-    <section className="tab-content active guild-s1-wrap">
-      <div className="actions section-jump-actions">
-        <button type="button" className="btn btn-cyan" onClick={() => scrollToSection('weekly-challenge')}>
-          Weekly Challenge
-        </button>
-        <button type="button" className="btn btn-cyan" onClick={() => scrollToSection('active-missions')}>
-          Active Missions
-        </button>
-        <button type="button" className="btn btn-cyan" onClick={() => scrollToSection('unlock-grid')}>
-          Unlock Grid
-        </button>
-        <button type="button" className="btn btn-cyan" onClick={() => scrollToSection('share-card')}>
-          Share Card
-        </button>
-      </div>
+    // Boss alerts are optional until the weekly boss migration is applied.
+    supabase.rpc('get_weekly_boss').then(({ data, error: bossError }) => {
+      if (!isActive || bossError) return
+      setWeeklyBoss((Array.isArray(data) ? data[0] : data) || null)
+    })
+    return () => {
+      isActive = false
+    }
+  }, [profile?.id, totalXP])
 
-      <div className="daily-login-card">
-        <div>
-          <div className="daily-tag">✦ DAILY LOGIN BONUS</div>
-          <div className="daily-title">Day 4 Reward Available</div>
-          <div className="daily-sub">
-            Streak bonus: <span>+10 XP</span> - claim before midnight
-          </div>
-        </div>
-        <button type="button" className="btn btn-green" disabled={dailyClaimed || dailyClaiming} onClick={onClaimDailyXp}>
-          {dailyClaimed ? 'CLAIMED' : dailyClaiming ? 'CLAIMING...' : 'CLAIM +10 XP'}
-        </button>
-      </div>
-      {dailyError ? <p className="error-text">{dailyError}</p> : null}
+  const loadMissions = async () => {
+    await supabase.rpc('expire_overdue_quests')
 
-      <div className="system-alert">
-        <div className="system-alert-text">
-          A new gate has opened. <span className="warn">Weekly boss spawns in 2 days.</span>
-          {' '}Complete <span className="hi">3 missions today</span> to maintain your rank standing.
-        </div>
-      </div>
+    const [activeRes, periodRes] = await Promise.all([
+      supabase
+        .from('user_active_quests')
+        .select('id, selected_at, status, deadline_at, quest:quests(*)')
+        .eq('user_id', profile.id)
+        .eq('status', 'active')
+        .order('selected_at', { ascending: false }),
+      supabase
+        .from('quest_completions')
+        .select('id, active_quest_id, completed_at')
+        .eq('user_id', profile.id)
+        .gte('completed_at', startOfWeekInTimeZone(new Date(), profileTimeZone(profile)).toISOString()),
+    ])
 
-      <div className="stat-grid">
-        <div className="stat-box">
-          <span className="stat-label">LEVEL</span>
-          <div className="stat-val">{level}</div>
-        </div>
-        <div className="stat-box">
-          <span className="stat-label">TOTAL XP</span>
-          <div className="stat-val">{totalXP}</div>
-        </div>
-        <div className="stat-box">
-          <span className="stat-label">STREAK</span>
-          <div className="stat-val" style={{ color: 'var(--gold)' }}>{Number(profile?.current_streak || 0)}</div>
-        </div>
-        <div className="stat-box">
-          <span className="stat-label">RANK</span>
-          <div className="stat-val" style={{ color: 'var(--e-rank)', fontSize: '26px' }}>{rank}</div>
-        </div>
-      </div>
+    if (activeRes.error) {
+      setMissionError(`Active missions load failed: ${activeRes.error.message}`)
+      return
+    }
+    setMissions((activeRes.data || []).filter((entry) => entry.quest))
+    setMissionCompletions(periodRes.data || [])
+  }
 
-      <div id="weekly-challenge" className="challenge-card">
-        <div className="challenge-title">Complete 10 quests this week</div>
-        <div className="ch-track"><div className="ch-fill" style={{ width: '40%' }} /></div>
-        <div className="ch-foot">
-          <span>Progress: <span>4 / 10</span></span>
-          <span>Reward: <span>+150 XP + TITLE</span></span>
-        </div>
-      </div>
+  const loadTodayWorkout = async () => {
+    const [selectedRes, plansRes, logRes] = await Promise.all([
+      supabase
+        .from('user_selected_workout_plans')
+        .select('plan_id, plan:workout_plans(*)')
+        .eq('user_id', profile.id)
+        .maybeSingle(),
+      supabase
+        .from('workout_plans')
+        .select('*')
+        .eq('is_active', true)
+        .eq('path', profile.path)
+        .order('created_at', { ascending: true })
+        .limit(1),
+      supabase
+        .from('workout_logs')
+        .select('id, completed')
+        .eq('user_id', profile.id)
+        .eq('log_date', todayIso(profileTimeZone(profile)))
+        .maybeSingle(),
+    ])
 
-      <div id="active-missions" className="panel">
-        <div className="panel-title">Active Missions</div>
-        <div className="panel-sub">// your current active quests - live from quest system</div>
-        <div className="quest-list">
-          <article className="quest-item q-study">
-            <div className="quest-icon">📖</div>
-            <div className="quest-info">
-              <div className="quest-name">Study Progress Mission</div>
-              <div className="quest-desc">// review and complete from your live quest list</div>
-            </div>
-            <div className="quest-xp">LIVE</div>
-            <NavLink to="/quests" className="quest-complete-btn">Open</NavLink>
-          </article>
-          <article className="quest-item q-coding">
-            <div className="quest-icon">💻</div>
-            <div className="quest-info">
-              <div className="quest-name">Coding Progress Mission</div>
-              <div className="quest-desc">// select and clear coding quests to gain XP</div>
-            </div>
-            <div className="quest-xp">LIVE</div>
-            <NavLink to="/quests" className="quest-complete-btn">Open</NavLink>
-          </article>
-          <article className="quest-item q-gym">
-            <div className="quest-icon">⚔️</div>
-            <div className="quest-info">
-              <div className="quest-name">Training Mission</div>
-              <div className="quest-desc">// log workouts and keep your streak active</div>
+    // Same plan pick as GymPage: selected plan, else first plan for the path, else local fallback.
+    let plan = selectedRes.data?.plan || plansRes.data?.[0] || null
+    let days = []
+    if (plan?.id) {
+      const { data: daysData } = await supabase
+        .from('workout_plan_days')
+        .select('*')
+        .eq('plan_id', plan.id)
+        .order('day_number', { ascending: true })
+      days = daysData || []
+    } else {
+      const fallback = fallbackWorkoutContent(profile.path)
+      plan = fallback.plans[0]
+      days = fallback.byPlan[plan.id] || []
+    }
+
+    setTodayWorkout({
+      plan,
+      day: findPlanDayForDate(days, todayIso(profileTimeZone(profile))),
+      logged: Boolean(logRes.data?.completed),
+    })
+  }
+
+  useEffect(() => {
+    if (!profile?.id) return
+    loadMissions()
+    loadTodayWorkout()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [profile?.id, profile?.path])
+
+  // "Passed you" = guildmates above you now who were not above you on the last visit.
+  useEffect(() => {
+    let isActive = true
+    if (!profile?.id) return undefined
+
+    const loadRivals = async () => {
+      const { data: memberships } = await supabase
+        .from('group_members')
+        .select('group_id')
+        .eq('user_id', profile.id)
+        .limit(1)
+      const groupId = memberships?.[0]?.group_id
+      if (!groupId) return
+
+      const boardRes = await supabase.rpc('get_leaderboard', { p_group_id: groupId, p_timeframe: 'weekly' })
+      if (!isActive || boardRes.error) return
+      const board = await hydrateRowsWithProfileNames(boardRes.data || [])
+      if (!isActive) return
+
+      const snapshotKey = `${RIVAL_SNAPSHOT_PREFIX}.${profile.id}.${groupId}`
+      let previousAboveIds = null
+      try {
+        const stored = window.localStorage.getItem(snapshotKey)
+        previousAboveIds = stored ? JSON.parse(stored) : null
+      } catch {
+        previousAboveIds = null
+      }
+      const { aboveIds, passed } = findRivalsWhoPassed(board, profile.id, previousAboveIds)
+      try {
+        window.localStorage.setItem(snapshotKey, JSON.stringify(aboveIds))
+      } catch {
+        // ignore localStorage write issues
+      }
+      setRivalsPassed(passed.map((row) => safeDisplayName(row)))
+    }
+
+    loadRivals()
+    return () => {
+      isActive = false
+    }
+  }, [profile?.id])
+
+  const onCompleteMission = async (activeQuestId) => {
+    if (completingMissionId) return
+    setMissionError('')
+    setMissionMessage('')
+    setCompletingMissionId(activeQuestId)
+
+    let completion
+    try {
+      completion = await completeActiveQuest({
+        userId: profile.id,
+        activeQuestId,
+        note: missionNotes[activeQuestId],
+      })
+    } catch (completeError) {
+      setCompletingMissionId('')
+      setMissionError(completeError.message)
+      return
+    }
+
+    const { awardedXp } = completion
+    if (awardedXp > 0) onXpGain(awardedXp)
+    setMissionNotes((prev) => ({ ...prev, [activeQuestId]: '' }))
+    setNoteOpenId('')
+    setMissionMessage(
+      awardedXp > 0 ? `Quest completion logged. +${awardedXp} XP.` : 'Already completed for this period. Check the reset timer.',
+    )
+    await onProfileRefresh()
+    await loadMissions()
+    setWeeklyVersion((prev) => prev + 1)
+    setCompletingMissionId('')
+  }
+
+  const onToggleCosmetic = async (item) => {
+    if (equippingId) return
+    setEquipError('')
+    setEquippingId(item.cosmetic_id)
+    const rpcError = item.equipped ? await cosmetics.unequip(item.kind) : await cosmetics.equip(item.cosmetic_id)
+    if (rpcError) setEquipError(`Equip failed: ${rpcError.message}`)
+    setEquippingId('')
+  }
+
+  const alertNow = new Date()
+  const systemAlerts = evaluateSystemAlerts(
+    {
+      now: alertNow,
+      streakDays: Number(profile?.current_streak || 0),
+      workoutLoggedToday: todayWorkout ? todayWorkout.logged : null,
+      dailyClaimed: dailyLoaded ? dailyState.claimedToday : null,
+      dailyReward,
+      missions: missions.map((entry) => ({ id: entry.id, title: entry.quest.title, deadline_at: entry.deadline_at })),
+      weeklyChallenges,
+      rivalsPassed,
+      weeklyResetAt: nextWeekResetInTimeZone(alertNow, profileTimeZone(profile)),
+      boss:
+        bossStatus(weeklyBoss, alertNow) === 'active' ? { name: weeklyBoss.name, resets_at: weeklyBoss.ends_at } : null,
+      reminderTime: onboarding.state?.reminder_time || null,
+      localMinutes: minutesIntoDay(alertNow, profileTimeZone(profile)),
+    },
+    profile?.path,
+  )
+
+  const shareStats = { xp: totalXP, streak: Number(profile?.current_streak || 0), level }
+  const shareStatValue = (key) => (hiddenShareStats.has(key) ? '•••' : shareStats[key])
+
+  const onToggleShareStat = (key) => {
+    setHiddenShareStats((prev) => {
+      const next = new Set(prev)
+      if (next.has(key)) next.delete(key)
+      else next.add(key)
+      try {
+        window.localStorage.setItem(SHARE_PRIVACY_KEY, JSON.stringify([...next]))
+      } catch {
+        // ignore localStorage write issues
+      }
+      return next
+    })
+  }
+
+  const onGenerateShareCard = async () => {
+    if (shareBusy) return
+    setShareBusy(true)
+    setShareMessage('')
+    try {
+      const rankVar = RANK_COLOR_VARS[rankInfo.colorClass] || '--e-rank'
+      const rankColor = getComputedStyle(document.documentElement).getPropertyValue(rankVar).trim()
+      const blob = await renderShareCard(
+        {
+          pathTitle: pathConfig.title,
+          worldLabel: pathConfig.worldLabel,
+          rank,
+          rankColor: rankColor || pathConfig.accent,
+          accent: pathConfig.accent,
+          title: titles.equipped?.name || '',
+          avatar: cosmetics.equipped.avatar?.icon || '',
+          stats: shareStats,
+        },
+        hiddenShareStats,
+      )
+      const outcome = await shareOrDownloadCard(blob, {
+        filename: `zbxp-${String(profile?.username || 'hunter').toLowerCase()}-${todayIso(profileTimeZone(profile))}.png`,
+        title: `${pathConfig.title} - ${rank} RANK`,
+        text: `${pathConfig.title} | ${rank}-RANK`,
+      })
+      if (outcome === 'shared') setShareMessage('Share card sent.')
+      if (outcome === 'downloaded') setShareMessage('Share card downloaded.')
+    } catch (shareError) {
+      setShareMessage(`Share card failed: ${shareError.message}`)
+    }
+    setShareBusy(false)
+  }
+
+  const onToggleTitle = async (title) => {
+    if (equippingId) return
+    setEquipError('')
+    setEquippingId(title.title_id)
+    const rpcError = await titles.equip(title.equipped ? null : title.title_id)
+    if (rpcError) setEquipError(`Equip failed: ${rpcError.message}`)
+    setEquippingId('')
+  }
+
+  const onClaimWeeklyChallenge = async (challenge) => {
+    if (claimingChallengeId) return
+    setWeeklyError('')
+    setWeeklyNotice('')
+    setClaimingChallengeId(challenge.challenge_id)
+
+    const { data, error: rpcError } = await supabase.rpc('claim_weekly_challenge', {
+      p_challenge_id: challenge.challenge_id,
+    })
+
+    if (rpcError) {
+      setWeeklyError(`Challenge claim failed: ${rpcError.message}`)
+      setClaimingChallengeId('')
+      return
+    }
+
+    const result = Array.isArray(data) ? data[0] : data
+    const awardedXp = Number(result?.awarded_xp ?? 0)
+    if (awardedXp > 0) onXpGain(awardedXp)
+    if (result?.reward_title) {
+      setWeeklyNotice(`Title earned: ${result.reward_title}`)
+      titles.reload()
+    }
+    setWeeklyVersion((prev) => prev + 1)
+    await onProfileRefresh()
+    setClaimingChallengeId('')
+  }
+
+  const onClaimDailyXp = async () => {
+    if (dailyState.claimedToday || dailyClaiming) return
+    setDailyError('')
+    setDailyClaiming(true)
+
+    const { data, error: rpcError } = await supabase.rpc('claim_daily_bonus')
+
+    if (rpcError) {
+      setDailyError(`Daily claim failed: ${rpcError.message}`)
+      setDailyClaiming(false)
+      return
+    }
+
+    const result = Array.isArray(data) ? data[0] : data
+    const awardedXp = Number(result?.awarded_xp ?? 0)
+
+    setLastDailyClaim({
+      claim_date: todayIso(profileTimeZone(profile)),
+      streak_days: Number(result?.streak_days || dailyState.streakDays),
+      cycle_day: Number(result?.cycle_day || dailyState.cycleDay),
+      xp_awarded: awardedXp,
+    })
+    if (awardedXp > 0) {
+      onXpGain(awardedXp)
+    } else {
+      setDailyError('Daily bonus already claimed today.')
+    }
+    await onProfileRefresh()
+    setDailyClaiming(false)
+  }
+
+  return (
+    <section className="tab-content active guild-s1-wrap">
+      <div className="actions section-jump-actions">
+        <button type="button" className="btn btn-cyan" onClick={() => scrollToSection('weekly-challenge')}>
+          Weekly Challenge
+        </button>
+        <button type="button" className="btn btn-cyan" onClick={() => scrollToSection('active-missions')}>
+          Active Missions
+        </button>
+        <button type="button" className="btn btn-cyan" onClick={() => scrollToSection('unlock-grid')}>
+          Unlock Grid
+        </button>
+        <button type="button" className="btn btn-cyan" onClick={() => scrollToSection('share-card')}>
+          Share Card
+        </button>
+      </div>
+
+      <div className="daily-login-card">
+        <div>
+          <div className="daily-tag">✦ DAILY LOGIN BONUS · {dailyState.streakDays}-DAY STREAK</div>
+          <div className="daily-title">
+            {dailyState.claimedToday ? `Day ${dailyState.cycleDay} Reward Claimed` : `Day ${dailyState.cycleDay} Reward Available`}
+          </div>
+          <div className="daily-sub">
+            {dailyState.claimedToday ? (
+              <>
+                Tomorrow: <span>+{nextDailyReward} XP</span> - keep the streak alive
+              </>
+            ) : (
+              <>
+                Streak bonus: <span>+{dailyReward} XP</span> - claim before midnight {profileTimeZone(profile)}
+              </>
+            )}
+          </div>
+          <div className="daily-cycle">
+            {dailyRewards.map((reward) => {
+              const day = Number(reward.cycle_day)
+              const status =
+                day < dailyState.cycleDay || (dailyState.claimedToday && day === dailyState.cycleDay)
+                  ? 'done'
+                  : day === dailyState.cycleDay
+                    ? 'today'
+                    : ''
+              return (
+                <span key={day} className={`daily-cycle-day ${status}`}>
+                  <b>D{day}</b>+{reward.xp_reward}
+                </span>
+              )
+            })}
+          </div>
+        </div>
+        <button
+          type="button"
+          className="btn btn-green"
+          disabled={dailyState.claimedToday || dailyClaiming}
+          onClick={onClaimDailyXp}
+        >
+          {dailyState.claimedToday ? 'CLAIMED' : dailyClaiming ? 'CLAIMING...' : `CLAIM +${dailyReward} XP`}
+        </button>
+      </div>
+      {dailyError ? <p className="error-text">{dailyError}</p> : null}
+
+      <div className="system-alert">
+        {systemAlerts.map((alert) => (
+          <div key={alert.id} className="system-alert-text">
+            {alert.segments.map((segment, index) =>
+              typeof segment === 'string' ? (
+                <span key={index}>{segment}</span>
+              ) : (
+                <span key={index} className={segment.tone}>{segment.text}</span>
+              ),
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="stat-grid">
+        <div className="stat-box">
+          <span className="stat-label">LEVEL</span>
+          <div className="stat-val">{level}</div>
+        </div>
+        <div className="stat-box">
+          <span className="stat-label">TOTAL XP</span>
+          <div className="stat-val">{totalXP}</div>
+        </div>
+        <div className="stat-box">
+          <span className="stat-label">STREAK</span>
+          <div className="stat-val" style={{ color: 'var(--gold)' }}>{Number(profile?.current_streak || 0)}</div>
+        </div>
+        <div className="stat-box">
+          <span className="stat-label">RANK</span>
+          <div className="stat-val" style={{ fontSize: '26px' }}><RankBadge rankInfo={rankInfo} /></div>
+        </div>
+      </div>
+
+      <div id="weekly-challenge">
+        {weeklyChallenges.map((challenge) => {
+          const target = Math.max(1, Number(challenge.target || 1))
+          const progress = Number(challenge.progress || 0)
+          const percent = Math.min(100, Math.round((progress / target) * 100))
+          const isDone = progress >= target
+          const rewardLabel = `+${Number(challenge.xp_reward || 0)} XP${challenge.reward_title ? ` + "${challenge.reward_title}"` : ''}`
+          return (
+            <div key={challenge.challenge_id} className={`challenge-card${challenge.claimed ? ' is-claimed' : ''}`}>
+              <div className="challenge-title">{challenge.title}</div>
+              {challenge.description ? <div className="challenge-desc">// {challenge.description}</div> : null}
+              <div className="ch-track"><div className="ch-fill" style={{ width: `${percent}%` }} /></div>
+              <div className="ch-foot">
+                <span>Progress: <span>{Math.min(progress, target)} / {target}</span></span>
+                <span>Reward: <span>{rewardLabel}</span></span>
+              </div>
+              <div className="ch-foot">
+                <span>Resets in {formatTimeUntil(new Date(challenge.resets_at), new Date())}</span>
+                {challenge.claimed ? (
+                  <span>CLAIMED</span>
+                ) : (
+                  <button
+                    type="button"
+                    className="btn btn-gold"
+                    disabled={!isDone || Boolean(claimingChallengeId)}
+                    onClick={() => onClaimWeeklyChallenge(challenge)}
+                  >
+                    {claimingChallengeId === challenge.challenge_id ? 'CLAIMING...' : isDone ? 'CLAIM REWARD' : 'IN PROGRESS'}
+                  </button>
+                )}
+              </div>
             </div>
-            <div className="quest-xp">LIVE</div>
-            <NavLink to="/gym" className="quest-complete-btn">Open</NavLink>
-          </article>
+          )
+        })}
+        {!weeklyChallenges.length && !weeklyError ? <p className="muted">No weekly challenges this week.</p> : null}
+        {weeklyNotice ? <p className="muted">{weeklyNotice}</p> : null}
+        {weeklyError ? <p className="error-text">{weeklyError}</p> : null}
+      </div>
+
+      <div id="active-missions" className="panel">
+        <div className="panel-title">Active Missions</div>
+        <div className="panel-sub">// your current active quests - live from quest system</div>
+        <div className="quest-list">
+          {todayWorkout ? (
+            <article className={cx('quest-item', 'q-gym', todayWorkout.logged && 'is-done')}>
+              <div className="quest-icon">⚔️</div>
+              <div className="quest-info">
+                <div className="quest-name">
+                  {todayWorkout.day ? `Today: ${todayWorkout.day.template?.name || todayWorkout.day.title}` : 'Today: Rest Day'}
+                </div>
+                <div className="quest-desc">
+                  // {todayWorkout.plan?.name || 'No plan selected'}
+                  {todayWorkout.day?.template?.subtitle ? ` • ${todayWorkout.day.template.subtitle}` : ''}
+                  {todayWorkout.day?.template?.duration ? ` • ${todayWorkout.day.template.duration}` : ''}
+                </div>
+              </div>
+              <div className="quest-xp">
+                {todayWorkout.logged ? 'LOGGED' : todayWorkout.day?.template?.xp ? `+${todayWorkout.day.template.xp} XP` : 'REST'}
+              </div>
+              <NavLink to="/gym" className="quest-complete-btn">{todayWorkout.logged ? 'View' : 'Train'}</NavLink>
+            </article>
+          ) : null}
+          {missions.map((entry) => {
+            const now = new Date()
+            const timeZone = profileTimeZone(profile)
+            const done = countPeriodCompletions(
+              entry.quest,
+              missionCompletions.filter((row) => row.active_quest_id === entry.id),
+              now,
+              timeZone,
+            )
+            const isDone = done >= getPeriodLimit(entry.quest)
+            const isOpen = isQuestOpenNow(entry.quest, now, timeZone)
+            const deadline = entry.deadline_at ? new Date(entry.deadline_at) : null
+            const isCompleting = completingMissionId === entry.id
+            return (
+              <article key={entry.id} className={cx('quest-item', 'mission-item', questCategoryClass(entry.quest.category), isDone && 'is-done')}>
+                <div className="quest-icon">{questCategoryIcon(entry.quest.category)}</div>
+                <div className="quest-info">
+                  <div className="quest-name">{entry.quest.title}</div>
+                  <div className="quest-desc">
+                    // {String(entry.quest.category || 'general').toUpperCase()} • {getRecurrenceLabel(entry.quest)}
+                    {deadline ? ` • ⏳ ${formatTimeUntil(deadline, now)} left` : ''}
+                    {isDone && getRecurrence(entry.quest) !== 'once'
+                      ? ` • next reset in ${formatTimeUntil(getNextReset(entry.quest, now, timeZone), now)}`
+                      : ''}
+                  </div>
+                  {noteOpenId === entry.id ? (
+                    <input
+                      className="mission-note-input"
+                      value={missionNotes[entry.id] || ''}
+                      onChange={(event) => setMissionNotes((prev) => ({ ...prev, [entry.id]: event.target.value }))}
+                      placeholder="Completion note (optional)"
+                      maxLength={500}
+                    />
+                  ) : null}
+                </div>
+                <div className="quest-xp">+{Number(entry.quest.xp_reward || 0)} XP</div>
+                <div className="mission-actions">
+                  <button
+                    type="button"
+                    className="btn btn-cyan"
+                    onClick={() => setNoteOpenId((prev) => (prev === entry.id ? '' : entry.id))}
+                  >
+                    {noteOpenId === entry.id ? 'Hide Note' : 'Note'}
+                  </button>
+                  <button
+                    type="button"
+                    className="quest-complete-btn"
+                    disabled={isDone || !isOpen || Boolean(completingMissionId)}
+                    onClick={() => onCompleteMission(entry.id)}
+                  >
+                    {isCompleting ? '...' : isDone ? 'DONE' : !isOpen ? 'CLOSED' : 'Complete'}
+                  </button>
+                </div>
+              </article>
+            )
+          })}
+          {!missions.length ? (
+            <article className="quest-item">
+              <div className="quest-icon">🎯</div>
+              <div className="quest-info">
+                <div className="quest-name">No active missions</div>
+                <div className="quest-desc">// accept quests from the board to track them here</div>
+              </div>
+              <NavLink to="/quests" className="quest-complete-btn">Open</NavLink>
+            </article>
+          ) : null}
         </div>
+        {missionMessage ? <p className="muted">{missionMessage}</p> : null}
+        {missionError ? <p className="error-text">{missionError}</p> : null}
       </div>
 
+      {achievements.achievements.length ? (
+        <div id="badge-showcase" className="panel">
+          <div className="panel-title">Badges</div>
+          <div className="panel-sub">
+            // {achievements.earnedCount}/{achievements.achievements.length} earned - latest unlocks and closest targets
+          </div>
+          <BadgeShowcase achievements={achievements.achievements} limit={3} />
+          <NavLink to="/stats" className="btn btn-cyan">All Badges</NavLink>
+        </div>
+      ) : null}
+
       <div id="unlock-grid" className="panel">
         <div className="panel-title">Hunter Unlocks</div>
-        <div className="panel-sub">// rank up to reveal titles, avatars, and abilities</div>
-        <div className="unlock-grid">
-          <div className="unlock-item unlocked" style={{ border: '1px solid rgba(245,158,11,0.5)', boxShadow: '0 0 14px rgba(245,158,11,0.15)' }}><div className="unlock-emoji">🗡️</div><div className="unlock-level">LVL 1</div></div>
-          <div className="unlock-item unlocked" style={{ border: '1px solid rgba(245,158,11,0.5)', boxShadow: '0 0 14px rgba(245,158,11,0.15)' }}><div className="unlock-emoji">🛡️</div><div className="unlock-level">LVL 1</div></div>
-          <div className="unlock-item locked" style={{ filter: 'grayscale(1)', opacity: 0.3 }}><div className="unlock-emoji">👁️</div><div className="unlock-level">LVL 5</div></div>
-          <div className="unlock-item locked" style={{ filter: 'grayscale(1)', opacity: 0.3 }}><div className="unlock-emoji">🔮</div><div className="unlock-level">LVL 10</div></div>
-          <div className="unlock-item locked" style={{ filter: 'grayscale(1)', opacity: 0.3 }}><div className="unlock-emoji">⚡</div><div className="unlock-level">LVL 15</div></div>
-          <div className="unlock-item locked" style={{ filter: 'grayscale(1)', opacity: 0.3 }}><div className="unlock-emoji">👑</div><div className="unlock-level">LVL 20</div></div>
-        </div>
+        <div className="panel-sub">// rank up to reveal titles, avatars, frames and HUD themes - click an unlocked item to equip</div>
+        {COSMETIC_KINDS.map(({ kind, label }) => {
+          const kindItems = cosmetics.items.filter((item) => item.kind === kind)
+          if (!kindItems.length) return null
+          return (
+            <div key={kind} className="unlock-group">
+              <div className="unlock-group-label">{label}</div>
+              <div className="unlock-grid">
+                {kindItems.map((item) => (
+                  <button
+                    key={item.cosmetic_id}
+                    type="button"
+                    className={cx('unlock-item', item.unlocked ? 'unlocked' : 'locked', item.equipped && 'is-equipped')}
+                    title={`${item.name}${item.description ? ` - ${item.description}` : ''}`}
+                    disabled={!item.unlocked || Boolean(equippingId)}
+                    onClick={() => onToggleCosmetic(item)}
+                  >
+                    <div className="unlock-emoji">{item.icon}</div>
+                    <div className="unlock-level">{item.equipped ? 'EQUIPPED' : describeUnlockRule(item)}</div>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )
+        })}
+        {titles.titles.length ? (
+          <div className="unlock-group">
+            <div className="unlock-group-label">TITLES</div>
+            <ul className="clean-list title-list">
+              {titles.titles.map((title) => (
+                <li key={title.title_id} className={cx('title-row', `rarity-${title.rarity}`, !title.earned && 'is-locked')}>
+                  <div>
+                    <div className="title-name">« {title.name} »</div>
+                    <div className="title-meta">
+                      {String(title.rarity).toUpperCase()} • {title.earned ? describeTitleSource(title) : describeTitleRequirement(title)}
+                    </div>
+                  </div>
+                  {title.earned ? (
+                    <button
+                      type="button"
+                      className={cx('btn', title.equipped ? 'btn-gold' : 'btn-cyan')}
+                      disabled={Boolean(equippingId)}
+                      onClick={() => onToggleTitle(title)}
+                    >
+                      {title.equipped ? 'Unequip' : 'Equip'}
+                    </button>
+                  ) : (
+                    <span className="title-lock">🔒</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : null}
+        {!cosmetics.items.length ? <p className="muted">Unlock catalog is not available yet.</p> : null}
+        {equipError ? <p className="error-text">{equipError}</p> : null}
       </div>
 
-      <div id="share-card" className="share-card">
+      <div id="share-card" className={cx('share-card', frameClass(cosmetics.equipped))}>
         <div className="share-card-top">
           <div>
-            <div className="share-hunter-name">{pathConfig.title}</div>
-            <div className="share-hunter-title">// {pathConfig.worldLabel} - {rank} RANK</div>
+            <div className="share-hunter-name">
+              {cosmetics.equipped.avatar?.icon ? <span className="hunter-avatar">{cosmetics.equipped.avatar.icon}</span> : null}
+              {pathConfig.title}
+            </div>
+            <div className="share-hunter-title">
+              // {titles.equipped ? `${titles.equipped.name} - ` : ''}{pathConfig.worldLabel} - {rank} RANK
+            </div>
           </div>
           <div className="share-rank">{rank}</div>
         </div>
         <div className="share-card-bottom">
-          <div className="share-stat"><div className="share-stat-val">{totalXP}</div><div className="share-stat-label">TOTAL XP</div></div>
-          <div className="share-stat"><div className="share-stat-val">{Number(profile?.current_streak || 0)}</div><div className="share-stat-label">DAY STREAK</div></div>
-          <div className="share-stat"><div className="share-stat-val">{level}</div><div className="share-stat-label">LEVEL</div></div>
+          {SHARE_CARD_STATS.map((stat) => (
+            <div key={stat.key} className="share-stat">
+              <div className="share-stat-val">{shareStatValue(stat.key)}</div>
+              <div className="share-stat-label">{stat.label}</div>
+            </div>
+          ))}
         </div>
         <div className="share-badges">
           <div className="share-badge gold">{pathConfig.worldLabel}</div>
           <div className="share-badge cyan">{rank}-RANK HUNTER</div>
           <div className="share-badge purple">ZBXP CLOSED BETA</div>
         </div>
+        <div className="share-privacy">
+          <span className="share-privacy-label">PRIVATE STATS:</span>
+          {SHARE_CARD_STATS.map((stat) => (
+            <label key={stat.key} className="share-privacy-toggle">
+              <input
+                type="checkbox"
+                checked={hiddenShareStats.has(stat.key)}
+                onChange={() => onToggleShareStat(stat.key)}
+              />
+              Hide {stat.label.toLowerCase()}
+            </label>
+          ))}
+        </div>
         <div className="actions">
-          <button
-            type="button"
-            className="btn btn-cyan"
-            onClick={async () => {
-              const summary = `${pathConfig.title} | ${rank}-RANK | ${totalXP} XP | ${Number(profile?.current_streak || 0)} day streak`
-              try {
-                await navigator.clipboard.writeText(summary)
-              } catch {
-                // noop for unsupported clipboard contexts
-              }
-            }}
-          >
-            ⬇ GENERATE SHARE CARD
+          <button type="button" className="btn btn-cyan" disabled={shareBusy} onClick={onGenerateShareCard}>
+            {shareBusy ? 'RENDERING...' : '⬇ GENERATE SHARE CARD'}
           </button>
         </div>
+        {shareMessage ? <p className="muted">{shareMessage}</p> : null}
       </div>
     </section>
   )
 }
 
+// Fallback until quest_difficulty_rewards loads; the server is the source of truth.
+const DEFAULT_DIFFICULTY_REWARDS = [
+  { difficulty: 'easy', xp_reward: 15 },
+  { difficulty: 'medium', xp_reward: 30 },
+  { difficulty: 'hard', xp_reward: 45 },
+]
+
+const EMPTY_CUSTOM_QUEST = {
+  title: '',
+  description: '',
+  category: 'study',
+  difficulty: 'easy',
+  recurrence: 'once',
+  recurrenceCount: 3,
+}
+
+const HISTORY_PAGE_SIZE = 20
+const HISTORY_EXPORT_PAGE_SIZE = 500
+
+function QuestHistoryPanel({ refreshKey, categoryOptions, difficultyOptions, timeZone }) {
+  const [range, setRange] = useState(() => {
+    const to = todayIso(timeZone)
+    return { from: shiftIsoDay(to, -89), to }
+  })
+  const [category, setCategory] = useState('')
+  const [difficulty, setDifficulty] = useState('')
+  const [page, setPage] = useState(0)
+  const [rows, setRows] = useState([])
+  const [totalCount, setTotalCount] = useState(0)
+  const [heatmapDays, setHeatmapDays] = useState([])
+  const [evidenceUrls, setEvidenceUrls] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [exporting, setExporting] = useState(false)
+  const [error, setError] = useState('')
+
+  const historyParams = (limit, offset) => ({
+    p_from: range.from || null,
+    p_to: range.to || null,
+    p_category: category || null,
+    p_difficulty: difficulty || null,
+    p_limit: limit,
+    p_offset: offset,
+  })
+
+  useEffect(() => {
+    let isActive = true
+
+    const loadHistory = async () => {
+      setLoading(true)
+      setError('')
+      const { data, error: historyError } = await supabase.rpc(
+        'get_quest_history',
+        historyParams(HISTORY_PAGE_SIZE, page * HISTORY_PAGE_SIZE),
+      )
+      if (!isActive) return
+      setLoading(false)
+      if (historyError) {
+        setError(`History load failed: ${historyError.message}`)
+        return
+      }
+      const nextRows = data || []
+      setRows(nextRows)
+      setTotalCount(Number(nextRows[0]?.total_count || 0))
+      const urls = await signEvidencePaths(nextRows.flatMap((row) => row.attachment_paths || []))
+      if (isActive) setEvidenceUrls(urls)
+    }
+
+    loadHistory()
+    return () => {
+      isActive = false
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [range.from, range.to, category, difficulty, page, refreshKey])
+
+  useEffect(() => {
+    let isActive = true
+    if (!range.from || !range.to) return undefined
+
+    supabase.rpc('get_quest_heatmap', { p_from: range.from, p_to: range.to }).then(({ data, error: heatmapError }) => {
+      if (!isActive) return
+      setHeatmapDays(heatmapError ? [] : data || [])
+    })
+    return () => {
+      isActive = false
+    }
+  }, [range.from, range.to, refreshKey])
+
+  const updateRange = (key, value) => {
+    setRange((prev) => ({ ...prev, [key]: value }))
+    setPage(0)
+  }
+
+  const onExport = async (format) => {
+    setExporting(true)
+    setError('')
+    const all = []
+    for (let offset = 0; ; offset += HISTORY_EXPORT_PAGE_SIZE) {
+      const { data, error: exportError } = await supabase.rpc(
+        'get_quest_history',
+        historyParams(HISTORY_EXPORT_PAGE_SIZE, offset),
+      )
+      if (exportError) {
+        setExporting(false)
+        setError(`Export failed: ${exportError.message}`)
+        return
+      }
+      all.push(...(data || []))
+      if (!data || data.length < HISTORY_EXPORT_PAGE_SIZE) break
+    }
+    setExporting(false)
+
+    const filename = `quest-history-${range.from || 'start'}-to-${range.to || 'today'}`
+    if (format === 'csv') {
+      downloadTextFile(`${filename}.csv`, historyToCsv(all), 'text/csv')
+    } else {
+      downloadTextFile(`${filename}.json`, historyToJson(all), 'application/json')
+    }
+  }
+
+  const pageCount = Math.max(1, Math.ceil(totalCount / HISTORY_PAGE_SIZE))
+  const heatmapWeeks = range.from && range.to ? buildHeatmapWeeks(heatmapDays, range.from, range.to) : []
+  const maxCompletions = Math.max(0, ...heatmapDays.map((row) => Number(row.completions || 0)))
+  const rangeCompletions = heatmapDays.reduce((sum, row) => sum + Number(row.completions || 0), 0)
+  const rangeXp = heatmapDays.reduce((sum, row) => sum + Number(row.xp || 0), 0)
+
+  return (
+    <div className="panel">
+      <h3>Quest History</h3>
+      <div className="quest-filters">
+        <label className="input-label">
+          From
+          <input className="zbxp-input" type="date" value={range.from} max={range.to} onChange={(event) => updateRange('from', event.target.value)} />
+        </label>
+        <label className="input-label">
+          To
+          <input className="zbxp-input" type="date" value={range.to} min={range.from} onChange={(event) => updateRange('to', event.target.value)} />
+        </label>
+        <select
+          className="zbxp-select"
+          value={category}
+          onChange={(event) => {
+            setCategory(event.target.value)
+            setPage(0)
+          }}
+        >
+          <option value="">All categories</option>
+          {categoryOptions.map((option) => (
+            <option key={option} value={option}>{option.toUpperCase()}</option>
+          ))}
+        </select>
+        <select
+          className="zbxp-select"
+          value={difficulty}
+          onChange={(event) => {
+            setDifficulty(event.target.value)
+            setPage(0)
+          }}
+        >
+          <option value="">All difficulties</option>
+          {difficultyOptions.map((option) => (
+            <option key={option} value={option}>{option.toUpperCase()}</option>
+          ))}
+        </select>
+        <button type="button" className="quest-complete-btn" onClick={() => onExport('csv')} disabled={exporting}>
+          Export CSV
+        </button>
+        <button type="button" className="quest-complete-btn" onClick={() => onExport('json')} disabled={exporting}>
+          Export JSON
+        </button>
+      </div>
+
+      {heatmapWeeks.length ? (
+        <>
+          <div className="panel-sub">// {rangeCompletions} completions • {rangeXp} quest XP in range</div>
+          <div className="history-heatmap" role="img" aria-label="Quest completions per day">
+            {heatmapWeeks.map((week) => (
+              <div key={week.find(Boolean).day} className="heatmap-week">
+                {week.map((cell, index) =>
+                  cell ? (
+                    <span
+                      key={cell.day}
+                      className={cx('heatmap-cell', `lvl-${heatLevel(Number(cell.completions), maxCompletions)}`)}
+                      title={`${cell.day}: ${cell.completions} completions, ${cell.xp} XP`}
+                    />
+                  ) : (
+                    <span key={`pad-${index}`} className="heatmap-cell is-pad" />
+                  ),
+                )}
+              </div>
+            ))}
+          </div>
+        </>
+      ) : null}
+
+      {error ? <p className="error-text">{error}</p> : null}
+      {loading ? <p className="muted">Loading history...</p> : null}
+      {!loading && rows.length === 0 ? <p className="muted">No completions in this range.</p> : null}
+      <ul className="clean-list">
+        {rows.map((item) => (
+          <li key={item.completion_id} className="history-item">
+            <strong>{item.quest_title}</strong>
+            <span className="muted">
+              {item.category} • {item.difficulty} • +{item.awarded_xp} XP
+              {item.bonus_xp ? ` (+${item.bonus_xp} verified)` : ''} • {VERIFICATION_LABELS[item.verification_status] || 'UNVERIFIED'}
+            </span>
+            <span className="muted">{new Date(item.completed_at).toLocaleString()}</span>
+            {item.note ? <span className="muted">Note: {item.note}</span> : null}
+            <EvidenceThumbs paths={item.attachment_paths} urls={evidenceUrls} />
+          </li>
+        ))}
+      </ul>
+      <div className="history-pager">
+        <button type="button" className="quest-complete-btn" onClick={() => setPage((prev) => Math.max(0, prev - 1))} disabled={page === 0}>
+          ← Newer
+        </button>
+        <span className="muted">Page {page + 1} of {pageCount} • {totalCount} total</span>
+        <button
+          type="button"
+          className="quest-complete-btn"
+          onClick={() => setPage((prev) => prev + 1)}
+          disabled={page + 1 >= pageCount}
+        >
+          Older →
+        </button>
+      </div>
+    </div>
+  )
+}
+
+function groupQuestlineSteps(rows) {
+  const byId = new Map()
+  for (const row of rows) {
+    if (!byId.has(row.questline_id)) {
+      byId.set(row.questline_id, {
+        id: row.questline_id,
+        title: row.questline_title,
+        description: row.questline_description,
+        completionXp: row.completion_xp,
+        completedAt: row.questline_completed_at,
+        steps: [],
+      })
+    }
+    byId.get(row.questline_id).steps.push(row)
+  }
+  return [...byId.values()]
+}
+
 function QuestsPage({ onProfileRefresh, onXpGain }) {
-  const ACTIVE_QUEST_UI_LIMIT = 10
-  const { profile, pathConfig } = useApp()
+  const { profile, pathConfig, progression, inventory } = useApp()
+  const bonusSlots = bonusQuestSlots(inventory.effects)
+  const slotLimit = getActiveQuestSlots(getProfileXp(profile), progression.rankTiers) + bonusSlots
+  const rerollsLeft = itemQuantity(inventory.items, 'quest-reroll')
+  const nextSlotUnlock = getNextSlotUnlock(getProfileXp(profile), progression.rankTiers)
   const [availableQuests, setAvailableQuests] = useState([])
   const [activeQuests, setActiveQuests] = useState([])
-  const [history, setHistory] = useState([])
+  const [historyVersion, setHistoryVersion] = useState(0)
+  const [periodCompletions, setPeriodCompletions] = useState([])
+  const [nowTs, setNowTs] = useState(() => Date.now())
   const [selectedQuestId, setSelectedQuestId] = useState('')
   const [selectedActiveId, setSelectedActiveId] = useState('')
-  const [selectedHistoryId, setSelectedHistoryId] = useState('')
   const [noteDrafts, setNoteDrafts] = useState({})
+  const [deadlineDrafts, setDeadlineDrafts] = useState({})
+  const [evidenceDrafts, setEvidenceDrafts] = useState({})
+  const [completingId, setCompletingId] = useState('')
+  const [statusLog, setStatusLog] = useState([])
+  const [questlines, setQuestlines] = useState([])
+  const [favoriteIds, setFavoriteIds] = useState(() => new Set())
+  const [filters, setFilters] = useState(DEFAULT_QUEST_FILTERS)
+  const [difficultyRewards, setDifficultyRewards] = useState(DEFAULT_DIFFICULTY_REWARDS)
+  const [customDraft, setCustomDraft] = useState(EMPTY_CUSTOM_QUEST)
+  const [customSaving, setCustomSaving] = useState(false)
   const [loading, setLoading] = useState(true)
   const [questMessage, setQuestMessage] = useState('')
   const [error, setError] = useState('')
@@ -1117,40 +2268,47 @@ function QuestsPage({ onProfileRefresh, onXpGain }) {
     setLoading(true)
     setError('')
 
+    // Flip overdue missions to expired before reading; no-op until the lifecycle migration is applied.
+    await supabase.rpc('expire_overdue_quests')
+
+    // RLS limits custom quests to their owner, so this is catalog-for-path plus "mine".
     const availablePromise = supabase
       .from('quests')
       .select('*')
       .eq('is_active', true)
-      .eq('path', profile.path)
+      .or(`path.eq.${profile.path},created_by.eq.${profile.id}`)
       .order('xp_reward', { ascending: true })
 
-    const historyPromise = supabase
+    const statusLogPromise = supabase
+      .from('quest_status_events')
+      .select('id, from_status, to_status, created_at, quest:quests(title)')
+      .eq('user_id', profile.id)
+      .order('created_at', { ascending: false })
+      .limit(15)
+
+    const questlinePromise = supabase.rpc('get_questlines')
+
+    const favoritesPromise = supabase
+      .from('quest_favorites')
+      .select('quest_id')
+      .eq('user_id', profile.id)
+
+    const rewardsPromise = supabase
+      .from('quest_difficulty_rewards')
+      .select('difficulty, xp_reward')
+      .order('sort_order', { ascending: true })
+
+    // Completions since the start of this local week cover every daily/weekly window.
+    const periodPromise = supabase
       .from('quest_completions')
-      .select(`
-        id,
-        completed_at,
-        optional_note,
-        user_active_quests (
-          id,
-          status,
-          selected_at,
-          quests (
-            id,
-            title,
-            xp_reward,
-            category,
-            difficulty
-          )
-        )
-      `)
+      .select('id, active_quest_id, completed_at')
       .eq('user_id', profile.id)
-      .order('completed_at', { ascending: false })
-      .limit(25)
+      .gte('completed_at', startOfWeekInTimeZone(new Date(), profileTimeZone(profile)).toISOString())
 
     // Prefer newer schema first (status + selected_at), then fall back.
     let activeRes = await supabase
       .from('user_active_quests')
-      .select('id, selected_at, status, quest:quests(*)')
+      .select('id, selected_at, status, deadline_at, quest:quests(*)')
       .eq('user_id', profile.id)
       .order('selected_at', { ascending: false })
 
@@ -1167,32 +2325,40 @@ function QuestsPage({ onProfileRefresh, onXpGain }) {
       }
     }
 
-    const [availableRes, historyRes] = await Promise.all([availablePromise, historyPromise])
+    const [availableRes, periodRes, rewardsRes, statusLogRes, questlineRes, favoritesRes] = await Promise.all([
+      availablePromise,
+      periodPromise,
+      rewardsPromise,
+      statusLogPromise,
+      questlinePromise,
+      favoritesPromise,
+    ])
 
-    if (availableRes.error || activeRes.error || historyRes.error) {
-      setError(availableRes.error?.message || activeRes.error?.message || historyRes.error?.message || 'Load failed')
+    if (availableRes.error || activeRes.error || periodRes.error) {
+      setError(availableRes.error?.message || activeRes.error?.message || periodRes.error?.message || 'Load failed')
       setLoading(false)
       return
     }
 
-    setAvailableQuests(availableRes.data || [])
+    // Questline steps are accepted from the questline view, not the open board.
+    const questlineSteps = questlineRes.error ? [] : questlineRes.data || []
+    const questlineQuestIds = new Set(questlineSteps.map((step) => step.quest_id))
+    setQuestlines(groupQuestlineSteps(questlineSteps))
+    setAvailableQuests((availableRes.data || []).filter((quest) => !questlineQuestIds.has(quest.id)))
+    if (!favoritesRes.error) {
+      setFavoriteIds(new Set((favoritesRes.data || []).map((row) => row.quest_id)))
+    }
+    if (!rewardsRes.error && rewardsRes.data?.length) {
+      setDifficultyRewards(rewardsRes.data)
+    }
     const normalizedActive = (activeRes.data || []).filter((row) => {
       const status = String(row?.status || '').toLowerCase()
-      return !['completed', 'done', 'archived', 'inactive'].includes(status)
+      return !['completed', 'done', 'archived', 'inactive', 'abandoned', 'expired'].includes(status)
     })
     setActiveQuests(normalizedActive)
-    const normalizedHistory = (historyRes.data || []).map((row) => {
-      const activeQuest = Array.isArray(row.user_active_quests) ? row.user_active_quests[0] : row.user_active_quests
-      const quest = Array.isArray(activeQuest?.quests) ? activeQuest.quests[0] : activeQuest?.quests
-      return {
-        id: row.id,
-        completed_at: row.completed_at,
-        note: row.optional_note,
-        quest,
-      }
-    })
-
-    setHistory(normalizedHistory)
+    setStatusLog(statusLogRes.error ? [] : statusLogRes.data || [])
+    setPeriodCompletions(periodRes.data || [])
+    setHistoryVersion((prev) => prev + 1)
     setLoading(false)
   }
 
@@ -1201,10 +2367,17 @@ function QuestsPage({ onProfileRefresh, onXpGain }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [profile.id, profile.path])
 
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setNowTs(Date.now())
+    }, 60000)
+    return () => clearInterval(interval)
+  }, [])
+
   const onSelectQuest = async (questId) => {
     setError('')
     setQuestMessage('')
-    let rpcRes = await supabase.rpc('select_quest', { p_quest_id: questId })
+    const rpcRes = await supabase.rpc('select_quest', { p_quest_id: questId })
     if (rpcRes.error) {
       const msg = String(rpcRes.error.message || '').toLowerCase()
       const duplicateFromRpc = msg.includes('duplicate key value')
@@ -1214,146 +2387,281 @@ function QuestsPage({ onProfileRefresh, onXpGain }) {
         loadQuestData()
         return
       }
-      const capBlocked = msg.includes('active quest limit') || msg.includes('max 3')
-      if (capBlocked && activeQuests.length < ACTIVE_QUEST_UI_LIMIT) {
-        let insertRes = await supabase
-          .from('user_active_quests')
-          .insert({
-            user_id: profile.id,
-            quest_id: questId,
-            status: 'active',
-            selected_at: new Date().toISOString(),
-          })
-          .select('id')
-          .maybeSingle()
-
-        if (insertRes.error) {
-          const insertMsg = String(insertRes.error.message || '').toLowerCase()
-          const missingCols =
-            (insertMsg.includes('selected_at') && insertMsg.includes('does not exist')) ||
-            (insertMsg.includes('status') && insertMsg.includes('does not exist'))
-          if (missingCols) {
-            insertRes = await supabase
-              .from('user_active_quests')
-              .insert({ user_id: profile.id, quest_id: questId })
-              .select('id')
-              .maybeSingle()
-          }
-        }
-
-        if (insertRes.error) {
-          const duplicateActiveQuest = String(insertRes.error.message || '').toLowerCase().includes('duplicate key value')
-          if (duplicateActiveQuest) {
-            setSelectedQuestId(questId)
-            setQuestMessage('Quest is already active.')
-            loadQuestData()
-            return
-          }
-          setError(`Quest select failed: ${insertRes.error.message}`)
-          return
-        }
-        setSelectedQuestId(questId)
-        setQuestMessage('Quest accepted via fallback path.')
-        loadQuestData()
+      if (msg.includes('active quest limit')) {
+        setError(
+          nextSlotUnlock
+            ? `All ${slotLimit} quest slots are in use. Finish or abandon one, or reach Rank ${nextSlotUnlock.rank} for ${nextSlotUnlock.activeQuestSlots} slots.`
+            : `All ${slotLimit} quest slots are in use. Finish or abandon one first.`,
+        )
         return
       }
 
-      setError(rpcRes.error.message)
+      setError(rpcRes.error.message)
+      return
+    }
+    setSelectedQuestId(questId)
+    setQuestMessage('Quest accepted and added to Active Missions.')
+    loadQuestData()
+  }
+
+  const onCreateCustomQuest = async (event) => {
+    event.preventDefault()
+    setError('')
+    setQuestMessage('')
+    if (customDraft.title.trim().length < 3) {
+      setError('Quest title must be at least 3 characters.')
+      return
+    }
+
+    setCustomSaving(true)
+    const { data, error: createError } = await supabase.rpc('create_custom_quest', {
+      p_title: customDraft.title.trim(),
+      p_description: customDraft.description.trim(),
+      p_category: customDraft.category,
+      p_difficulty: customDraft.difficulty,
+      p_recurrence: customDraft.recurrence,
+      p_recurrence_count: Number(customDraft.recurrenceCount) || 1,
+    })
+    setCustomSaving(false)
+
+    if (createError) {
+      setError(`Quest creation failed: ${createError.message}`)
+      return
+    }
+
+    const created = Array.isArray(data) ? data[0] : data
+    setCustomDraft(EMPTY_CUSTOM_QUEST)
+    if (created?.quest_id) setSelectedQuestId(created.quest_id)
+    setQuestMessage(`Custom quest forged. Worth +${created?.xp_reward ?? 0} XP.`)
+    loadQuestData()
+  }
+
+  const onToggleFavorite = async (questId) => {
+    setError('')
+    const isFavorite = favoriteIds.has(questId)
+    const applyFavorite = (pinned) =>
+      setFavoriteIds((prev) => {
+        const next = new Set(prev)
+        if (pinned) next.add(questId)
+        else next.delete(questId)
+        return next
+      })
+
+    applyFavorite(!isFavorite)
+    const { error: favoriteError } = isFavorite
+      ? await supabase.from('quest_favorites').delete().eq('user_id', profile.id).eq('quest_id', questId)
+      : await supabase.from('quest_favorites').insert({ user_id: profile.id, quest_id: questId })
+
+    if (favoriteError && !String(favoriteError.message || '').toLowerCase().includes('duplicate')) {
+      applyFavorite(isFavorite)
+      setError(`Pin update failed: ${favoriteError.message}`)
+    }
+  }
+
+  const onArchiveCustomQuest = async (questId) => {
+    setError('')
+    setQuestMessage('')
+    const { error: archiveError } = await supabase.rpc('archive_custom_quest', { p_quest_id: questId })
+    if (archiveError) {
+      setError(`Archive failed: ${archiveError.message}`)
       return
     }
-    setSelectedQuestId(questId)
-    setQuestMessage('Quest accepted and added to Active Missions.')
+    setQuestMessage('Custom quest archived.')
     loadQuestData()
   }
 
-  const onCompleteQuest = async (activeQuestId) => {
+  const onAbandonQuest = async (activeQuestId) => {
     setError('')
     setQuestMessage('')
+    const { error: abandonError } = await supabase.rpc('abandon_quest', { p_active_quest_id: activeQuestId })
+    if (abandonError) {
+      setError(`Abandon failed: ${abandonError.message}`)
+      return
+    }
+    setQuestMessage('Quest abandoned. Slot freed.')
+    loadQuestData()
+  }
 
-    const activeQuest = activeQuests.find((item) => item.id === activeQuestId)
-    const questId = activeQuest?.quest_id ?? activeQuest?.quest?.id
-    if (!questId) {
-      setError('Missing quest id for completion.')
+  const onRerollQuest = async (activeQuestId) => {
+    setError('')
+    setQuestMessage('')
+    const { error: rerollError } = await inventory.consume('quest-reroll', activeQuestId)
+    if (rerollError) {
+      setError(`Reroll failed: ${rerollError.message}`)
       return
     }
+    setQuestMessage('Quest rerolled. A new mission took its slot.')
+    loadQuestData()
+  }
 
-    const beforeXp = Number(profile?.total_xp ?? profile?.xp_total ?? 0)
-    let rpcResponse = await supabase.rpc('complete_quest', { p_quest_id: questId })
-    if (rpcResponse.error) {
-      const message = String(rpcResponse.error.message || '').toLowerCase()
-      const missingQuestIdSig =
-        message.includes('function public.complete_quest') &&
-        message.includes('p_quest_id')
-      if (missingQuestIdSig) {
-        rpcResponse = await supabase.rpc('complete_quest', {
-          p_active_quest_id: activeQuestId,
-          p_optional_note: noteDrafts[activeQuestId] || null,
-        })
-      }
+  const onSetDeadline = async (activeQuestId, clear = false) => {
+    setError('')
+    setQuestMessage('')
+    const draft = deadlineDrafts[activeQuestId]
+    if (!clear && !draft) {
+      setError('Pick a deadline first.')
+      return
+    }
+    const { error: deadlineError } = await supabase.rpc('set_quest_deadline', {
+      p_active_quest_id: activeQuestId,
+      p_deadline_at: clear ? null : new Date(draft).toISOString(),
+    })
+    if (deadlineError) {
+      setError(`Deadline update failed: ${deadlineError.message}`)
+      return
     }
-    if (rpcResponse.error) {
-      setError(`Quest completion failed: ${rpcResponse.error.message}`)
+    setDeadlineDrafts((prev) => ({ ...prev, [activeQuestId]: '' }))
+    setQuestMessage(clear ? 'Deadline cleared.' : 'Deadline set. The quest expires if it is not completed in time.')
+    loadQuestData()
+  }
+
+  const onCompleteQuest = async (activeQuestId) => {
+    setError('')
+    setQuestMessage('')
+    setCompletingId(activeQuestId)
+
+    let completion
+    try {
+      completion = await completeActiveQuest({
+        userId: profile.id,
+        activeQuestId,
+        note: noteDrafts[activeQuestId],
+        files: evidenceDrafts[activeQuestId] || [],
+      })
+    } catch (completeError) {
+      setCompletingId('')
+      setError(completeError.message)
       return
     }
+    setCompletingId('')
 
-    const result = Array.isArray(rpcResponse.data) ? rpcResponse.data[0] : rpcResponse.data
+    const { awardedXp, result } = completion
+    setEvidenceDrafts((prev) => ({ ...prev, [activeQuestId]: [] }))
     if (import.meta.env.DEV) {
       // Dev instrumentation for XP persistence tracking.
-      console.debug('[quest.complete] rpc result', { activeQuestId, questId, result })
+      console.debug('[quest.complete] rpc result', { activeQuestId, result })
     }
-    const awardedXp = Number(result?.awarded_xp ?? 0)
     if (awardedXp > 0) {
       onXpGain(awardedXp)
     }
 
     setSelectedActiveId(activeQuestId)
-    setQuestMessage('Quest completion logged.')
-    let refreshedProfile = await onProfileRefresh()
+    setQuestMessage(
+      awardedXp > 0 ? `Quest completion logged. +${awardedXp} XP.` : 'Already completed for this period. Check the reset timer.',
+    )
+    const refreshedProfile = await onProfileRefresh()
     if (!refreshedProfile) {
       setError('Quest completed, but profile refresh failed. Tap Retry Profile Load above.')
       return
     }
-    const afterXp = Number(refreshedProfile?.total_xp ?? refreshedProfile?.xp_total ?? 0)
-    if (awardedXp > 0 && afterXp <= beforeXp) {
-      const persistRes = await incrementProfileXp(profile.id, awardedXp)
-      if (persistRes.error) {
-        setError(`Quest completed but XP persist failed: ${persistRes.error.message}`)
-        return
-      }
-      refreshedProfile = await onProfileRefresh()
-      setQuestMessage(`Quest completion logged. +${awardedXp} XP persisted.`)
-    }
     if (import.meta.env.DEV) {
       console.debug('[quest.complete] profile refresh result', {
-        after_total_xp: Number(refreshedProfile?.total_xp ?? refreshedProfile?.xp_total ?? 0),
+        after_total_xp: getProfileXp(refreshedProfile),
       })
     }
     loadQuestData()
   }
 
   const activeQuestIds = new Set(activeQuests.map((item) => item.quest?.id))
-  const questClass = (category) => {
-    const key = String(category || '').toLowerCase()
-    if (key === 'study') return 'q-study'
-    if (key === 'coding') return 'q-coding'
-    if (key === 'gym') return 'q-gym'
-    if (key === 'business') return 'q-business'
-    return ''
+  const slotsFull = activeQuests.length >= slotLimit
+  const now = new Date(nowTs)
+  const timeZone = profileTimeZone(profile)
+  const resetLabel = (quest) => {
+    if (getRecurrence(quest) === 'once') return getRecurrenceLabel(quest)
+    return `${getRecurrenceLabel(quest)} • resets in ${formatTimeUntil(getNextReset(quest, now, timeZone), now)}`
+  }
+  const periodStatus = (entry) => {
+    const done = countPeriodCompletions(
+      entry.quest,
+      periodCompletions.filter((row) => row.active_quest_id === entry.id),
+      now,
+      timeZone,
+    )
+    const limit = getPeriodLimit(entry.quest)
+    return { done, limit, isDone: done >= limit, isOpen: isQuestOpenNow(entry.quest, now, timeZone) }
+  }
+  const deadlineLabel = (entry) => {
+    if (!entry.deadline_at) return 'No deadline'
+    const deadline = new Date(entry.deadline_at)
+    if (deadline.getTime() <= now.getTime()) return 'OVERDUE - expiring'
+    return `⏳ ${formatTimeUntil(deadline, now)} left`
   }
-  const questIcon = (category) => {
-    const key = String(category || '').toLowerCase()
-    if (key === 'study') return '📖'
-    if (key === 'coding') return '💻'
-    if (key === 'gym') return '⚔️'
-    if (key === 'business') return '💼'
-    return '🎯'
+  const statusLogLabel = (event) => {
+    const to = String(event.to_status || '').toUpperCase()
+    if (!event.from_status) return 'ACCEPTED'
+    if (event.from_status !== 'active' && event.to_status === 'active') return 'RE-ACCEPTED'
+    return to
   }
-  const groupedAvailable = availableQuests.reduce((acc, quest) => {
+  const categoryOrder = getCategoryOrder(availableQuests)
+  const difficultyOptions = getDifficultyOptions(availableQuests)
+  const visibleQuests = sortQuests(filterQuests(availableQuests, filters, favoriteIds), filters.sort)
+  const pinnedQuests = visibleQuests.filter((quest) => favoriteIds.has(quest.id))
+  const groupedAvailable = visibleQuests.reduce((acc, quest) => {
+    if (favoriteIds.has(quest.id)) return acc
     const key = String(quest.category || 'other').toLowerCase()
     if (!acc[key]) acc[key] = []
     acc[key].push(quest)
     return acc
   }, {})
+  const hasActiveFilters = Object.keys(DEFAULT_QUEST_FILTERS).some(
+    (key) => key !== 'sort' && filters[key] !== DEFAULT_QUEST_FILTERS[key],
+  )
+  const updateFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }))
+
+  const renderBoardQuest = (quest) => {
+    const disabled = activeQuestIds.has(quest.id) || slotsFull
+    const isFavorite = favoriteIds.has(quest.id)
+    return (
+      <article
+        key={quest.id}
+        className={cx('quest-item', questCategoryClass(quest.category), selectedQuestId === quest.id && 'is-selected')}
+        onClick={() => {
+          setSelectedQuestId(quest.id)
+          setQuestMessage('Quest selected. Click Accept to add it.')
+        }}
+      >
+        <button
+          type="button"
+          className={cx('quest-pin-btn', isFavorite && 'is-pinned')}
+          title={isFavorite ? 'Unpin quest' : 'Pin quest'}
+          aria-pressed={isFavorite}
+          onClick={(event) => {
+            event.stopPropagation()
+            onToggleFavorite(quest.id)
+          }}
+        >
+          {isFavorite ? '★' : '☆'}
+        </button>
+        <div className="quest-icon">{questCategoryIcon(quest.category)}</div>
+        <div className="quest-info">
+          <div className="quest-name">
+            {quest.title}
+            {quest.created_by ? <span className="muted"> • CUSTOM</span> : null}
+          </div>
+          <div className="quest-desc">
+            // {quest.flavor_text || `${quest.category} - ${quest.difficulty}`}
+          </div>
+          <div className="quest-desc">{String(quest.difficulty || '').toUpperCase()} • {resetLabel(quest)}</div>
+        </div>
+        <div className="quest-xp">+{quest.xp_reward} XP</div>
+        <button type="button" className="quest-complete-btn" onClick={() => onSelectQuest(quest.id)} disabled={disabled}>
+          {activeQuestIds.has(quest.id) ? 'Selected' : 'Accept'}
+        </button>
+        {quest.created_by === profile.id ? (
+          <button
+            type="button"
+            className="quest-complete-btn"
+            onClick={(event) => {
+              event.stopPropagation()
+              onArchiveCustomQuest(quest.id)
+            }}
+          >
+            Archive
+          </button>
+        ) : null}
+      </article>
+    )
+  }
 
   return (
     <section className="tab-content active">
@@ -1369,192 +2677,667 @@ function QuestsPage({ onProfileRefresh, onXpGain }) {
         <div className="panel-title">Guild Quest Board</div>
         <div className="panel-sub">// pick high-leverage missions - run them clean - climb the ranks</div>
 
+        <div className="quest-filters">
+          <input
+            className="zbxp-input quest-filter-search"
+            type="search"
+            value={filters.search}
+            onChange={(event) => updateFilter('search', event.target.value)}
+            placeholder="Search quests..."
+          />
+          <select className="zbxp-select" value={filters.category} onChange={(event) => updateFilter('category', event.target.value)}>
+            <option value="all">All categories</option>
+            {categoryOrder.map((category) => (
+              <option key={category} value={category}>{category.toUpperCase()}</option>
+            ))}
+          </select>
+          <select className="zbxp-select" value={filters.difficulty} onChange={(event) => updateFilter('difficulty', event.target.value)}>
+            <option value="all">All difficulties</option>
+            {difficultyOptions.map((difficulty) => (
+              <option key={difficulty} value={difficulty}>{difficulty.toUpperCase()}</option>
+            ))}
+          </select>
+          <select className="zbxp-select" value={filters.recurrence} onChange={(event) => updateFilter('recurrence', event.target.value)}>
+            <option value="all">Any schedule</option>
+            {Object.entries(RECURRENCE_LABELS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <input
+            className="zbxp-input"
+            type="number"
+            min={0}
+            value={filters.minXp}
+            onChange={(event) => updateFilter('minXp', event.target.value)}
+            placeholder="Min XP"
+          />
+          <input
+            className="zbxp-input"
+            type="number"
+            min={0}
+            value={filters.maxXp}
+            onChange={(event) => updateFilter('maxXp', event.target.value)}
+            placeholder="Max XP"
+          />
+          <select className="zbxp-select" value={filters.sort} onChange={(event) => updateFilter('sort', event.target.value)}>
+            {QUEST_SORTS.map((option) => (
+              <option key={option.key} value={option.key}>Sort: {option.label}</option>
+            ))}
+          </select>
+          <label className="input-label checkbox-row">
+            <input
+              type="checkbox"
+              checked={filters.favoritesOnly}
+              onChange={(event) => updateFilter('favoritesOnly', event.target.checked)}
+            />
+            Pinned only
+          </label>
+          {hasActiveFilters ? (
+            <button type="button" className="quest-complete-btn" onClick={() => setFilters((prev) => ({ ...DEFAULT_QUEST_FILTERS, sort: prev.sort }))}>
+              Clear Filters
+            </button>
+          ) : null}
+        </div>
+        <div className="panel-sub">{visibleQuests.length} of {availableQuests.length} quests</div>
+
         {loading ? (
           <p className="muted">Loading quests...</p>
         ) : (
           <div className="quest-list">
-            {['study', 'coding', 'gym', 'business'].map((category) => (
+            {pinnedQuests.length ? <div className="section-label">★ PINNED</div> : null}
+            {pinnedQuests.map(renderBoardQuest)}
+            {categoryOrder.map((category) => (
               <div key={category}>
                 {groupedAvailable[category]?.length ? <div className="section-label">{category.toUpperCase()}</div> : null}
-                {groupedAvailable[category]?.map((quest) => {
-                  const disabled = activeQuestIds.has(quest.id) || activeQuests.length >= ACTIVE_QUEST_UI_LIMIT
-                  return (
+                {groupedAvailable[category]?.map(renderBoardQuest)}
+              </div>
+            ))}
+            {visibleQuests.length === 0 ? (
+              <p className="muted">{availableQuests.length ? 'No quests match these filters.' : 'No quests on the board yet.'}</p>
+            ) : null}
+          </div>
+        )}
+      </div>
+
+      {questlines.length > 0 ? (
+        <div className="panel">
+          <div className="panel-title">{pathConfig.questlineTitle}</div>
+          <div className="panel-sub">// {pathConfig.questlineFlavor}</div>
+          {questlines.map((line) => {
+            const doneCount = line.steps.filter((step) => step.step_status === 'completed').length
+            const current = line.steps.find((step) => step.step_status === 'current')
+            return (
+              <div key={line.id} className="questline">
+                <div className="questline-header">
+                  <div>
+                    <div className="quest-name">{line.title}</div>
+                    <div className="quest-desc">// {line.description}</div>
+                  </div>
+                  <div className="quest-xp">+{line.completionXp} XP</div>
+                </div>
+                <div className="xp-track">
+                  <span className="xp-fill" style={{ width: `${Math.round((doneCount / Math.max(1, line.steps.length)) * 100)}%` }} />
+                </div>
+                <div className="quest-desc">
+                  {line.completedAt
+                    ? `ARC CLEARED • ${new Date(line.completedAt).toLocaleDateString()}`
+                    : `CURRENT: ${current?.chapter_title || '—'} • ${doneCount}/${line.steps.length} chapters`}
+                </div>
+                <div className="quest-list">
+                  {line.steps.map((step) => (
                     <article
-                      key={quest.id}
-                      className={cx('quest-item', questClass(quest.category), selectedQuestId === quest.id && 'is-selected')}
-                      onClick={() => {
-                        setSelectedQuestId(quest.id)
-                        setQuestMessage('Quest selected. Click Accept to add it.')
-                      }}
+                      key={step.quest_id}
+                      className={cx(
+                        'quest-item',
+                        questCategoryClass(step.category),
+                        step.step_status === 'locked' && 'is-locked',
+                        step.step_status === 'current' && 'is-selected',
+                      )}
                     >
-                      <div className="quest-icon">{questIcon(quest.category)}</div>
+                      <div className="quest-icon">
+                        {step.step_status === 'completed' ? '✓' : step.step_status === 'locked' ? '🔒' : questCategoryIcon(step.category)}
+                      </div>
                       <div className="quest-info">
-                        <div className="quest-name">{quest.title}</div>
+                        <div className="quest-name">{step.chapter_title}: {step.quest_title}</div>
                         <div className="quest-desc">
-                          // {quest.flavor_text || `${quest.category} - ${quest.difficulty}`}
+                          // {step.step_status === 'locked' ? 'Finish the previous chapter to unlock.' : step.quest_description}
                         </div>
                       </div>
-                      <div className="quest-xp">+{quest.xp_reward} XP</div>
-                      <button type="button" className="quest-complete-btn" onClick={() => onSelectQuest(quest.id)} disabled={disabled}>
-                        {activeQuestIds.has(quest.id) ? 'Selected' : 'Accept'}
-                      </button>
+                      <div className="quest-xp">+{step.xp_reward} XP</div>
+                      {step.step_status === 'current' ? (
+                        <button
+                          type="button"
+                          className="quest-complete-btn"
+                          onClick={() => onSelectQuest(step.quest_id)}
+                          disabled={Boolean(step.active_quest_id) || slotsFull}
+                        >
+                          {step.active_quest_id ? 'In Progress' : 'Accept'}
+                        </button>
+                      ) : null}
                     </article>
-                  )
-                })}
+                  ))}
+                </div>
               </div>
+            )
+          })}
+        </div>
+      ) : null}
+
+      <form className="panel form-stack" onSubmit={onCreateCustomQuest}>
+        <div className="panel-title">Forge Custom Quest</div>
+        <div className="panel-sub">// private to you - XP is set by difficulty on the server, 5 new quests per week, custom XP capped at 60 a day</div>
+        <label className="input-label">
+          Title
+          <input
+            className="zbxp-input"
+            value={customDraft.title}
+            onChange={(event) => setCustomDraft((prev) => ({ ...prev, title: event.target.value }))}
+            maxLength={80}
+            placeholder="e.g., Ship onboarding copy review"
+            required
+          />
+        </label>
+        <label className="input-label">
+          Description (optional)
+          <input
+            className="zbxp-input"
+            value={customDraft.description}
+            onChange={(event) => setCustomDraft((prev) => ({ ...prev, description: event.target.value }))}
+            maxLength={280}
+            placeholder="What counts as done"
+          />
+        </label>
+        <label className="input-label">
+          Category
+          <input
+            className="zbxp-input"
+            list="custom-quest-categories"
+            value={customDraft.category}
+            onChange={(event) => setCustomDraft((prev) => ({ ...prev, category: event.target.value.toLowerCase() }))}
+            maxLength={24}
+            placeholder="study, coding, reading..."
+            required
+          />
+          <datalist id="custom-quest-categories">
+            {[...new Set([...CORE_QUEST_CATEGORIES, ...categoryOrder])].map((category) => (
+              <option key={category} value={category} />
             ))}
-          </div>
-        )}
-      </div>
+          </datalist>
+        </label>
+        <label className="input-label">
+          Difficulty
+          <select
+            className="zbxp-select"
+            value={customDraft.difficulty}
+            onChange={(event) => setCustomDraft((prev) => ({ ...prev, difficulty: event.target.value }))}
+          >
+            {difficultyRewards.map((row) => (
+              <option key={row.difficulty} value={row.difficulty}>
+                {row.difficulty.toUpperCase()} (+{row.xp_reward} XP)
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="input-label">
+          Repeats
+          <select
+            className="zbxp-select"
+            value={customDraft.recurrence}
+            onChange={(event) => setCustomDraft((prev) => ({ ...prev, recurrence: event.target.value }))}
+          >
+            {Object.entries(RECURRENCE_LABELS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {customDraft.recurrence === 'n_per_week' ? (
+          <label className="input-label">
+            Times per week
+            <input
+              className="zbxp-input"
+              type="number"
+              min={1}
+              max={7}
+              value={customDraft.recurrenceCount}
+              onChange={(event) => setCustomDraft((prev) => ({ ...prev, recurrenceCount: event.target.value }))}
+            />
+          </label>
+        ) : null}
+        <button type="submit" className="btn btn-purple btn-full" disabled={customSaving}>
+          {customSaving ? 'FORGING...' : 'CREATE QUEST'}
+        </button>
+      </form>
 
       <div className="panel">
         <div className="panel-title">Active Missions</div>
-        <div className="panel-sub">// your current active quests - max {ACTIVE_QUEST_UI_LIMIT} at a time</div>
+        <div className="panel-sub">
+          // slots used: {activeQuests.length} / {slotLimit}
+          {bonusSlots > 0 ? ` (+${bonusSlots} from slot tokens)` : ''}
+          {nextSlotUnlock
+            ? ` - Rank ${nextSlotUnlock.rank} unlocks ${nextSlotUnlock.activeQuestSlots} slots (${Math.max(0, nextSlotUnlock.min - getProfileXp(profile))} XP to go)`
+            : ' - max slots unlocked'}
+        </div>
+        <div className="quest-slots">
+          {Array.from({ length: Math.max(slotLimit, activeQuests.length) }, (_, index) => (
+            <span key={index} className={cx('quest-slot', index < activeQuests.length && 'is-used', index >= slotLimit && 'is-over')} />
+          ))}
+        </div>
         {activeQuests.length === 0 ? <p className="muted">No active quests yet.</p> : null}
         <div className="quest-list">
-          {activeQuests.map((entry) => (
-            <article
-              key={entry.id}
-              className={cx('quest-item', questClass(entry.quest?.category), selectedActiveId === entry.id && 'is-selected')}
-              onClick={() => {
-                setSelectedActiveId(entry.id)
-                setQuestMessage(`Active mission selected: ${entry.quest?.title || 'Unknown'}`)
-              }}
-            >
-              <div className="quest-icon">{questIcon(entry.quest?.category)}</div>
-              <div className="quest-info">
-                <div className="quest-name">{entry.quest?.title}</div>
-                <div className="quest-desc">{entry.quest?.category} - {entry.quest?.difficulty}</div>
-                <label>
-                  Quick note (optional)
-                  <input
-                    value={noteDrafts[entry.id] || ''}
-                    onChange={(event) =>
-                      setNoteDrafts((prev) => ({
-                        ...prev,
-                        [entry.id]: event.target.value,
-                      }))
-                    }
-                    maxLength={180}
-                    placeholder="What was shipped / learned"
-                  />
-                </label>
-              </div>
-              <div className="quest-xp">+{entry.quest?.xp_reward || 0} XP</div>
-              <button type="button" className="quest-complete-btn" onClick={() => onCompleteQuest(entry.id)}>
-                Complete
-              </button>
-            </article>
-          ))}
+          {activeQuests.map((entry) => {
+            const status = periodStatus(entry)
+            return (
+              <article
+                key={entry.id}
+                className={cx('quest-item', questCategoryClass(entry.quest?.category), selectedActiveId === entry.id && 'is-selected')}
+                onClick={() => {
+                  setSelectedActiveId(entry.id)
+                  setQuestMessage(`Active mission selected: ${entry.quest?.title || 'Unknown'}`)
+                }}
+              >
+                <div className="quest-icon">{questCategoryIcon(entry.quest?.category)}</div>
+                <div className="quest-info">
+                  <div className="quest-name">{entry.quest?.title}</div>
+                  <div className="quest-desc">{entry.quest?.category} - {entry.quest?.difficulty}</div>
+                  <div className="quest-desc">
+                    {resetLabel(entry.quest)}
+                    {status.limit > 1 ? ` • ${status.done}/${status.limit} this week` : ''}
+                  </div>
+                  <label>
+                    Quick note (optional)
+                    <input
+                      value={noteDrafts[entry.id] || ''}
+                      onChange={(event) =>
+                        setNoteDrafts((prev) => ({
+                          ...prev,
+                          [entry.id]: event.target.value,
+                        }))
+                      }
+                      maxLength={180}
+                      placeholder="What was shipped / learned"
+                    />
+                  </label>
+                  <label>
+                    Evidence (optional, up to {MAX_EVIDENCE_FILES})
+                    <input
+                      key={`${entry.id}-${(evidenceDrafts[entry.id] || []).length}`}
+                      type="file"
+                      accept={EVIDENCE_ACCEPT}
+                      multiple
+                      onChange={(event) => {
+                        const files = Array.from(event.target.files || [])
+                        setEvidenceDrafts((prev) => ({
+                          ...prev,
+                          [entry.id]: files,
+                        }))
+                      }}
+                    />
+                  </label>
+                  {evidenceDrafts[entry.id]?.length ? (
+                    <div className="quest-desc">📎 {evidenceDrafts[entry.id].map((file) => file.name).join(', ')}</div>
+                  ) : null}
+                  <div className="quest-desc">{deadlineLabel(entry)}</div>
+                  <label>
+                    Deadline (optional)
+                    <input
+                      type="datetime-local"
+                      value={deadlineDrafts[entry.id] || ''}
+                      onChange={(event) =>
+                        setDeadlineDrafts((prev) => ({
+                          ...prev,
+                          [entry.id]: event.target.value,
+                        }))
+                      }
+                    />
+                  </label>
+                  <div className="quest-actions">
+                    <button type="button" className="quest-complete-btn" onClick={() => onSetDeadline(entry.id)}>
+                      Set Deadline
+                    </button>
+                    {entry.deadline_at ? (
+                      <button type="button" className="quest-complete-btn" onClick={() => onSetDeadline(entry.id, true)}>
+                        Clear
+                      </button>
+                    ) : null}
+                    <button type="button" className="quest-complete-btn" onClick={() => onAbandonQuest(entry.id)}>
+                      Abandon
+                    </button>
+                    {rerollsLeft > 0 ? (
+                      <button type="button" className="quest-complete-btn" onClick={() => onRerollQuest(entry.id)}>
+                        🎲 Reroll ({rerollsLeft})
+                      </button>
+                    ) : null}
+                  </div>
+                </div>
+                <div className="quest-xp">+{entry.quest?.xp_reward || 0} XP</div>
+                <button
+                  type="button"
+                  className="quest-complete-btn"
+                  onClick={() => onCompleteQuest(entry.id)}
+                  disabled={status.isDone || !status.isOpen || completingId === entry.id}
+                >
+                  {completingId === entry.id ? 'Saving...' : status.isDone ? 'Done' : status.isOpen ? 'Complete' : 'Off Day'}
+                </button>
+              </article>
+            )
+          })}
         </div>
       </div>
 
       <div className="panel">
-        <h3>Quest History</h3>
+        <h3>Mission Log</h3>
+        {statusLog.length === 0 ? <p className="muted">No status changes yet.</p> : null}
         <ul className="clean-list">
-          {history.map((item) => (
-            <li
-              key={item.id}
-              className={cx('history-item', selectedHistoryId === item.id && 'is-selected')}
-              onClick={() => {
-                setSelectedHistoryId(item.id)
-                setQuestMessage(`History selected: ${item.quest?.title || 'Unknown quest'}`)
-              }}
-              style={{ cursor: 'pointer' }}
-            >
-              <strong>{item.quest?.title}</strong>
-              <span className="muted">{item.quest?.category} • {item.quest?.xp_reward} XP</span>
-              <span className="muted">{new Date(item.completed_at).toLocaleString()}</span>
-              {item.note ? <span className="muted">Note: {item.note}</span> : null}
+          {statusLog.map((event) => (
+            <li key={event.id} className="history-item">
+              <strong>{statusLogLabel(event)}: {event.quest?.title || 'Unknown quest'}</strong>
+              <span className="muted">{new Date(event.created_at).toLocaleString()}</span>
             </li>
           ))}
         </ul>
       </div>
+
+      <QuestHistoryPanel
+        refreshKey={historyVersion}
+        categoryOptions={[...new Set([...CORE_QUEST_CATEGORIES, ...categoryOrder])]}
+        difficultyOptions={difficultyRewards.map((row) => row.difficulty)}
+        timeZone={profileTimeZone(profile)}
+      />
     </section>
   )
 }
 
 function BossFightPage() {
-  const [hp, setHp] = useState(68)
-  const [attacks, setAttacks] = useState(0)
-  const [timeLeft, setTimeLeft] = useState(4 * 60 * 60 + 22 * 60 + 16)
-  const [message, setMessage] = useState('')
+  const { profile } = useApp()
+  const [boss, setBoss] = useState(null)
+  const [contributors, setContributors] = useState([])
+  const [weaknesses, setWeaknesses] = useState([])
+  const [nowTs, setNowTs] = useState(() => Date.now())
+  const [error, setError] = useState('')
 
   useEffect(() => {
-    const interval = setInterval(() => {
-      setTimeLeft((prev) => Math.max(0, prev - 1))
-    }, 1000)
-    return () => clearInterval(interval)
-  }, [])
+    let isActive = true
 
-  const attackBoss = () => {
-    if (hp <= 0) return
-    setAttacks((prev) => prev + 1)
-    setHp((prev) => {
-      const next = Math.max(0, prev - 5)
-      if (next === 0) {
-        setMessage('Boss defeated. Rewards unlocked.')
-      } else {
-        setMessage(`Direct hit. Boss HP now ${next}%.`)
+    const loadBoss = async () => {
+      const { data, error: bossError } = await supabase.rpc('get_weekly_boss')
+      if (!isActive) return
+      if (bossError) {
+        setError(`Boss load failed: ${bossError.message}`)
+        return
       }
-      return next
-    })
-  }
+      const nextBoss = (Array.isArray(data) ? data[0] : data) || null
+      setBoss(nextBoss)
+      setError('')
+      if (!nextBoss) return
+
+      const [{ data: rows, error: contributorsError }, { data: weaknessRows, error: weaknessError }] = await Promise.all([
+        supabase.rpc('get_boss_contributors', { p_encounter_id: nextBoss.encounter_id, p_limit: 10 }),
+        supabase.rpc('get_boss_weaknesses', { p_encounter_id: nextBoss.encounter_id }),
+      ])
+      if (!isActive) return
+      if (contributorsError || weaknessError) {
+        setError(`Boss details failed: ${(contributorsError || weaknessError).message}`)
+        return
+      }
+      setWeaknesses(weaknessRows || [])
+      const hydrated = await hydrateRowsWithTitles(
+        await hydrateRowsWithCosmetics(await hydrateRowsWithProfileNames(rows || [])),
+      )
+      if (isActive) setContributors(hydrated)
+    }
+
+    loadBoss()
+    // Damage lands server-side from everyone's XP; refresh the fight once a minute.
+    const refresh = setInterval(loadBoss, 60000)
+    return () => {
+      isActive = false
+      clearInterval(refresh)
+    }
+  }, [profile.id, profile.xp_total])
+
+  useEffect(() => {
+    const interval = setInterval(() => setNowTs(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [])
 
-  const hh = String(Math.floor(timeLeft / 3600)).padStart(2, '0')
-  const mm = String(Math.floor((timeLeft % 3600) / 60)).padStart(2, '0')
-  const ss = String(timeLeft % 60).padStart(2, '0')
+  const now = new Date(nowTs)
+  const status = bossStatus(boss, now)
+  const hpPercent = boss ? bossHpPercent(boss) : 100
+  const weaknessChart = buildWeaknessChart(weaknesses)
+  const maxMultiplier = Math.max(2, ...weaknessChart.map((row) => row.multiplier))
 
   return (
     <section className="tab-content active">
-      <div className="boss-card">
+      {error ? <p className="error-text">{error}</p> : null}
+      <div className={cx('boss-card', status === 'defeated' && 'is-defeated')}>
         <div className="boss-header">
           <div>
-            <div className="boss-tag">⚔️ WEEKLY BOSS - MONDAY RESET</div>
-            <div className="boss-name">Shadow Gate: Iron Monarch</div>
+            <div className="boss-tag">
+              ⚔️ WEEKLY BOSS{boss?.tier ? ` - ${boss.tier}-TIER` : ''} - MONDAY RESET
+            </div>
+            <div className="boss-name">
+              {boss?.icon ? `${boss.icon} ` : ''}
+              {boss?.name || 'Scanning gate...'}
+            </div>
+            {boss?.description ? <div className="boss-description">{boss.description}</div> : null}
           </div>
           <div>
-            <div className="boss-timer">{hh}:{mm}:{ss}</div>
-            <div className="boss-timer-label">TIME REMAINING</div>
+            <div className="boss-timer">{boss ? formatCountdown(boss.ends_at, now) : '--:--:--'}</div>
+            <div className="boss-timer-label">{status === 'defeated' ? 'NEXT SPAWN IN' : 'TIME REMAINING'}</div>
           </div>
         </div>
         <div className="boss-hp-label">
           <span>BOSS HP</span>
-          <span>{hp}%</span>
+          <span>
+            {boss ? `${Math.max(0, boss.hp_remaining)} / ${boss.max_hp}` : '-'} ({hpPercent}%)
+          </span>
         </div>
         <div className="boss-hp-track">
-          <div className="boss-hp-fill" style={{ width: `${hp}%` }} />
+          <div className="boss-hp-fill" style={{ width: `${hpPercent}%` }} />
         </div>
         <div className="boss-rewards">
-          <div className="reward-chip xp">+200 XP</div>
-          <div className="reward-chip title">TITLE: IRON SLAYER</div>
+          <div className="reward-chip xp">+{boss?.reward_xp ?? 200} XP</div>
+          {boss?.reward_title ? <div className="reward-chip title">TITLE: {boss.reward_title.toUpperCase()}</div> : null}
           <div className="reward-chip badge">RAID BADGE</div>
         </div>
-        <div className="actions" style={{ marginTop: '12px' }}>
-          <button type="button" className="btn btn-red" onClick={attackBoss}>⚔️ ATTACK BOSS</button>
+        <p className="muted">
+          {status === 'defeated'
+            ? boss.rewarded
+              ? 'Boss defeated. Your rewards have been paid out.'
+              : 'Boss defeated by the raid. Deal damage next week to share the rewards.'
+            : status === 'escaped'
+              ? 'The boss escaped. A new gate opens on Monday.'
+              : 'Every XP point from quests and workouts is a hit, scaled by the weakness chart. All players share this boss.'}
+        </p>
+        <div className="boss-stats">
+          <span>YOUR DAMAGE: <strong>{boss?.my_damage ?? 0}</strong></span>
+          <span>YOUR RANK: <strong>{boss?.my_rank ? `#${boss.my_rank}` : '-'}</strong></span>
+          <span>RAIDERS: <strong>{boss?.contributors ?? 0}</strong></span>
         </div>
-        <p className="muted">Party attacks: {attacks}</p>
-        {message ? <p className="muted">{message}</p> : null}
+        {status === 'active' ? (
+          <div className="actions" style={{ marginTop: '12px' }}>
+            <NavLink to="/quests" className="btn btn-red">⚔️ Attack With Quests</NavLink>
+            <NavLink to="/gym" className="btn btn-cyan">Train</NavLink>
+          </div>
+        ) : null}
       </div>
 
-      <div className="mega-boss-card">
-        <div className="boss-name" style={{ color: 'var(--gold)', fontSize: '16px', marginBottom: '10px' }}>
-          MONTHLY MEGA-BOSS
-        </div>
-        <div className="boss-hp-label">
-          <span>CONTRIBUTION PROGRESS</span>
-          <span>24%</span>
+      <div className="panel">
+        <h3>Weakness Chart</h3>
+        <p className="muted">Damage = XP × multiplier. Workouts count as gym; questline bonuses hit at 1×.</p>
+        <div className="weakness-chart">
+          {weaknessChart.map((row) => {
+            const verdict = describeMultiplier(row.multiplier)
+            return (
+              <div key={row.category} className={cx('weakness-row', verdict.tone)}>
+                <span>
+                  {questCategoryIcon(row.category)} {row.category.toUpperCase()}
+                </span>
+                <span>
+                  {verdict.label} ×{row.multiplier}
+                </span>
+                <div className="weakness-bar">
+                  <div style={{ width: `${Math.round((row.multiplier / maxMultiplier) * 100)}%` }} />
+                </div>
+              </div>
+            )
+          })}
         </div>
-        <div className="ch-track" style={{ borderColor: 'rgba(245,158,11,0.2)' }}>
-          <div className="ch-fill" style={{ width: '24%', background: 'linear-gradient(90deg,#92400e,var(--gold))' }} />
+        <p className="muted">50 XP quest → {bossDamageFor(50, weaknessChart[0]?.multiplier)} damage against its biggest weakness.</p>
+      </div>
+
+      <div className="panel">
+        <h3>Top Damage</h3>
+        {contributors.length === 0 ? <p className="muted">No hits landed yet this week.</p> : null}
+        <ul className="clean-list">
+          {contributors.map((row) => (
+            <li key={row.user_id} className={cx('history-item', row.user_id === profile.id && 'is-me')}>
+              <strong>
+                #{row.rank} <LeaderboardIdentity row={row} />
+              </strong>
+              <span className="muted">
+                {row.damage} DMG • {row.hits} hits
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <MegaBossCard now={now} />
+    </section>
+  )
+}
+
+// Month-long community boss: every XP source counts toward one goal,
+// payout by contribution tier once the month closes.
+function MegaBossCard({ now }) {
+  const { profile } = useApp()
+  const [boss, setBoss] = useState(null)
+  const [tiers, setTiers] = useState([])
+  const [contributors, setContributors] = useState([])
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let isActive = true
+
+    const loadMegaBoss = async () => {
+      const [{ data, error: bossError }, { data: tierRows, error: tiersError }] = await Promise.all([
+        supabase.rpc('get_mega_boss'),
+        supabase
+          .from('mega_boss_tiers')
+          .select('tier, label, top_percent, xp_reward, sort_order, title:titles(name), cosmetic:cosmetics(name)')
+          .order('sort_order', { ascending: true }),
+      ])
+      if (!isActive) return
+      if (bossError || tiersError) {
+        setError(`Mega-boss load failed: ${(bossError || tiersError).message}`)
+        return
+      }
+      const nextBoss = (Array.isArray(data) ? data[0] : data) || null
+      setBoss(nextBoss)
+      setTiers(tierRows || [])
+      setError('')
+      if (!nextBoss) return
+
+      const { data: rows, error: contributorsError } = await supabase.rpc('get_boss_contributors', {
+        p_encounter_id: nextBoss.encounter_id,
+        p_limit: 10,
+      })
+      if (!isActive) return
+      if (contributorsError) {
+        setError(`Contributor load failed: ${contributorsError.message}`)
+        return
+      }
+      const hydrated = await hydrateRowsWithTitles(
+        await hydrateRowsWithCosmetics(await hydrateRowsWithProfileNames(rows || [])),
+      )
+      if (isActive) setContributors(hydrated)
+    }
+
+    loadMegaBoss()
+    const refresh = setInterval(loadMegaBoss, 60000)
+    return () => {
+      isActive = false
+      clearInterval(refresh)
+    }
+  }, [profile.id, profile.xp_total])
+
+  const goalPercent = megaBossGoalPercent(boss)
+  const lastTier = tiers.find((tier) => tier.tier === boss?.last_tier)
+
+  return (
+    <div className="mega-boss-card">
+      {error ? <p className="error-text">{error}</p> : null}
+      <div className="boss-header">
+        <div>
+          <div className="boss-name" style={{ color: 'var(--gold)', fontSize: '16px', marginBottom: '10px' }}>
+            MONTHLY MEGA-BOSS{boss?.name ? `: ${boss.name.toUpperCase()}` : ''}
+          </div>
         </div>
-        <div className="boss-rewards" style={{ marginTop: '12px' }}>
-          <div className="reward-chip title">LEGENDARY TITLE</div>
-          <div className="reward-chip badge">AVATAR FRAME</div>
-          <div className="reward-chip xp">+500 XP</div>
+        <div>
+          <div className="boss-timer">{boss ? formatCountdown(boss.ends_at, now) : '--:--:--'}</div>
+          <div className="boss-timer-label">PAYOUT IN</div>
         </div>
       </div>
-    </section>
+      <div className="boss-hp-label">
+        <span>COMMUNITY GOAL</span>
+        <span>
+          {boss ? `${boss.damage_total} / ${boss.goal}` : '-'} ({goalPercent}%)
+        </span>
+      </div>
+      <div className="ch-track" style={{ borderColor: 'rgba(245,158,11,0.2)' }}>
+        <div className="ch-fill" style={{ width: `${goalPercent}%`, background: 'linear-gradient(90deg,#92400e,var(--gold))' }} />
+      </div>
+      <p className="muted">
+        {boss?.defeated_at
+          ? 'Goal reached. Keep dealing damage to climb a tier before the month closes.'
+          : 'All XP you earn this month counts. Rewards are paid at month end if the raid reaches the goal.'}
+      </p>
+      <div className="boss-stats">
+        <span>YOUR DAMAGE: <strong>{boss?.my_damage ?? 0}</strong></span>
+        <span>YOUR RANK: <strong>{boss?.my_position ? `#${boss.my_position}` : '-'}</strong></span>
+        <span>RAIDERS: <strong>{boss?.contributors ?? 0}</strong></span>
+      </div>
+
+      <ul className="clean-list mega-tier-list">
+        {tiers.map((tier) => (
+          <li key={tier.tier} className={cx('history-item', tier.tier === boss?.my_tier && 'is-current')}>
+            <strong>
+              {tier.label}
+              {tier.tier === boss?.my_tier ? ' • YOU' : ''}
+            </strong>
+            <span className="muted">{describeMegaBossTier(tier)}</span>
+            <div className="boss-rewards">
+              <div className="reward-chip xp">+{tier.xp_reward} XP</div>
+              {tier.title?.name ? <div className="reward-chip title">TITLE: {tier.title.name.toUpperCase()}</div> : null}
+              {tier.cosmetic?.name ? <div className="reward-chip badge">{tier.cosmetic.name.toUpperCase()}</div> : null}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {boss?.last_tier ? (
+        <p className="muted">
+          Last month: {lastTier?.label || boss.last_tier}
+          {boss.last_reward_xp > 0 ? ` • +${boss.last_reward_xp} XP paid` : ' • goal missed, no payout'}
+        </p>
+      ) : null}
+
+      <h3>Top Contributors</h3>
+      {contributors.length === 0 ? <p className="muted">No damage dealt yet this month.</p> : null}
+      <ul className="clean-list">
+        {contributors.map((row) => (
+          <li key={row.user_id} className={cx('history-item', row.user_id === profile.id && 'is-me')}>
+            <strong>
+              #{row.rank} <LeaderboardIdentity row={row} />
+            </strong>
+            <span className="muted">
+              {row.damage} DMG • {row.hits} hits
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
   )
 }
 
@@ -1622,7 +3405,7 @@ function SkillTreePage() {
 }
 
 function GuildPage() {
-  const { profile } = useApp()
+  const { profile, progression } = useApp()
   const [groups, setGroups] = useState([])
   const [allGroups, setAllGroups] = useState([])
   const [memberCounts, setMemberCounts] = useState({})
@@ -1641,11 +3424,11 @@ function GuildPage() {
   const [guildXp, setGuildXp] = useState(6800)
   const [guildXpToNext, setGuildXpToNext] = useState(10000)
   const [guildLevel, setGuildLevel] = useState(11)
-  const [bossHp, setBossHp] = useState(8400)
-  const [bossDefeated, setBossDefeated] = useState(false)
-  const [bossKillLog, setBossKillLog] = useState([
-    { id: 1, name: 'Shadow Monarch', tier: 'III', mvp: 'IRONWILL', when: '2D AGO', reward: '+500 XP' },
-  ])
+  const [raid, setRaid] = useState(null)
+  const [raidDamage, setRaidDamage] = useState([])
+  const [raidLog, setRaidLog] = useState([])
+  const [raidHistory, setRaidHistory] = useState([])
+  const [raidNowTs, setRaidNowTs] = useState(() => Date.now())
   const [guildQuests, setGuildQuests] = useState([
     { id: 1, name: 'Collective Iron Will', desc: 'Guild members complete 25 workout sessions this week.', xp: 500, total: 25, current: 18, done: false },
     { id: 2, name: 'Thousand Reps Challenge', desc: 'Log 1000 total reps across all members.', xp: 300, total: 1000, current: 740, done: false },
@@ -1655,6 +3438,9 @@ function GuildPage() {
     { id: 1, icon: '⚡', text: 'Guild systems online. Start contributing.', xp: '+0 XP', time: 'NOW' },
   ])
   const [chatDraft, setChatDraft] = useState('')
+  const [proofs, setProofs] = useState([])
+  const [proofUrls, setProofUrls] = useState({})
+  const [proofsLoading, setProofsLoading] = useState(false)
   const [message, setMessage] = useState('')
   const [error, setError] = useState('')
   const toXpValue = (row) => Number(row?.xp_total ?? row?.total_xp ?? row?.xp ?? 0)
@@ -1668,7 +3454,7 @@ function GuildPage() {
       },
       fallbackId,
     ),
-    xp: Number(pr?.xp ?? pr?.total_xp ?? pr?.xp_total ?? 0),
+    xp: Number(pr?.xp ?? pr?.xp_total ?? pr?.total_xp ?? 0),
     streak: Number(pr?.current_streak ?? 0),
   })
 
@@ -1765,20 +3551,12 @@ function GuildPage() {
       return
     }
 
-    let profileRes = await supabase
+    const profileRes = await supabase
       .from('profiles')
-      .select('id, username, total_xp, xp_total')
+      .select('id, username, xp_total')
       .in('id', memberIds)
       .limit(25)
 
-    if (profileRes.error && String(profileRes.error.message || '').toLowerCase().includes('total_xp')) {
-      profileRes = await supabase
-        .from('profiles')
-        .select('id, username, xp_total')
-        .in('id', memberIds)
-        .limit(25)
-    }
-
     if (profileRes.error) {
       setGuildPreviewBoard([])
       setError((prev) => prev || `Guild preview unavailable: ${profileRes.error.message}`)
@@ -1823,8 +3601,8 @@ function GuildPage() {
 
     const profileCandidates = [
       'id, username, display_name, xp, current_streak',
-      'id, username, display_name, total_xp, current_streak',
       'id, username, display_name, xp_total, current_streak',
+      'id, username, display_name, total_xp, current_streak',
       'id, username, display_name, xp',
       'id, username, display_name',
     ]
@@ -1858,7 +3636,51 @@ function GuildPage() {
         username: normalized.username,
       }
     })
-    setCommunityMembers(merged)
+    setCommunityMembers(await hydrateRowsWithTitles(merged))
+  }
+
+  const loadGuildProofs = async (groupId) => {
+    if (!groupId) {
+      setProofs([])
+      return
+    }
+    setProofsLoading(true)
+    const { data, error: proofsError } = await supabase.rpc('get_guild_completions', {
+      p_group_id: groupId,
+      p_limit: 20,
+    })
+    setProofsLoading(false)
+    if (proofsError) {
+      setProofs([])
+      setError((prev) => prev || `Proof queue unavailable: ${proofsError.message}`)
+      return
+    }
+    const rows = data || []
+    setProofs(rows)
+    setProofUrls(await signEvidencePaths(rows.flatMap((row) => row.attachment_paths || [])))
+  }
+
+  const onReviewProof = async (completionId, verdict) => {
+    setError('')
+    setMessage('')
+    const { data, error: reviewError } = await supabase.rpc('review_completion', {
+      p_completion_id: completionId,
+      p_verdict: verdict,
+    })
+    if (reviewError) {
+      setError(reviewError.message)
+      return
+    }
+    const result = Array.isArray(data) ? data[0] : data
+    const bonus = Number(result?.bonus_xp || 0)
+    setMessage(
+      bonus > 0
+        ? `Completion verified. Owner earned +${bonus} bonus XP.`
+        : verdict === 'verify'
+          ? 'Verification recorded.'
+          : 'Dispute recorded.',
+    )
+    loadGuildProofs(selectedGroupId)
   }
 
   const selectGuildContext = (groupId, guildName) => {
@@ -1916,6 +3738,68 @@ function GuildPage() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selectedGroupId])
 
+  useEffect(() => {
+    if (guildTab === 'proofs') loadGuildProofs(selectedGroupId)
+  }, [guildTab, selectedGroupId])
+
+  useEffect(() => {
+    if (guildTab !== 'boss') return undefined
+    let isActive = true
+
+    const loadGuildRaid = async () => {
+      if (!selectedGroupId) {
+        setRaid(null)
+        setRaidDamage([])
+        setRaidLog([])
+        setRaidHistory([])
+        return
+      }
+
+      const [{ data, error: raidError }, { data: historyRows, error: historyError }] = await Promise.all([
+        supabase.rpc('get_guild_raid', { p_group_id: selectedGroupId }),
+        supabase.rpc('get_guild_raid_history', { p_group_id: selectedGroupId, p_limit: 8 }),
+      ])
+      if (!isActive) return
+      if (raidError || historyError) {
+        setError((prev) => prev || `Raid load failed: ${(raidError || historyError).message}`)
+        return
+      }
+      const nextRaid = (Array.isArray(data) ? data[0] : data) || null
+      setRaid(nextRaid)
+      setRaidHistory(
+        await hydrateRowsWithProfileNames((historyRows || []).map((row) => ({ ...row, user_id: row.mvp_user_id }))),
+      )
+      if (!nextRaid) return
+
+      const [{ data: damageRows, error: damageError }, { data: logRows, error: logError }] = await Promise.all([
+        supabase.rpc('get_guild_raid_damage', { p_raid_id: nextRaid.raid_id }),
+        supabase.rpc('get_guild_raid_log', { p_raid_id: nextRaid.raid_id, p_limit: 10 }),
+      ])
+      if (!isActive) return
+      if (damageError || logError) {
+        setError((prev) => prev || `Raid ledger failed: ${(damageError || logError).message}`)
+        return
+      }
+      const [namedDamage, namedLog] = await Promise.all([
+        hydrateRowsWithProfileNames(damageRows || []),
+        hydrateRowsWithProfileNames(logRows || []),
+      ])
+      if (!isActive) return
+      setRaidDamage(namedDamage)
+      setRaidLog(namedLog)
+    }
+
+    loadGuildRaid()
+    // Damage comes from every member's activity server-side; poll while the tab is open.
+    const refresh = setInterval(loadGuildRaid, 60000)
+    const tick = setInterval(() => setRaidNowTs(Date.now()), 1000)
+    return () => {
+      isActive = false
+      clearInterval(refresh)
+      clearInterval(tick)
+    }
+  }, [guildTab, selectedGroupId, profile.xp_total])
+
   const onCreateGuild = async (event) => {
     event.preventDefault()
     setError('')
@@ -1989,44 +3873,6 @@ function GuildPage() {
     })
   }
 
-  const respawnBoss = () => {
-    setBossHp(10000)
-    setBossDefeated(false)
-    addGuildFeed('💀', 'New raid boss has appeared. Rally the guild.', '')
-    setMessage('A new boss has spawned.')
-  }
-
-  const attackBoss = (damage, ultimate = false) => {
-    if (bossDefeated || bossHp <= 0) {
-      setMessage('Boss already defeated. Respawn to continue raid.')
-      return
-    }
-    const crit = Math.random() < (ultimate ? 0.5 : 0.15)
-    const final = crit ? Math.round(damage * 2.5) : damage
-    const nextHp = Math.max(0, bossHp - final)
-    setBossHp(nextHp)
-    addGuildXp(Math.round(final / 10))
-    addGuildFeed('⚔️', `${safeDisplayName(profile, profile.id)} dealt ${final} damage to guild boss${crit ? ' (CRIT)' : ''}.`, `+${Math.round(final / 10)} XP`)
-
-    if (nextHp <= 0) {
-      setBossDefeated(true)
-      addGuildXp(150)
-      addGuildFeed('🏆', 'Guild defeated SHADOW MONARCH.', '+500 XP')
-      setBossKillLog((prev) => ([
-        {
-          id: Date.now(),
-          name: 'Shadow Monarch',
-          tier: 'III',
-          mvp: safeDisplayName(profile, profile.id),
-          when: 'JUST NOW',
-          reward: '+500 XP',
-        },
-        ...prev,
-      ]).slice(0, 8))
-      setMessage('Boss defeated. Claim loot and respawn when ready.')
-    }
-  }
-
   const contributeGuildQuest = (questId) => {
     const contribution = Math.floor(Math.random() * 3) + 1
     setGuildQuests((prev) =>
@@ -2109,9 +3955,11 @@ function GuildPage() {
   const selectedOpenSpots = Math.max(0, selectedCapacity - selectedMembers)
   const viewerName = safeDisplayName(profile, profile?.id)
   const selectedGuildTitle = selectedGuildName || selectedGuild?.name || 'IRON WOLVES'
-  const bossContributors = [...communityMembers]
-    .sort((a, b) => Number(b.xp || 0) - Number(a.xp || 0))
-    .slice(0, 5)
+  const raidNow = new Date(raidNowTs)
+  const currentRaidStatus = raidStatus(raid, raidNow)
+  const currentRaidNote = raidRewardNote(raid)
+  const raidHpPercent = raid ? bossHpPercent(raid) : 100
+  const raidNameWords = String(raid?.name || 'Scanning gate').toUpperCase().split(' ')
 
   return (
     <section className="tab-content active guild-red-v1">
@@ -2123,7 +3971,7 @@ function GuildPage() {
             <div className="join-name">{viewerName}</div>
             <div className="join-subtitle">{joinOverlayName.toUpperCase()} • NEW ARRIVAL</div>
             <div className="join-stats-row">
-              <div className="join-stat"><div className="join-stat-val">{levelFromXp(getProfileXp(profile))}</div><div className="join-stat-label">LEVEL</div></div>
+              <div className="join-stat"><div className="join-stat-val">{levelFromXp(getProfileXp(profile), progression.curve)}</div><div className="join-stat-label">LEVEL</div></div>
               <div className="join-stat"><div className="join-stat-val">{getProfileXp(profile)}</div><div className="join-stat-label">XP</div></div>
               <div className="join-stat"><div className="join-stat-val">{Number(profile?.current_streak ?? 0)}</div><div className="join-stat-label">STREAK</div></div>
             </div>
@@ -2178,6 +4026,7 @@ function GuildPage() {
           <button type="button" className={cx('guild-tab', guildTab === 'boss' && 'active')} onClick={() => setGuildTab('boss')}>💀 BOSS</button>
           <button type="button" className={cx('guild-tab', guildTab === 'quests' && 'active')} onClick={() => setGuildTab('quests')}>📜 QUESTS</button>
           <button type="button" className={cx('guild-tab', guildTab === 'feed' && 'active')} onClick={() => setGuildTab('feed')}>💬 FEED</button>
+          <button type="button" className={cx('guild-tab', guildTab === 'proofs' && 'active')} onClick={() => setGuildTab('proofs')}>🧾 PROOFS</button>
           <button type="button" className={cx('guild-tab', guildTab === 'directory' && 'active')} onClick={() => setGuildTab('directory')}>🌍 ALL GUILDS</button>
         </div>
 
@@ -2185,7 +4034,7 @@ function GuildPage() {
           <div className="guild-tab-content active">
             {selectedGroupId ? (
               communityMembers.map((member, index) => {
-                const rankInfo = getRankInfo(member.xp)
+                const rankInfo = getRankInfo(member.xp, progression.rankTiers)
                 return (
                   <button
                     key={member.user_id}
@@ -2196,6 +4045,7 @@ function GuildPage() {
                       <div className={cx('member-rank', `rank-${String(rankInfo.rank || 'E').toLowerCase()}`)}>{rankInfo.rank}</div>
                       <div className="member-meta">
                         <div className="member-name">{member.username}</div>
+                        {member.equipped_title ? <div className="member-equipped-title">« {member.equipped_title.name} »</div> : null}
                         <div className="member-title">{String(member.role || 'member').toUpperCase()} • STREAK {member.streak || 0}</div>
                       </div>
                     </div>
@@ -2247,6 +4097,13 @@ function GuildPage() {
             {guildPreviewBoard.map((row, index) => (
               <div key={`${row.user_id}-${index}`} className={cx('lb-entry', index < 3 && `rank-${index + 1}`)}>
                 <div className="lb-pos">#{index + 1}</div>
+                <RankBadge
+                  rankInfo={
+                    row.rank_tier
+                      ? getRankTier(row.rank_tier, progression.rankTiers)
+                      : getRankInfo(row.xp_total ?? row.xp, progression.rankTiers)
+                  }
+                />
                 <div className="lb-name">{safeDisplayName(row)}</div>
                 <div className="lb-xp">{Number(row.xp_total ?? row.xp ?? 0).toLocaleString()} XP</div>
               </div>
@@ -2259,64 +4116,107 @@ function GuildPage() {
         {guildTab === 'boss' ? (
           <div className="guild-tab-content active">
             <div className="boss-arena">
-              {!bossDefeated ? (
+              {!selectedGroupId ? <div className="panel-sub">Join a guild first to fight raid bosses.</div> : null}
+              {selectedGroupId && currentRaidStatus === 'active' ? (
                 <>
                   <div className="boss-header">
                     <div>
-                      <div className="boss-tag">// CURRENT RAID BOSS</div>
-                      <div className="boss-name">SHADOW <span>MONARCH</span></div>
+                      <div className="boss-tag">// CURRENT RAID BOSS • {raid.tier}-TIER</div>
+                      <div className="boss-name">
+                        {raidNameWords.slice(0, -1).join(' ')} <span>{raidNameWords[raidNameWords.length - 1]}</span>
+                      </div>
                     </div>
-                    <div className="boss-avatar">👁️</div>
+                    <div className="boss-avatar">{raid.icon || '👁️'}</div>
                   </div>
                   <div className="boss-hp-wrap">
                     <div className="boss-hp-header">
                       <div className="boss-hp-label">BOSS HP</div>
-                      <div className="boss-hp-val">{bossHp.toLocaleString()} / 10,000</div>
+                      <div className="boss-hp-val">
+                        {Number(raid.hp_remaining).toLocaleString()} / {Number(raid.max_hp).toLocaleString()}
+                      </div>
                     </div>
                     <div className="boss-hp-track">
-                      <div className="boss-hp-fill" style={{ width: `${Math.max(0, Math.min(100, Math.round((bossHp / 10000) * 100)))}%` }} />
+                      <div className="boss-hp-fill" style={{ width: `${raidHpPercent}%` }} />
                       <div className="boss-hp-segments" />
                     </div>
                   </div>
+                  <div className="boss-defeated-sub">
+                    ESCAPES IN {formatCountdown(raid.ends_at, raidNow)} • YOUR DAMAGE {raid.my_damage}
+                    {raid.my_rank ? ` (#${raid.my_rank})` : ''}
+                  </div>
+                  {currentRaidNote ? <div className="panel-sub">{currentRaidNote}</div> : null}
                   <div className="boss-contributors">
-                    {bossContributors.map((member, index) => (
-                      <div key={`${member.user_id}-${index}`} className={cx('boss-contrib-chip', index === 0 && 'top')}>
-                        <span>{member.username}</span>
-                        <span className="boss-contrib-dmg">{Number(member.xp || 0).toLocaleString()} XP</span>
+                    {raidDamage.slice(0, 5).map((member, index) => (
+                      <div key={member.user_id} className={cx('boss-contrib-chip', index === 0 && 'top')}>
+                        <span>{safeDisplayName(member)}</span>
+                        <span className="boss-contrib-dmg">{Number(member.damage || 0).toLocaleString()} DMG</span>
                       </div>
                     ))}
+                    {raidDamage.length === 0 ? <div className="panel-sub">No hits yet. Quests and workouts deal damage.</div> : null}
                   </div>
                   <div className="boss-attack-row">
-                    <button type="button" className="boss-attack-btn" onClick={() => attackBoss(100, false)}>⚔ ATTACK</button>
-                    <button type="button" className="boss-attack-btn" onClick={() => attackBoss(250, false)}>🗡 HEAVY STRIKE</button>
-                    <button type="button" className="boss-attack-btn special" onClick={() => attackBoss(500, true)}>💥 ULTIMATE</button>
+                    <NavLink to="/quests" className="boss-attack-btn">⚔ QUESTS</NavLink>
+                    <NavLink to="/gym" className="boss-attack-btn special">🗡 TRAIN</NavLink>
                   </div>
                 </>
-              ) : (
+              ) : null}
+              {selectedGroupId && currentRaidStatus === 'scheduled' ? (
                 <div className="boss-defeated visible">
-                  <div className="boss-defeated-title">⚡ BOSS DEFEATED</div>
-                  <div className="boss-defeated-sub">THE GUILD PREVAILED - NEW BOSS READY</div>
+                  <div className="boss-defeated-title">⚡ NEXT RAID INCOMING</div>
+                  <div className="boss-defeated-sub">
+                    {raid.tier}-TIER {String(raid.name).toUpperCase()} SPAWNS IN {formatCountdown(raid.starts_at, raidNow)}
+                  </div>
                   <div className="boss-loot-row">
-                    <div className="boss-loot">+500 XP</div>
-                    <div className="boss-loot">+150 GUILD XP</div>
-                    <div className="boss-loot">RARE DROP</div>
+                    <div className="boss-loot">+{raid.reward_xp} XP EACH</div>
+                    <div className="boss-loot">+{raid.mvp_bonus_xp} XP MVP</div>
                   </div>
-                  <button type="button" className="btn btn-cyan" onClick={respawnBoss} style={{ marginTop: '10px' }}>
-                    Respawn Boss
-                  </button>
+                  {currentRaidNote ? <div className="panel-sub">{currentRaidNote}</div> : null}
                 </div>
-              )}
+              ) : null}
+              {selectedGroupId && (currentRaidStatus === 'defeated' || currentRaidStatus === 'escaped') ? (
+                <div className="boss-defeated visible">
+                  <div className="boss-defeated-title">{currentRaidStatus === 'defeated' ? '⚡ BOSS DEFEATED' : 'BOSS ESCAPED'}</div>
+                  <div className="boss-defeated-sub">RESOLVING RAID - NEXT BOSS IS BEING SCHEDULED</div>
+                </div>
+              ) : null}
             </div>
+            {raidDamage.length > 0 ? (
+              <div className="boss-kill-log">
+                <div className="panel-sub">// DAMAGE LEDGER</div>
+                {raidDamage.map((row) => (
+                  <div key={row.user_id} className="boss-log-row">
+                    <span>#{row.rank} {safeDisplayName(row)}</span>
+                    <span>{Number(row.damage).toLocaleString()} DMG</span>
+                    <span>{row.hits} HITS</span>
+                    <span>{row.is_mvp ? 'MVP' : ''}</span>
+                  </div>
+                ))}
+                {raidLog.map((hit) => (
+                  <div key={`${hit.user_id}-${hit.created_at}`} className="boss-log-row">
+                    <span>{safeDisplayName(hit)}</span>
+                    <span>
+                      {questCategoryIcon(hit.category)} {hit.xp_amount} XP → {hit.damage} DMG
+                    </span>
+                    <span>{String(hit.category || 'bonus').toUpperCase()}</span>
+                    <span>{new Date(hit.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                  </div>
+                ))}
+              </div>
+            ) : null}
             <div className="boss-kill-log">
               <div className="panel-sub">// RAID HISTORY</div>
-              {bossKillLog.map((log) => (
-                <div key={log.id} className="boss-log-row">
-                  <span>{log.name} TIER {log.tier}</span>
-                  <span>MVP {log.mvp}</span>
-                  <span>{log.reward}</span>
-                  <span>{log.when}</span>
+              {raidHistory.map((log) => (
+                <div key={log.raid_id} className="boss-log-row">
+                  <span>
+                    {log.icon ? `${log.icon} ` : ''}
+                    {log.name} TIER {log.tier}
+                  </span>
+                  <span>{log.mvp_user_id ? `MVP ${safeDisplayName(log)} (${log.mvp_damage} DMG)` : 'NO MVP'}</span>
+                  <span>{log.outcome === 'defeated' ? `+${log.reward_xp} XP` : 'ESCAPED'}</span>
+                  <span>{new Date(log.resolved_at).toLocaleDateString()}</span>
                 </div>
               ))}
+              {raidHistory.length === 0 ? <div className="panel-sub">No raids finished yet.</div> : null}
             </div>
           </div>
         ) : null}
@@ -2370,6 +4270,56 @@ function GuildPage() {
           </div>
         ) : null}
 
+        {guildTab === 'proofs' ? (
+          <div className="guild-tab-content active">
+            {!selectedGroupId ? <div className="panel-sub">Join/select a guild first.</div> : null}
+            {proofsLoading ? <p className="muted">Loading completions...</p> : null}
+            {selectedGroupId && !proofsLoading && proofs.length === 0 ? (
+              <p className="muted">No guild completions to review yet.</p>
+            ) : null}
+            {proofs.map((proof) => {
+              const isOwn = proof.user_id === profile.id
+              return (
+                <div key={proof.completion_id} className="feed-entry">
+                  <div className="feed-icon">{proof.verification_status === 'verified' ? '✓' : proof.verification_status === 'disputed' ? '⚠' : '🧾'}</div>
+                  <div className="feed-body">
+                    <div className="feed-text">
+                      {safeDisplayName(proof)} completed {proof.quest_title}
+                    </div>
+                    {proof.note ? <div className="feed-time">Note: {proof.note}</div> : null}
+                    <EvidenceThumbs paths={proof.attachment_paths} urls={proofUrls} />
+                    <div className="feed-time">
+                      {new Date(proof.completed_at).toLocaleString()} • {VERIFICATION_LABELS[proof.verification_status] || 'UNVERIFIED'} •{' '}
+                      {proof.verify_count} verify / {proof.dispute_count} dispute
+                    </div>
+                    {!isOwn ? (
+                      <div className="gq-actions">
+                        <button
+                          type="button"
+                          className="gq-btn complete"
+                          onClick={() => onReviewProof(proof.completion_id, 'verify')}
+                          disabled={proof.my_verdict === 'verify'}
+                        >
+                          ✓ VERIFY
+                        </button>
+                        <button
+                          type="button"
+                          className="gq-btn contribute"
+                          onClick={() => onReviewProof(proof.completion_id, 'dispute')}
+                          disabled={proof.my_verdict === 'dispute'}
+                        >
+                          ⚠ DISPUTE
+                        </button>
+                      </div>
+                    ) : null}
+                  </div>
+                  <div className="feed-xp-badge">+{proof.xp_reward} XP</div>
+                </div>
+              )
+            })}
+          </div>
+        ) : null}
+
         {guildTab === 'feed' ? (
           <div className="guild-tab-content active">
             {feedEntries.map((entry) => (
@@ -2404,16 +4354,13 @@ function GuildPage() {
   )
 }
 
-function buildLast30Days(logs) {
+function buildLast30Days(logs, timeZone) {
   const days = []
   const map = new Map(logs.map((log) => [log.log_date, log]))
-  const now = new Date()
+  const today = todayIso(timeZone)
 
   for (let i = 29; i >= 0; i -= 1) {
-    const d = new Date(now)
-    d.setHours(0, 0, 0, 0)
-    d.setDate(now.getDate() - i)
-    const key = formatDate(d)
+    const key = addDaysIso(today, -i)
     const row = map.get(key)
     const notes = String(row?.payload?.notes || '').trim()
     const walkBonus = Boolean(row?.payload?.bonus_walk_45)
@@ -2431,45 +4378,6 @@ function buildLast30Days(logs) {
   return days
 }
 
-function calcStreaks(logs) {
-  const completed = logs
-    .filter((log) => log.completed)
-    .map((log) => log.log_date)
-    .sort((a, b) => (a < b ? -1 : 1))
-
-  if (completed.length === 0) {
-    return { current: 0, longest: 0 }
-  }
-
-  let longest = 1
-  let run = 1
-  for (let i = 1; i < completed.length; i += 1) {
-    const prev = new Date(`${completed[i - 1]}T00:00:00`)
-    const next = new Date(`${completed[i]}T00:00:00`)
-    const diff = Math.round((next - prev) / (1000 * 60 * 60 * 24))
-    if (diff === 1) {
-      run += 1
-      longest = Math.max(longest, run)
-    } else {
-      run = 1
-    }
-  }
-
-  const doneSet = new Set(completed)
-  let current = 0
-  const today = new Date()
-  today.setHours(0, 0, 0, 0)
-
-  while (true) {
-    const key = formatDate(today)
-    if (!doneSet.has(key)) break
-    current += 1
-    today.setDate(today.getDate() - 1)
-  }
-
-  return { current, longest }
-}
-
 function fallbackWorkoutContent(path) {
   const normalizedPath = String(path || '').toLowerCase() === 'shadow' ? 'shadow' : 'spartan'
   const planPrefix = normalizedPath === 'shadow' ? 'shadow' : 'spartan'
@@ -2646,7 +4554,7 @@ function GymPage({ onProfileRefresh, onXpGain }) {
   const [selectedPlan, setSelectedPlan] = useState(null)
   const [planDays, setPlanDays] = useState([])
   const [logs, setLogs] = useState([])
-  const [logDate, setLogDate] = useState(todayIso())
+  const [logDate, setLogDate] = useState(() => todayIso(profileTimeZone(profile)))
   const [completed, setCompleted] = useState(true)
   const [bonusWalk45, setBonusWalk45] = useState(false)
   const [bonusRun45, setBonusRun45] = useState(false)
@@ -2677,7 +4585,7 @@ function GymPage({ onProfileRefresh, onXpGain }) {
         .from('workout_logs')
         .select('id, log_date, completed, payload')
         .eq('user_id', profile.id)
-        .gte('log_date', formatDate(new Date(Date.now() - 35 * 24 * 60 * 60 * 1000)))
+        .gte('log_date', addDaysIso(todayIso(profileTimeZone(profile)), -35))
         .order('log_date', { ascending: true }),
     ])
 
@@ -2770,7 +4678,6 @@ function GymPage({ onProfileRefresh, onXpGain }) {
       session_xp_frontend: sessionXp,
     }
 
-    const beforeXp = Number(profile?.total_xp ?? profile?.xp_total ?? 0)
     const { data, error: rpcError } = await supabase.rpc('log_workout', {
       p_date: logDate,
       p_completed: finalCompleted,
@@ -2786,9 +4693,6 @@ function GymPage({ onProfileRefresh, onXpGain }) {
     const awardedXp = Number(result?.awarded_xp ?? 0)
     if (awardedXp > 0) {
       onXpGain(awardedXp)
-    } else if (completed && bonusXp > 0) {
-      // Fallback for older DB functions that don't return awarded_xp payloads.
-      onXpGain(bonusXp)
     }
 
     setExerciseNotes('')
@@ -2800,22 +4704,7 @@ function GymPage({ onProfileRefresh, onXpGain }) {
     setLogMessage(
       `Workout logged${bonusXp > 0 ? ` with cardio bonus (+${bonusXp} XP)` : ''}.`,
     )
-    let refreshedProfile = await onProfileRefresh()
-    const afterXp = Number(refreshedProfile?.total_xp ?? refreshedProfile?.xp_total ?? 0)
-    const expectedFallbackXp = awardedXp > 0 ? awardedXp : (finalCompleted ? sessionXp + bonusXp : bonusXp)
-    if (expectedFallbackXp > 0 && afterXp <= beforeXp) {
-      const persistRes = await incrementProfileXp(profile.id, expectedFallbackXp)
-      if (persistRes.error) {
-        setError(`Workout logged but XP persist failed: ${persistRes.error.message}`)
-        return
-      }
-      refreshedProfile = await onProfileRefresh()
-      const persistedXp = Number(refreshedProfile?.total_xp ?? refreshedProfile?.xp_total ?? 0)
-      if (persistedXp <= beforeXp) {
-        setError('Workout logged, but XP still did not change. Check profile update policy.')
-        return
-      }
-    }
+    await onProfileRefresh()
     loadGymData()
   }
 
@@ -2824,8 +4713,13 @@ function GymPage({ onProfileRefresh, onXpGain }) {
     await submitWorkoutLog()
   }
 
-  const days = buildLast30Days(logs)
-  const streak = calcStreaks(logs)
+  const timeZone = profileTimeZone(profile)
+  const days = buildLast30Days(logs, timeZone)
+  // recalculate_streaks() keeps both on the profile, shields included.
+  const streak = {
+    current: Number(profile?.current_streak || 0),
+    longest: Number(profile?.longest_streak || 0),
+  }
   const selectedDay = planDays.find((day) => day.id === selectedDayId) || planDays[0] || null
   const dayTemplate = selectedDay?.template || {}
   const dayExercises = Array.isArray(dayTemplate?.exercises)
@@ -2844,19 +4738,6 @@ function GymPage({ onProfileRefresh, onXpGain }) {
     if (name.includes('plank') || name.includes('crunch') || name.includes('woodchop')) return '🧱'
     return '⚔️'
   }
-  const weekdayLabel = (day, index) => {
-    const fromTitle = String(day?.title || '').split('•')[0].trim().toUpperCase()
-    const lookup = {
-      MON: 'Monday',
-      TUE: 'Tuesday',
-      WED: 'Wednesday',
-      THU: 'Thursday',
-      FRI: 'Friday',
-      SAT: 'Saturday',
-      SUN: 'Sunday',
-    }
-    return lookup[fromTitle] || ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'][index] || `Day ${index + 1}`
-  }
   const exerciseKey = (index) => `${selectedDay?.id || 'day'}:${index}`
   const onToggleExercise = (index) => {
     const key = exerciseKey(index)
@@ -2927,7 +4808,7 @@ function GymPage({ onProfileRefresh, onXpGain }) {
                 setLogMessage(`Selected template: ${day.title}`)
               }}
             >
-              {weekdayLabel(day, index)}
+              {planDayWeekday(day, index)}
             </button>
           ))}
         </div>
@@ -3005,7 +4886,15 @@ function GymPage({ onProfileRefresh, onXpGain }) {
         <h3>Log Workout</h3>
         <label className="input-label">
           Date
-          <input className="zbxp-input" type="date" value={logDate} onChange={(event) => setLogDate(event.target.value)} required />
+          <input
+            className="zbxp-input"
+            type="date"
+            value={logDate}
+            min={addDaysIso(todayIso(profileTimeZone(profile)), -1)}
+            max={todayIso(profileTimeZone(profile))}
+            onChange={(event) => setLogDate(event.target.value)}
+            required
+          />
         </label>
 
         <label className="input-label checkbox-row">
@@ -3576,8 +5465,102 @@ function StatTile({ label, value }) {
   )
 }
 
-function StatsPage() {
+function BadgeShowcase({ achievements, limit = 0 }) {
+  const list = limit > 0 ? [...recentAchievements(achievements, limit), ...nextAchievements(achievements, limit)] : achievements
+
+  if (list.length === 0) return <p className="muted">No badges defined yet.</p>
+
+  return (
+    <div className="badge-grid">
+      {list.map((achievement) => {
+        const percent = achievementPercent(achievement)
+        return (
+          <div
+            key={achievement.achievement_id}
+            className={cx('badge-card', achievement.earned ? 'is-earned' : 'is-locked')}
+            title={achievement.description || ''}
+          >
+            <span className="badge-icon">{achievement.icon || '🏅'}</span>
+            <strong>{achievement.name}</strong>
+            <span className="muted">{achievement.description}</span>
+            {achievement.earned ? null : (
+              <div className="xp-track" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={percent}>
+                <span className="xp-fill" style={{ width: `${percent}%` }} />
+              </div>
+            )}
+            <span className="badge-progress">
+              {describeAchievementProgress(achievement)}
+              {achievement.xp_reward > 0 ? ` • +${achievement.xp_reward} XP` : ''}
+            </span>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+function TimeZonePanel({ onProfileRefresh }) {
   const { profile } = useApp()
+  const current = profileTimeZone(profile)
+  const detected = detectTimeZone()
+  const zones = useMemo(() => listTimeZones(), [])
+  const [selected, setSelected] = useState(current)
+  const [isSaving, setIsSaving] = useState(false)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  if (profile?.timezone === undefined) return null
+
+  const save = async (timeZone) => {
+    setIsSaving(true)
+    setMessage('')
+    setError('')
+    const { error: rpcError } = await supabase.rpc('set_time_zone', { p_time_zone: timeZone })
+    setIsSaving(false)
+    if (rpcError) {
+      setError(rpcError.message)
+      return
+    }
+    setSelected(timeZone)
+    setMessage(`Days now roll over at midnight ${timeZone}.`)
+    await onProfileRefresh()
+  }
+
+  return (
+    <div className="panel">
+      <div className="row-between">
+        <h3>Time Zone</h3>
+        <span className="muted">Today: {todayIso(current)}</span>
+      </div>
+      <p className="muted">
+        Workout log dates, streaks, daily claims and weekly resets follow this zone. It can be changed once per day.
+      </p>
+      <div className="timezone-row">
+        <select className="zbxp-input" value={selected} onChange={(event) => setSelected(event.target.value)} disabled={isSaving}>
+          {zones.map((zone) => (
+            <option key={zone} value={zone}>
+              {zone}
+            </option>
+          ))}
+        </select>
+        <button type="button" className="btn btn-cyan" disabled={isSaving || selected === current} onClick={() => save(selected)}>
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+        {detected !== current ? (
+          <button type="button" className="btn" disabled={isSaving} onClick={() => save(detected)}>
+            Use device ({detected})
+          </button>
+        ) : null}
+      </div>
+      {message ? <p className="muted">{message}</p> : null}
+      {error ? <p className="error-text">{error}</p> : null}
+    </div>
+  )
+}
+
+function StatsPage({ onProfileRefresh }) {
+  const { profile, progression, achievements } = useApp()
+  const timeZone = profileTimeZone(profile)
   const [categoryStats, setCategoryStats] = useState({
     study: 0,
     coding: 0,
@@ -3586,11 +5569,12 @@ function StatsPage() {
   })
   const [weeklyXP, setWeeklyXP] = useState(0)
   const [allTimeXP, setAllTimeXP] = useState(0)
+  const [progressionLog, setProgressionLog] = useState([])
   const [error, setError] = useState('')
 
   useEffect(() => {
     const loadStats = async () => {
-      const [completionRes, xpRes] = await Promise.all([
+      const [completionRes, xpRes, progressionRes] = await Promise.all([
         supabase
           .from('quest_completions')
           .select(`
@@ -3613,6 +5597,12 @@ function StatsPage() {
           .from('xp_events')
           .select('amount, created_at')
           .eq('user_id', profile.id),
+        supabase
+          .from('progression_events')
+          .select('id, event_type, from_value, to_value, created_at')
+          .eq('user_id', profile.id)
+          .order('created_at', { ascending: false })
+          .limit(10),
       ])
 
       if (completionRes.error || xpRes.error) {
@@ -3636,11 +5626,7 @@ function StatsPage() {
         }
       }
 
-      const weekStart = new Date()
-      const day = weekStart.getDay()
-      const diffToMonday = (day + 6) % 7
-      weekStart.setHours(0, 0, 0, 0)
-      weekStart.setDate(weekStart.getDate() - diffToMonday)
+      const weekStart = startOfWeekInTimeZone(new Date(), timeZone)
 
       let weekly = 0
       let total = 0
@@ -3655,14 +5641,16 @@ function StatsPage() {
       setCategoryStats(nextCategory)
       setWeeklyXP(weekly)
       setAllTimeXP(total)
+      // Progression log is optional until the progression migration is applied.
+      setProgressionLog(progressionRes.error ? [] : progressionRes.data || [])
     }
 
     loadStats()
-  }, [profile.id])
+  }, [profile.id, timeZone])
 
   const profileXp = getProfileXp(profile)
-  const level = levelFromXp(profileXp)
-  const xpProgress = profileXp % 100
+  const levelInfo = getLevelProgress(profileXp, progression.curve)
+  const level = levelInfo.level
 
   return (
     <section className="tab-content active">
@@ -3682,11 +5670,12 @@ function StatsPage() {
       <div className="panel">
         <div className="row-between">
           <h3>XP Progress</h3>
-          <span className="muted">{xpProgress}/100</span>
+          <span className="muted">{levelInfo.xpIntoLevel}/{levelInfo.nextLevelXp - levelInfo.levelStartXp}</span>
         </div>
         <div className="xp-track">
-          <span className="xp-fill" style={{ width: `${xpProgress}%` }} />
+          <span className="xp-fill" style={{ width: `${levelInfo.percent}%` }} />
         </div>
+        <p className="muted">{levelInfo.xpToNext} XP to level {level + 1}</p>
       </div>
 
       <div className="stat-grid">
@@ -3695,12 +5684,168 @@ function StatsPage() {
         <StatTile label="Gym Quests" value={categoryStats.gym} />
         <StatTile label="Business Quests" value={categoryStats.business} />
       </div>
+
+      <div className="panel">
+        <div className="row-between">
+          <h3>Badges</h3>
+          <span className="muted">
+            {achievements.earnedCount}/{achievements.achievements.length} earned
+          </span>
+        </div>
+        <BadgeShowcase achievements={achievements.achievements} />
+      </div>
+
+      <div className="panel">
+        <h3>Progression Log</h3>
+        {progressionLog.length === 0 ? <p className="muted">No level-ups recorded yet.</p> : null}
+        <ul className="clean-list">
+          {progressionLog.map((event) => (
+            <li key={event.id} className="history-item">
+              <strong>
+                {event.event_type === 'rank_up'
+                  ? `RANK UP: ${event.from_value} → ${event.to_value}`
+                  : `LEVEL UP: ${event.from_value} → ${event.to_value}`}
+              </strong>
+              <span className="muted">{new Date(event.created_at).toLocaleString()}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <TimeZonePanel onProfileRefresh={onProfileRefresh} />
+    </section>
+  )
+}
+
+function InventoryPage({ onProfileRefresh }) {
+  const { inventory } = useApp()
+  const [nowTs, setNowTs] = useState(() => Date.now())
+  const [usingSlug, setUsingSlug] = useState('')
+  const [drops, setDrops] = useState([])
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let isActive = true
+    supabase
+      .from('item_drops')
+      .select('id, source_type, source_key, quantity, item:items(name, icon)')
+      .order('source_type', { ascending: true })
+      .order('source_key', { ascending: true })
+      .then(({ data, error: dropsError }) => {
+        if (isActive && !dropsError) setDrops(data || [])
+      })
+    return () => {
+      isActive = false
+    }
+  }, [])
+
+  useEffect(() => {
+    const interval = setInterval(() => setNowTs(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [])
+
+  const now = new Date(nowTs)
+  const xpMultiplier = activeXpMultiplier(inventory.effects, now)
+
+  const onUseItem = async (item) => {
+    setError('')
+    setMessage('')
+    setUsingSlug(item.slug)
+    const { result, error: useError } = await inventory.consume(item.slug)
+    setUsingSlug('')
+    if (useError) {
+      setError(`${item.name} failed: ${useError.message}`)
+      return
+    }
+    if (item.effect === 'streak_shield') {
+      setMessage(`Streak shield placed on ${result?.shielded_date || 'yesterday'}.`)
+      onProfileRefresh?.()
+    } else {
+      setMessage(
+        result?.effect_expires_at
+          ? `${item.name} active until ${new Date(result.effect_expires_at).toLocaleString()}.`
+          : `${item.name} used.`,
+      )
+    }
+  }
+
+  return (
+    <section className="tab-content active">
+      <HudPanel title="Inventory" subtitle={`${inventory.totalCount} items`}>
+        {message ? <p className="muted">{message}</p> : null}
+        {error ? <p className="error-text">{error}</p> : null}
+        {inventory.effects.length > 0 ? (
+          <div className="boss-rewards" style={{ marginBottom: '12px' }}>
+            {inventory.effects.map((effect) => (
+              <div key={effect.effect_id} className="reward-chip xp">
+                {effect.icon} {ITEM_EFFECT_LABELS[effect.effect] || effect.name} • {formatCountdown(effect.expires_at, now)}
+              </div>
+            ))}
+            {xpMultiplier > 1 ? <div className="reward-chip title">XP ×{xpMultiplier}</div> : null}
+          </div>
+        ) : null}
+        {inventory.items.length === 0 ? (
+          <p className="muted">Your bag is empty. Boss kills, achievements and login streaks drop items.</p>
+        ) : null}
+        <div className="inventory-grid">
+          {inventory.items.map((item) => (
+            <div key={item.item_id} className={cx('inventory-card', `rarity-${item.rarity}`)}>
+              <div className="inventory-icon">{item.icon}</div>
+              <div className="inventory-info">
+                <strong>
+                  {item.name} <span className="inventory-qty">×{item.quantity}</span>
+                </strong>
+                <span className="muted">{describeItemEffect(item)}</span>
+                <span className="muted">{describeItemExpiry(item, now)}</span>
+              </div>
+              {item.effect === 'quest_reroll' ? (
+                <NavLink to="/quests" className="quest-complete-btn">Use on a quest</NavLink>
+              ) : (
+                <button
+                  type="button"
+                  className="quest-complete-btn"
+                  onClick={() => onUseItem(item)}
+                  disabled={usingSlug === item.slug}
+                >
+                  {usingSlug === item.slug ? 'Using...' : 'Use'}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </HudPanel>
+
+      <HudPanel title="Drop Sources">
+        {drops.length === 0 ? <p className="muted">No drop table loaded.</p> : null}
+        <ul className="clean-list">
+          {drops.map((drop) => (
+            <li key={drop.id} className="history-item">
+              <strong>{describeDropSource(drop)}</strong>
+              <span className="muted">
+                {drop.item?.icon} {drop.item?.name} ×{drop.quantity}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </HudPanel>
     </section>
   )
 }
 
+function LeaderboardIdentity({ row }) {
+  const equipped = row.equipped || {}
+  return (
+    <span className={cx('leaderboard-identity', frameClass(equipped))}>
+      {equipped.avatar?.icon ? <span className="hunter-avatar">{equipped.avatar.icon}</span> : null}
+      {safeDisplayName(row)}
+      {row.equipped_title ? <span className="leaderboard-title">« {row.equipped_title.name} »</span> : null}
+    </span>
+  )
+}
+
 function LeaderboardPage() {
-  const { profile } = useApp()
+  const { profile, progression } = useApp()
   const [groups, setGroups] = useState([])
   const [allGroups, setAllGroups] = useState([])
   const [selectedGroupId, setSelectedGroupId] = useState('')
@@ -3747,7 +5892,9 @@ function LeaderboardPage() {
       return
     }
 
-    const hydrated = await hydrateRowsWithProfileNames(boardRes.data || [])
+    const hydrated = await hydrateRowsWithTitles(
+      await hydrateRowsWithCosmetics(await hydrateRowsWithProfileNames(boardRes.data || [])),
+    )
     setBoard(hydrated)
   }
 
@@ -3765,20 +5912,12 @@ function LeaderboardPage() {
   }
 
   const loadGlobalBoard = async () => {
-    let res = await supabase
+    const res = await supabase
       .from('profiles')
-      .select('id, username, display_name, total_xp')
-      .order('total_xp', { ascending: false })
+      .select('id, username, display_name, xp_total')
+      .order('xp_total', { ascending: false })
       .limit(25)
 
-    if (res.error && String(res.error.message || '').toLowerCase().includes('total_xp')) {
-      res = await supabase
-        .from('profiles')
-        .select('id, username, display_name, xp_total')
-        .order('xp_total', { ascending: false })
-        .limit(25)
-    }
-
     if (res.error) {
       setError((prev) => prev || res.error.message)
       return
@@ -3787,9 +5926,9 @@ function LeaderboardPage() {
     const normalized = (res.data || []).map((row) => ({
       user_id: row.id,
       username: row.display_name || row.username,
-      xp_total: Number(row.total_xp ?? row.xp_total ?? 0),
+      xp_total: getProfileXp(row),
     }))
-    const hydrated = await hydrateRowsWithProfileNames(normalized)
+    const hydrated = await hydrateRowsWithTitles(await hydrateRowsWithCosmetics(await hydrateRowsWithProfileNames(normalized)))
     setGlobalBoard(hydrated)
   }
 
@@ -3936,8 +6075,10 @@ function LeaderboardPage() {
         <ul className="clean-list">
           {board.map((row) => (
             <li key={row.user_id} className="history-item leaderboard-v4-row">
-              <strong>{safeDisplayName(row)}</strong>
-              <span>{row.xp_total ?? row.xp ?? 0} XP</span>
+              <strong>
+                <RankBadge rankInfo={getRankTier(row.rank_tier, progression.rankTiers)} /> <LeaderboardIdentity row={row} />
+              </strong>
+              <span>{row.level ? `LV.${row.level} • ` : ''}{row.xp_total ?? row.xp ?? 0} XP</span>
             </li>
           ))}
         </ul>
@@ -3952,8 +6093,10 @@ function LeaderboardPage() {
         <ul className="clean-list">
           {globalBoard.map((row, index) => (
             <li key={row.user_id} className="history-item leaderboard-v4-row">
-              <strong>#{index + 1} {safeDisplayName(row)}</strong>
-              <span>{row.xp_total ?? 0} XP</span>
+              <strong>
+                #{index + 1} <RankBadge rankInfo={getRankInfo(row.xp_total, progression.rankTiers)} /> <LeaderboardIdentity row={row} />
+              </strong>
+              <span>LV.{levelFromXp(row.xp_total, progression.curve)} • {row.xp_total ?? 0} XP</span>
             </li>
           ))}
         </ul>
@@ -3979,7 +6122,7 @@ function AIPage() {
 }
 
 function AppShell({ onSignOut, onProfileRefresh, statPulse, onClearXpPulse, onXpGain, weeklyXP }) {
-  const { pathConfig, profile } = useApp()
+  const { pathConfig, profile, cosmetics } = useApp()
   const iosSafariInstallable = useMemo(() => {
     if (typeof window === 'undefined') return false
     const ua = window.navigator.userAgent.toLowerCase()
@@ -4037,7 +6180,10 @@ function AppShell({ onSignOut, onProfileRefresh, statPulse, onClearXpPulse, onXp
   return (
     <div className="sl-hud">
       <div className="scanlines" />
-      <div className="app" style={{ '--path-accent': pathConfig.accent, '--path-accent-soft': pathConfig.accentSoft }}>
+      <div
+        className={cx('app', hudThemeClass(cosmetics.equipped))}
+        style={{ '--path-accent': pathConfig.accent, '--path-accent-soft': pathConfig.accentSoft }}
+      >
         <header className="topbar">
           <div className="logo-group">
             <div className="logo">ZBXP</div>
@@ -4089,6 +6235,9 @@ function AppShell({ onSignOut, onProfileRefresh, statPulse, onClearXpPulse, onXp
           <NavLink to="/stats" className={({ isActive }) => cx('nav-btn', isActive && 'active')}>
             Stats
           </NavLink>
+          <NavLink to="/inventory" className={({ isActive }) => cx('nav-btn', isActive && 'active')}>
+            Inventory
+          </NavLink>
           <NavLink to="/leaderboard" className={({ isActive }) => cx('nav-btn', isActive && 'active')}>
             Ranks
           </NavLink>
@@ -4109,7 +6258,8 @@ function AppShell({ onSignOut, onProfileRefresh, statPulse, onClearXpPulse, onXp
             <Route path="/skills" element={<SkillTreePage />} />
             <Route path="/guild" element={<GuildPage />} />
             <Route path="/gym" element={<GymPage onProfileRefresh={onProfileRefresh} onXpGain={onXpGain} />} />
-            <Route path="/stats" element={<StatsPage />} />
+            <Route path="/stats" element={<StatsPage onProfileRefresh={onProfileRefresh} />} />
+            <Route path="/inventory" element={<InventoryPage onProfileRefresh={onProfileRefresh} />} />
             <Route path="/leaderboard" element={<LeaderboardPage />} />
             <Route path="/tools" element={<ToolsPage />} />
             <Route path="/ai" element={<AIPage />} />
@@ -4130,6 +6280,12 @@ function App() {
   const [profilePendingSince, setProfilePendingSince] = useState(0)
   const [xpPulse, setXpPulse] = useState(0)
   const perksState = usePerks(session?.user?.id || null)
+  const progression = useProgression(session?.user?.id || null)
+  const cosmetics = useCosmetics(session?.user?.id || null, getProfileXp(profile))
+  const titles = useTitles(session?.user?.id || null, getProfileXp(profile))
+  const achievements = useAchievements(session?.user?.id || null, getProfileXp(profile))
+  const inventory = useInventory(session?.user?.id || null, getProfileXp(profile))
+  const onboarding = useOnboarding(profile?.path ? session?.user?.id || null : null)
 
   const fetchProfile = async (user) => {
     const attempts = [
@@ -4147,7 +6303,7 @@ function App() {
         const normalizedProfile = {
           ...nextProfile,
           username: safeDisplayName(nextProfile, user.id),
-          total_xp: Number(nextProfile?.total_xp ?? nextProfile?.xp_total ?? 0),
+          total_xp: getProfileXp(nextProfile),
           current_streak: Number(nextProfile?.current_streak ?? 0),
           longest_streak: Number(nextProfile?.longest_streak ?? 0),
         }
@@ -4175,7 +6331,7 @@ function App() {
         const normalizedProfile = {
           ...fallbackProfile.data,
           username: safeDisplayName(fallbackProfile.data, user.id),
-          total_xp: Number(fallbackProfile.data?.total_xp ?? fallbackProfile.data?.xp_total ?? 0),
+          total_xp: getProfileXp(fallbackProfile.data),
           current_streak: Number(fallbackProfile.data?.current_streak ?? 0),
           longest_streak: Number(fallbackProfile.data?.longest_streak ?? 0),
         }
@@ -4368,6 +6524,16 @@ function App() {
     }
   }, [isBooting, session, profile, profileError, profilePendingSince])
 
+  // First load after the time zone migration: adopt the browser's zone once.
+  // undefined means the column isn't there yet; null means never set.
+  useEffect(() => {
+    if (!supabase || !profile?.id || profile.timezone !== null) return
+    supabase.rpc('set_time_zone', { p_time_zone: detectTimeZone() }).then(({ data, error }) => {
+      if (error || !data) return
+      setProfile((prev) => (prev ? { ...prev, timezone: data } : prev))
+    })
+  }, [profile?.id, profile?.timezone])
+
   const handleSignOut = async () => {
     if (!supabase) return
     await supabase.auth.signOut()
@@ -4445,10 +6611,35 @@ function App() {
     return <PathSelectScreen profile={profile} onSaved={refreshProfile} />
   }
 
+  if (!onboarding.isLoaded) {
+    return (
+      <main className="auth-shell">
+        <div className="panel auth-panel">
+          <p>Loading...</p>
+        </div>
+      </main>
+    )
+  }
+
+  if (isOnboardingPending(onboarding.state)) {
+    return (
+      <OnboardingScreen
+        profile={profile}
+        onboarding={onboarding}
+        onFinished={async (awardedXp) => {
+          if (awardedXp > 0) pushXpGain(awardedXp)
+          await refreshProfile()
+        }}
+      />
+    )
+  }
+
   const pathConfig = PATH_CONFIG[profile.path] || PATH_CONFIG.HUNTER
 
   return (
-    <AppContext.Provider value={{ session, profile, pathConfig, perksState }}>
+    <AppContext.Provider
+      value={{ session, profile, pathConfig, perksState, progression, cosmetics, titles, achievements, onboarding, inventory }}
+    >
       <AppShell
         onSignOut={handleSignOut}
         onProfileRefresh={refreshProfile}
@@ -12,6 +12,8 @@ export const PATH_CONFIG = {
       'Forge ruthless consistency: every quest is a trial, every stat is forged through repetition and discipline.',
     questBoardTitle: 'Cultivation Quest Board',
     questBoardFlavor: 'Take only what you can complete. Precision is stronger than chaos.',
+    questlineTitle: 'Cultivation Arcs',
+    questlineFlavor: 'Each realm must be stabilized before the next one opens.',
     gymTitle: 'Body Tempering Hall',
     gymFlavor: 'Refine the vessel. Repeatable physical discipline compounds with mental focus.',
     accent: '#ff7c68',
@@ -28,6 +30,8 @@ export const PATH_CONFIG = {
       'Stack clean reps, clear dungeons, and push rank. Team strategy and execution unlock faster progression.',
     questBoardTitle: 'Guild Quest Board',
     questBoardFlavor: 'Pick high-leverage quests, run them cleanly, and climb the leaderboard.',
+    questlineTitle: 'Dungeon Arcs',
+    questlineFlavor: 'Clear each floor in order. The boss room only opens for hunters who finished the climb.',
     gymTitle: 'Training Grounds',
     gymFlavor: 'Physical readiness boosts mission performance. Stay consistent and keep your streak alive.',
     accent: '#6db6ff',
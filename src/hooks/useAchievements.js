@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabaseClient'
+
+// xpTotal is a reload trigger: achievements are evaluated server-side
+// whenever XP, workouts or quest completions land.
+export function useAchievements(userId, xpTotal) {
+  const [achievements, setAchievements] = useState([])
+  const [error, setError] = useState(null)
+  const [version, setVersion] = useState(0)
+
+  useEffect(() => {
+    let isActive = true
+
+    const loadAchievements = async () => {
+      if (!supabase || !userId) return
+
+      const { data, error: rpcError } = await supabase.rpc('get_achievements')
+      if (!isActive) return
+
+      // Missing RPC (pre-migration) keeps an empty list.
+      setAchievements(rpcError ? [] : data || [])
+      setError(rpcError || null)
+    }
+
+    loadAchievements()
+
+    return () => {
+      isActive = false
+    }
+  }, [userId, xpTotal, version])
+
+  const reload = useCallback(() => setVersion((prev) => prev + 1), [])
+
+  return {
+    achievements,
+    earnedCount: achievements.filter((achievement) => achievement.earned).length,
+    error,
+    reload,
+  }
+}
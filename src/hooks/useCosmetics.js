@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabaseClient'
+import { indexEquipped } from '../lib/cosmetics'
+
+// xpTotal is a reload trigger: new levels/ranks can unlock items server-side.
+export function useCosmetics(userId, xpTotal) {
+  const [items, setItems] = useState([])
+  const [error, setError] = useState(null)
+  const [version, setVersion] = useState(0)
+
+  useEffect(() => {
+    let isActive = true
+
+    const loadCosmetics = async () => {
+      if (!supabase || !userId) return
+
+      const { data, error: rpcError } = await supabase.rpc('get_cosmetics')
+      if (!isActive) return
+
+      // Missing RPC (pre-migration) keeps an empty catalog.
+      setItems(rpcError ? [] : data || [])
+      setError(rpcError || null)
+    }
+
+    loadCosmetics()
+
+    return () => {
+      isActive = false
+    }
+  }, [userId, xpTotal, version])
+
+  const reload = useCallback(() => setVersion((prev) => prev + 1), [])
+
+  const equip = useCallback(
+    async (cosmeticId) => {
+      const { error: rpcError } = await supabase.rpc('equip_cosmetic', { p_cosmetic_id: cosmeticId })
+      if (!rpcError) reload()
+      return rpcError
+    },
+    [reload],
+  )
+
+  const unequip = useCallback(
+    async (kind) => {
+      const { error: rpcError } = await supabase.rpc('unequip_cosmetic', { p_kind: kind })
+      if (!rpcError) reload()
+      return rpcError
+    },
+    [reload],
+  )
+
+  return {
+    items,
+    equipped: indexEquipped(items.filter((item) => item.equipped)),
+    error,
+    reload,
+    equip,
+    unequip,
+  }
+}
@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabaseClient'
+
+// xpTotal is a reload trigger: boss, achievement and login drops are
+// granted server-side alongside XP.
+export function useInventory(userId, xpTotal) {
+  const [items, setItems] = useState([])
+  const [effects, setEffects] = useState([])
+  const [error, setError] = useState(null)
+  const [version, setVersion] = useState(0)
+
+  useEffect(() => {
+    let isActive = true
+
+    const loadInventory = async () => {
+      if (!supabase || !userId) return
+
+      const [inventoryRes, effectsRes] = await Promise.all([
+        supabase.rpc('get_inventory'),
+        supabase.rpc('get_item_effects'),
+      ])
+      if (!isActive) return
+
+      // Missing RPCs (pre-migration) keep empty lists.
+      setItems(inventoryRes.error ? [] : inventoryRes.data || [])
+      setEffects(effectsRes.error ? [] : effectsRes.data || [])
+      setError(inventoryRes.error || effectsRes.error || null)
+    }
+
+    loadInventory()
+
+    return () => {
+      isActive = false
+    }
+  }, [userId, xpTotal, version])
+
+  const reload = useCallback(() => setVersion((prev) => prev + 1), [])
+
+  // targetId is the active quest to replace for quest rerolls.
+  const consume = useCallback(
+    async (slug, targetId = null) => {
+      const { data, error: rpcError } = await supabase.rpc('use_item', {
+        p_item_slug: slug,
+        p_target_id: targetId,
+      })
+      if (!rpcError) reload()
+      return { result: (Array.isArray(data) ? data[0] : data) || null, error: rpcError }
+    },
+    [reload],
+  )
+
+  return {
+    items,
+    effects,
+    totalCount: items.reduce((sum, item) => sum + Number(item.quantity || 0), 0),
+    error,
+    reload,
+    consume,
+  }
+}
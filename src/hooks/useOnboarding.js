@@ -0,0 +1,56 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabaseClient'
+
+export function useOnboarding(userId) {
+  const [state, setState] = useState(null)
+  const [isLoaded, setIsLoaded] = useState(false)
+  const [version, setVersion] = useState(0)
+
+  useEffect(() => {
+    let isActive = true
+
+    const loadOnboarding = async () => {
+      if (!supabase || !userId) return
+
+      const { data, error: rpcError } = await supabase.rpc('get_onboarding')
+      if (!isActive) return
+
+      // Missing RPC (pre-migration) leaves state null so the flow is skipped.
+      setState(rpcError ? null : (Array.isArray(data) ? data[0] : data) || null)
+      setIsLoaded(true)
+    }
+
+    loadOnboarding()
+
+    return () => {
+      isActive = false
+    }
+  }, [userId, version])
+
+  const reload = useCallback(() => setVersion((prev) => prev + 1), [])
+
+  const saveStep = useCallback(
+    async (step, payload = {}) => {
+      const { error: rpcError } = await supabase.rpc('save_onboarding_step', { p_step: step, p_payload: payload })
+      if (!rpcError) reload()
+      return rpcError
+    },
+    [reload],
+  )
+
+  const complete = useCallback(async () => {
+    const { data, error: rpcError } = await supabase.rpc('complete_onboarding')
+    if (rpcError) return { awardedXp: 0, error: rpcError }
+    const result = Array.isArray(data) ? data[0] : data
+    reload()
+    return { awardedXp: Number(result?.awarded_xp || 0), error: null }
+  }, [reload])
+
+  return {
+    state,
+    isLoaded,
+    reload,
+    saveStep,
+    complete,
+  }
+}
@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react'
+import { supabase } from '../lib/supabaseClient'
+import { DEFAULT_LEVEL_CURVE, normalizeLevelCurve, normalizeRankTiers } from '../lib/progression'
+
+const DEFAULT_RANK_TIERS = normalizeRankTiers([])
+
+export function useProgression(userId) {
+  const [curve, setCurve] = useState(DEFAULT_LEVEL_CURVE)
+  const [rankTiers, setRankTiers] = useState(DEFAULT_RANK_TIERS)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let isActive = true
+
+    const loadProgression = async () => {
+      if (!supabase || !userId) return
+
+      const [curveRes, tiersRes] = await Promise.all([
+        supabase.from('level_curve').select('base_xp, exponent').maybeSingle(),
+        supabase.from('rank_tiers').select('rank, min_xp, label, color_class, active_quest_slots').order('min_xp', { ascending: true }),
+      ])
+
+      if (!isActive) return
+
+      // Missing tables (pre-migration) keep the bundled defaults.
+      if (!curveRes.error && curveRes.data) {
+        setCurve(normalizeLevelCurve(curveRes.data))
+      }
+      if (!tiersRes.error && tiersRes.data?.length) {
+        setRankTiers(normalizeRankTiers(tiersRes.data))
+      }
+      setError(curveRes.error || tiersRes.error || null)
+    }
+
+    loadProgression()
+
+    return () => {
+      isActive = false
+    }
+  }, [userId])
+
+  return { curve, rankTiers, error }
+}
@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabaseClient'
+
+// xpTotal is a reload trigger: level/rank titles are granted server-side.
+export function useTitles(userId, xpTotal) {
+  const [titles, setTitles] = useState([])
+  const [error, setError] = useState(null)
+  const [version, setVersion] = useState(0)
+
+  useEffect(() => {
+    let isActive = true
+
+    const loadTitles = async () => {
+      if (!supabase || !userId) return
+
+      const { data, error: rpcError } = await supabase.rpc('get_titles')
+      if (!isActive) return
+
+      // Missing RPC (pre-migration) keeps an empty list.
+      setTitles(rpcError ? [] : data || [])
+      setError(rpcError || null)
+    }
+
+    loadTitles()
+
+    return () => {
+      isActive = false
+    }
+  }, [userId, xpTotal, version])
+
+  const reload = useCallback(() => setVersion((prev) => prev + 1), [])
+
+  // titleId null unequips.
+  const equip = useCallback(
+    async (titleId) => {
+      const { error: rpcError } = await supabase.rpc('equip_title', { p_title_id: titleId })
+      if (!rpcError) reload()
+      return rpcError
+    },
+    [reload],
+  )
+
+  return {
+    titles,
+    equipped: titles.find((title) => title.equipped) || null,
+    error,
+    reload,
+    equip,
+  }
+}
@@ -0,0 +1,42 @@
+// Achievement badge helpers. Definitions, evaluation and backfill live in
+// supabase/migrations/20260316_achievements.sql.
+
+export const ACHIEVEMENT_METRIC_LABELS = {
+  workouts: 'workouts',
+  streak: 'day streak',
+  quests: 'quests',
+  category_quests: 'quests',
+  level: 'level',
+  boss_kills: 'boss kills',
+}
+
+export function achievementPercent(achievement) {
+  if (achievement?.earned) return 100
+  const target = Math.max(1, Number(achievement?.target || 1))
+  const progress = Math.max(0, Number(achievement?.progress || 0))
+  return Math.min(100, Math.round((progress / target) * 100))
+}
+
+export function describeAchievementProgress(achievement) {
+  if (achievement?.earned) {
+    return achievement.earned_at ? `Earned ${new Date(achievement.earned_at).toLocaleDateString()}` : 'Earned'
+  }
+  const label = ACHIEVEMENT_METRIC_LABELS[achievement?.metric] || ''
+  return `${Number(achievement?.progress || 0)}/${achievement?.target} ${label}`.trim()
+}
+
+// Earned badges newest first, for the compact HUD strip.
+export function recentAchievements(achievements, limit = 6) {
+  return (achievements || [])
+    .filter((achievement) => achievement.earned)
+    .sort((a, b) => new Date(b.earned_at || 0) - new Date(a.earned_at || 0))
+    .slice(0, limit)
+}
+
+// Locked badges closest to completion first.
+export function nextAchievements(achievements, limit = 3) {
+  return (achievements || [])
+    .filter((achievement) => !achievement.earned)
+    .sort((a, b) => achievementPercent(b) - achievementPercent(a))
+    .slice(0, limit)
+}
@@ -0,0 +1,87 @@
+// Shared boss encounters. Spawning, damage and payouts live in
+// supabase/migrations/20260319_weekly_boss.sql (weekly) and
+// 20260320_mega_boss.sql (monthly mega-boss + contribution tiers);
+// the catalog, weaknesses and damage formula in 20260321_boss_catalog.sql;
+// guild raids in 20260322_guild_raids.sql.
+
+// Quest categories every boss is charted against (workouts count as gym).
+export const BOSS_CHART_CATEGORIES = ['gym', 'study', 'coding', 'business']
+
+export function bossHpPercent(boss) {
+  const maxHp = Math.max(1, Number(boss?.max_hp || 1))
+  const remaining = Math.max(0, maxHp - Number(boss?.damage_total || 0))
+  return Math.round((remaining / maxHp) * 100)
+}
+
+export function formatCountdown(target, now = new Date()) {
+  const totalSeconds = Math.max(0, Math.floor((new Date(target).getTime() - now.getTime()) / 1000))
+  const days = Math.floor(totalSeconds / 86400)
+  const hh = String(Math.floor((totalSeconds % 86400) / 3600)).padStart(2, '0')
+  const mm = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0')
+  const ss = String(totalSeconds % 60).padStart(2, '0')
+  return days > 0 ? `${days}d ${hh}:${mm}:${ss}` : `${hh}:${mm}:${ss}`
+}
+
+export function bossStatus(boss, now = new Date()) {
+  if (!boss) return 'missing'
+  if (boss.defeated_at) return 'defeated'
+  if (new Date(boss.ends_at).getTime() <= now.getTime()) return 'escaped'
+  return 'active'
+}
+
+// Guild raids add a 'scheduled' state: the next raid row exists before it opens.
+export function raidStatus(raid, now = new Date()) {
+  if (raid && new Date(raid.starts_at).getTime() > now.getTime()) return 'scheduled'
+  return bossStatus(raid, now)
+}
+
+// Why a raid won't count for the viewer (or won't pay anyone); '' when it will.
+export function raidRewardNote(raid) {
+  if (!raid) return ''
+  if (raid.my_hits_counted === false) {
+    return 'Your activity only hits raids of the guild you joined first that start a day or more after you joined.'
+  }
+  const eligible = Number(raid.eligible_members || 0)
+  const needed = Number(raid.min_members || 0)
+  if (eligible < needed) {
+    return `Rewards need ${needed} members who joined before this raid started (${eligible}/${needed}).`
+  }
+  return ''
+}
+
+// Mirrors boss_damage_for(): greatest(1, round(xp * multiplier)).
+export function bossDamageFor(amount, multiplier = 1) {
+  const xp = Number(amount || 0)
+  if (xp <= 0) return 0
+  return Math.max(1, Math.round(xp * Number(multiplier || 1)))
+}
+
+export function describeMultiplier(multiplier) {
+  const value = Number(multiplier || 1)
+  if (value > 1) return { label: 'WEAK', tone: 'weak' }
+  if (value < 1) return { label: 'RESIST', tone: 'resist' }
+  return { label: 'NORMAL', tone: 'normal' }
+}
+
+// Rows of { category, multiplier } -> one entry per charted category, weakest first.
+export function buildWeaknessChart(rows) {
+  const byCategory = new Map()
+  for (const row of rows || []) {
+    if (row?.category) byCategory.set(String(row.category).toLowerCase(), Number(row.multiplier || 1))
+  }
+  const categories = [...new Set([...BOSS_CHART_CATEGORIES, ...byCategory.keys()])]
+  return categories
+    .map((category) => ({ category, multiplier: byCategory.get(category) ?? 1 }))
+    .sort((a, b) => b.multiplier - a.multiplier || a.category.localeCompare(b.category))
+}
+
+// Mega-boss goal progress, capped at 100 (damage keeps counting past the goal).
+export function megaBossGoalPercent(boss) {
+  const goal = Math.max(1, Number(boss?.goal || 1))
+  return Math.min(100, Math.round((Number(boss?.damage_total || 0) / goal) * 100))
+}
+
+export function describeMegaBossTier(tier) {
+  if (!tier) return ''
+  return tier.top_percent ? `Top ${tier.top_percent}% of raiders` : 'Any damage dealt'
+}
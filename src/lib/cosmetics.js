@@ -0,0 +1,53 @@
+// Cosmetic catalog helpers. Unlock rules + equip live in
+// supabase/migrations/20260314_cosmetics.sql.
+import { supabase } from './supabaseClient'
+
+export const COSMETIC_KINDS = [
+  { kind: 'avatar', label: 'AVATARS' },
+  { kind: 'frame', label: 'FRAMES' },
+  { kind: 'hud_theme', label: 'HUD THEMES' },
+]
+
+export function describeUnlockRule(item) {
+  if (item?.unlock_type === 'level') return `LVL ${item.unlock_level}`
+  if (item?.unlock_type === 'rank') return `${item.unlock_rank}-RANK`
+  if (item?.unlock_type === 'achievement') return 'ACHIEVEMENT'
+  if (item?.unlock_type === 'reward') return 'REWARD'
+  return 'STARTER'
+}
+
+// Rows of { kind, ... } -> { avatar, frame, hud_theme }.
+export function indexEquipped(rows) {
+  const equipped = {}
+  for (const row of rows || []) {
+    if (row?.kind) equipped[row.kind] = row
+  }
+  return equipped
+}
+
+export function frameClass(equipped) {
+  const key = equipped?.frame?.style_key
+  return key ? `cosmetic-frame-${key}` : ''
+}
+
+export function hudThemeClass(equipped) {
+  const key = equipped?.hud_theme?.style_key
+  return key ? `hud-theme-${key}` : ''
+}
+
+// Adds an `equipped` map to leaderboard/member rows keyed by user_id.
+export async function hydrateRowsWithCosmetics(rows) {
+  const list = Array.isArray(rows) ? rows : []
+  const ids = [...new Set(list.map((row) => row?.user_id).filter(Boolean))]
+  if (!supabase || ids.length === 0) return list
+
+  const { data, error } = await supabase.rpc('get_equipped_cosmetics', { p_user_ids: ids })
+  if (error || !data) return list
+
+  const byUser = new Map()
+  for (const row of data) {
+    if (!byUser.has(row.user_id)) byUser.set(row.user_id, [])
+    byUser.get(row.user_id).push(row)
+  }
+  return list.map((row) => ({ ...row, equipped: indexEquipped(byUser.get(row.user_id)) }))
+}
@@ -0,0 +1,49 @@
+// Daily login bonus cycle. Mirrors claim_daily_bonus in
+// supabase/migrations/20260317_user_time_zones.sql (local days, 7-day cycle).
+
+export const DAILY_CYCLE_LENGTH = 7
+
+export const DEFAULT_DAILY_REWARDS = [
+  { cycle_day: 1, xp_reward: 10 },
+  { cycle_day: 2, xp_reward: 15 },
+  { cycle_day: 3, xp_reward: 20 },
+  { cycle_day: 4, xp_reward: 25 },
+  { cycle_day: 5, xp_reward: 30 },
+  { cycle_day: 6, xp_reward: 40 },
+  { cycle_day: 7, xp_reward: 75 },
+]
+
+export function cycleDayForStreak(streakDays) {
+  return ((Math.max(1, Number(streakDays || 1)) - 1) % DAILY_CYCLE_LENGTH) + 1
+}
+
+export function rewardForCycleDay(rewards, cycleDay) {
+  const row = (rewards || []).find((item) => Number(item.cycle_day) === Number(cycleDay))
+  return Number(row?.xp_reward ?? DEFAULT_DAILY_REWARDS[cycleDay - 1]?.xp_reward ?? 0)
+}
+
+// lastClaim: latest daily_claims row ({ claim_date, streak_days, cycle_day }) or null.
+export function getDailyBonusState(lastClaim, today) {
+  const yesterday = new Date(new Date(`${today}T00:00:00Z`).getTime() - 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10)
+  const lastDate = lastClaim?.claim_date ? String(lastClaim.claim_date).slice(0, 10) : ''
+  const lastStreak = Number(lastClaim?.streak_days || 0)
+
+  if (lastDate === today) {
+    return {
+      claimedToday: true,
+      streakDays: lastStreak,
+      cycleDay: cycleDayForStreak(lastStreak),
+      nextCycleDay: cycleDayForStreak(lastStreak + 1),
+    }
+  }
+
+  const streakDays = lastDate === yesterday ? lastStreak + 1 : 1
+  return {
+    claimedToday: false,
+    streakDays,
+    cycleDay: cycleDayForStreak(streakDays),
+    nextCycleDay: cycleDayForStreak(streakDays),
+  }
+}
@@ -0,0 +1,72 @@
+// Inventory + consumable helpers. Item definitions, drops and use_item
+// live in supabase/migrations/20260323_inventory.sql.
+import { formatCountdown } from './boss'
+
+export const ITEM_EFFECT_LABELS = {
+  xp_multiplier: 'XP BOOST',
+  streak_shield: 'STREAK SHIELD',
+  quest_reroll: 'QUEST REROLL',
+  quest_slot: 'QUEST SLOT',
+}
+
+// Where each drop source comes from, for the inventory legend.
+export const ITEM_SOURCE_LABELS = {
+  boss_defeat: 'Weekly boss kill',
+  mega_boss: 'Mega-boss payout',
+  guild_raid: 'Guild raid kill',
+  guild_raid_mvp: 'Guild raid MVP',
+  achievement: 'Achievement',
+  daily_login: 'Login streak',
+}
+
+// Mega-boss drop keys are mega_boss_tiers.tier (20260320_mega_boss.sql).
+const MEGA_BOSS_TIER_LABELS = {
+  top10: 'top 10%',
+  top50: 'top 50%',
+  participant: 'participated',
+}
+
+export function describeDropSource(drop) {
+  const label = ITEM_SOURCE_LABELS[drop?.source_type] || drop?.source_type || ''
+  if (drop?.source_type === 'daily_login' && drop.source_key) return `${label}: day ${drop.source_key}`
+  if (drop?.source_type === 'mega_boss' && drop.source_key) {
+    return `${label}: ${MEGA_BOSS_TIER_LABELS[drop.source_key] || drop.source_key}`
+  }
+  if (drop?.source_key) return `${label}: ${drop.source_key}`
+  return label
+}
+
+export function describeItemEffect(item) {
+  const value = Number(item?.effect_value || 1)
+  const hours = Number(item?.effect_hours || 0)
+  if (item?.effect === 'xp_multiplier') return `×${value} quest/workout XP for ${hours}h`
+  if (item?.effect === 'quest_slot') return `+${value} active quest slot for ${Math.round(hours / 24)}d`
+  if (item?.effect === 'streak_shield') return 'Covers yesterday for your workout streak'
+  if (item?.effect === 'quest_reroll') return 'Swap an active quest'
+  return ''
+}
+
+export function describeItemExpiry(item, now = new Date()) {
+  if (!item?.next_expires_at) return 'Never expires'
+  const count = Number(item.expiring_quantity || 0)
+  return `${count > 1 ? `${count} expire` : 'Expires'} in ${formatCountdown(item.next_expires_at, now)}`
+}
+
+export function itemQuantity(items, slug) {
+  return Number((items || []).find((item) => item.slug === slug)?.quantity || 0)
+}
+
+// Mirrors item_effect_value(): potions take the strongest, slots add up.
+export function activeXpMultiplier(effects, now = new Date()) {
+  return (effects || [])
+    .filter((effect) => effect.effect === 'xp_multiplier' && new Date(effect.expires_at).getTime() > now.getTime())
+    .reduce((best, effect) => Math.max(best, Number(effect.effect_value || 1)), 1)
+}
+
+export function bonusQuestSlots(effects, now = new Date()) {
+  return Math.floor(
+    (effects || [])
+      .filter((effect) => effect.effect === 'quest_slot' && new Date(effect.expires_at).getTime() > now.getTime())
+      .reduce((sum, effect) => sum + Number(effect.effect_value || 0), 0),
+  )
+}
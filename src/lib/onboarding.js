@@ -0,0 +1,41 @@
+// Guided onboarding after path selection. Step storage, side effects and
+// the starter reward live in supabase/migrations/20260318_onboarding.sql.
+
+export const ONBOARDING_STEPS = [
+  { key: 'focus', label: 'FOCUS' },
+  { key: 'quests', label: 'STARTER QUESTS' },
+  { key: 'workout', label: 'WORKOUT PLAN' },
+  { key: 'guild', label: 'GUILD' },
+  { key: 'reminder', label: 'REMINDER' },
+  { key: 'done', label: 'REWARD' },
+]
+
+export const STARTER_REWARD_XP = 100
+export const MAX_STARTER_QUESTS = 3
+export const DEFAULT_REMINDER_TIME = '18:00'
+
+const DIFFICULTY_ORDER = { easy: 1, medium: 2, hard: 3 }
+
+// Missing state (pre-migration) never blocks the app.
+export function isOnboardingPending(state) {
+  return Boolean(state) && !state.completed_at
+}
+
+export function onboardingStepIndex(step) {
+  const index = ONBOARDING_STEPS.findIndex((entry) => entry.key === step)
+  return index < 0 ? 0 : index
+}
+
+// Board quests in the chosen focus categories, easiest first.
+export function pickStarterQuests(quests, focusCategories, limit = 8) {
+  const focus = new Set((focusCategories || []).map((category) => String(category).toLowerCase()))
+  return (quests || [])
+    .filter((quest) => !focus.size || focus.has(String(quest.category || '').toLowerCase()))
+    .sort(
+      (a, b) =>
+        (DIFFICULTY_ORDER[String(a.difficulty || '').toLowerCase()] || 9) -
+          (DIFFICULTY_ORDER[String(b.difficulty || '').toLowerCase()] || 9) ||
+        Number(a.xp_reward || 0) - Number(b.xp_reward || 0),
+    )
+    .slice(0, limit)
+}
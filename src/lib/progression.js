@@ -0,0 +1,104 @@
+// Level curve + rank tiers. Mirrors xp_for_level / level_from_xp / rank_for_xp
+// in supabase/migrations/20260303_progression_engine.sql.
+
+export const DEFAULT_LEVEL_CURVE = {
+  baseXp: 100,
+  exponent: 1.5,
+}
+
+export const DEFAULT_RANK_TIERS = [
+  { rank: 'E', min: 0, label: 'ENTRY', colorClass: 'is-rank-e', activeQuestSlots: 3 },
+  { rank: 'D', min: 500, label: 'NOVICE', colorClass: 'is-rank-d', activeQuestSlots: 4 },
+  { rank: 'C', min: 1500, label: 'SKILLED', colorClass: 'is-rank-c', activeQuestSlots: 5 },
+  { rank: 'B', min: 5000, label: 'ELITE', colorClass: 'is-rank-b', activeQuestSlots: 6 },
+  { rank: 'A', min: 15000, label: 'VETERAN', colorClass: 'is-rank-a', activeQuestSlots: 8 },
+  { rank: 'S', min: 50000, label: 'LEGEND', colorClass: 'is-rank-s', activeQuestSlots: 10 },
+]
+
+export function normalizeLevelCurve(row) {
+  const baseXp = Number(row?.base_xp ?? row?.baseXp)
+  const exponent = Number(row?.exponent)
+  return {
+    baseXp: baseXp > 0 ? baseXp : DEFAULT_LEVEL_CURVE.baseXp,
+    exponent: exponent >= 1 ? exponent : DEFAULT_LEVEL_CURVE.exponent,
+  }
+}
+
+export function normalizeRankTiers(rows) {
+  const list = (Array.isArray(rows) ? rows : [])
+    .map((row) => ({
+      rank: String(row?.rank || '').toUpperCase(),
+      min: Number(row?.min_xp ?? row?.min ?? 0),
+      label: String(row?.label || ''),
+      colorClass: row?.color_class || row?.colorClass || 'is-rank-e',
+      activeQuestSlots: Math.max(1, Number(row?.active_quest_slots ?? row?.activeQuestSlots ?? 3)),
+    }))
+    .filter((tier) => tier.rank)
+    .sort((a, b) => a.min - b.min)
+
+  const tiers = list.length > 0 ? list : DEFAULT_RANK_TIERS
+  return tiers.map((tier, index) => ({
+    ...tier,
+    max: index < tiers.length - 1 ? tiers[index + 1].min - 1 : Number.POSITIVE_INFINITY,
+  }))
+}
+
+const DEFAULT_TIERS_WITH_MAX = normalizeRankTiers(DEFAULT_RANK_TIERS)
+
+export function xpForLevel(level, curve = DEFAULT_LEVEL_CURVE) {
+  const lvl = Math.floor(Number(level || 1))
+  if (lvl <= 1) return 0
+  // Epsilon keeps exact powers (e.g. 4 ** 1.5) from flooring one below the SQL numeric result.
+  return Math.floor(curve.baseXp * (lvl - 1) ** curve.exponent + 1e-9)
+}
+
+export function levelFromXp(totalXP, curve = DEFAULT_LEVEL_CURVE) {
+  const xp = Math.max(0, Number(totalXP || 0))
+  let level = 1
+  while (xpForLevel(level + 1, curve) <= xp) {
+    level += 1
+  }
+  return level
+}
+
+export function getLevelProgress(totalXP, curve = DEFAULT_LEVEL_CURVE) {
+  const xp = Math.max(0, Number(totalXP || 0))
+  const level = levelFromXp(xp, curve)
+  const levelStartXp = xpForLevel(level, curve)
+  const nextLevelXp = xpForLevel(level + 1, curve)
+  const span = Math.max(1, nextLevelXp - levelStartXp)
+  return {
+    level,
+    levelStartXp,
+    nextLevelXp,
+    xpIntoLevel: xp - levelStartXp,
+    xpToNext: nextLevelXp - xp,
+    percent: Math.max(0, Math.min(100, Math.floor(((xp - levelStartXp) / span) * 100))),
+  }
+}
+
+export function getRankInfo(totalXP, tiers = DEFAULT_TIERS_WITH_MAX) {
+  const xp = Math.max(0, Number(totalXP || 0))
+  return tiers.find((tier) => xp >= tier.min && xp <= tier.max) || tiers[0]
+}
+
+export function getRankTier(rank, tiers = DEFAULT_TIERS_WITH_MAX) {
+  const key = String(rank || '').toUpperCase()
+  return tiers.find((tier) => tier.rank === key) || tiers[0]
+}
+
+export function getNextRank(totalXP, tiers = DEFAULT_TIERS_WITH_MAX) {
+  const xp = Math.max(0, Number(totalXP || 0))
+  return tiers.find((tier) => tier.min > xp) || null
+}
+
+export function getActiveQuestSlots(totalXP, tiers = DEFAULT_TIERS_WITH_MAX) {
+  return getRankInfo(totalXP, tiers).activeQuestSlots
+}
+
+// First rank above the current one that grants more active quest slots.
+export function getNextSlotUnlock(totalXP, tiers = DEFAULT_TIERS_WITH_MAX) {
+  const slots = getActiveQuestSlots(totalXP, tiers)
+  const xp = Math.max(0, Number(totalXP || 0))
+  return tiers.find((tier) => tier.min > xp && tier.activeQuestSlots > slots) || null
+}
@@ -0,0 +1,38 @@
+// Shared quest completion flow (QuestsPage + dashboard Active Missions):
+// upload evidence, call complete_quest, and clean up uploads that did not
+// end up attached to a completion row.
+import { supabase } from './supabaseClient'
+import { removeEvidenceFiles, uploadEvidenceFiles, validateEvidenceFiles } from './questEvidence'
+
+export async function completeActiveQuest({ userId, activeQuestId, note = '', files = [] }) {
+  const fileError = validateEvidenceFiles(files)
+  if (fileError) throw new Error(fileError)
+
+  let attachmentPaths = []
+  try {
+    attachmentPaths = await uploadEvidenceFiles(userId, activeQuestId, files)
+  } catch (uploadError) {
+    throw new Error(`Evidence upload failed: ${uploadError.message}`)
+  }
+
+  const { data, error } = await supabase.rpc('complete_quest', {
+    p_active_quest_id: activeQuestId,
+    p_optional_note: note || null,
+    p_attachment_paths: attachmentPaths,
+  })
+  if (error) {
+    await removeEvidenceFiles(attachmentPaths)
+    throw new Error(`Quest completion failed: ${error.message}`)
+  }
+
+  const result = Array.isArray(data) ? data[0] : data
+  if (!result?.completion_id) {
+    // No completion row was written (already done this period), so the uploads are orphans.
+    await removeEvidenceFiles(attachmentPaths)
+  }
+  return {
+    awardedXp: Number(result?.awarded_xp ?? 0),
+    completionId: result?.completion_id || null,
+    result,
+  }
+}
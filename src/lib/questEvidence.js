@@ -0,0 +1,61 @@
+// Quest completion evidence stored in the private "quest-evidence" bucket.
+// Bucket + policies live in supabase/migrations/20260307_quest_evidence.sql.
+import { supabase } from './supabaseClient'
+
+export const EVIDENCE_BUCKET = 'quest-evidence'
+export const MAX_EVIDENCE_FILES = 3
+export const MAX_EVIDENCE_BYTES = 10 * 1024 * 1024
+export const EVIDENCE_ACCEPT = 'image/png,image/jpeg,image/webp,image/gif,application/pdf'
+
+const SIGNED_URL_TTL_SECONDS = 60 * 60
+
+export function validateEvidenceFiles(files) {
+  const list = Array.from(files || [])
+  if (list.length > MAX_EVIDENCE_FILES) return `Attach at most ${MAX_EVIDENCE_FILES} files.`
+  const allowed = EVIDENCE_ACCEPT.split(',')
+  for (const file of list) {
+    if (!allowed.includes(file.type)) return `${file.name}: only images or PDFs are allowed.`
+    if (file.size > MAX_EVIDENCE_BYTES) return `${file.name}: files must be 10 MB or smaller.`
+  }
+  return ''
+}
+
+export function isImagePath(path) {
+  return /\.(png|jpe?g|webp|gif)$/i.test(String(path || ''))
+}
+
+// Uploads under "<userId>/<activeQuestId>/..." (the folder RLS checks). Returns storage paths.
+export async function uploadEvidenceFiles(userId, activeQuestId, files) {
+  const paths = []
+  for (const file of Array.from(files || [])) {
+    const ext = String(file.name.split('.').pop() || 'bin').toLowerCase().replace(/[^a-z0-9]/g, '')
+    const path = `${userId}/${activeQuestId}/${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${ext}`
+    const { error } = await supabase.storage.from(EVIDENCE_BUCKET).upload(path, file, {
+      contentType: file.type,
+      upsert: false,
+    })
+    if (error) {
+      await removeEvidenceFiles(paths)
+      throw error
+    }
+    paths.push(path)
+  }
+  return paths
+}
+
+export async function removeEvidenceFiles(paths) {
+  if (!paths?.length) return
+  await supabase.storage.from(EVIDENCE_BUCKET).remove(paths)
+}
+
+// Returns { [path]: signedUrl }; unreadable paths are left out.
+export async function signEvidencePaths(paths) {
+  const unique = [...new Set((paths || []).filter(Boolean))]
+  if (unique.length === 0) return {}
+  const { data, error } = await supabase.storage.from(EVIDENCE_BUCKET).createSignedUrls(unique, SIGNED_URL_TTL_SECONDS)
+  if (error || !data) return {}
+  return data.reduce((acc, row) => {
+    if (row.signedUrl && !row.error) acc[row.path] = row.signedUrl
+    return acc
+  }, {})
+}
@@ -0,0 +1,86 @@
+// Quest board search / filter / sort. Pure helpers used by QuestsPage.
+import { getRecurrence } from './questRecurrence'
+
+// Core categories keep their familiar order; anything else follows alphabetically.
+export const CORE_QUEST_CATEGORIES = ['study', 'coding', 'gym', 'business']
+
+const DIFFICULTY_ORDER = { easy: 1, medium: 2, hard: 3 }
+
+export const QUEST_SORTS = [
+  { key: 'xp_asc', label: 'XP ↑' },
+  { key: 'xp_desc', label: 'XP ↓' },
+  { key: 'title', label: 'A → Z' },
+  { key: 'difficulty', label: 'Difficulty' },
+  { key: 'newest', label: 'Newest' },
+]
+
+export const DEFAULT_QUEST_FILTERS = {
+  search: '',
+  category: 'all',
+  difficulty: 'all',
+  recurrence: 'all',
+  minXp: '',
+  maxXp: '',
+  favoritesOnly: false,
+  sort: 'xp_asc',
+}
+
+function categoryKey(quest) {
+  return String(quest?.category || 'other').toLowerCase()
+}
+
+function difficultyKey(quest) {
+  return String(quest?.difficulty || '').toLowerCase()
+}
+
+export function getCategoryOrder(quests) {
+  const seen = new Set((quests || []).map(categoryKey))
+  const extras = [...seen].filter((key) => !CORE_QUEST_CATEGORIES.includes(key)).sort()
+  return [...CORE_QUEST_CATEGORIES.filter((key) => seen.has(key)), ...extras]
+}
+
+export function getDifficultyOptions(quests) {
+  const seen = [...new Set((quests || []).map(difficultyKey).filter(Boolean))]
+  return seen.sort((a, b) => (DIFFICULTY_ORDER[a] || 99) - (DIFFICULTY_ORDER[b] || 99) || a.localeCompare(b))
+}
+
+export function filterQuests(quests, filters, favoriteIds = new Set()) {
+  const search = String(filters.search || '').trim().toLowerCase()
+  const minXp = filters.minXp === '' ? null : Number(filters.minXp)
+  const maxXp = filters.maxXp === '' ? null : Number(filters.maxXp)
+
+  return (quests || []).filter((quest) => {
+    if (filters.favoritesOnly && !favoriteIds.has(quest.id)) return false
+    if (filters.category !== 'all' && categoryKey(quest) !== filters.category) return false
+    if (filters.difficulty !== 'all' && difficultyKey(quest) !== filters.difficulty) return false
+    if (filters.recurrence !== 'all' && getRecurrence(quest) !== filters.recurrence) return false
+
+    const xp = Number(quest.xp_reward || 0)
+    if (minXp !== null && Number.isFinite(minXp) && xp < minXp) return false
+    if (maxXp !== null && Number.isFinite(maxXp) && xp > maxXp) return false
+
+    if (!search) return true
+    const haystack = [quest.title, quest.description, quest.flavor_text, quest.category]
+      .map((value) => String(value || '').toLowerCase())
+      .join(' ')
+    return haystack.includes(search)
+  })
+}
+
+export function sortQuests(quests, sortKey) {
+  const list = [...(quests || [])]
+  const byTitle = (a, b) => String(a.title || '').localeCompare(String(b.title || ''))
+  const byXp = (a, b) => Number(a.xp_reward || 0) - Number(b.xp_reward || 0)
+
+  if (sortKey === 'xp_desc') return list.sort((a, b) => byXp(b, a) || byTitle(a, b))
+  if (sortKey === 'title') return list.sort(byTitle)
+  if (sortKey === 'difficulty') {
+    return list.sort(
+      (a, b) => (DIFFICULTY_ORDER[difficultyKey(a)] || 99) - (DIFFICULTY_ORDER[difficultyKey(b)] || 99) || byXp(a, b),
+    )
+  }
+  if (sortKey === 'newest') {
+    return list.sort((a, b) => new Date(b.created_at || 0).getTime() - new Date(a.created_at || 0).getTime())
+  }
+  return list.sort((a, b) => byXp(a, b) || byTitle(a, b))
+}
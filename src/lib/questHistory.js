@@ -0,0 +1,83 @@
+// Quest history export + heatmap helpers. Days are the player's local
+// days, matching get_quest_history / get_quest_heatmap in
+// 20260328_local_quest_windows.sql.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const HISTORY_EXPORT_FIELDS = [
+  'completed_at',
+  'quest_title',
+  'category',
+  'difficulty',
+  'awarded_xp',
+  'bonus_xp',
+  'verification_status',
+  'note',
+]
+
+export function isoDay(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+export function shiftIsoDay(day, days) {
+  return isoDay(new Date(new Date(`${day}T00:00:00Z`).getTime() + days * DAY_MS))
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function historyToCsv(rows) {
+  const lines = [HISTORY_EXPORT_FIELDS.join(',')]
+  for (const row of rows) {
+    lines.push(HISTORY_EXPORT_FIELDS.map((field) => csvCell(row[field])).join(','))
+  }
+  return lines.join('\n')
+}
+
+export function historyToJson(rows) {
+  return JSON.stringify(
+    rows.map((row) => Object.fromEntries(HISTORY_EXPORT_FIELDS.map((field) => [field, row[field] ?? null]))),
+    null,
+    2,
+  )
+}
+
+export function downloadTextFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+// Columns of 7 cells (Mon..Sun) covering the range; days outside it are null.
+export function buildHeatmapWeeks(days, from, to) {
+  const byDay = new Map((days || []).map((row) => [String(row.day).slice(0, 10), row]))
+  const start = new Date(`${from}T00:00:00Z`)
+  const end = new Date(`${to}T00:00:00Z`)
+  const gridStart = new Date(start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS)
+  const weeks = []
+
+  for (let cursor = gridStart; cursor <= end; ) {
+    const week = []
+    for (let i = 0; i < 7; i += 1) {
+      const key = isoDay(cursor)
+      week.push(cursor < start || cursor > end ? null : { day: key, completions: 0, xp: 0, ...byDay.get(key) })
+      cursor = new Date(cursor.getTime() + DAY_MS)
+    }
+    weeks.push(week)
+  }
+  return weeks
+}
+
+export function heatLevel(completions, maxCompletions) {
+  if (!completions) return 0
+  if (maxCompletions <= 1) return 4
+  return Math.min(4, Math.ceil((completions / maxCompletions) * 4))
+}
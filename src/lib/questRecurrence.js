@@ -0,0 +1,82 @@
+// Quest recurrence windows. Mirrors quest_period_key / complete_quest in
+// supabase/migrations/20260328_local_quest_windows.sql (local days, Monday weeks).
+import {
+  addDaysIso,
+  DEFAULT_TIME_ZONE,
+  isoDateInTimeZone,
+  nextWeekResetInTimeZone,
+  startOfWeekInTimeZone,
+  zonedMidnight,
+} from './timeZone'
+
+export const RECURRENCE_LABELS = {
+  once: 'ONE-TIME',
+  daily: 'DAILY',
+  weekdays: 'WEEKDAYS',
+  weekly: 'WEEKLY',
+  n_per_week: 'PER WEEK',
+}
+
+export function getRecurrence(quest) {
+  const key = String(quest?.recurrence || 'once').toLowerCase()
+  return RECURRENCE_LABELS[key] ? key : 'once'
+}
+
+export function getRecurrenceLabel(quest) {
+  const recurrence = getRecurrence(quest)
+  if (recurrence === 'n_per_week') return `${getPeriodLimit(quest)}× ${RECURRENCE_LABELS.n_per_week}`
+  return RECURRENCE_LABELS[recurrence]
+}
+
+export function getPeriodLimit(quest) {
+  if (getRecurrence(quest) !== 'n_per_week') return 1
+  return Math.max(1, Number(quest?.recurrence_count || 1))
+}
+
+function isWeekendIso(isoDate) {
+  const day = new Date(`${isoDate}T00:00:00Z`).getUTCDay()
+  return day === 0 || day === 6
+}
+
+// Start of the window the quest is currently counted in, or null for one-time quests.
+export function getPeriodStart(quest, now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const recurrence = getRecurrence(quest)
+  if (recurrence === 'daily' || recurrence === 'weekdays') return zonedMidnight(isoDateInTimeZone(now, timeZone), timeZone)
+  if (recurrence === 'weekly' || recurrence === 'n_per_week') return startOfWeekInTimeZone(now, timeZone)
+  return null
+}
+
+export function getNextReset(quest, now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const recurrence = getRecurrence(quest)
+  const today = isoDateInTimeZone(now, timeZone)
+  if (recurrence === 'daily') return zonedMidnight(addDaysIso(today, 1), timeZone)
+  if (recurrence === 'weekdays') {
+    let next = addDaysIso(today, 1)
+    while (isWeekendIso(next)) next = addDaysIso(next, 1)
+    return zonedMidnight(next, timeZone)
+  }
+  if (recurrence === 'weekly' || recurrence === 'n_per_week') return nextWeekResetInTimeZone(now, timeZone)
+  return null
+}
+
+export function isQuestOpenNow(quest, now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  return !(getRecurrence(quest) === 'weekdays' && isWeekendIso(isoDateInTimeZone(now, timeZone)))
+}
+
+export function countPeriodCompletions(quest, completions, now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const start = getPeriodStart(quest, now, timeZone)
+  const list = Array.isArray(completions) ? completions : []
+  if (!start) return list.length
+  return list.filter((row) => new Date(row.completed_at).getTime() >= start.getTime()).length
+}
+
+export function formatTimeUntil(target, now = new Date()) {
+  if (!target) return ''
+  const totalMinutes = Math.max(0, Math.ceil((target.getTime() - now.getTime()) / 60000))
+  const days = Math.floor(totalMinutes / 1440)
+  const hours = Math.floor((totalMinutes % 1440) / 60)
+  const minutes = totalMinutes % 60
+  if (days > 0) return `${days}d ${hours}h`
+  if (hours > 0) return `${hours}h ${minutes}m`
+  return `${minutes}m`
+}
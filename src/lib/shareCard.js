@@ -0,0 +1,115 @@
+// Renders the dashboard share card to a PNG (Canvas 2D, no DOM capture)
+// and hands it to the Web Share API or a download.
+
+export const SHARE_CARD_WIDTH = 1200
+export const SHARE_CARD_HEIGHT = 630
+
+export const SHARE_CARD_STATS = [
+  { key: 'xp', label: 'TOTAL XP' },
+  { key: 'streak', label: 'DAY STREAK' },
+  { key: 'level', label: 'LEVEL' },
+]
+
+const HIDDEN_VALUE = '•••'
+
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode share card.'))), 'image/png')
+  })
+}
+
+// card: { pathTitle, worldLabel, rank, rankColor, accent, title, avatar, stats: { xp, streak, level } }
+// hiddenStats: Set of SHARE_CARD_STATS keys to mask.
+export async function renderShareCard(card, hiddenStats = new Set()) {
+  if (typeof document === 'undefined') throw new Error('Share cards need a browser.')
+  // Web fonts only paint on canvas once loaded.
+  await document.fonts?.ready
+
+  const canvas = document.createElement('canvas')
+  canvas.width = SHARE_CARD_WIDTH
+  canvas.height = SHARE_CARD_HEIGHT
+  const ctx = canvas.getContext('2d')
+  const accent = card.accent || '#00c8ff'
+
+  const bg = ctx.createLinearGradient(0, 0, SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT)
+  bg.addColorStop(0, '#050a18')
+  bg.addColorStop(1, '#0d1c35')
+  ctx.fillStyle = bg
+  ctx.fillRect(0, 0, SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT)
+
+  ctx.strokeStyle = accent
+  ctx.lineWidth = 4
+  ctx.strokeRect(24, 24, SHARE_CARD_WIDTH - 48, SHARE_CARD_HEIGHT - 48)
+  ctx.fillStyle = accent
+  ctx.fillRect(24, 24, 12, SHARE_CARD_HEIGHT - 48)
+
+  ctx.textBaseline = 'alphabetic'
+  ctx.fillStyle = '#e2e8f0'
+  ctx.font = "700 64px Orbitron, 'Rajdhani', sans-serif"
+  ctx.fillText(`${card.avatar ? `${card.avatar} ` : ''}${card.pathTitle}`, 80, 140)
+
+  ctx.fillStyle = '#94a3b8'
+  ctx.font = "28px 'Share Tech Mono', monospace"
+  ctx.fillText(`// ${card.worldLabel} - ${card.rank} RANK`, 80, 190)
+
+  if (card.title) {
+    ctx.fillStyle = '#f59e0b'
+    ctx.font = "30px 'Share Tech Mono', monospace"
+    ctx.fillText(`« ${card.title} »`, 80, 240)
+  }
+
+  ctx.textAlign = 'right'
+  ctx.fillStyle = card.rankColor || accent
+  ctx.shadowColor = card.rankColor || accent
+  ctx.shadowBlur = 30
+  ctx.font = "900 200px Orbitron, 'Black Han Sans', sans-serif"
+  ctx.fillText(card.rank, SHARE_CARD_WIDTH - 80, 260)
+  ctx.shadowBlur = 0
+  ctx.textAlign = 'left'
+
+  const columnWidth = (SHARE_CARD_WIDTH - 160) / SHARE_CARD_STATS.length
+  SHARE_CARD_STATS.forEach((stat, index) => {
+    const x = 80 + index * columnWidth
+    const value = hiddenStats.has(stat.key) ? HIDDEN_VALUE : String(card.stats?.[stat.key] ?? 0)
+    ctx.fillStyle = 'rgba(255,255,255,0.04)'
+    ctx.fillRect(x, 330, columnWidth - 24, 170)
+    ctx.fillStyle = accent
+    ctx.font = "700 72px Orbitron, 'Rajdhani', sans-serif"
+    ctx.fillText(value, x + 28, 430)
+    ctx.fillStyle = '#94a3b8'
+    ctx.font = "24px 'Share Tech Mono', monospace"
+    ctx.fillText(stat.label, x + 28, 475)
+  })
+
+  ctx.fillStyle = '#475569'
+  ctx.font = "22px 'Share Tech Mono', monospace"
+  ctx.fillText('ZBXP // HUNTER SYSTEM', 80, 570)
+
+  return canvasToBlob(canvas)
+}
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+// Returns 'shared', 'downloaded' or 'cancelled'.
+export async function shareOrDownloadCard(blob, { filename, title, text }) {
+  const file = typeof File !== 'undefined' ? new File([blob], filename, { type: 'image/png' }) : null
+  if (file && typeof navigator !== 'undefined' && navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title, text })
+      return 'shared'
+    } catch (shareError) {
+      if (shareError?.name === 'AbortError') return 'cancelled'
+    }
+  }
+  downloadBlob(filename, blob)
+  return 'downloaded'
+}
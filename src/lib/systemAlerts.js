@@ -0,0 +1,156 @@
+// Rule-based SYSTEM NOTIFICATION banner. Each rule reads the dashboard
+// state, and the highest-priority matches are phrased in the path's voice.
+// Messages are segment lists: plain strings or { text, tone: 'hi' | 'warn' }.
+
+const HOUR_MS = 60 * 60 * 1000
+
+export const MAX_VISIBLE_ALERTS = 3
+
+const hi = (text) => ({ text: String(text), tone: 'hi' })
+const warn = (text) => ({ text: String(text), tone: 'warn' })
+
+function hoursLabel(ms) {
+  const hours = Math.max(0, ms / HOUR_MS)
+  if (hours < 1) return `${Math.max(1, Math.round(hours * 60))} min`
+  if (hours < 48) return `${Math.round(hours)}h`
+  return `${Math.round(hours / 24)} days`
+}
+
+const ALERT_VOICES = {
+  HEAVENLY_DEMON: {
+    streakRisk: (days) => ['Your body has not been tempered today. ', warn(`${days}-day cultivation streak`), ' will shatter at midnight.'],
+    deadline: (title, left) => ['The trial ', hi(title), ' closes in ', warn(left), '. Finish it or lose face.'],
+    weeklyClaimable: (title) => ['Trial complete: ', hi(title), '. The sect awaits you to claim the reward.'],
+    weeklyClose: (title, remaining) => [hi(title), ' - only ', warn(remaining), ' more to break through.'],
+    dailyBonus: (xp) => ['Daily qi offering uncollected. ', hi(`+${xp} XP`), ' awaits the disciplined.'],
+    rivalPassed: (names) => ['Fellow disciple ', warn(names), ' has surpassed you this week. Reclaim your standing.'],
+    weeklyReset: (left) => ['The sect\'s weekly trials reset in ', warn(left), '.'],
+    bossReset: (name, left) => ['The demon ', hi(name), ' retreats in ', warn(left), '. Strike before it escapes.'],
+    reminder: (time, open) => ['The hour of ', hi(time), ' has passed. ', warn(`${open} task${open === 1 ? '' : 's'}`), ' still await your cultivation.'],
+    idle: () => ['The path is quiet. ', hi('Accept a trial'), ' to keep cultivating.'],
+  },
+  HUNTER: {
+    streakRisk: (days) => ['No training logged today. ', warn(`${days}-day streak`), ' is at risk - the gate closes at midnight.'],
+    deadline: (title, left) => ['Mission ', hi(title), ' expires in ', warn(left), '.'],
+    weeklyClaimable: (title) => ['Weekly challenge cleared: ', hi(title), '. Claim your reward.'],
+    weeklyClose: (title, remaining) => [hi(title), ' - ', warn(remaining), ' to go. Finish the raid.'],
+    dailyBonus: (xp) => ['Daily login reward is waiting. ', hi(`+${xp} XP`), ' unclaimed.'],
+    rivalPassed: (names) => ['Guildmate ', warn(names), ' passed you on the weekly board.'],
+    weeklyReset: (left) => ['Weekly challenges reset in ', warn(left), '.'],
+    bossReset: (name, left) => ['Weekly boss ', hi(name), ' resets in ', warn(left), '.'],
+    reminder: (time, open) => ['Daily reminder (', hi(time), '): ', warn(`${open} task${open === 1 ? '' : 's'}`), ' still open today.'],
+    idle: () => ['All gates are quiet. ', hi('Accept a mission'), ' to keep your rank moving.'],
+  },
+}
+
+// state: {
+//   now, streakDays, workoutLoggedToday, dailyClaimed, dailyReward,
+//   missions: [{ id, title, deadline_at }], weeklyChallenges, rivalsPassed: [name],
+//   weeklyResetAt, boss: { name, resets_at } | null,
+//   reminderTime: 'HH:MM[:SS]' | null, localMinutes (minutes since local midnight)
+// }
+const ALERT_RULES = [
+  {
+    id: 'deadline',
+    evaluate: (state, voice) =>
+      (state.missions || [])
+        .filter((mission) => mission.deadline_at)
+        .map((mission) => ({ mission, left: new Date(mission.deadline_at).getTime() - state.now.getTime() }))
+        .filter(({ left }) => left > 0 && left <= 24 * HOUR_MS)
+        .map(({ mission, left }) => ({
+          id: `deadline:${mission.id}`,
+          priority: left <= 3 * HOUR_MS ? 100 : 75,
+          segments: voice.deadline(mission.title, hoursLabel(left)),
+        })),
+  },
+  {
+    id: 'streak-risk',
+    evaluate: (state, voice) =>
+      state.streakDays > 0 && state.workoutLoggedToday === false
+        ? [{ id: 'streak-risk', priority: 90, segments: voice.streakRisk(state.streakDays) }]
+        : [],
+  },
+  {
+    id: 'weekly-challenge',
+    evaluate: (state, voice) =>
+      (state.weeklyChallenges || [])
+        .filter((challenge) => !challenge.claimed)
+        .map((challenge) => {
+          const target = Math.max(1, Number(challenge.target || 1))
+          const progress = Number(challenge.progress || 0)
+          if (progress >= target) {
+            return { id: `weekly:${challenge.challenge_id}`, priority: 80, segments: voice.weeklyClaimable(challenge.title) }
+          }
+          if (progress / target >= 0.7) {
+            return {
+              id: `weekly:${challenge.challenge_id}`,
+              priority: 60,
+              segments: voice.weeklyClose(challenge.title, target - progress),
+            }
+          }
+          return null
+        })
+        .filter(Boolean),
+  },
+  {
+    id: 'rival-passed',
+    evaluate: (state, voice) =>
+      state.rivalsPassed?.length
+        ? [{ id: 'rival-passed', priority: 70, segments: voice.rivalPassed(state.rivalsPassed.slice(0, 2).join(', ')) }]
+        : [],
+  },
+  {
+    id: 'daily-bonus',
+    evaluate: (state, voice) =>
+      state.dailyClaimed === false ? [{ id: 'daily-bonus', priority: 50, segments: voice.dailyBonus(state.dailyReward) }] : [],
+  },
+  {
+    id: 'reminder',
+    evaluate: (state, voice) => {
+      const match = /^(\d{2}):(\d{2})/.exec(String(state.reminderTime || ''))
+      if (!match || state.localMinutes == null) return []
+      if (state.localMinutes < Number(match[1]) * 60 + Number(match[2])) return []
+      const open = (state.missions || []).length + (state.workoutLoggedToday === false ? 1 : 0)
+      if (open === 0) return []
+      return [{ id: 'reminder', priority: 55, segments: voice.reminder(`${match[1]}:${match[2]}`, open) }]
+    },
+  },
+  {
+    id: 'boss-reset',
+    evaluate: (state, voice) => {
+      if (!state.boss?.resets_at) return []
+      const left = new Date(state.boss.resets_at).getTime() - state.now.getTime()
+      if (left <= 0 || left > 48 * HOUR_MS) return []
+      return [{ id: 'boss-reset', priority: 65, segments: voice.bossReset(state.boss.name, hoursLabel(left)) }]
+    },
+  },
+  {
+    id: 'weekly-reset',
+    evaluate: (state, voice) => {
+      if (!state.weeklyResetAt) return []
+      const left = state.weeklyResetAt.getTime() - state.now.getTime()
+      if (left <= 0 || left > 48 * HOUR_MS) return []
+      return [{ id: 'weekly-reset', priority: 40, segments: voice.weeklyReset(hoursLabel(left)) }]
+    },
+  },
+]
+
+export function evaluateSystemAlerts(state, pathKey, limit = MAX_VISIBLE_ALERTS) {
+  const voice = ALERT_VOICES[pathKey] || ALERT_VOICES.HUNTER
+  const alerts = ALERT_RULES.flatMap((rule) => rule.evaluate(state, voice))
+    .sort((a, b) => b.priority - a.priority)
+    .slice(0, limit)
+  return alerts.length ? alerts : [{ id: 'idle', priority: 0, segments: voice.idle() }]
+}
+
+// Ids ranked above me now that were not above me in the previous snapshot.
+export function findRivalsWhoPassed(board, myUserId, previousAboveIds) {
+  const myIndex = (board || []).findIndex((row) => row.user_id === myUserId)
+  if (myIndex <= 0) return { aboveIds: [], passed: [] }
+  const above = board.slice(0, myIndex)
+  const previous = new Set(previousAboveIds || [])
+  return {
+    aboveIds: above.map((row) => row.user_id),
+    passed: previousAboveIds ? above.filter((row) => !previous.has(row.user_id)) : [],
+  }
+}
@@ -0,0 +1,103 @@
+// Per-player clock. Mirrors user_today / user_week_start in
+// supabase/migrations/20260317_user_time_zones.sql (local days, Monday weeks).
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const DEFAULT_TIME_ZONE = 'UTC'
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+export function detectTimeZone() {
+  try {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone
+    return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE
+  } catch {
+    return DEFAULT_TIME_ZONE
+  }
+}
+
+// Profiles without a stored zone are on UTC server-side.
+export function profileTimeZone(profile) {
+  return isValidTimeZone(profile?.timezone) ? profile.timezone : DEFAULT_TIME_ZONE
+}
+
+export function listTimeZones() {
+  const detected = detectTimeZone()
+  let zones = []
+  try {
+    zones = Intl.supportedValuesOf('timeZone')
+  } catch {
+    zones = []
+  }
+  return [...new Set([DEFAULT_TIME_ZONE, detected, ...zones])]
+}
+
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date)
+  const values = {}
+  for (const part of parts) {
+    if (part.type !== 'literal') values[part.type] = Number(part.value)
+  }
+  return values
+}
+
+// Milliseconds the zone is ahead of UTC at `date`.
+function zoneOffsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone)
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second)
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000
+}
+
+export function isoDateInTimeZone(date, timeZone = DEFAULT_TIME_ZONE) {
+  const p = zonedParts(date, timeZone)
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`
+}
+
+export function minutesIntoDay(date, timeZone = DEFAULT_TIME_ZONE) {
+  const p = zonedParts(date, timeZone)
+  return p.hour * 60 + p.minute
+}
+
+export function addDaysIso(isoDate, days) {
+  const base = new Date(`${isoDate}T00:00:00Z`)
+  return new Date(base.getTime() + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+// Instant of local midnight on `isoDate` in the zone.
+export function zonedMidnight(isoDate, timeZone = DEFAULT_TIME_ZONE) {
+  const guess = new Date(`${isoDate}T00:00:00Z`)
+  const first = new Date(guess.getTime() - zoneOffsetMs(guess, timeZone))
+  // Second pass settles DST transitions between the guess and the answer.
+  return new Date(guess.getTime() - zoneOffsetMs(first, timeZone))
+}
+
+export function startOfWeekIso(date, timeZone = DEFAULT_TIME_ZONE) {
+  const today = isoDateInTimeZone(date, timeZone)
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay()
+  return addDaysIso(today, -((weekday + 6) % 7))
+}
+
+export function startOfWeekInTimeZone(date, timeZone = DEFAULT_TIME_ZONE) {
+  return zonedMidnight(startOfWeekIso(date, timeZone), timeZone)
+}
+
+export function nextWeekResetInTimeZone(date, timeZone = DEFAULT_TIME_ZONE) {
+  return zonedMidnight(addDaysIso(startOfWeekIso(date, timeZone), 7), timeZone)
+}
@@ -0,0 +1,39 @@
+// Earned titles. Storage, grants and equip live in
+// supabase/migrations/20260315_titles.sql.
+import { supabase } from './supabaseClient'
+
+export const TITLE_SOURCE_LABELS = {
+  default: 'Starter title',
+  level: 'Level unlock',
+  rank: 'Rank unlock',
+  weekly_challenge: 'Weekly challenge',
+  achievement: 'Achievement',
+  boss: 'Boss kill',
+  mega_boss: 'Mega-boss raid',
+  reward: 'Reward',
+}
+
+export function describeTitleSource(title) {
+  const label = TITLE_SOURCE_LABELS[title?.source] || 'Earned'
+  if (!title?.earned_at) return label
+  return `${label} • ${new Date(title.earned_at).toLocaleDateString()}`
+}
+
+export function describeTitleRequirement(title) {
+  if (title?.unlock_type === 'level') return `Reach level ${title.unlock_level}`
+  if (title?.unlock_type === 'rank') return `Reach ${title.unlock_rank}-Rank`
+  return title?.description || 'Hidden requirement'
+}
+
+// Adds `equipped_title` ({ name, rarity }) to rows keyed by user_id.
+export async function hydrateRowsWithTitles(rows) {
+  const list = Array.isArray(rows) ? rows : []
+  const ids = [...new Set(list.map((row) => row?.user_id).filter(Boolean))]
+  if (!supabase || ids.length === 0) return list
+
+  const { data, error } = await supabase.rpc('get_equipped_titles', { p_user_ids: ids })
+  if (error || !data) return list
+
+  const byUser = new Map(data.map((row) => [row.user_id, row]))
+  return list.map((row) => ({ ...row, equipped_title: byUser.get(row.user_id) || null }))
+}
@@ -0,0 +1,25 @@
+// Maps workout plan days onto weekdays. Day titles may start with a
+// weekday tag ("MON • Push"); otherwise day_number order is Monday-first.
+
+export const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+
+const WEEKDAY_TAGS = {
+  MON: 'Monday',
+  TUE: 'Tuesday',
+  WED: 'Wednesday',
+  THU: 'Thursday',
+  FRI: 'Friday',
+  SAT: 'Saturday',
+  SUN: 'Sunday',
+}
+
+export function planDayWeekday(day, index) {
+  const fromTitle = String(day?.title || '').split('•')[0].trim().toUpperCase()
+  return WEEKDAY_TAGS[fromTitle] || WEEKDAY_NAMES[index] || `Day ${index + 1}`
+}
+
+// isoDate is the player's local log_date (see src/lib/timeZone.js).
+export function findPlanDayForDate(planDays, isoDate) {
+  const weekday = WEEKDAY_NAMES[(new Date(`${isoDate}T00:00:00Z`).getUTCDay() + 6) % 7]
+  return (planDays || []).find((day, index) => planDayWeekday(day, index) === weekday) || null
+}
@@ -0,0 +1,307 @@
+-- ============================================================
+-- 20260302_server_xp_ledger.sql
+-- Server-authoritative XP ledger:
+-- - award_xp(): single internal entry point that writes xp_events
+--   and bumps profiles.xp_total in the same transaction.
+-- - complete_quest / log_workout / claim_daily_xp all go through it.
+--   log_workout only accepts today or yesterday.
+-- - Clients can no longer insert user_active_quests or
+--   quest_completions or write workout_logs directly; only the RPCs
+--   above (and select_quest) write those rows.
+-- - Progress columns on profiles are locked against direct client
+--   writes (only security-definer RPCs may change them).
+-- - xp_total is reconciled from the ledger once.
+-- Safe to re-run.
+-- ============================================================
+
+-- ------------------------------------------------------------
+-- Internal helper: award XP exactly once per (user, source)
+-- Returns the XP actually awarded (0 when already recorded).
+-- ------------------------------------------------------------
+
+create or replace function public.award_xp(
+  p_user_id uuid,
+  p_source_type text,
+  p_source_id uuid,
+  p_amount integer
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_rows int;
+begin
+  if p_user_id is null or p_source_type is null or p_source_id is null then
+    raise exception 'award_xp requires user, source type and source id';
+  end if;
+
+  if coalesce(p_amount, 0) <= 0 then
+    return 0;
+  end if;
+
+  insert into public.xp_events(user_id, source_type, source_id, amount)
+  values (p_user_id, p_source_type, p_source_id, p_amount)
+  on conflict (user_id, source_type, source_id) do nothing;
+
+  get diagnostics v_rows = row_count;
+
+  if v_rows = 0 then
+    return 0;
+  end if;
+
+  update public.profiles
+  set xp_total = xp_total + p_amount
+  where id = p_user_id;
+
+  return p_amount;
+end;
+$$;
+
+-- Never callable from the API; only other security-definer functions use it.
+revoke all on function public.award_xp(uuid, text, uuid, integer) from public;
+revoke all on function public.award_xp(uuid, text, uuid, integer) from anon, authenticated;
+
+-- ------------------------------------------------------------
+-- Lock progress columns on profiles
+-- Direct API writes run as the "authenticated"/"anon" roles;
+-- security-definer RPCs run as the table owner and pass through.
+-- Columns are compared through jsonb so legacy columns (total_xp)
+-- are covered when present without breaking when absent.
+-- ------------------------------------------------------------
+
+create or replace function public.guard_profile_progress()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_locked text[] := array[
+    'xp_total', 'total_xp', 'current_streak', 'longest_streak',
+    'last_workout_date', 'is_qa', 'perks'
+  ];
+  v_col text;
+begin
+  if current_user not in ('authenticated', 'anon') then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    new := jsonb_populate_record(
+      new,
+      jsonb_build_object(
+        'xp_total', 0,
+        'total_xp', 0,
+        'current_streak', 0,
+        'longest_streak', 0,
+        'last_workout_date', null,
+        'is_qa', false,
+        'perks', '{}'::jsonb
+      )
+    );
+    return new;
+  end if;
+
+  foreach v_col in array v_locked loop
+    if (to_jsonb(new) -> v_col) is distinct from (to_jsonb(old) -> v_col) then
+      raise exception 'Profile column % is server-managed', v_col;
+    end if;
+  end loop;
+
+  return new;
+end;
+$$;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_trigger where tgname = 'profiles_guard_progress'
+  ) then
+    create trigger profiles_guard_progress
+    before insert or update on public.profiles
+    for each row execute function public.guard_profile_progress();
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- Reconcile xp_total from the ledger (drops any client-written XP)
+-- ------------------------------------------------------------
+
+update public.profiles p
+set xp_total = coalesce((
+  select sum(x.amount)::int
+  from public.xp_events x
+  where x.user_id = p.id
+), 0);
+
+-- Legacy mirror column used by older clients; keep it equal to xp_total.
+do $$
+begin
+  if exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public' and table_name = 'profiles' and column_name = 'total_xp'
+  ) then
+    execute 'update public.profiles set total_xp = xp_total';
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- Active quests, completions and workout logs are written by RPCs only
+-- ------------------------------------------------------------
+
+do $$
+begin
+  if exists (select 1 from pg_policies where policyname='active_quests_insert_own') then
+    drop policy active_quests_insert_own on public.user_active_quests;
+  end if;
+
+  if exists (select 1 from pg_policies where policyname='quest_completions_insert_own') then
+    drop policy quest_completions_insert_own on public.quest_completions;
+  end if;
+
+  if exists (select 1 from pg_policies where policyname='workout_logs_insert_own') then
+    drop policy workout_logs_insert_own on public.workout_logs;
+  end if;
+
+  if exists (select 1 from pg_policies where policyname='workout_logs_update_own') then
+    drop policy workout_logs_update_own on public.workout_logs;
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPC: complete_quest (awards XP once, returns awarded amount)
+-- ------------------------------------------------------------
+
+drop function if exists public.complete_quest(uuid, text);
+
+create or replace function public.complete_quest(p_active_quest_id uuid, p_optional_note text default null)
+returns table(awarded_xp int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_xp int;
+  v_awarded int := 0;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select q.xp_reward into v_xp
+  from public.user_active_quests ua
+  join public.quests q on q.id = ua.quest_id
+  where ua.id = p_active_quest_id
+    and ua.user_id = auth.uid();
+
+  if not found then
+    raise exception 'Quest not found for user';
+  end if;
+
+  insert into public.quest_completions(active_quest_id, user_id, optional_note, note)
+  values (p_active_quest_id, auth.uid(), p_optional_note, p_optional_note)
+  on conflict (active_quest_id) do nothing;
+
+  v_awarded := public.award_xp(auth.uid(), 'quest', p_active_quest_id, coalesce(v_xp, 0));
+
+  return query select v_awarded;
+end;
+$$;
+
+grant execute on function public.complete_quest(uuid, text) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: log_workout (base + cardio bonus through the ledger)
+-- ------------------------------------------------------------
+
+create or replace function public.log_workout(
+  p_date date,
+  p_completed boolean,
+  p_optional_payload jsonb default '{}'::jsonb
+)
+returns table(awarded_xp int, bonus_xp int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_log_id uuid;
+  v_base_xp int := 40;
+  v_bonus_xp int := 0;
+  v_total_xp int := 0;
+  v_walk_bonus boolean := coalesce((p_optional_payload->>'bonus_walk_45')::boolean, false);
+  v_run_bonus boolean := coalesce((p_optional_payload->>'bonus_run_45')::boolean, false);
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  -- Yesterday stays open for late logging; anything else is backfill.
+  if p_date is null or p_date > current_date or p_date < current_date - 1 then
+    raise exception 'Workouts can only be logged for today or yesterday';
+  end if;
+
+  insert into public.workout_logs(user_id, log_date, completed, payload)
+  values (auth.uid(), p_date, p_completed, p_optional_payload)
+  on conflict (user_id, log_date)
+  do update set completed = excluded.completed, payload = excluded.payload
+  returning id into v_log_id;
+
+  if p_completed then
+    if v_walk_bonus then
+      v_bonus_xp := v_bonus_xp + 10;
+    end if;
+    if v_run_bonus then
+      v_bonus_xp := v_bonus_xp + 15;
+    end if;
+
+    v_total_xp := public.award_xp(auth.uid(), 'workout', v_log_id, v_base_xp + v_bonus_xp);
+
+    if v_total_xp > 0 then
+      update public.profiles
+      set last_workout_date = greatest(coalesce(last_workout_date, p_date), p_date)
+      where id = auth.uid();
+    else
+      v_bonus_xp := 0;
+    end if;
+  end if;
+
+  perform public.recalculate_streaks(auth.uid());
+
+  return query select coalesce(v_total_xp, 0), coalesce(v_bonus_xp, 0);
+end;
+$$;
+
+grant execute on function public.log_workout(date, boolean, jsonb) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: claim_daily_xp (+10 XP once per calendar day)
+-- source_id is derived from user + date so the ledger's unique
+-- key makes the claim idempotent across devices.
+-- ------------------------------------------------------------
+
+create or replace function public.claim_daily_xp()
+returns table(awarded_xp int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_source_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  v_source_id := md5(auth.uid()::text || ':daily:' || current_date::text)::uuid;
+
+  return query select public.award_xp(auth.uid(), 'daily_login', v_source_id, 10);
+end;
+$$;
+
+grant execute on function public.claim_daily_xp() to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
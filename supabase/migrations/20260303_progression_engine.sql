@@ -0,0 +1,262 @@
+-- ============================================================
+-- 20260303_progression_engine.sql
+-- Shared progression engine:
+-- - level_curve: single-row config for the non-linear level curve
+--   (xp to reach level L = floor(base_xp * (L - 1) ^ exponent)).
+-- - rank_tiers: rank thresholds (E..S) read by client and SQL.
+-- - xp_for_level / level_from_xp / rank_for_xp helpers.
+-- - progression_events: level_up / rank_up history written by a
+--   trigger whenever profiles.xp_total grows.
+-- - get_leaderboard now returns level + rank tier from total XP.
+-- Mirrors src/lib/progression.js. Safe to re-run.
+-- ============================================================
+
+-- ------------------------------------------------------------
+-- CONFIG TABLES
+-- ------------------------------------------------------------
+
+create table if not exists public.level_curve (
+  id boolean primary key default true check (id),
+  base_xp integer not null default 100 check (base_xp > 0),
+  exponent numeric not null default 1.5 check (exponent >= 1),
+  updated_at timestamptz not null default now()
+);
+
+insert into public.level_curve (id, base_xp, exponent)
+values (true, 100, 1.5)
+on conflict (id) do nothing;
+
+create table if not exists public.rank_tiers (
+  rank text primary key,
+  min_xp integer not null unique check (min_xp >= 0),
+  label text not null default '',
+  color_class text not null default 'is-rank-e',
+  created_at timestamptz not null default now()
+);
+
+insert into public.rank_tiers (rank, min_xp, label, color_class)
+values
+  ('E', 0, 'ENTRY', 'is-rank-e'),
+  ('D', 500, 'NOVICE', 'is-rank-d'),
+  ('C', 1500, 'SKILLED', 'is-rank-c'),
+  ('B', 5000, 'ELITE', 'is-rank-b'),
+  ('A', 15000, 'VETERAN', 'is-rank-a'),
+  ('S', 50000, 'LEGEND', 'is-rank-s')
+on conflict (rank) do update
+set min_xp = excluded.min_xp,
+    label = excluded.label,
+    color_class = excluded.color_class;
+
+alter table public.level_curve enable row level security;
+alter table public.rank_tiers enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='level_curve_select_auth') then
+    create policy level_curve_select_auth on public.level_curve
+      for select using (auth.role() = 'authenticated');
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='rank_tiers_select_auth') then
+    create policy rank_tiers_select_auth on public.rank_tiers
+      for select using (auth.role() = 'authenticated');
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- CURVE + RANK HELPERS
+-- ------------------------------------------------------------
+
+create or replace function public.xp_for_level(p_level integer)
+returns integer
+language sql
+stable
+set search_path = public
+as $$
+  select case
+    when coalesce(p_level, 1) <= 1 then 0
+    else floor(c.base_xp * power((p_level - 1)::numeric, c.exponent))::int
+  end
+  from public.level_curve c
+  where c.id = true;
+$$;
+
+create or replace function public.level_from_xp(p_xp integer)
+returns integer
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_base int;
+  v_exp numeric;
+  v_level int := 1;
+  v_xp int := greatest(coalesce(p_xp, 0), 0);
+begin
+  select base_xp, exponent into v_base, v_exp
+  from public.level_curve
+  where id = true;
+
+  if v_base is null then
+    v_base := 100;
+    v_exp := 1.5;
+  end if;
+
+  while floor(v_base * power(v_level::numeric, v_exp)) <= v_xp loop
+    v_level := v_level + 1;
+  end loop;
+
+  return v_level;
+end;
+$$;
+
+create or replace function public.rank_for_xp(p_xp integer)
+returns text
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(
+    (
+      select t.rank
+      from public.rank_tiers t
+      where t.min_xp <= greatest(coalesce(p_xp, 0), 0)
+      order by t.min_xp desc
+      limit 1
+    ),
+    'E'
+  );
+$$;
+
+grant execute on function public.xp_for_level(integer) to authenticated;
+grant execute on function public.level_from_xp(integer) to authenticated;
+grant execute on function public.rank_for_xp(integer) to authenticated;
+
+-- ------------------------------------------------------------
+-- PROGRESSION EVENTS (level_up / rank_up)
+-- ------------------------------------------------------------
+
+create table if not exists public.progression_events (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  event_type text not null check (event_type in ('level_up', 'rank_up')),
+  from_value text not null,
+  to_value text not null,
+  xp_total integer not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists progression_events_user_created_idx
+  on public.progression_events(user_id, created_at desc);
+
+alter table public.progression_events enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='progression_events_select_own') then
+    create policy progression_events_select_own on public.progression_events
+      for select using (auth.uid() = user_id);
+  end if;
+end
+$$;
+
+create or replace function public.record_progression_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old_level int;
+  v_new_level int;
+  v_old_rank text;
+  v_new_rank text;
+begin
+  if coalesce(new.xp_total, 0) <= coalesce(old.xp_total, 0) then
+    return new;
+  end if;
+
+  v_old_level := public.level_from_xp(old.xp_total);
+  v_new_level := public.level_from_xp(new.xp_total);
+  v_old_rank := public.rank_for_xp(old.xp_total);
+  v_new_rank := public.rank_for_xp(new.xp_total);
+
+  if v_new_level > v_old_level then
+    insert into public.progression_events(user_id, event_type, from_value, to_value, xp_total)
+    values (new.id, 'level_up', v_old_level::text, v_new_level::text, new.xp_total);
+  end if;
+
+  if v_new_rank is distinct from v_old_rank then
+    insert into public.progression_events(user_id, event_type, from_value, to_value, xp_total)
+    values (new.id, 'rank_up', v_old_rank, v_new_rank, new.xp_total);
+  end if;
+
+  return new;
+end;
+$$;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_trigger where tgname = 'profiles_record_progression'
+  ) then
+    create trigger profiles_record_progression
+    after update of xp_total on public.profiles
+    for each row execute function public.record_progression_events();
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPC: get_leaderboard (+ level and rank tier from total XP)
+-- ------------------------------------------------------------
+
+drop function if exists public.get_leaderboard(uuid, text);
+
+create or replace function public.get_leaderboard(p_group_id uuid, p_timeframe text default 'weekly')
+returns table(user_id uuid, username text, xp integer, rank integer, level integer, rank_tier text)
+language sql
+security definer
+set search_path = public
+as $$
+  with timeframe as (
+    select case
+      when p_timeframe = 'weekly' then date_trunc('week', now())
+      else to_timestamp(0)
+    end as start_ts
+  ),
+  members as (
+    select gm.user_id
+    from public.group_members gm
+    where gm.group_id = p_group_id
+  ),
+  sums as (
+    select
+      x.user_id,
+      sum(x.amount)::int as xp
+    from public.xp_events x, timeframe t
+    where x.user_id in (select user_id from members)
+      and x.created_at >= t.start_ts
+    group by x.user_id
+  )
+  select
+    m.user_id,
+    coalesce(
+      nullif(p.display_name, ''),
+      nullif(p.username, ''),
+      concat('Hunter#', right(replace(m.user_id::text, '-', ''), 4))
+    ) as username,
+    coalesce(s.xp, 0) as xp,
+    dense_rank() over (order by coalesce(s.xp,0) desc)::int as rank,
+    public.level_from_xp(coalesce(p.xp_total, 0)) as level,
+    public.rank_for_xp(coalesce(p.xp_total, 0)) as rank_tier
+  from members m
+  left join sums s on s.user_id = m.user_id
+  left join public.profiles p on p.id = m.user_id
+  order by xp desc, username asc;
+$$;
+
+grant execute on function public.get_leaderboard(uuid, text) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,345 @@
+-- ============================================================
+-- 20260304_recurring_quests.sql
+-- Recurring quests:
+-- - quests.recurrence: once | daily | weekdays | weekly | n_per_week
+--   (+ recurrence_count for n_per_week).
+-- - quest_completions.period_key: one completion per (user, quest,
+--   period) instead of one per lifetime. The completion id is derived
+--   from that key, so re-selecting a quest can never pay twice.
+-- - complete_quest awards XP per completion (source_id = completion id)
+--   and retires one-time quests; select_quest re-arms recurring ones.
+-- - Active quests are no longer deletable from the client (abandon
+--   goes through abandon_quest).
+-- Periods use UTC days and ISO weeks (Monday reset).
+-- Mirrors src/lib/questRecurrence.js. Safe to re-run.
+-- ============================================================
+
+-- ------------------------------------------------------------
+-- QUEST DEFINITIONS
+-- ------------------------------------------------------------
+
+alter table public.quests
+  add column if not exists recurrence text not null default 'once',
+  add column if not exists recurrence_count integer not null default 1;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'quests_recurrence_check') then
+    alter table public.quests
+      add constraint quests_recurrence_check
+      check (recurrence in ('once', 'daily', 'weekdays', 'weekly', 'n_per_week'));
+  end if;
+
+  if not exists (select 1 from pg_constraint where conname = 'quests_recurrence_count_check') then
+    alter table public.quests
+      add constraint quests_recurrence_count_check
+      check (recurrence_count between 1 and 7);
+  end if;
+end
+$$;
+
+update public.quests q
+set recurrence = v.recurrence,
+    recurrence_count = v.recurrence_count
+from (
+  values
+    ('HUNTER', 'Daily Reflection', 'daily', 1),
+    ('HUNTER', 'Read 30 Pages', 'daily', 1),
+    ('HUNTER', 'Read 20 Pages + Notes', 'daily', 1),
+    ('HUNTER', 'Flashcards 30 Reps', 'daily', 1),
+    ('HUNTER', '45-Minute Walk', 'daily', 1),
+    ('HUNTER', 'Mobility Reset 20m', 'daily', 1),
+    ('HUNTER', '20 Push-Ups Challenge', 'daily', 1),
+    ('HUNTER', 'Deep Work Sprint (90m)', 'weekdays', 1),
+    ('HUNTER', 'Deep Study 60m', 'weekdays', 1),
+    ('HUNTER', 'Follow-Ups x10', 'weekdays', 1),
+    ('HUNTER', 'Workout Complete', 'n_per_week', 5),
+    ('HUNTER', 'Cardio Compliance', 'n_per_week', 3),
+    ('HUNTER', '30-Min Zone 2 Run', 'n_per_week', 3),
+    ('HUNTER', 'Leg Day Compliance', 'weekly', 1),
+    ('HUNTER', 'Content Engine', 'weekly', 1),
+    ('HUNTER', 'Market Recon', 'weekly', 1),
+    ('HEAVENLY_DEMON', 'Night Audit', 'daily', 1),
+    ('HEAVENLY_DEMON', 'Silent Reading 45m', 'daily', 1),
+    ('HEAVENLY_DEMON', 'Recovery Protocol', 'daily', 1),
+    ('HEAVENLY_DEMON', 'Memory Vault', 'daily', 1),
+    ('HEAVENLY_DEMON', 'Shadow Focus Block (120m)', 'weekdays', 1),
+    ('HEAVENLY_DEMON', 'Revenue Hunt x20', 'weekdays', 1),
+    ('HEAVENLY_DEMON', 'Strength Session', 'n_per_week', 4),
+    ('HEAVENLY_DEMON', 'Conditioning Finisher', 'n_per_week', 3),
+    ('HEAVENLY_DEMON', 'Pipeline Cleanup', 'weekly', 1),
+    ('HEAVENLY_DEMON', 'Doctrine Notes', 'weekly', 1)
+) as v(path, title, recurrence, recurrence_count)
+where q.path = v.path
+  and q.title = v.title;
+
+-- ------------------------------------------------------------
+-- PERIOD KEYS
+-- once       -> 'once'
+-- daily      -> 'YYYY-MM-DD'
+-- weekdays   -> 'YYYY-MM-DD' (Mon-Fri only)
+-- weekly     -> 'IYYY-Www'
+-- n_per_week -> 'IYYY-Www' (+ '#slot' on the completion row)
+-- ------------------------------------------------------------
+
+create or replace function public.quest_period_key(p_recurrence text, p_at timestamptz default now())
+returns text
+language sql
+immutable
+set search_path = public
+as $$
+  select case
+    when p_recurrence in ('daily', 'weekdays') then to_char(p_at at time zone 'utc', 'YYYY-MM-DD')
+    when p_recurrence in ('weekly', 'n_per_week') then to_char(p_at at time zone 'utc', 'IYYY-"W"IW')
+    else 'once'
+  end;
+$$;
+
+grant execute on function public.quest_period_key(text, timestamptz) to authenticated;
+
+-- ------------------------------------------------------------
+-- COMPLETIONS: unique per (user, quest, period)
+-- ------------------------------------------------------------
+
+alter table public.quest_completions
+  add column if not exists period_key text,
+  add column if not exists quest_id uuid references public.quests(id) on delete cascade;
+
+update public.quest_completions qc
+set quest_id = ua.quest_id
+from public.user_active_quests ua
+where ua.id = qc.active_quest_id
+  and qc.quest_id is null;
+
+alter table public.quest_completions
+  alter column quest_id set not null;
+
+-- Existing rows were lifetime completions; key them by the period they fell in.
+update public.quest_completions qc
+set period_key = case
+  when q.recurrence = 'n_per_week' then public.quest_period_key(q.recurrence, qc.completed_at) || '#1'
+  else public.quest_period_key(q.recurrence, qc.completed_at)
+end
+from public.user_active_quests ua
+join public.quests q on q.id = ua.quest_id
+where ua.id = qc.active_quest_id
+  and qc.period_key is null;
+
+update public.quest_completions
+set period_key = 'once'
+where period_key is null;
+
+alter table public.quest_completions
+  alter column period_key set default 'once',
+  alter column period_key set not null;
+
+alter table public.quest_completions
+  drop constraint if exists quest_completions_active_quest_id_key;
+
+drop index if exists public.quest_completions_active_period_unique;
+
+-- Re-selected quests could be completed again under a new active id;
+-- keep the first completion of each period.
+delete from public.quest_completions qc
+using public.quest_completions earlier
+where earlier.user_id = qc.user_id
+  and earlier.quest_id = qc.quest_id
+  and earlier.period_key = qc.period_key
+  and (earlier.completed_at, earlier.id) < (qc.completed_at, qc.id);
+
+create unique index if not exists quest_completions_user_quest_period_unique
+  on public.quest_completions(user_id, quest_id, period_key);
+
+create index if not exists quest_completions_user_completed_idx
+  on public.quest_completions(user_id, completed_at desc);
+
+-- Stable completion id (and XP source id) for one user, quest and period.
+create or replace function public.quest_completion_id(p_user_id uuid, p_quest_id uuid, p_period_key text)
+returns uuid
+language sql
+immutable
+set search_path = public
+as $$
+  select md5(p_user_id::text || ':quest:' || p_quest_id::text || ':' || p_period_key)::uuid;
+$$;
+
+revoke all on function public.quest_completion_id(uuid, uuid, text) from public;
+revoke all on function public.quest_completion_id(uuid, uuid, text) from anon, authenticated;
+
+-- Deleting an active quest cascaded its completions away and let the
+-- quest be selected and paid again; abandon_quest is the only way out.
+do $$
+begin
+  if exists (select 1 from pg_policies where policyname='active_quests_delete_own') then
+    drop policy active_quests_delete_own on public.user_active_quests;
+  end if;
+end
+$$;
+
+-- One-time quests that were already completed leave the active list.
+update public.user_active_quests ua
+set status = 'completed'
+from public.quests q
+where q.id = ua.quest_id
+  and q.recurrence = 'once'
+  and ua.status = 'active'
+  and exists (
+    select 1 from public.quest_completions qc
+    where qc.active_quest_id = ua.id
+  );
+
+-- ------------------------------------------------------------
+-- RPC: select_quest (re-arms recurring quests, blocks finished one-time quests)
+-- ------------------------------------------------------------
+
+create or replace function public.select_quest(p_quest_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_active_count integer;
+  v_limit integer := 10;
+  v_recurrence text;
+  v_active_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select q.recurrence into v_recurrence
+  from public.quests q
+  where q.id = p_quest_id
+    and q.is_active = true;
+
+  if not found then
+    raise exception 'Quest not found';
+  end if;
+
+  select ua.id into v_active_id
+  from public.user_active_quests ua
+  where ua.user_id = auth.uid()
+    and ua.quest_id = p_quest_id;
+
+  if v_active_id is not null then
+    if v_recurrence = 'once' and exists (
+      select 1 from public.quest_completions qc
+      where qc.user_id = auth.uid()
+        and qc.quest_id = p_quest_id
+    ) then
+      raise exception 'Quest already completed';
+    end if;
+
+    -- Recurring quests keep their row (and completion history) and are re-armed.
+    update public.user_active_quests
+    set status = 'active',
+        selected_at = now()
+    where id = v_active_id;
+    return;
+  end if;
+
+  select count(*)::int into v_active_count
+  from public.user_active_quests
+  where user_id = auth.uid()
+    and status = 'active';
+
+  if coalesce(v_active_count, 0) >= v_limit then
+    raise exception 'Active quest limit reached (max %).', v_limit;
+  end if;
+
+  insert into public.user_active_quests(user_id, quest_id, status, selected_at)
+  values (auth.uid(), p_quest_id, 'active', now())
+  on conflict (user_id, quest_id) do update
+    set status = 'active', selected_at = excluded.selected_at;
+end;
+$$;
+
+grant execute on function public.select_quest(uuid) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: complete_quest (one completion + XP award per period)
+-- ------------------------------------------------------------
+
+create or replace function public.complete_quest(p_active_quest_id uuid, p_optional_note text default null)
+returns table(awarded_xp int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_quest_id uuid;
+  v_xp int;
+  v_recurrence text;
+  v_per_week int;
+  v_now timestamptz := now();
+  v_period text;
+  v_done int;
+  v_completion_id uuid;
+  v_awarded int := 0;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select q.id, q.xp_reward, q.recurrence, q.recurrence_count
+  into v_quest_id, v_xp, v_recurrence, v_per_week
+  from public.user_active_quests ua
+  join public.quests q on q.id = ua.quest_id
+  where ua.id = p_active_quest_id
+    and ua.user_id = auth.uid();
+
+  if not found then
+    raise exception 'Quest not found for user';
+  end if;
+
+  if v_recurrence = 'weekdays' and extract(isodow from v_now at time zone 'utc') > 5 then
+    raise exception 'Weekday quest is off until Monday';
+  end if;
+
+  v_period := public.quest_period_key(v_recurrence, v_now);
+
+  if v_recurrence = 'n_per_week' then
+    select count(*)::int into v_done
+    from public.quest_completions
+    where user_id = auth.uid()
+      and quest_id = v_quest_id
+      and period_key like v_period || '#%';
+
+    if v_done >= coalesce(v_per_week, 1) then
+      return query select 0;
+      return;
+    end if;
+
+    v_period := v_period || '#' || (v_done + 1);
+  end if;
+
+  insert into public.quest_completions(id, active_quest_id, quest_id, user_id, optional_note, note, period_key)
+  values (
+    public.quest_completion_id(auth.uid(), v_quest_id, v_period),
+    p_active_quest_id, v_quest_id, auth.uid(), p_optional_note, p_optional_note, v_period
+  )
+  on conflict (user_id, quest_id, period_key) do nothing
+  returning id into v_completion_id;
+
+  -- Already completed for this period: idempotent no-op.
+  if v_completion_id is null then
+    return query select 0;
+    return;
+  end if;
+
+  v_awarded := public.award_xp(auth.uid(), 'quest', v_completion_id, coalesce(v_xp, 0));
+
+  if v_recurrence = 'once' then
+    update public.user_active_quests
+    set status = 'completed'
+    where id = p_active_quest_id;
+  end if;
+
+  return query select v_awarded;
+end;
+$$;
+
+grant execute on function public.complete_quest(uuid, text) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
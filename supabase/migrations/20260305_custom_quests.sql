@@ -0,0 +1,292 @@
+-- ============================================================
+-- 20260305_custom_quests.sql
+-- Player-authored quests:
+-- - quests.created_by: null for the seeded catalog, owner for
+--   custom quests. Custom quests are visible only to their owner.
+-- - quest_difficulty_rewards: server-side XP per difficulty; custom
+--   quests never take an XP value from the client.
+-- - create_custom_quest / archive_custom_quest RPCs. A player can
+--   forge at most 5 custom quests per rolling 7 days; archiving does
+--   not give the slot back.
+-- - select_quest refuses other players' custom quests.
+-- Catalog seeds now upsert on (path, title, created_by).
+-- Not safe to re-run together with the earlier migrations: their
+-- seeds upsert on (path, title) and re-add quests_path_title_unique,
+-- which would reject custom quests that share a catalog title.
+-- ============================================================
+
+-- ------------------------------------------------------------
+-- DIFFICULTY -> XP
+-- ------------------------------------------------------------
+
+create table if not exists public.quest_difficulty_rewards (
+  difficulty text primary key,
+  xp_reward integer not null check (xp_reward > 0),
+  sort_order integer not null default 0
+);
+
+insert into public.quest_difficulty_rewards (difficulty, xp_reward, sort_order)
+values
+  ('easy', 15, 1),
+  ('medium', 30, 2),
+  ('hard', 45, 3)
+on conflict (difficulty) do update
+set xp_reward = excluded.xp_reward,
+    sort_order = excluded.sort_order;
+
+alter table public.quest_difficulty_rewards enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='quest_difficulty_rewards_select_auth') then
+    create policy quest_difficulty_rewards_select_auth on public.quest_difficulty_rewards
+      for select using (auth.role() = 'authenticated');
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- QUEST OWNERSHIP
+-- ------------------------------------------------------------
+
+alter table public.quests
+  add column if not exists created_by uuid references auth.users(id) on delete cascade;
+
+create index if not exists quests_created_by_idx
+  on public.quests(created_by)
+  where created_by is not null;
+
+-- Titles stay unique per path in the catalog and per owner for custom quests.
+do $$
+begin
+  if exists (select 1 from pg_constraint where conname = 'quests_path_title_unique') then
+    alter table public.quests drop constraint quests_path_title_unique;
+  end if;
+
+  if not exists (select 1 from pg_constraint where conname = 'quests_path_title_owner_unique') then
+    alter table public.quests
+      add constraint quests_path_title_owner_unique unique nulls not distinct (path, title, created_by);
+  end if;
+end
+$$;
+
+-- QUEST DEFINITIONS: catalog for everyone, custom quests for their owner only
+do $$
+begin
+  if exists (select 1 from pg_policies where policyname='quests_select_auth') then
+    drop policy quests_select_auth on public.quests;
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='quests_select_catalog_or_own') then
+    create policy quests_select_catalog_or_own on public.quests
+      for select to authenticated
+      using (created_by is null or created_by = auth.uid());
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPC: create_custom_quest (XP comes from quest_difficulty_rewards)
+-- ------------------------------------------------------------
+
+create or replace function public.create_custom_quest(
+  p_title text,
+  p_description text default '',
+  p_category text default 'general',
+  p_difficulty text default 'easy',
+  p_recurrence text default 'once',
+  p_recurrence_count integer default 1
+)
+returns table(quest_id uuid, xp_reward int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_title text := btrim(coalesce(p_title, ''));
+  v_category text := lower(btrim(coalesce(p_category, '')));
+  v_difficulty text := lower(btrim(coalesce(p_difficulty, '')));
+  v_recurrence text := lower(btrim(coalesce(p_recurrence, 'once')));
+  v_path text;
+  v_xp int;
+  v_quest_id uuid;
+  v_recent int;
+  v_weekly_limit int := 5;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if char_length(v_title) < 3 or char_length(v_title) > 80 then
+    raise exception 'Quest title must be 3-80 characters';
+  end if;
+
+  if v_category !~ '^[a-z][a-z0-9 _-]{1,23}$' then
+    raise exception 'Quest category must be 2-24 letters, numbers, spaces, dashes or underscores';
+  end if;
+
+  select r.xp_reward into v_xp
+  from public.quest_difficulty_rewards r
+  where r.difficulty = v_difficulty;
+
+  if not found then
+    raise exception 'Unknown quest difficulty: %', p_difficulty;
+  end if;
+
+  if v_recurrence not in ('once', 'daily', 'weekdays', 'weekly', 'n_per_week') then
+    raise exception 'Unknown quest recurrence: %', p_recurrence;
+  end if;
+
+  select p.path into v_path
+  from public.profiles p
+  where p.id = auth.uid();
+
+  if coalesce(v_path, '') = '' then
+    raise exception 'Choose a path before creating quests';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('custom_quests:' || auth.uid()::text));
+
+  select count(*)::int into v_recent
+  from public.quests q
+  where q.created_by = auth.uid()
+    and q.created_at > now() - interval '7 days';
+
+  if v_recent >= v_weekly_limit then
+    raise exception 'Custom quest limit reached (max % per 7 days).', v_weekly_limit;
+  end if;
+
+  insert into public.quests(
+    title, description, path, category, difficulty, xp_reward,
+    is_active, flavor_text, recurrence, recurrence_count, created_by
+  )
+  values (
+    v_title,
+    left(btrim(coalesce(p_description, '')), 280),
+    v_path,
+    v_category,
+    v_difficulty,
+    v_xp,
+    true,
+    '',
+    v_recurrence,
+    case when v_recurrence = 'n_per_week' then least(greatest(coalesce(p_recurrence_count, 1), 1), 7) else 1 end,
+    auth.uid()
+  )
+  on conflict (path, title, created_by) do nothing
+  returning id into v_quest_id;
+
+  if v_quest_id is null then
+    raise exception 'You already have a quest named "%"', v_title;
+  end if;
+
+  return query select v_quest_id, v_xp;
+end;
+$$;
+
+grant execute on function public.create_custom_quest(text, text, text, text, text, integer) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: archive_custom_quest (hides an owned quest from the board)
+-- ------------------------------------------------------------
+
+create or replace function public.archive_custom_quest(p_quest_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  update public.quests
+  set is_active = false
+  where id = p_quest_id
+    and created_by = auth.uid();
+
+  if not found then
+    raise exception 'Custom quest not found';
+  end if;
+
+  update public.user_active_quests
+  set status = 'archived'
+  where quest_id = p_quest_id
+    and user_id = auth.uid()
+    and status = 'active';
+end;
+$$;
+
+grant execute on function public.archive_custom_quest(uuid) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: select_quest (catalog or own custom quests only)
+-- ------------------------------------------------------------
+
+create or replace function public.select_quest(p_quest_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_active_count integer;
+  v_limit integer := 10;
+  v_recurrence text;
+  v_active_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select q.recurrence into v_recurrence
+  from public.quests q
+  where q.id = p_quest_id
+    and q.is_active = true
+    and (q.created_by is null or q.created_by = auth.uid());
+
+  if not found then
+    raise exception 'Quest not found';
+  end if;
+
+  select ua.id into v_active_id
+  from public.user_active_quests ua
+  where ua.user_id = auth.uid()
+    and ua.quest_id = p_quest_id;
+
+  if v_active_id is not null then
+    if v_recurrence = 'once' and exists (
+      select 1 from public.quest_completions qc
+      where qc.active_quest_id = v_active_id
+    ) then
+      raise exception 'Quest already completed';
+    end if;
+
+    -- Recurring quests keep their row (and completion history) and are re-armed.
+    update public.user_active_quests
+    set status = 'active',
+        selected_at = now()
+    where id = v_active_id;
+    return;
+  end if;
+
+  select count(*)::int into v_active_count
+  from public.user_active_quests
+  where user_id = auth.uid()
+    and status = 'active';
+
+  if coalesce(v_active_count, 0) >= v_limit then
+    raise exception 'Active quest limit reached (max %).', v_limit;
+  end if;
+
+  insert into public.user_active_quests(user_id, quest_id, status, selected_at)
+  values (auth.uid(), p_quest_id, 'active', now())
+  on conflict (user_id, quest_id) do update
+    set status = 'active', selected_at = excluded.selected_at;
+end;
+$$;
+
+grant execute on function public.select_quest(uuid) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
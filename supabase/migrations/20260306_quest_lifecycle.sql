@@ -0,0 +1,407 @@
+-- ============================================================
+-- 20260306_quest_lifecycle.sql
+-- Quest lifecycle:
+-- - user_active_quests.status: active | completed | abandoned |
+--   expired | archived, plus an optional deadline_at.
+-- - quest_status_events: every status change (accept, complete,
+--   abandon, expire, archive) written by trigger.
+-- - abandon_quest / set_quest_deadline RPCs.
+-- - expire_overdue_quests(): flips overdue active quests to expired;
+--   runs from the client on load, inside select_quest, and on a
+--   pg_cron schedule when the extension is available.
+-- - complete_quest only accepts active, non-overdue quests;
+--   select_quest re-arms abandoned/expired quests without a deadline.
+-- Safe to re-run.
+-- ============================================================
+
+alter table public.user_active_quests
+  add column if not exists deadline_at timestamptz,
+  add column if not exists status_changed_at timestamptz not null default now();
+
+update public.user_active_quests
+set status = 'active'
+where status not in ('active', 'completed', 'abandoned', 'expired', 'archived');
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'user_active_quests_status_check') then
+    alter table public.user_active_quests
+      add constraint user_active_quests_status_check
+      check (status in ('active', 'completed', 'abandoned', 'expired', 'archived'));
+  end if;
+end
+$$;
+
+create index if not exists user_active_quests_deadline_idx
+  on public.user_active_quests(deadline_at)
+  where status = 'active' and deadline_at is not null;
+
+-- ------------------------------------------------------------
+-- STATUS HISTORY
+-- ------------------------------------------------------------
+
+create table if not exists public.quest_status_events (
+  id uuid primary key default gen_random_uuid(),
+  active_quest_id uuid not null references public.user_active_quests(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  quest_id uuid not null references public.quests(id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists quest_status_events_user_created_idx
+  on public.quest_status_events(user_id, created_at desc);
+
+alter table public.quest_status_events enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='quest_status_events_select_own') then
+    create policy quest_status_events_select_own on public.quest_status_events
+      for select using (auth.uid() = user_id);
+  end if;
+end
+$$;
+
+create or replace function public.record_quest_status_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'UPDATE' and new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  insert into public.quest_status_events(active_quest_id, user_id, quest_id, from_status, to_status)
+  values (
+    new.id,
+    new.user_id,
+    new.quest_id,
+    case when tg_op = 'UPDATE' then old.status else null end,
+    new.status
+  );
+
+  return new;
+end;
+$$;
+
+create or replace function public.touch_quest_status_changed_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status is distinct from old.status then
+    new.status_changed_at := now();
+  end if;
+  return new;
+end;
+$$;
+
+do $$
+begin
+  if not exists (select 1 from pg_trigger where tgname = 'user_active_quests_touch_status') then
+    create trigger user_active_quests_touch_status
+    before update of status on public.user_active_quests
+    for each row execute function public.touch_quest_status_changed_at();
+  end if;
+
+  if not exists (select 1 from pg_trigger where tgname = 'user_active_quests_record_status') then
+    create trigger user_active_quests_record_status
+    after insert or update of status on public.user_active_quests
+    for each row execute function public.record_quest_status_change();
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- EXPIRY
+-- ------------------------------------------------------------
+
+-- Internal: expire overdue quests for one user, or everyone when null.
+create or replace function public.expire_overdue_quests_for(p_user_id uuid default null)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_rows int;
+begin
+  update public.user_active_quests
+  set status = 'expired'
+  where status = 'active'
+    and deadline_at is not null
+    and deadline_at < now()
+    and (p_user_id is null or user_id = p_user_id);
+
+  get diagnostics v_rows = row_count;
+  return v_rows;
+end;
+$$;
+
+revoke all on function public.expire_overdue_quests_for(uuid) from public;
+revoke all on function public.expire_overdue_quests_for(uuid) from anon, authenticated;
+
+create or replace function public.expire_overdue_quests()
+returns table(expired_count int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  return query select public.expire_overdue_quests_for(auth.uid());
+end;
+$$;
+
+grant execute on function public.expire_overdue_quests() to authenticated;
+
+-- Sweep every 15 minutes where pg_cron is enabled; the RPC covers the rest.
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron') then
+    perform cron.schedule(
+      'expire-overdue-quests',
+      '*/15 * * * *',
+      'select public.expire_overdue_quests_for(null)'
+    );
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPC: abandon_quest
+-- ------------------------------------------------------------
+
+create or replace function public.abandon_quest(p_active_quest_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  update public.user_active_quests
+  set status = 'abandoned',
+      deadline_at = null
+  where id = p_active_quest_id
+    and user_id = auth.uid()
+    and status = 'active';
+
+  if not found then
+    raise exception 'Active quest not found';
+  end if;
+end;
+$$;
+
+grant execute on function public.abandon_quest(uuid) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: set_quest_deadline (null clears it)
+-- ------------------------------------------------------------
+
+create or replace function public.set_quest_deadline(p_active_quest_id uuid, p_deadline_at timestamptz)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_deadline_at is not null and p_deadline_at <= now() then
+    raise exception 'Deadline must be in the future';
+  end if;
+
+  update public.user_active_quests
+  set deadline_at = p_deadline_at
+  where id = p_active_quest_id
+    and user_id = auth.uid()
+    and status = 'active';
+
+  if not found then
+    raise exception 'Active quest not found';
+  end if;
+end;
+$$;
+
+grant execute on function public.set_quest_deadline(uuid, timestamptz) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: select_quest (expires overdue quests first, re-arms dropped ones)
+-- ------------------------------------------------------------
+
+create or replace function public.select_quest(p_quest_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_active_count integer;
+  v_limit integer := 10;
+  v_recurrence text;
+  v_active_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  perform public.expire_overdue_quests_for(auth.uid());
+
+  select q.recurrence into v_recurrence
+  from public.quests q
+  where q.id = p_quest_id
+    and q.is_active = true
+    and (q.created_by is null or q.created_by = auth.uid());
+
+  if not found then
+    raise exception 'Quest not found';
+  end if;
+
+  select ua.id into v_active_id
+  from public.user_active_quests ua
+  where ua.user_id = auth.uid()
+    and ua.quest_id = p_quest_id;
+
+  if v_active_id is not null then
+    if v_recurrence = 'once' and exists (
+      select 1 from public.quest_completions qc
+      where qc.active_quest_id = v_active_id
+    ) then
+      raise exception 'Quest already completed';
+    end if;
+
+    if exists (
+      select 1 from public.user_active_quests
+      where id = v_active_id and status = 'active'
+    ) then
+      update public.user_active_quests
+      set selected_at = now()
+      where id = v_active_id;
+      return;
+    end if;
+  end if;
+
+  select count(*)::int into v_active_count
+  from public.user_active_quests
+  where user_id = auth.uid()
+    and status = 'active';
+
+  if coalesce(v_active_count, 0) >= v_limit then
+    raise exception 'Active quest limit reached (max %).', v_limit;
+  end if;
+
+  -- Abandoned/expired (or finished recurring) quests keep their row and history and are re-armed.
+  insert into public.user_active_quests(user_id, quest_id, status, selected_at)
+  values (auth.uid(), p_quest_id, 'active', now())
+  on conflict (user_id, quest_id) do update
+    set status = 'active', selected_at = excluded.selected_at, deadline_at = null;
+end;
+$$;
+
+grant execute on function public.select_quest(uuid) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: complete_quest (active, non-overdue quests only)
+-- ------------------------------------------------------------
+
+create or replace function public.complete_quest(p_active_quest_id uuid, p_optional_note text default null)
+returns table(awarded_xp int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_xp int;
+  v_recurrence text;
+  v_per_week int;
+  v_status text;
+  v_deadline timestamptz;
+  v_now timestamptz := now();
+  v_period text;
+  v_done int;
+  v_completion_id uuid;
+  v_awarded int := 0;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select q.xp_reward, q.recurrence, q.recurrence_count, ua.status, ua.deadline_at
+  into v_xp, v_recurrence, v_per_week, v_status, v_deadline
+  from public.user_active_quests ua
+  join public.quests q on q.id = ua.quest_id
+  where ua.id = p_active_quest_id
+    and ua.user_id = auth.uid();
+
+  if not found then
+    raise exception 'Quest not found for user';
+  end if;
+
+  if v_status <> 'active' then
+    raise exception 'Quest is %, accept it again to continue', v_status;
+  end if;
+
+  if v_deadline is not null and v_deadline < v_now then
+    raise exception 'Quest deadline has passed';
+  end if;
+
+  if v_recurrence = 'weekdays' and extract(isodow from v_now at time zone 'utc') > 5 then
+    raise exception 'Weekday quest is off until Monday';
+  end if;
+
+  v_period := public.quest_period_key(v_recurrence, v_now);
+
+  if v_recurrence = 'n_per_week' then
+    select count(*)::int into v_done
+    from public.quest_completions
+    where active_quest_id = p_active_quest_id
+      and period_key like v_period || '#%';
+
+    if v_done >= coalesce(v_per_week, 1) then
+      return query select 0;
+      return;
+    end if;
+
+    v_period := v_period || '#' || (v_done + 1);
+  end if;
+
+  insert into public.quest_completions(active_quest_id, user_id, optional_note, note, period_key)
+  values (p_active_quest_id, auth.uid(), p_optional_note, p_optional_note, v_period)
+  on conflict (active_quest_id, period_key) do nothing
+  returning id into v_completion_id;
+
+  -- Already completed for this period: idempotent no-op.
+  if v_completion_id is null then
+    return query select 0;
+    return;
+  end if;
+
+  v_awarded := public.award_xp(auth.uid(), 'quest', v_completion_id, coalesce(v_xp, 0));
+
+  if v_recurrence = 'once' then
+    update public.user_active_quests
+    set status = 'completed',
+        deadline_at = null
+    where id = p_active_quest_id;
+  end if;
+
+  return query select v_awarded;
+end;
+$$;
+
+grant execute on function public.complete_quest(uuid, text) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
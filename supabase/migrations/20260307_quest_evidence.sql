@@ -0,0 +1,449 @@
+-- ============================================================
+-- 20260307_quest_evidence.sql
+-- Quest completion evidence + guild peer review:
+-- - quest-evidence Storage bucket (private). Files live under
+--   "<user_id>/..."; owners and guildmates can read them.
+-- - quest_completion_attachments: files attached to a completion.
+-- - complete_quest(p_active_quest_id, p_optional_note, p_attachment_paths).
+-- - completion_reviews + review_completion(): guildmates verify or
+--   dispute a completion. VERIFY_THRESHOLD confirmations mark it
+--   verified and pay a one-time bonus through award_xp
+--   (source 'quest_verified', keyed by completion id). Reviewers need
+--   an account at least 7 days old and 72 hours in a guild shared
+--   with the owner, so fresh alt accounts cannot verify.
+-- - get_guild_completions(): recent member completions for review.
+-- Safe to re-run.
+-- ============================================================
+
+-- ------------------------------------------------------------
+-- GUILD HELPER
+-- ------------------------------------------------------------
+
+create or replace function public.shares_guild(p_user_a uuid, p_user_b uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.group_members a
+    join public.group_members b on b.group_id = a.group_id
+    where a.user_id = p_user_a
+      and b.user_id = p_user_b
+  );
+$$;
+
+grant execute on function public.shares_guild(uuid, uuid) to authenticated;
+
+-- ------------------------------------------------------------
+-- STORAGE BUCKET
+-- ------------------------------------------------------------
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+  'quest-evidence',
+  'quest-evidence',
+  false,
+  10485760,
+  array['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'application/pdf']
+)
+on conflict (id) do update
+set public = excluded.public,
+    file_size_limit = excluded.file_size_limit,
+    allowed_mime_types = excluded.allowed_mime_types;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='quest_evidence_insert_own') then
+    create policy quest_evidence_insert_own on storage.objects
+      for insert to authenticated
+      with check (
+        bucket_id = 'quest-evidence'
+        and (storage.foldername(name))[1] = auth.uid()::text
+      );
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='quest_evidence_delete_own') then
+    create policy quest_evidence_delete_own on storage.objects
+      for delete to authenticated
+      using (
+        bucket_id = 'quest-evidence'
+        and (storage.foldername(name))[1] = auth.uid()::text
+      );
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='quest_evidence_select_own_or_guild') then
+    create policy quest_evidence_select_own_or_guild on storage.objects
+      for select to authenticated
+      using (
+        bucket_id = 'quest-evidence'
+        and (
+          (storage.foldername(name))[1] = auth.uid()::text
+          or exists (
+            select 1
+            from public.group_members a
+            join public.group_members b on b.group_id = a.group_id
+            where a.user_id = auth.uid()
+              and b.user_id::text = (storage.foldername(name))[1]
+          )
+        )
+      );
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- ATTACHMENTS
+-- ------------------------------------------------------------
+
+create table if not exists public.quest_completion_attachments (
+  id uuid primary key default gen_random_uuid(),
+  completion_id uuid not null references public.quest_completions(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  storage_path text not null unique,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists quest_completion_attachments_completion_idx
+  on public.quest_completion_attachments(completion_id);
+
+alter table public.quest_completion_attachments enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='quest_completion_attachments_select_own_or_guild') then
+    create policy quest_completion_attachments_select_own_or_guild on public.quest_completion_attachments
+      for select using (auth.uid() = user_id or public.shares_guild(auth.uid(), user_id));
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- REVIEWS
+-- ------------------------------------------------------------
+
+alter table public.quest_completions
+  add column if not exists verification_status text not null default 'unverified';
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'quest_completions_verification_status_check') then
+    alter table public.quest_completions
+      add constraint quest_completions_verification_status_check
+      check (verification_status in ('unverified', 'verified', 'disputed'));
+  end if;
+end
+$$;
+
+create table if not exists public.completion_reviews (
+  id uuid primary key default gen_random_uuid(),
+  completion_id uuid not null references public.quest_completions(id) on delete cascade,
+  reviewer_id uuid not null references auth.users(id) on delete cascade,
+  verdict text not null check (verdict in ('verify', 'dispute')),
+  created_at timestamptz not null default now(),
+  unique (completion_id, reviewer_id)
+);
+
+alter table public.completion_reviews enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='completion_reviews_select_own') then
+    create policy completion_reviews_select_own on public.completion_reviews
+      for select using (
+        auth.uid() = reviewer_id
+        or exists (
+          select 1 from public.quest_completions qc
+          where qc.id = completion_id
+            and qc.user_id = auth.uid()
+        )
+      );
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPC: complete_quest (+ attachment paths under the caller's folder)
+-- ------------------------------------------------------------
+
+drop function if exists public.complete_quest(uuid, text);
+
+create or replace function public.complete_quest(
+  p_active_quest_id uuid,
+  p_optional_note text default null,
+  p_attachment_paths text[] default '{}'
+)
+returns table(awarded_xp int, completion_id uuid)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_xp int;
+  v_recurrence text;
+  v_per_week int;
+  v_status text;
+  v_deadline timestamptz;
+  v_now timestamptz := now();
+  v_period text;
+  v_done int;
+  v_completion_id uuid;
+  v_awarded int := 0;
+  v_path text;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if coalesce(array_length(p_attachment_paths, 1), 0) > 3 then
+    raise exception 'At most 3 attachments per completion';
+  end if;
+
+  foreach v_path in array coalesce(p_attachment_paths, '{}') loop
+    if split_part(v_path, '/', 1) <> auth.uid()::text then
+      raise exception 'Attachment % is not in your evidence folder', v_path;
+    end if;
+  end loop;
+
+  select q.xp_reward, q.recurrence, q.recurrence_count, ua.status, ua.deadline_at
+  into v_xp, v_recurrence, v_per_week, v_status, v_deadline
+  from public.user_active_quests ua
+  join public.quests q on q.id = ua.quest_id
+  where ua.id = p_active_quest_id
+    and ua.user_id = auth.uid();
+
+  if not found then
+    raise exception 'Quest not found for user';
+  end if;
+
+  if v_status <> 'active' then
+    raise exception 'Quest is %, accept it again to continue', v_status;
+  end if;
+
+  if v_deadline is not null and v_deadline < v_now then
+    raise exception 'Quest deadline has passed';
+  end if;
+
+  if v_recurrence = 'weekdays' and extract(isodow from v_now at time zone 'utc') > 5 then
+    raise exception 'Weekday quest is off until Monday';
+  end if;
+
+  v_period := public.quest_period_key(v_recurrence, v_now);
+
+  if v_recurrence = 'n_per_week' then
+    select count(*)::int into v_done
+    from public.quest_completions
+    where active_quest_id = p_active_quest_id
+      and period_key like v_period || '#%';
+
+    if v_done >= coalesce(v_per_week, 1) then
+      return query select 0, null::uuid;
+      return;
+    end if;
+
+    v_period := v_period || '#' || (v_done + 1);
+  end if;
+
+  insert into public.quest_completions(active_quest_id, user_id, optional_note, note, period_key)
+  values (p_active_quest_id, auth.uid(), p_optional_note, p_optional_note, v_period)
+  on conflict (active_quest_id, period_key) do nothing
+  returning id into v_completion_id;
+
+  -- Already completed for this period: idempotent no-op.
+  if v_completion_id is null then
+    return query select 0, null::uuid;
+    return;
+  end if;
+
+  insert into public.quest_completion_attachments(completion_id, user_id, storage_path)
+  select v_completion_id, auth.uid(), p
+  from unnest(coalesce(p_attachment_paths, '{}')) as p
+  on conflict (storage_path) do nothing;
+
+  v_awarded := public.award_xp(auth.uid(), 'quest', v_completion_id, coalesce(v_xp, 0));
+
+  if v_recurrence = 'once' then
+    update public.user_active_quests
+    set status = 'completed',
+        deadline_at = null
+    where id = p_active_quest_id;
+  end if;
+
+  return query select v_awarded, v_completion_id;
+end;
+$$;
+
+grant execute on function public.complete_quest(uuid, text, text[]) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: review_completion (guildmates only, one verdict each)
+-- ------------------------------------------------------------
+
+create or replace function public.review_completion(p_completion_id uuid, p_verdict text)
+returns table(verification_status text, bonus_xp int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  VERIFY_THRESHOLD constant int := 2;
+  REVIEWER_ACCOUNT_DAYS constant int := 7;
+  REVIEWER_GUILD_HOURS constant int := 72;
+  v_owner uuid;
+  v_xp int;
+  v_status text;
+  v_verifies int;
+  v_disputes int;
+  v_bonus int := 0;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_verdict not in ('verify', 'dispute') then
+    raise exception 'Verdict must be verify or dispute';
+  end if;
+
+  select qc.user_id, q.xp_reward, qc.verification_status
+  into v_owner, v_xp, v_status
+  from public.quest_completions qc
+  join public.user_active_quests ua on ua.id = qc.active_quest_id
+  join public.quests q on q.id = ua.quest_id
+  where qc.id = p_completion_id;
+
+  if not found then
+    raise exception 'Completion not found';
+  end if;
+
+  if v_owner = auth.uid() then
+    raise exception 'You cannot review your own completion';
+  end if;
+
+  if not public.shares_guild(auth.uid(), v_owner) then
+    raise exception 'Only guildmates can review this completion';
+  end if;
+
+  if coalesce((select p.created_at from public.profiles p where p.id = auth.uid()), now())
+     > now() - make_interval(days => REVIEWER_ACCOUNT_DAYS) then
+    raise exception 'Accounts can review completions after % days', REVIEWER_ACCOUNT_DAYS;
+  end if;
+
+  if not exists (
+    select 1
+    from public.group_members a
+    join public.group_members b on b.group_id = a.group_id
+    where a.user_id = auth.uid()
+      and b.user_id = v_owner
+      and a.joined_at <= now() - make_interval(hours => REVIEWER_GUILD_HOURS)
+  ) then
+    raise exception 'Reviewers need % hours in a shared guild first', REVIEWER_GUILD_HOURS;
+  end if;
+
+  insert into public.completion_reviews(completion_id, reviewer_id, verdict)
+  values (p_completion_id, auth.uid(), p_verdict)
+  on conflict (completion_id, reviewer_id) do update
+    set verdict = excluded.verdict, created_at = now();
+
+  select
+    count(*) filter (where r.verdict = 'verify')::int,
+    count(*) filter (where r.verdict = 'dispute')::int
+  into v_verifies, v_disputes
+  from public.completion_reviews r
+  where r.completion_id = p_completion_id;
+
+  -- Verified is final once the bonus is paid; otherwise disputes can flag it.
+  if v_status <> 'verified' then
+    if v_verifies >= VERIFY_THRESHOLD and v_verifies > v_disputes then
+      v_status := 'verified';
+      v_bonus := public.award_xp(v_owner, 'quest_verified', p_completion_id, greatest(5, ceil(coalesce(v_xp, 0) * 0.25)::int));
+    elsif v_disputes >= VERIFY_THRESHOLD and v_disputes >= v_verifies then
+      v_status := 'disputed';
+    else
+      v_status := 'unverified';
+    end if;
+
+    update public.quest_completions
+    set verification_status = v_status
+    where id = p_completion_id;
+  end if;
+
+  return query select v_status, v_bonus;
+end;
+$$;
+
+grant execute on function public.review_completion(uuid, text) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: get_guild_completions (review queue for one guild)
+-- ------------------------------------------------------------
+
+create or replace function public.get_guild_completions(p_group_id uuid, p_limit integer default 20)
+returns table(
+  completion_id uuid,
+  user_id uuid,
+  username text,
+  quest_title text,
+  xp_reward int,
+  completed_at timestamptz,
+  note text,
+  attachment_paths text[],
+  verification_status text,
+  verify_count int,
+  dispute_count int,
+  my_verdict text
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not exists (
+    select 1 from public.group_members gm
+    where gm.group_id = p_group_id
+      and gm.user_id = auth.uid()
+  ) then
+    raise exception 'Not a member of this guild';
+  end if;
+
+  return query
+  select
+    qc.id,
+    qc.user_id,
+    coalesce(
+      nullif(p.display_name, ''),
+      nullif(p.username, ''),
+      concat('Hunter#', right(replace(qc.user_id::text, '-', ''), 4))
+    ),
+    q.title,
+    q.xp_reward,
+    qc.completed_at,
+    qc.optional_note,
+    coalesce(
+      (select array_agg(a.storage_path order by a.created_at)
+       from public.quest_completion_attachments a
+       where a.completion_id = qc.id),
+      '{}'::text[]
+    ),
+    qc.verification_status,
+    (select count(*)::int from public.completion_reviews r where r.completion_id = qc.id and r.verdict = 'verify'),
+    (select count(*)::int from public.completion_reviews r where r.completion_id = qc.id and r.verdict = 'dispute'),
+    (select r.verdict from public.completion_reviews r where r.completion_id = qc.id and r.reviewer_id = auth.uid())
+  from public.quest_completions qc
+  join public.group_members gm on gm.user_id = qc.user_id and gm.group_id = p_group_id
+  join public.user_active_quests ua on ua.id = qc.active_quest_id
+  join public.quests q on q.id = ua.quest_id
+  left join public.profiles p on p.id = qc.user_id
+  order by qc.completed_at desc
+  limit least(greatest(coalesce(p_limit, 20), 1), 50);
+end;
+$$;
+
+grant execute on function public.get_guild_completions(uuid, integer) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
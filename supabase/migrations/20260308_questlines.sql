@@ -0,0 +1,424 @@
+-- ============================================================
+-- 20260308_questlines.sql
+-- Questlines (quest chains):
+-- - questlines + questline_steps: ordered catalog quests per path.
+-- - A step can only be accepted once the previous step has a
+--   completion (select_quest gate via questline_step_unlocked).
+--   Only completions paid through the ledger (xp_events source
+--   'quest') count.
+-- - Finishing every step writes questline_completions and pays the
+--   chain reward once through award_xp (source 'questline'), from a
+--   trigger on the quest's XP event.
+-- - get_questlines(): per-step status (completed/current/locked)
+--   for the caller's path.
+-- Seeds a Heavenly Demon cultivation arc and a Hunter dungeon arc.
+-- Safe to re-run.
+-- ============================================================
+
+-- ------------------------------------------------------------
+-- TABLES
+-- ------------------------------------------------------------
+
+create table if not exists public.questlines (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null unique,
+  path text not null,
+  title text not null,
+  description text not null default '',
+  completion_xp integer not null default 0 check (completion_xp >= 0),
+  is_active boolean not null default true,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.questline_steps (
+  id uuid primary key default gen_random_uuid(),
+  questline_id uuid not null references public.questlines(id) on delete cascade,
+  step_number integer not null check (step_number >= 1),
+  chapter_title text not null default '',
+  quest_id uuid not null references public.quests(id) on delete cascade,
+  unique (questline_id, step_number),
+  unique (questline_id, quest_id)
+);
+
+create index if not exists questline_steps_quest_idx
+  on public.questline_steps(quest_id);
+
+create table if not exists public.questline_completions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  questline_id uuid not null references public.questlines(id) on delete cascade,
+  completed_at timestamptz not null default now(),
+  unique (user_id, questline_id)
+);
+
+alter table public.questlines enable row level security;
+alter table public.questline_steps enable row level security;
+alter table public.questline_completions enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='questlines_select_auth') then
+    create policy questlines_select_auth on public.questlines
+      for select using (auth.role() = 'authenticated');
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='questline_steps_select_auth') then
+    create policy questline_steps_select_auth on public.questline_steps
+      for select using (auth.role() = 'authenticated');
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='questline_completions_select_own') then
+    create policy questline_completions_select_own on public.questline_completions
+      for select using (auth.uid() = user_id);
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- SEED: step quests + questlines
+-- ------------------------------------------------------------
+
+insert into public.quests (title, description, path, category, difficulty, xp_reward, is_active, flavor_text, recurrence)
+values
+  ('Tempering the Vessel', 'Finish one full programmed strength session and log it.', 'HEAVENLY_DEMON', 'gym', 'easy', 20, true, 'The body is the first cauldron.', 'once'),
+  ('Qi Gathering', 'Run two 45-minute deep study blocks in a single day.', 'HEAVENLY_DEMON', 'study', 'medium', 30, true, 'Draw in knowledge, hold it still.', 'once'),
+  ('Meridian Cleansing', 'Remove one source of recurring friction: refactor, automate or delete it.', 'HEAVENLY_DEMON', 'coding', 'medium', 35, true, 'Clear blockages before pushing power through.', 'once'),
+  ('Heart Demon Trial', 'Do the task you have avoided all week, then write down what changed.', 'HEAVENLY_DEMON', 'business', 'hard', 45, true, 'The strongest enemy is inside.', 'once'),
+  ('Ascension of the Heavenly Demon', 'Ship a finished piece of work publicly and post a short retrospective.', 'HEAVENLY_DEMON', 'business', 'hard', 60, true, 'Break the bottleneck. Ascend.', 'once'),
+
+  ('Gate Reconnaissance', 'Map the week: list three targets and the first action for each.', 'HUNTER', 'study', 'easy', 20, true, 'A red gate opened downtown. Scout it.', 'once'),
+  ('Clear the First Floor', 'Finish the smallest target end-to-end.', 'HUNTER', 'coding', 'medium', 30, true, 'Low-rank mobs. Clear them fast.', 'once'),
+  ('Endurance Floor', 'Complete a full workout plus 20 minutes of cardio.', 'HUNTER', 'gym', 'medium', 30, true, 'The dungeon punishes weak lungs.', 'once'),
+  ('Elite Mob Sweep', 'Send 15 outreach or follow-up messages in one block.', 'HUNTER', 'business', 'hard', 45, true, 'Elites travel in packs. So do leads.', 'once'),
+  ('Red Gate Boss Room', 'Ship the hardest target of the week and document it.', 'HUNTER', 'coding', 'hard', 60, true, 'The boss room door is open.', 'once')
+on conflict (path, title, created_by) do update
+set description = excluded.description,
+    category = excluded.category,
+    difficulty = excluded.difficulty,
+    xp_reward = excluded.xp_reward,
+    is_active = excluded.is_active,
+    flavor_text = excluded.flavor_text,
+    recurrence = excluded.recurrence;
+
+insert into public.questlines (slug, path, title, description, completion_xp, sort_order)
+values
+  ('heavenly-demon-cultivation', 'HEAVENLY_DEMON', 'Cultivation Arc: Nine Heavens',
+   'Refine the body, gather qi and face the heart demon before ascending.', 250, 1),
+  ('hunter-red-gate', 'HUNTER', 'Dungeon Arc: The Red Gate',
+   'A red gate has opened. Scout it, clear each floor and take down the boss.', 250, 1)
+on conflict (slug) do update
+set path = excluded.path,
+    title = excluded.title,
+    description = excluded.description,
+    completion_xp = excluded.completion_xp,
+    sort_order = excluded.sort_order;
+
+insert into public.questline_steps (questline_id, step_number, chapter_title, quest_id)
+select l.id, v.step_number, v.chapter_title, q.id
+from (
+  values
+    ('heavenly-demon-cultivation', 1, 'I. Body Refinement', 'Tempering the Vessel'),
+    ('heavenly-demon-cultivation', 2, 'II. Qi Condensation', 'Qi Gathering'),
+    ('heavenly-demon-cultivation', 3, 'III. Foundation Establishment', 'Meridian Cleansing'),
+    ('heavenly-demon-cultivation', 4, 'IV. Heart Demon', 'Heart Demon Trial'),
+    ('heavenly-demon-cultivation', 5, 'V. Ascension', 'Ascension of the Heavenly Demon'),
+    ('hunter-red-gate', 1, 'I. Gate Detected', 'Gate Reconnaissance'),
+    ('hunter-red-gate', 2, 'II. First Floor', 'Clear the First Floor'),
+    ('hunter-red-gate', 3, 'III. Endurance Floor', 'Endurance Floor'),
+    ('hunter-red-gate', 4, 'IV. Elite Floor', 'Elite Mob Sweep'),
+    ('hunter-red-gate', 5, 'V. Boss Room', 'Red Gate Boss Room')
+) as v(slug, step_number, chapter_title, quest_title)
+join public.questlines l on l.slug = v.slug
+join public.quests q on q.path = l.path and q.title = v.quest_title and q.created_by is null
+on conflict (questline_id, step_number) do update
+set chapter_title = excluded.chapter_title,
+    quest_id = excluded.quest_id;
+
+-- ------------------------------------------------------------
+-- HELPERS
+-- ------------------------------------------------------------
+
+create or replace function public.user_completed_quest(p_user_id uuid, p_quest_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.quest_completions qc
+    join public.xp_events x
+      on x.user_id = qc.user_id
+     and x.source_type = 'quest'
+     and x.source_id = qc.id
+    where qc.user_id = p_user_id
+      and qc.quest_id = p_quest_id
+  );
+$$;
+
+-- True unless the quest is a questline step whose previous step is unfinished.
+create or replace function public.questline_step_unlocked(p_user_id uuid, p_quest_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select not exists (
+    select 1
+    from public.questline_steps s
+    join public.questlines l on l.id = s.questline_id and l.is_active = true
+    join public.questline_steps prev
+      on prev.questline_id = s.questline_id
+     and prev.step_number = s.step_number - 1
+    where s.quest_id = p_quest_id
+      and not public.user_completed_quest(p_user_id, prev.quest_id)
+  );
+$$;
+
+revoke all on function public.user_completed_quest(uuid, uuid) from public;
+revoke all on function public.user_completed_quest(uuid, uuid) from anon, authenticated;
+revoke all on function public.questline_step_unlocked(uuid, uuid) from public;
+revoke all on function public.questline_step_unlocked(uuid, uuid) from anon, authenticated;
+
+-- ------------------------------------------------------------
+-- CHAIN REWARD (after each quest XP award)
+-- ------------------------------------------------------------
+
+create or replace function public.award_questline_completion()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_quest_id uuid;
+  v_line record;
+  v_completion_id uuid;
+begin
+  if new.source_type <> 'quest' then
+    return new;
+  end if;
+
+  select qc.quest_id into v_quest_id
+  from public.quest_completions qc
+  where qc.id = new.source_id;
+
+  for v_line in
+    select l.id, l.completion_xp
+    from public.questline_steps s
+    join public.questlines l on l.id = s.questline_id
+    where s.quest_id = v_quest_id
+      and l.is_active = true
+  loop
+    if not exists (
+      select 1
+      from public.questline_steps s2
+      where s2.questline_id = v_line.id
+        and not public.user_completed_quest(new.user_id, s2.quest_id)
+    ) then
+      v_completion_id := null;
+
+      insert into public.questline_completions(user_id, questline_id)
+      values (new.user_id, v_line.id)
+      on conflict (user_id, questline_id) do nothing
+      returning id into v_completion_id;
+
+      if v_completion_id is not null then
+        perform public.award_xp(new.user_id, 'questline', v_line.id, v_line.completion_xp);
+      end if;
+    end if;
+  end loop;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists quest_completions_award_questline on public.quest_completions;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_trigger where tgname = 'xp_events_award_questline'
+  ) then
+    create trigger xp_events_award_questline
+    after insert on public.xp_events
+    for each row execute function public.award_questline_completion();
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPC: get_questlines (caller's path, per-step status)
+-- ------------------------------------------------------------
+
+create or replace function public.get_questlines()
+returns table(
+  questline_id uuid,
+  questline_title text,
+  questline_description text,
+  completion_xp int,
+  questline_completed_at timestamptz,
+  step_number int,
+  chapter_title text,
+  quest_id uuid,
+  quest_title text,
+  quest_description text,
+  category text,
+  xp_reward int,
+  step_status text,
+  active_quest_id uuid
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  return query
+  with steps as (
+    select
+      l.id as line_id,
+      l.title as line_title,
+      l.description as line_description,
+      l.completion_xp as line_xp,
+      l.sort_order as line_sort,
+      s.step_number as step_no,
+      s.chapter_title as chapter,
+      q.id as q_id,
+      q.title as q_title,
+      q.description as q_description,
+      q.category as q_category,
+      q.xp_reward as q_xp,
+      public.user_completed_quest(auth.uid(), q.id) as is_done
+    from public.questlines l
+    join public.profiles p on p.id = auth.uid() and p.path = l.path
+    join public.questline_steps s on s.questline_id = l.id
+    join public.quests q on q.id = s.quest_id
+    where l.is_active = true
+  ),
+  ranked as (
+    select
+      st.*,
+      min(st.step_no) filter (where not st.is_done) over (partition by st.line_id) as current_step
+    from steps st
+  )
+  select
+    r.line_id,
+    r.line_title,
+    r.line_description,
+    r.line_xp,
+    qlc.completed_at,
+    r.step_no,
+    r.chapter,
+    r.q_id,
+    r.q_title,
+    r.q_description,
+    r.q_category,
+    r.q_xp,
+    case
+      when r.is_done then 'completed'
+      when r.step_no = r.current_step then 'current'
+      else 'locked'
+    end,
+    ua.id
+  from ranked r
+  left join public.questline_completions qlc
+    on qlc.questline_id = r.line_id
+   and qlc.user_id = auth.uid()
+  left join public.user_active_quests ua
+    on ua.quest_id = r.q_id
+   and ua.user_id = auth.uid()
+   and ua.status = 'active'
+  order by r.line_sort, r.line_title, r.step_no;
+end;
+$$;
+
+grant execute on function public.get_questlines() to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: select_quest (+ questline prerequisite gate)
+-- ------------------------------------------------------------
+
+create or replace function public.select_quest(p_quest_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_active_count integer;
+  v_limit integer := 10;
+  v_recurrence text;
+  v_active_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  perform public.expire_overdue_quests_for(auth.uid());
+
+  select q.recurrence into v_recurrence
+  from public.quests q
+  where q.id = p_quest_id
+    and q.is_active = true
+    and (q.created_by is null or q.created_by = auth.uid());
+
+  if not found then
+    raise exception 'Quest not found';
+  end if;
+
+  if not public.questline_step_unlocked(auth.uid(), p_quest_id) then
+    raise exception 'Complete the previous questline step first';
+  end if;
+
+  select ua.id into v_active_id
+  from public.user_active_quests ua
+  where ua.user_id = auth.uid()
+    and ua.quest_id = p_quest_id;
+
+  if v_active_id is not null then
+    if v_recurrence = 'once' and exists (
+      select 1 from public.quest_completions qc
+      where qc.active_quest_id = v_active_id
+    ) then
+      raise exception 'Quest already completed';
+    end if;
+
+    if exists (
+      select 1 from public.user_active_quests
+      where id = v_active_id and status = 'active'
+    ) then
+      update public.user_active_quests
+      set selected_at = now()
+      where id = v_active_id;
+      return;
+    end if;
+  end if;
+
+  select count(*)::int into v_active_count
+  from public.user_active_quests
+  where user_id = auth.uid()
+    and status = 'active';
+
+  if coalesce(v_active_count, 0) >= v_limit then
+    raise exception 'Active quest limit reached (max %).', v_limit;
+  end if;
+
+  -- Abandoned/expired (or finished recurring) quests keep their row and history and are re-armed.
+  insert into public.user_active_quests(user_id, quest_id, status, selected_at)
+  values (auth.uid(), p_quest_id, 'active', now())
+  on conflict (user_id, quest_id) do update
+    set status = 'active', selected_at = excluded.selected_at, deadline_at = null;
+end;
+$$;
+
+grant execute on function public.select_quest(uuid) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,40 @@
+-- ============================================================
+-- 20260309_quest_favorites.sql
+-- Pinned quests: per-user favorites for the quest board.
+-- Rows are written directly by the client under RLS.
+-- Safe to re-run.
+-- ============================================================
+
+create table if not exists public.quest_favorites (
+  user_id uuid not null references auth.users(id) on delete cascade,
+  quest_id uuid not null references public.quests(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (user_id, quest_id)
+);
+
+alter table public.quest_favorites enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='quest_favorites_select_own') then
+    create policy quest_favorites_select_own on public.quest_favorites
+      for select using (auth.uid() = user_id);
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='quest_favorites_insert_own') then
+    create policy quest_favorites_insert_own on public.quest_favorites
+      for insert with check (auth.uid() = user_id);
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='quest_favorites_delete_own') then
+    create policy quest_favorites_delete_own on public.quest_favorites
+      for delete using (auth.uid() = user_id);
+  end if;
+end
+$$;
+
+-- Board filtering reads category/difficulty/recurrence for a path.
+create index if not exists quests_path_active_idx
+  on public.quests(path, is_active);
+
+select pg_notify('pgrst', 'reload schema');
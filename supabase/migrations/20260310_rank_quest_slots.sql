@@ -0,0 +1,188 @@
+-- ============================================================
+-- 20260310_rank_quest_slots.sql
+-- Rank-based active quest slots:
+-- - rank_tiers.active_quest_slots (E=3 ... S=10).
+-- - active_quest_slots_for(user): slots for the user's current rank.
+-- - Trigger on user_active_quests rejects any row becoming 'active'
+--   past the limit, whatever path wrote it.
+-- - Direct client inserts are no longer allowed (select_quest only).
+-- - select_quest uses the rank limit instead of a fixed number.
+-- Players already over their limit keep those quests but cannot
+-- accept more until they drop below it.
+-- Mirrors getActiveQuestSlots in src/lib/progression.js. Safe to re-run.
+-- ============================================================
+
+alter table public.rank_tiers
+  add column if not exists active_quest_slots integer not null default 3 check (active_quest_slots >= 1);
+
+update public.rank_tiers t
+set active_quest_slots = v.slots
+from (
+  values ('E', 3), ('D', 4), ('C', 5), ('B', 6), ('A', 8), ('S', 10)
+) as v(rank, slots)
+where t.rank = v.rank;
+
+create or replace function public.active_quest_slots_for(p_user_id uuid)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (
+      select t.active_quest_slots
+      from public.profiles p
+      join public.rank_tiers t on t.rank = public.rank_for_xp(p.xp_total)
+      where p.id = p_user_id
+    ),
+    3
+  );
+$$;
+
+grant execute on function public.active_quest_slots_for(uuid) to authenticated;
+
+-- ------------------------------------------------------------
+-- Table-level slot guard
+-- ------------------------------------------------------------
+
+create or replace function public.enforce_active_quest_slots()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_limit int;
+  v_active int;
+begin
+  if new.status <> 'active' then
+    return new;
+  end if;
+
+  if tg_op = 'UPDATE' and old.status = 'active' then
+    return new;
+  end if;
+
+  -- Serialize slot checks per user so two concurrent accepts cannot both pass.
+  perform pg_advisory_xact_lock(hashtext('active_quest_slots:' || new.user_id::text));
+
+  v_limit := public.active_quest_slots_for(new.user_id);
+
+  select count(*)::int into v_active
+  from public.user_active_quests
+  where user_id = new.user_id
+    and status = 'active'
+    and id <> new.id;
+
+  if v_active >= v_limit then
+    raise exception 'Active quest limit reached (% of % slots).', v_active, v_limit;
+  end if;
+
+  return new;
+end;
+$$;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_trigger where tgname = 'user_active_quests_enforce_slots'
+  ) then
+    create trigger user_active_quests_enforce_slots
+    before insert or update of status on public.user_active_quests
+    for each row execute function public.enforce_active_quest_slots();
+  end if;
+end
+$$;
+
+-- ACTIVE QUESTS: rows are only created through select_quest.
+do $$
+begin
+  if exists (select 1 from pg_policies where policyname='active_quests_insert_own') then
+    drop policy active_quests_insert_own on public.user_active_quests;
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPC: select_quest (rank-based slot limit)
+-- ------------------------------------------------------------
+
+create or replace function public.select_quest(p_quest_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_active_count integer;
+  v_limit integer;
+  v_recurrence text;
+  v_active_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  perform public.expire_overdue_quests_for(auth.uid());
+
+  select q.recurrence into v_recurrence
+  from public.quests q
+  where q.id = p_quest_id
+    and q.is_active = true
+    and (q.created_by is null or q.created_by = auth.uid());
+
+  if not found then
+    raise exception 'Quest not found';
+  end if;
+
+  if not public.questline_step_unlocked(auth.uid(), p_quest_id) then
+    raise exception 'Complete the previous questline step first';
+  end if;
+
+  select ua.id into v_active_id
+  from public.user_active_quests ua
+  where ua.user_id = auth.uid()
+    and ua.quest_id = p_quest_id;
+
+  if v_active_id is not null then
+    if v_recurrence = 'once' and exists (
+      select 1 from public.quest_completions qc
+      where qc.active_quest_id = v_active_id
+    ) then
+      raise exception 'Quest already completed';
+    end if;
+
+    if exists (
+      select 1 from public.user_active_quests
+      where id = v_active_id and status = 'active'
+    ) then
+      update public.user_active_quests
+      set selected_at = now()
+      where id = v_active_id;
+      return;
+    end if;
+  end if;
+
+  v_limit := public.active_quest_slots_for(auth.uid());
+
+  select count(*)::int into v_active_count
+  from public.user_active_quests
+  where user_id = auth.uid()
+    and status = 'active';
+
+  if coalesce(v_active_count, 0) >= v_limit then
+    raise exception 'Active quest limit reached (% of % slots).', v_active_count, v_limit;
+  end if;
+
+  -- Abandoned/expired (or finished recurring) quests keep their row and history and are re-armed.
+  insert into public.user_active_quests(user_id, quest_id, status, selected_at)
+  values (auth.uid(), p_quest_id, 'active', now())
+  on conflict (user_id, quest_id) do update
+    set status = 'active', selected_at = excluded.selected_at, deadline_at = null;
+end;
+$$;
+
+grant execute on function public.select_quest(uuid) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,153 @@
+-- ============================================================
+-- 20260311_quest_history.sql
+-- Full quest history:
+-- - get_quest_history(): paginated completions for the caller with
+--   date range (UTC days), category and difficulty filters, the XP
+--   each completion actually paid and a total_count for paging.
+-- - get_quest_heatmap(): completions + quest XP per UTC day.
+-- Legacy completions (before 20260304) were paid under the active
+-- quest id; that key is attributed to the first completion only.
+-- Safe to re-run.
+-- ============================================================
+
+create index if not exists xp_events_user_source_idx
+  on public.xp_events(user_id, source_type, source_id);
+
+create or replace function public.get_quest_history(
+  p_from date default null,
+  p_to date default null,
+  p_category text default null,
+  p_difficulty text default null,
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table(
+  completion_id uuid,
+  completed_at timestamptz,
+  quest_id uuid,
+  quest_title text,
+  category text,
+  difficulty text,
+  note text,
+  awarded_xp int,
+  bonus_xp int,
+  verification_status text,
+  attachment_paths text[],
+  total_count bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with filtered as (
+    select
+      qc.id,
+      qc.active_quest_id,
+      qc.completed_at,
+      q.id as q_id,
+      q.title,
+      q.category,
+      q.difficulty,
+      coalesce(qc.optional_note, qc.note) as note,
+      qc.verification_status
+    from public.quest_completions qc
+    join public.user_active_quests ua on ua.id = qc.active_quest_id
+    join public.quests q on q.id = ua.quest_id
+    where qc.user_id = auth.uid()
+      and (p_from is null or qc.completed_at >= (p_from::timestamp at time zone 'utc'))
+      and (p_to is null or qc.completed_at < ((p_to + 1)::timestamp at time zone 'utc'))
+      and (nullif(p_category, '') is null or lower(q.category) = lower(p_category))
+      and (nullif(p_difficulty, '') is null or lower(q.difficulty) = lower(p_difficulty))
+  ),
+  page as (
+    select f.*, count(*) over () as total
+    from filtered f
+    order by f.completed_at desc
+    limit least(greatest(coalesce(p_limit, 20), 1), 500)
+    offset greatest(coalesce(p_offset, 0), 0)
+  )
+  select
+    pg.id,
+    pg.completed_at,
+    pg.q_id,
+    pg.title,
+    pg.category,
+    pg.difficulty,
+    pg.note,
+    coalesce(
+      (
+        select x.amount from public.xp_events x
+        where x.user_id = auth.uid() and x.source_type = 'quest' and x.source_id = pg.id
+      ),
+      (
+        select x.amount from public.xp_events x
+        where x.user_id = auth.uid() and x.source_type = 'quest' and x.source_id = pg.active_quest_id
+          and not exists (
+            select 1 from public.quest_completions older
+            where older.active_quest_id = pg.active_quest_id
+              and older.completed_at < pg.completed_at
+          )
+      ),
+      0
+    )::int,
+    coalesce(
+      (
+        select x.amount from public.xp_events x
+        where x.user_id = auth.uid() and x.source_type = 'quest_verified' and x.source_id = pg.id
+      ),
+      0
+    )::int,
+    pg.verification_status,
+    coalesce(
+      (
+        select array_agg(a.storage_path order by a.created_at)
+        from public.quest_completion_attachments a
+        where a.completion_id = pg.id
+      ),
+      '{}'::text[]
+    ),
+    pg.total
+  from page pg
+  order by pg.completed_at desc;
+$$;
+
+grant execute on function public.get_quest_history(date, date, text, text, integer, integer) to authenticated;
+
+create or replace function public.get_quest_heatmap(p_from date, p_to date)
+returns table(day date, completions int, xp int)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with days as (
+    select generate_series(p_from, least(p_to, p_from + 400), interval '1 day')::date as d
+  ),
+  done as (
+    select (qc.completed_at at time zone 'utc')::date as d, count(*)::int as n
+    from public.quest_completions qc
+    where qc.user_id = auth.uid()
+      and qc.completed_at >= (p_from::timestamp at time zone 'utc')
+      and qc.completed_at < ((p_to + 1)::timestamp at time zone 'utc')
+    group by 1
+  ),
+  earned as (
+    select (x.created_at at time zone 'utc')::date as d, sum(x.amount)::int as n
+    from public.xp_events x
+    where x.user_id = auth.uid()
+      and x.source_type in ('quest', 'quest_verified', 'questline')
+      and x.created_at >= (p_from::timestamp at time zone 'utc')
+      and x.created_at < ((p_to + 1)::timestamp at time zone 'utc')
+    group by 1
+  )
+  select days.d, coalesce(done.n, 0), coalesce(earned.n, 0)
+  from days
+  left join done on done.d = days.d
+  left join earned on earned.d = days.d
+  order by days.d;
+$$;
+
+grant execute on function public.get_quest_heatmap(date, date) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
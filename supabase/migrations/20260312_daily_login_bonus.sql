@@ -0,0 +1,139 @@
+-- ============================================================
+-- 20260312_daily_login_bonus.sql
+-- Server-side daily login bonus:
+-- - daily_bonus_rewards: XP per day of the 7-day cycle.
+-- - daily_claims: one row per user per UTC day with the consecutive
+--   login streak and the cycle day it paid.
+-- - claim_daily_bonus(): claims today, continues the streak when
+--   yesterday was claimed, pays through award_xp.
+-- - claim_daily_xp() stays as a thin wrapper for older clients.
+-- Claim ids reuse the md5(user:daily:date) key from 20260302 so a day
+-- already paid by claim_daily_xp is never paid twice.
+-- Mirrors src/lib/dailyBonus.js. Safe to re-run.
+-- ============================================================
+
+create table if not exists public.daily_bonus_rewards (
+  cycle_day integer primary key check (cycle_day between 1 and 7),
+  xp_reward integer not null check (xp_reward > 0)
+);
+
+insert into public.daily_bonus_rewards (cycle_day, xp_reward)
+values (1, 10), (2, 15), (3, 20), (4, 25), (5, 30), (6, 40), (7, 75)
+on conflict (cycle_day) do update
+set xp_reward = excluded.xp_reward;
+
+create table if not exists public.daily_claims (
+  id uuid primary key,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  claim_date date not null,
+  streak_days integer not null check (streak_days >= 1),
+  cycle_day integer not null check (cycle_day between 1 and 7),
+  xp_awarded integer not null default 0,
+  created_at timestamptz not null default now(),
+  unique (user_id, claim_date)
+);
+
+create index if not exists daily_claims_user_date_idx
+  on public.daily_claims(user_id, claim_date desc);
+
+alter table public.daily_bonus_rewards enable row level security;
+alter table public.daily_claims enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='daily_bonus_rewards_select_auth') then
+    create policy daily_bonus_rewards_select_auth on public.daily_bonus_rewards
+      for select using (auth.role() = 'authenticated');
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='daily_claims_select_own') then
+    create policy daily_claims_select_own on public.daily_claims
+      for select using (auth.uid() = user_id);
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPC: claim_daily_bonus
+-- ------------------------------------------------------------
+
+create or replace function public.claim_daily_bonus()
+returns table(awarded_xp int, streak_days int, cycle_day int, already_claimed boolean)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_today date := (now() at time zone 'utc')::date;
+  v_claim_id uuid;
+  v_prev public.daily_claims%rowtype;
+  v_existing public.daily_claims%rowtype;
+  v_streak int := 1;
+  v_cycle int;
+  v_xp int;
+  v_awarded int;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  -- Serialize claims per user so the streak math sees the latest row.
+  perform pg_advisory_xact_lock(hashtext('daily_claim:' || auth.uid()::text));
+
+  select * into v_existing
+  from public.daily_claims dc
+  where dc.user_id = auth.uid()
+    and dc.claim_date = v_today;
+
+  if found then
+    return query select 0, v_existing.streak_days, v_existing.cycle_day, true;
+    return;
+  end if;
+
+  select * into v_prev
+  from public.daily_claims dc
+  where dc.user_id = auth.uid()
+    and dc.claim_date < v_today
+  order by dc.claim_date desc
+  limit 1;
+
+  if found and v_prev.claim_date = v_today - 1 then
+    v_streak := v_prev.streak_days + 1;
+  end if;
+
+  v_cycle := ((v_streak - 1) % 7) + 1;
+
+  select r.xp_reward into v_xp
+  from public.daily_bonus_rewards r
+  where r.cycle_day = v_cycle;
+
+  v_claim_id := md5(auth.uid()::text || ':daily:' || v_today::text)::uuid;
+  v_awarded := public.award_xp(auth.uid(), 'daily_login', v_claim_id, coalesce(v_xp, 10));
+
+  insert into public.daily_claims(id, user_id, claim_date, streak_days, cycle_day, xp_awarded)
+  values (v_claim_id, auth.uid(), v_today, v_streak, v_cycle, v_awarded);
+
+  return query select v_awarded, v_streak, v_cycle, v_awarded = 0;
+end;
+$$;
+
+grant execute on function public.claim_daily_bonus() to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: claim_daily_xp (legacy wrapper)
+-- ------------------------------------------------------------
+
+create or replace function public.claim_daily_xp()
+returns table(awarded_xp int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return query select b.awarded_xp from public.claim_daily_bonus() b;
+end;
+$$;
+
+grant execute on function public.claim_daily_xp() to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
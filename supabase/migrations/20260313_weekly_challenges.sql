@@ -0,0 +1,244 @@
+-- ============================================================
+-- 20260313_weekly_challenges.sql
+-- Live weekly challenges:
+-- - weekly_challenges: definitions (metric, target, XP + title reward),
+--   optionally scoped to one path.
+-- - weekly_challenge_progress(): progress within the week from the
+--   Monday reset (UTC), from ledger-paid quest_completions and
+--   workout_logs or from xp_events.
+-- - get_weekly_challenges(): this week's challenges with progress and
+--   claim state for the caller.
+-- - claim_weekly_challenge(): pays XP + title once per challenge/week.
+-- Safe to re-run.
+-- ============================================================
+
+create table if not exists public.weekly_challenges (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null unique,
+  title text not null,
+  description text,
+  path text check (path is null or path in ('HEAVENLY_DEMON', 'HUNTER')),
+  metric text not null check (metric in ('quests', 'xp', 'workouts')),
+  target integer not null check (target > 0),
+  xp_reward integer not null default 0 check (xp_reward >= 0),
+  reward_title text,
+  is_active boolean not null default true,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+insert into public.weekly_challenges (slug, title, description, path, metric, target, xp_reward, reward_title, sort_order)
+values
+  ('weekly-quests-10', 'Complete 10 quests this week', 'Any quest counts, recurring ones included.', null, 'quests', 10, 150, 'Relentless', 1),
+  ('weekly-xp-500', 'Earn 500 XP this week', 'Quests, workouts and bonuses all count.', null, 'xp', 500, 100, null, 2),
+  ('weekly-workouts-3', 'Log 3 completed workouts', 'Finish three training days before the reset.', null, 'workouts', 3, 100, 'Iron Will', 3)
+on conflict (slug) do update
+set
+  title = excluded.title,
+  description = excluded.description,
+  path = excluded.path,
+  metric = excluded.metric,
+  target = excluded.target,
+  xp_reward = excluded.xp_reward,
+  reward_title = excluded.reward_title,
+  sort_order = excluded.sort_order;
+
+create table if not exists public.weekly_challenge_claims (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  challenge_id uuid not null references public.weekly_challenges(id) on delete cascade,
+  week_start date not null,
+  xp_awarded integer not null default 0,
+  reward_title text,
+  claimed_at timestamptz not null default now(),
+  unique (user_id, challenge_id, week_start)
+);
+
+create index if not exists weekly_challenge_claims_user_idx
+  on public.weekly_challenge_claims(user_id, claimed_at desc);
+
+alter table public.weekly_challenges enable row level security;
+alter table public.weekly_challenge_claims enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='weekly_challenges_select_auth') then
+    create policy weekly_challenges_select_auth on public.weekly_challenges
+      for select using (auth.role() = 'authenticated');
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='weekly_challenge_claims_select_own') then
+    create policy weekly_challenge_claims_select_own on public.weekly_challenge_claims
+      for select using (auth.uid() = user_id);
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- Progress (internal)
+-- ------------------------------------------------------------
+
+create or replace function public.weekly_challenge_progress(p_user_id uuid, p_metric text, p_week_start date)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  -- Quests and workouts only count once the ledger has paid for them.
+  select case p_metric
+    when 'quests' then (
+      select count(*)::int
+      from public.quest_completions qc
+      join public.xp_events x
+        on x.user_id = qc.user_id
+       and x.source_type = 'quest'
+       and x.source_id = qc.id
+      where qc.user_id = p_user_id
+        and qc.completed_at >= (p_week_start::timestamp at time zone 'utc')
+        and qc.completed_at < ((p_week_start + 7)::timestamp at time zone 'utc')
+    )
+    when 'xp' then (
+      -- Challenge payouts themselves do not count toward XP challenges.
+      select coalesce(sum(x.amount), 0)::int
+      from public.xp_events x
+      where x.user_id = p_user_id
+        and x.source_type <> 'weekly_challenge'
+        and x.created_at >= (p_week_start::timestamp at time zone 'utc')
+        and x.created_at < ((p_week_start + 7)::timestamp at time zone 'utc')
+    )
+    when 'workouts' then (
+      select count(*)::int
+      from public.workout_logs w
+      join public.xp_events x
+        on x.user_id = w.user_id
+       and x.source_type = 'workout'
+       and x.source_id = w.id
+      where w.user_id = p_user_id
+        and w.completed = true
+        and w.log_date >= p_week_start
+        and w.log_date < p_week_start + 7
+    )
+    else 0
+  end;
+$$;
+
+revoke all on function public.weekly_challenge_progress(uuid, text, date) from public;
+revoke all on function public.weekly_challenge_progress(uuid, text, date) from anon, authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: get_weekly_challenges
+-- ------------------------------------------------------------
+
+create or replace function public.get_weekly_challenges()
+returns table(
+  challenge_id uuid,
+  slug text,
+  title text,
+  description text,
+  metric text,
+  target int,
+  progress int,
+  xp_reward int,
+  reward_title text,
+  week_start date,
+  resets_at timestamptz,
+  claimed boolean
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with wk as (
+    select date_trunc('week', now() at time zone 'utc')::date as start
+  )
+  select
+    c.id,
+    c.slug,
+    c.title,
+    c.description,
+    c.metric,
+    c.target,
+    public.weekly_challenge_progress(auth.uid(), c.metric, wk.start),
+    c.xp_reward,
+    c.reward_title,
+    wk.start,
+    ((wk.start + 7)::timestamp at time zone 'utc'),
+    exists (
+      select 1 from public.weekly_challenge_claims wc
+      where wc.user_id = auth.uid()
+        and wc.challenge_id = c.id
+        and wc.week_start = wk.start
+    )
+  from public.weekly_challenges c
+  cross join wk
+  left join public.profiles p on p.id = auth.uid()
+  where auth.uid() is not null
+    and c.is_active = true
+    and (c.path is null or c.path = p.path)
+  order by c.sort_order, c.title;
+$$;
+
+grant execute on function public.get_weekly_challenges() to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: claim_weekly_challenge
+-- ------------------------------------------------------------
+
+create or replace function public.claim_weekly_challenge(p_challenge_id uuid)
+returns table(awarded_xp int, reward_title text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_week_start date := date_trunc('week', now() at time zone 'utc')::date;
+  v_challenge public.weekly_challenges%rowtype;
+  v_progress int;
+  v_claim_id uuid;
+  v_awarded int;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select c.* into v_challenge
+  from public.weekly_challenges c
+  left join public.profiles p on p.id = auth.uid()
+  where c.id = p_challenge_id
+    and c.is_active = true
+    and (c.path is null or c.path = p.path);
+
+  if not found then
+    raise exception 'Weekly challenge not found';
+  end if;
+
+  v_progress := public.weekly_challenge_progress(auth.uid(), v_challenge.metric, v_week_start);
+
+  if v_progress < v_challenge.target then
+    raise exception 'Weekly challenge not complete (% of %).', v_progress, v_challenge.target;
+  end if;
+
+  insert into public.weekly_challenge_claims(user_id, challenge_id, week_start, reward_title)
+  values (auth.uid(), v_challenge.id, v_week_start, v_challenge.reward_title)
+  on conflict (user_id, challenge_id, week_start) do nothing
+  returning id into v_claim_id;
+
+  if v_claim_id is null then
+    raise exception 'Weekly challenge already claimed';
+  end if;
+
+  v_awarded := public.award_xp(auth.uid(), 'weekly_challenge', v_claim_id, v_challenge.xp_reward);
+
+  update public.weekly_challenge_claims
+  set xp_awarded = v_awarded
+  where id = v_claim_id;
+
+  return query select v_awarded, v_challenge.reward_title;
+end;
+$$;
+
+grant execute on function public.claim_weekly_challenge(uuid) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
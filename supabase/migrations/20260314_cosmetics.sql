@@ -0,0 +1,311 @@
+-- ============================================================
+-- 20260314_cosmetics.sql
+-- Cosmetic unlock catalog:
+-- - cosmetics: avatars, frames, titles and HUD themes with an unlock
+--   rule (default, level, rank or achievement slug).
+-- - user_cosmetics: what each player has unlocked, and how.
+-- - user_equipped_cosmetics: one equipped item per kind.
+-- - sync_cosmetic_unlocks(user): grants every level/rank/default item the
+--   player qualifies for; runs whenever xp_total changes.
+-- - get_cosmetics(), equip_cosmetic(), unequip_cosmetic() for the caller.
+-- - get_equipped_cosmetics(user_ids): equipped items for any players
+--   (leaderboards, guild lists).
+-- Achievement items are granted by whatever records the achievement.
+-- Safe to re-run.
+-- ============================================================
+
+create table if not exists public.cosmetics (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null unique,
+  kind text not null check (kind in ('avatar', 'frame', 'title', 'hud_theme')),
+  name text not null,
+  description text,
+  icon text,
+  style_key text,
+  unlock_type text not null default 'default' check (unlock_type in ('default', 'level', 'rank', 'achievement')),
+  unlock_level integer check (unlock_level is null or unlock_level >= 1),
+  unlock_rank text,
+  unlock_achievement text,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now(),
+  check (unlock_type <> 'level' or unlock_level is not null),
+  check (unlock_type <> 'rank' or unlock_rank is not null),
+  check (unlock_type <> 'achievement' or unlock_achievement is not null)
+);
+
+insert into public.cosmetics (slug, kind, name, description, icon, style_key, unlock_type, unlock_level, unlock_rank, unlock_achievement, sort_order)
+values
+  ('avatar-blade', 'avatar', 'Blade', 'Every hunter starts with a blade.', '🗡️', null, 'default', null, null, null, 1),
+  ('avatar-guard', 'avatar', 'Guard', 'Hold the line.', '🛡️', null, 'default', null, null, null, 2),
+  ('avatar-eye', 'avatar', 'Watcher', 'Sees the gate before it opens.', '👁️', null, 'level', 5, null, null, 3),
+  ('avatar-orb', 'avatar', 'Mana Orb', 'Condensed qi, barely contained.', '🔮', null, 'level', 10, null, null, 4),
+  ('avatar-bolt', 'avatar', 'Lightning', 'Speed is its own technique.', '⚡', null, 'level', 15, null, null, 5),
+  ('avatar-crown', 'avatar', 'Crown', 'Reserved for monarchs.', '👑', null, 'level', 20, null, null, 6),
+  ('frame-steel', 'frame', 'Steel Frame', 'Standard issue.', '▢', 'steel', 'default', null, null, null, 10),
+  ('frame-gold', 'frame', 'Gold Frame', 'C-Rank and above.', '🟨', 'gold', 'rank', null, 'C', null, 11),
+  ('frame-crimson', 'frame', 'Crimson Frame', 'A-Rank and above.', '🟥', 'crimson', 'rank', null, 'A', null, 12),
+  ('frame-void', 'frame', 'Void Frame', 'S-Rank only.', '⬛', 'void', 'rank', null, 'S', null, 13),
+  ('frame-boss', 'frame', 'Gatebreaker Frame', 'Earned by taking down a boss.', '🐉', 'boss', 'achievement', null, null, 'first-boss-kill', 14),
+  ('title-awakened', 'title', 'Awakened', 'The system has chosen you.', '✦', null, 'default', null, null, null, 20),
+  ('title-gate-breaker', 'title', 'Gate Breaker', 'Reach level 10.', '✦', null, 'level', 10, null, null, 21),
+  ('title-iron-slayer', 'title', 'Iron Slayer', 'Reach B-Rank.', '✦', null, 'rank', null, 'B', null, 22),
+  ('title-monarch', 'title', 'Monarch', 'Reach S-Rank.', '✦', null, 'rank', null, 'S', null, 23),
+  ('theme-system', 'hud_theme', 'System Blue', 'Default HUD.', '🟦', 'system', 'default', null, null, null, 30),
+  ('theme-crimson', 'hud_theme', 'Crimson Gate', 'Red-gate HUD for D-Rank and above.', '🟥', 'crimson', 'rank', null, 'D', null, 31),
+  ('theme-jade', 'hud_theme', 'Jade Sect', 'Cultivator green, level 12.', '🟩', 'jade', 'level', 12, null, null, 32),
+  ('theme-monarch', 'hud_theme', 'Shadow Monarch', 'Violet HUD for A-Rank and above.', '🟪', 'monarch', 'rank', null, 'A', null, 33)
+on conflict (slug) do update
+set
+  kind = excluded.kind,
+  name = excluded.name,
+  description = excluded.description,
+  icon = excluded.icon,
+  style_key = excluded.style_key,
+  unlock_type = excluded.unlock_type,
+  unlock_level = excluded.unlock_level,
+  unlock_rank = excluded.unlock_rank,
+  unlock_achievement = excluded.unlock_achievement,
+  sort_order = excluded.sort_order;
+
+create table if not exists public.user_cosmetics (
+  user_id uuid not null references auth.users(id) on delete cascade,
+  cosmetic_id uuid not null references public.cosmetics(id) on delete cascade,
+  source text not null default 'unlock_rule',
+  unlocked_at timestamptz not null default now(),
+  primary key (user_id, cosmetic_id)
+);
+
+create table if not exists public.user_equipped_cosmetics (
+  user_id uuid not null references auth.users(id) on delete cascade,
+  kind text not null check (kind in ('avatar', 'frame', 'title', 'hud_theme')),
+  cosmetic_id uuid not null references public.cosmetics(id) on delete cascade,
+  equipped_at timestamptz not null default now(),
+  primary key (user_id, kind)
+);
+
+alter table public.cosmetics enable row level security;
+alter table public.user_cosmetics enable row level security;
+alter table public.user_equipped_cosmetics enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='cosmetics_select_auth') then
+    create policy cosmetics_select_auth on public.cosmetics
+      for select using (auth.role() = 'authenticated');
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='user_cosmetics_select_own') then
+    create policy user_cosmetics_select_own on public.user_cosmetics
+      for select using (auth.uid() = user_id);
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='user_equipped_cosmetics_select_own') then
+    create policy user_equipped_cosmetics_select_own on public.user_equipped_cosmetics
+      for select using (auth.uid() = user_id);
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- Unlock sync (internal)
+-- ------------------------------------------------------------
+
+create or replace function public.sync_cosmetic_unlocks(p_user_id uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_xp int;
+  v_level int;
+  v_rows int;
+begin
+  select coalesce(p.xp_total, 0) into v_xp
+  from public.profiles p
+  where p.id = p_user_id;
+
+  if not found then
+    return 0;
+  end if;
+
+  v_level := public.level_from_xp(v_xp);
+
+  insert into public.user_cosmetics(user_id, cosmetic_id, source)
+  select p_user_id, c.id, c.unlock_type
+  from public.cosmetics c
+  left join public.rank_tiers t on t.rank = c.unlock_rank
+  where c.unlock_type = 'default'
+     or (c.unlock_type = 'level' and v_level >= c.unlock_level)
+     or (c.unlock_type = 'rank' and t.rank is not null and v_xp >= t.min_xp)
+  on conflict (user_id, cosmetic_id) do nothing;
+
+  get diagnostics v_rows = row_count;
+  return v_rows;
+end;
+$$;
+
+revoke all on function public.sync_cosmetic_unlocks(uuid) from public;
+revoke all on function public.sync_cosmetic_unlocks(uuid) from anon, authenticated;
+
+create or replace function public.profiles_sync_cosmetics()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' or new.xp_total is distinct from old.xp_total then
+    perform public.sync_cosmetic_unlocks(new.id);
+  end if;
+  return new;
+end;
+$$;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_trigger where tgname = 'profiles_sync_cosmetics'
+  ) then
+    create trigger profiles_sync_cosmetics
+    after insert or update of xp_total on public.profiles
+    for each row execute function public.profiles_sync_cosmetics();
+  end if;
+end
+$$;
+
+-- Backfill existing players.
+do $$
+declare
+  v_id uuid;
+begin
+  for v_id in select id from public.profiles loop
+    perform public.sync_cosmetic_unlocks(v_id);
+  end loop;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPCs: catalog + equip
+-- ------------------------------------------------------------
+
+create or replace function public.get_cosmetics()
+returns table(
+  cosmetic_id uuid,
+  slug text,
+  kind text,
+  name text,
+  description text,
+  icon text,
+  style_key text,
+  unlock_type text,
+  unlock_level int,
+  unlock_rank text,
+  unlock_achievement text,
+  unlocked boolean,
+  unlocked_at timestamptz,
+  equipped boolean
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  perform public.sync_cosmetic_unlocks(auth.uid());
+
+  return query
+  select
+    c.id,
+    c.slug,
+    c.kind,
+    c.name,
+    c.description,
+    c.icon,
+    c.style_key,
+    c.unlock_type,
+    c.unlock_level,
+    c.unlock_rank,
+    c.unlock_achievement,
+    uc.cosmetic_id is not null,
+    uc.unlocked_at,
+    ue.cosmetic_id is not null
+  from public.cosmetics c
+  left join public.user_cosmetics uc on uc.cosmetic_id = c.id and uc.user_id = auth.uid()
+  left join public.user_equipped_cosmetics ue on ue.cosmetic_id = c.id and ue.user_id = auth.uid()
+  order by c.sort_order, c.name;
+end;
+$$;
+
+grant execute on function public.get_cosmetics() to authenticated;
+
+create or replace function public.equip_cosmetic(p_cosmetic_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_kind text;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select c.kind into v_kind
+  from public.cosmetics c
+  join public.user_cosmetics uc on uc.cosmetic_id = c.id and uc.user_id = auth.uid()
+  where c.id = p_cosmetic_id;
+
+  if not found then
+    raise exception 'Cosmetic is locked';
+  end if;
+
+  insert into public.user_equipped_cosmetics(user_id, kind, cosmetic_id, equipped_at)
+  values (auth.uid(), v_kind, p_cosmetic_id, now())
+  on conflict (user_id, kind) do update
+    set cosmetic_id = excluded.cosmetic_id, equipped_at = excluded.equipped_at;
+end;
+$$;
+
+grant execute on function public.equip_cosmetic(uuid) to authenticated;
+
+create or replace function public.unequip_cosmetic(p_kind text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  delete from public.user_equipped_cosmetics
+  where user_id = auth.uid()
+    and kind = p_kind;
+end;
+$$;
+
+grant execute on function public.unequip_cosmetic(text) to authenticated;
+
+create or replace function public.get_equipped_cosmetics(p_user_ids uuid[])
+returns table(user_id uuid, kind text, slug text, name text, icon text, style_key text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select ue.user_id, c.kind, c.slug, c.name, c.icon, c.style_key
+  from public.user_equipped_cosmetics ue
+  join public.cosmetics c on c.id = ue.cosmetic_id
+  where auth.uid() is not null
+    and ue.user_id = any (p_user_ids[1:200]);
+$$;
+
+grant execute on function public.get_equipped_cosmetics(uuid[]) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
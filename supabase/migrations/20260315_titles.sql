@@ -0,0 +1,433 @@
+-- ============================================================
+-- 20260315_titles.sql
+-- Earned titles:
+-- - titles: canonical title list with rarity and an optional unlock
+--   rule (default / level / rank / achievement / reward).
+-- - user_titles: which titles a player holds, when and how they were
+--   earned (source + source_ref).
+-- - profiles.equipped_title_id, server-managed via equip_title().
+-- - grant_title(): internal entry point for anything that awards a
+--   title (weekly challenges now, achievements/bosses later).
+-- - get_titles(), equip_title(), get_equipped_titles(user_ids).
+-- Title cosmetics from 20260314 move here: holders and the equipped
+-- title are carried over, then the cosmetic rows are removed.
+-- Safe to re-run.
+-- ============================================================
+
+create table if not exists public.titles (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null unique,
+  name text not null unique,
+  description text,
+  rarity text not null default 'common' check (rarity in ('common', 'rare', 'epic', 'legendary')),
+  unlock_type text not null default 'reward' check (unlock_type in ('default', 'level', 'rank', 'achievement', 'reward')),
+  unlock_level integer check (unlock_level is null or unlock_level >= 1),
+  unlock_rank text,
+  unlock_achievement text,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now(),
+  check (unlock_type <> 'level' or unlock_level is not null),
+  check (unlock_type <> 'rank' or unlock_rank is not null),
+  check (unlock_type <> 'achievement' or unlock_achievement is not null)
+);
+
+insert into public.titles (slug, name, description, rarity, unlock_type, unlock_level, unlock_rank, unlock_achievement, sort_order)
+values
+  ('awakened', 'Awakened', 'The system has chosen you.', 'common', 'default', null, null, null, 1),
+  ('gate-breaker', 'Gate Breaker', 'Reach level 10.', 'rare', 'level', 10, null, null, 2),
+  ('iron-slayer', 'Iron Slayer', 'Reach B-Rank.', 'epic', 'rank', null, 'B', null, 3),
+  ('monarch', 'Monarch', 'Reach S-Rank.', 'legendary', 'rank', null, 'S', null, 4),
+  ('relentless', 'Relentless', 'Complete 10 quests in a single week.', 'rare', 'reward', null, null, null, 10),
+  ('iron-will', 'Iron Will', 'Log 3 completed workouts in a single week.', 'rare', 'reward', null, null, null, 11)
+on conflict (slug) do update
+set
+  name = excluded.name,
+  description = excluded.description,
+  rarity = excluded.rarity,
+  unlock_type = excluded.unlock_type,
+  unlock_level = excluded.unlock_level,
+  unlock_rank = excluded.unlock_rank,
+  unlock_achievement = excluded.unlock_achievement,
+  sort_order = excluded.sort_order;
+
+create table if not exists public.user_titles (
+  user_id uuid not null references auth.users(id) on delete cascade,
+  title_id uuid not null references public.titles(id) on delete cascade,
+  source text not null,
+  source_ref text,
+  earned_at timestamptz not null default now(),
+  primary key (user_id, title_id)
+);
+
+create index if not exists user_titles_user_idx
+  on public.user_titles(user_id, earned_at desc);
+
+alter table public.profiles
+  add column if not exists equipped_title_id uuid references public.titles(id) on delete set null;
+
+alter table public.weekly_challenges
+  add column if not exists reward_title_id uuid references public.titles(id) on delete set null;
+
+update public.weekly_challenges c
+set reward_title_id = t.id
+from public.titles t
+where c.reward_title is not null
+  and lower(t.name) = lower(c.reward_title)
+  and c.reward_title_id is distinct from t.id;
+
+alter table public.titles enable row level security;
+alter table public.user_titles enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='titles_select_auth') then
+    create policy titles_select_auth on public.titles
+      for select using (auth.role() = 'authenticated');
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='user_titles_select_own') then
+    create policy user_titles_select_own on public.user_titles
+      for select using (auth.uid() = user_id);
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- Profile guard: equipped_title_id is server-managed too
+-- ------------------------------------------------------------
+
+create or replace function public.guard_profile_progress()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_locked text[] := array[
+    'xp_total', 'total_xp', 'current_streak', 'longest_streak',
+    'last_workout_date', 'is_qa', 'perks', 'equipped_title_id'
+  ];
+  v_col text;
+begin
+  if current_user not in ('authenticated', 'anon') then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    new := jsonb_populate_record(
+      new,
+      jsonb_build_object(
+        'xp_total', 0,
+        'total_xp', 0,
+        'current_streak', 0,
+        'longest_streak', 0,
+        'last_workout_date', null,
+        'is_qa', false,
+        'perks', '{}'::jsonb,
+        'equipped_title_id', null
+      )
+    );
+    return new;
+  end if;
+
+  foreach v_col in array v_locked loop
+    if (to_jsonb(new) -> v_col) is distinct from (to_jsonb(old) -> v_col) then
+      raise exception 'Profile column % is server-managed', v_col;
+    end if;
+  end loop;
+
+  return new;
+end;
+$$;
+
+-- ------------------------------------------------------------
+-- Grants (internal)
+-- ------------------------------------------------------------
+
+create or replace function public.grant_title(
+  p_user_id uuid,
+  p_title_id uuid,
+  p_source text,
+  p_source_ref text default null
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_rows int;
+begin
+  if p_user_id is null or p_title_id is null then
+    return false;
+  end if;
+
+  insert into public.user_titles(user_id, title_id, source, source_ref)
+  values (p_user_id, p_title_id, coalesce(p_source, 'reward'), p_source_ref)
+  on conflict (user_id, title_id) do nothing;
+
+  get diagnostics v_rows = row_count;
+  return v_rows > 0;
+end;
+$$;
+
+revoke all on function public.grant_title(uuid, uuid, text, text) from public;
+revoke all on function public.grant_title(uuid, uuid, text, text) from anon, authenticated;
+
+create or replace function public.sync_title_unlocks(p_user_id uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_xp int;
+  v_level int;
+  v_rows int;
+begin
+  select coalesce(p.xp_total, 0) into v_xp
+  from public.profiles p
+  where p.id = p_user_id;
+
+  if not found then
+    return 0;
+  end if;
+
+  v_level := public.level_from_xp(v_xp);
+
+  insert into public.user_titles(user_id, title_id, source)
+  select p_user_id, t.id, t.unlock_type
+  from public.titles t
+  left join public.rank_tiers r on r.rank = t.unlock_rank
+  where t.unlock_type = 'default'
+     or (t.unlock_type = 'level' and v_level >= t.unlock_level)
+     or (t.unlock_type = 'rank' and r.rank is not null and v_xp >= r.min_xp)
+  on conflict (user_id, title_id) do nothing;
+
+  get diagnostics v_rows = row_count;
+  return v_rows;
+end;
+$$;
+
+revoke all on function public.sync_title_unlocks(uuid) from public;
+revoke all on function public.sync_title_unlocks(uuid) from anon, authenticated;
+
+-- Same XP trigger as cosmetics; titles follow the same level/rank rules.
+create or replace function public.profiles_sync_cosmetics()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' or new.xp_total is distinct from old.xp_total then
+    perform public.sync_cosmetic_unlocks(new.id);
+    perform public.sync_title_unlocks(new.id);
+  end if;
+  return new;
+end;
+$$;
+
+-- ------------------------------------------------------------
+-- Carry over title cosmetics + weekly challenge titles
+-- ------------------------------------------------------------
+
+insert into public.user_titles(user_id, title_id, source, earned_at)
+select uc.user_id, t.id, uc.source, uc.unlocked_at
+from public.user_cosmetics uc
+join public.cosmetics c on c.id = uc.cosmetic_id and c.kind = 'title'
+join public.titles t on t.slug = regexp_replace(c.slug, '^title-', '')
+on conflict (user_id, title_id) do nothing;
+
+update public.profiles p
+set equipped_title_id = t.id
+from public.user_equipped_cosmetics ue
+join public.cosmetics c on c.id = ue.cosmetic_id and c.kind = 'title'
+join public.titles t on t.slug = regexp_replace(c.slug, '^title-', '')
+where ue.user_id = p.id
+  and p.equipped_title_id is null;
+
+delete from public.cosmetics where kind = 'title';
+
+insert into public.user_titles(user_id, title_id, source, source_ref, earned_at)
+select wc.user_id, t.id, 'weekly_challenge', c.slug || ':' || wc.week_start::text, wc.claimed_at
+from public.weekly_challenge_claims wc
+join public.weekly_challenges c on c.id = wc.challenge_id
+join public.titles t on lower(t.name) = lower(wc.reward_title)
+where wc.reward_title is not null
+on conflict (user_id, title_id) do nothing;
+
+do $$
+declare
+  v_id uuid;
+begin
+  for v_id in select id from public.profiles loop
+    perform public.sync_title_unlocks(v_id);
+  end loop;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPC: claim_weekly_challenge (grants the reward title)
+-- ------------------------------------------------------------
+
+create or replace function public.claim_weekly_challenge(p_challenge_id uuid)
+returns table(awarded_xp int, reward_title text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_week_start date := date_trunc('week', now() at time zone 'utc')::date;
+  v_challenge public.weekly_challenges%rowtype;
+  v_progress int;
+  v_claim_id uuid;
+  v_awarded int;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select c.* into v_challenge
+  from public.weekly_challenges c
+  left join public.profiles p on p.id = auth.uid()
+  where c.id = p_challenge_id
+    and c.is_active = true
+    and (c.path is null or c.path = p.path);
+
+  if not found then
+    raise exception 'Weekly challenge not found';
+  end if;
+
+  v_progress := public.weekly_challenge_progress(auth.uid(), v_challenge.metric, v_week_start);
+
+  if v_progress < v_challenge.target then
+    raise exception 'Weekly challenge not complete (% of %).', v_progress, v_challenge.target;
+  end if;
+
+  insert into public.weekly_challenge_claims(user_id, challenge_id, week_start, reward_title)
+  values (auth.uid(), v_challenge.id, v_week_start, v_challenge.reward_title)
+  on conflict (user_id, challenge_id, week_start) do nothing
+  returning id into v_claim_id;
+
+  if v_claim_id is null then
+    raise exception 'Weekly challenge already claimed';
+  end if;
+
+  v_awarded := public.award_xp(auth.uid(), 'weekly_challenge', v_claim_id, v_challenge.xp_reward);
+
+  update public.weekly_challenge_claims
+  set xp_awarded = v_awarded
+  where id = v_claim_id;
+
+  perform public.grant_title(
+    auth.uid(),
+    v_challenge.reward_title_id,
+    'weekly_challenge',
+    v_challenge.slug || ':' || v_week_start::text
+  );
+
+  return query select v_awarded, v_challenge.reward_title;
+end;
+$$;
+
+grant execute on function public.claim_weekly_challenge(uuid) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPCs: titles
+-- ------------------------------------------------------------
+
+create or replace function public.get_titles()
+returns table(
+  title_id uuid,
+  slug text,
+  name text,
+  description text,
+  rarity text,
+  unlock_type text,
+  unlock_level int,
+  unlock_rank text,
+  earned boolean,
+  earned_at timestamptz,
+  source text,
+  source_ref text,
+  equipped boolean
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  perform public.sync_title_unlocks(auth.uid());
+
+  return query
+  select
+    t.id,
+    t.slug,
+    t.name,
+    t.description,
+    t.rarity,
+    t.unlock_type,
+    t.unlock_level,
+    t.unlock_rank,
+    ut.title_id is not null,
+    ut.earned_at,
+    ut.source,
+    ut.source_ref,
+    p.equipped_title_id is not distinct from t.id
+  from public.titles t
+  left join public.user_titles ut on ut.title_id = t.id and ut.user_id = auth.uid()
+  left join public.profiles p on p.id = auth.uid()
+  order by t.sort_order, t.name;
+end;
+$$;
+
+grant execute on function public.get_titles() to authenticated;
+
+-- p_title_id null unequips.
+create or replace function public.equip_title(p_title_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_title_id is not null and not exists (
+    select 1 from public.user_titles ut
+    where ut.user_id = auth.uid()
+      and ut.title_id = p_title_id
+  ) then
+    raise exception 'Title not earned';
+  end if;
+
+  update public.profiles
+  set equipped_title_id = p_title_id
+  where id = auth.uid();
+end;
+$$;
+
+grant execute on function public.equip_title(uuid) to authenticated;
+
+create or replace function public.get_equipped_titles(p_user_ids uuid[])
+returns table(user_id uuid, title_id uuid, name text, rarity text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select p.id, t.id, t.name, t.rarity
+  from public.profiles p
+  join public.titles t on t.id = p.equipped_title_id
+  where auth.uid() is not null
+    and p.id = any (p_user_ids[1:200]);
+$$;
+
+grant execute on function public.get_equipped_titles(uuid[]) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
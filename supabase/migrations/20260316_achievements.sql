@@ -0,0 +1,335 @@
+-- ============================================================
+-- 20260316_achievements.sql
+-- Achievements evaluated server-side:
+-- - achievements: definitions (metric, optional metric_param, target,
+--   XP reward). Titles/cosmetics with unlock_achievement = slug are
+--   granted alongside.
+-- - user_achievements: earned badges with the progress seen at unlock.
+-- - achievement_progress(user, metric, param): current value of one
+--   metric. Workouts and quests only count once the ledger has paid
+--   for them (xp_events source 'workout' / 'quest'). Boss kills count
+--   xp_events with source_type 'boss_defeat'.
+-- - evaluate_achievements(user): grants everything newly reached; runs
+--   from triggers on xp_events and xp/streak changes on profiles
+--   (award_xp writes the ledger row before bumping xp_total, so levels
+--   are checked from the profile update).
+-- - get_achievements(): catalog with progress for the caller.
+-- Existing players are backfilled at the end. Safe to re-run.
+-- ============================================================
+
+create table if not exists public.achievements (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null unique,
+  name text not null,
+  description text,
+  icon text,
+  metric text not null check (metric in ('workouts', 'streak', 'quests', 'category_quests', 'level', 'boss_kills')),
+  metric_param text,
+  target integer not null check (target > 0),
+  xp_reward integer not null default 0 check (xp_reward >= 0),
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now(),
+  check (metric <> 'category_quests' or metric_param is not null)
+);
+
+insert into public.achievements (slug, name, description, icon, metric, metric_param, target, xp_reward, sort_order)
+values
+  ('first-workout', 'First Blood', 'Log your first completed workout.', '🩸', 'workouts', null, 1, 10, 1),
+  ('workouts-10', 'Iron Initiate', 'Log 10 completed workouts.', '🏋️', 'workouts', null, 10, 50, 2),
+  ('workouts-50', 'Iron Veteran', 'Log 50 completed workouts.', '⚔️', 'workouts', null, 50, 150, 3),
+  ('streak-7', 'Week of Fire', 'Reach a 7-day streak.', '🔥', 'streak', null, 7, 50, 10),
+  ('streak-30', 'Unbroken', 'Reach a 30-day streak.', '☄️', 'streak', null, 30, 200, 11),
+  ('quests-10', 'Quest Taker', 'Complete 10 quests.', '📜', 'quests', null, 10, 30, 20),
+  ('quests-100', 'Quest Master', 'Complete 100 quests.', '🏅', 'quests', null, 100, 200, 21),
+  ('coding-100', 'Code Sovereign', 'Complete 100 coding quests.', '💻', 'category_quests', 'coding', 100, 250, 22),
+  ('study-50', 'Scholar', 'Complete 50 study quests.', '📖', 'category_quests', 'study', 50, 150, 23),
+  ('level-10', 'Awakened Power', 'Reach level 10.', '✨', 'level', null, 10, 0, 30),
+  ('level-25', 'Ascendant', 'Reach level 25.', '🌟', 'level', null, 25, 0, 31),
+  ('first-boss-kill', 'Gatebreaker', 'Take part in your first boss kill.', '🐉', 'boss_kills', null, 1, 100, 40)
+on conflict (slug) do update
+set
+  name = excluded.name,
+  description = excluded.description,
+  icon = excluded.icon,
+  metric = excluded.metric,
+  metric_param = excluded.metric_param,
+  target = excluded.target,
+  xp_reward = excluded.xp_reward,
+  sort_order = excluded.sort_order;
+
+-- Achievement-linked titles.
+insert into public.titles (slug, name, description, rarity, unlock_type, unlock_achievement, sort_order)
+values
+  ('unbroken', 'Unbroken', 'Reach a 30-day streak.', 'epic', 'achievement', 'streak-30', 20),
+  ('code-sovereign', 'Code Sovereign', 'Complete 100 coding quests.', 'epic', 'achievement', 'coding-100', 21),
+  ('gatebreaker', 'Gatebreaker', 'Take part in your first boss kill.', 'rare', 'achievement', 'first-boss-kill', 22)
+on conflict (slug) do update
+set
+  name = excluded.name,
+  description = excluded.description,
+  rarity = excluded.rarity,
+  unlock_type = excluded.unlock_type,
+  unlock_achievement = excluded.unlock_achievement,
+  sort_order = excluded.sort_order;
+
+create table if not exists public.user_achievements (
+  user_id uuid not null references auth.users(id) on delete cascade,
+  achievement_id uuid not null references public.achievements(id) on delete cascade,
+  progress integer not null default 0,
+  earned_at timestamptz not null default now(),
+  primary key (user_id, achievement_id)
+);
+
+create index if not exists user_achievements_user_idx
+  on public.user_achievements(user_id, earned_at desc);
+
+alter table public.achievements enable row level security;
+alter table public.user_achievements enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='achievements_select_auth') then
+    create policy achievements_select_auth on public.achievements
+      for select using (auth.role() = 'authenticated');
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='user_achievements_select_own') then
+    create policy user_achievements_select_own on public.user_achievements
+      for select using (auth.uid() = user_id);
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- Progress + evaluation (internal)
+-- ------------------------------------------------------------
+
+create or replace function public.achievement_progress(p_user_id uuid, p_metric text, p_param text default null)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case p_metric
+    when 'workouts' then (
+      select count(*)::int
+      from public.workout_logs w
+      join public.xp_events x
+        on x.user_id = w.user_id
+       and x.source_type = 'workout'
+       and x.source_id = w.id
+      where w.user_id = p_user_id
+        and w.completed = true
+    )
+    when 'streak' then (
+      select greatest(coalesce(p.current_streak, 0), coalesce(p.longest_streak, 0))::int
+      from public.profiles p
+      where p.id = p_user_id
+    )
+    when 'quests' then (
+      select count(*)::int
+      from public.quest_completions qc
+      join public.xp_events x
+        on x.user_id = qc.user_id
+       and x.source_type = 'quest'
+       and x.source_id = qc.id
+      where qc.user_id = p_user_id
+    )
+    when 'category_quests' then (
+      select count(*)::int
+      from public.quest_completions qc
+      join public.xp_events x
+        on x.user_id = qc.user_id
+       and x.source_type = 'quest'
+       and x.source_id = qc.id
+      join public.quests q on q.id = qc.quest_id
+      where qc.user_id = p_user_id
+        and lower(q.category) = lower(p_param)
+    )
+    when 'level' then (
+      select public.level_from_xp(coalesce(p.xp_total, 0))
+      from public.profiles p
+      where p.id = p_user_id
+    )
+    when 'boss_kills' then (
+      select count(*)::int
+      from public.xp_events x
+      where x.user_id = p_user_id
+        and x.source_type = 'boss_defeat'
+    )
+    else 0
+  end;
+$$;
+
+revoke all on function public.achievement_progress(uuid, text, text) from public;
+revoke all on function public.achievement_progress(uuid, text, text) from anon, authenticated;
+
+create or replace function public.evaluate_achievements(p_user_id uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_achievement record;
+  v_progress int;
+  v_rows int;
+  v_earned int := 0;
+begin
+  if p_user_id is null then
+    return 0;
+  end if;
+
+  -- Triggers can fire several times per request; serialize per user.
+  perform pg_advisory_xact_lock(hashtext('achievements:' || p_user_id::text));
+
+  for v_achievement in
+    select a.*
+    from public.achievements a
+    where not exists (
+      select 1 from public.user_achievements ua
+      where ua.user_id = p_user_id
+        and ua.achievement_id = a.id
+    )
+  loop
+    v_progress := coalesce(public.achievement_progress(p_user_id, v_achievement.metric, v_achievement.metric_param), 0);
+    if v_progress < v_achievement.target then
+      continue;
+    end if;
+
+    insert into public.user_achievements(user_id, achievement_id, progress)
+    values (p_user_id, v_achievement.id, v_progress)
+    on conflict (user_id, achievement_id) do nothing;
+
+    get diagnostics v_rows = row_count;
+    if v_rows = 0 then
+      continue;
+    end if;
+
+    v_earned := v_earned + 1;
+
+    perform public.award_xp(p_user_id, 'achievement', v_achievement.id, v_achievement.xp_reward);
+
+    perform public.grant_title(p_user_id, t.id, 'achievement', v_achievement.slug)
+    from public.titles t
+    where t.unlock_achievement = v_achievement.slug;
+
+    insert into public.user_cosmetics(user_id, cosmetic_id, source)
+    select p_user_id, c.id, 'achievement'
+    from public.cosmetics c
+    where c.unlock_achievement = v_achievement.slug
+    on conflict (user_id, cosmetic_id) do nothing;
+  end loop;
+
+  return v_earned;
+end;
+$$;
+
+revoke all on function public.evaluate_achievements(uuid) from public;
+revoke all on function public.evaluate_achievements(uuid) from anon, authenticated;
+
+-- ------------------------------------------------------------
+-- Triggers
+-- ------------------------------------------------------------
+
+create or replace function public.evaluate_achievements_trigger()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- Achievement payouts land in xp_events too; don't re-evaluate on our own rows.
+  if tg_table_name = 'xp_events' and new.source_type = 'achievement' then
+    return new;
+  end if;
+
+  if tg_table_name = 'profiles' then
+    perform public.evaluate_achievements(new.id);
+  else
+    perform public.evaluate_achievements(new.user_id);
+  end if;
+  return new;
+end;
+$$;
+
+-- Workout and quest progress needs the ledger row, so the xp_events
+-- trigger covers both; row triggers on the raw tables would fire too early.
+drop trigger if exists workout_logs_evaluate_achievements on public.workout_logs;
+drop trigger if exists quest_completions_evaluate_achievements on public.quest_completions;
+
+do $$
+begin
+  if not exists (select 1 from pg_trigger where tgname = 'xp_events_evaluate_achievements') then
+    create trigger xp_events_evaluate_achievements
+    after insert on public.xp_events
+    for each row execute function public.evaluate_achievements_trigger();
+  end if;
+
+  if not exists (select 1 from pg_trigger where tgname = 'profiles_evaluate_achievements') then
+    create trigger profiles_evaluate_achievements
+    after update of xp_total, current_streak, longest_streak on public.profiles
+    for each row execute function public.evaluate_achievements_trigger();
+  end if;
+end
+$$;
+
+-- Backfill existing players.
+do $$
+declare
+  v_id uuid;
+begin
+  for v_id in select id from public.profiles loop
+    perform public.evaluate_achievements(v_id);
+  end loop;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPC: get_achievements
+-- ------------------------------------------------------------
+
+create or replace function public.get_achievements()
+returns table(
+  achievement_id uuid,
+  slug text,
+  name text,
+  description text,
+  icon text,
+  metric text,
+  target int,
+  progress int,
+  xp_reward int,
+  earned boolean,
+  earned_at timestamptz
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    a.id,
+    a.slug,
+    a.name,
+    a.description,
+    a.icon,
+    a.metric,
+    a.target,
+    case
+      when ua.achievement_id is not null then greatest(ua.progress, a.target)
+      else least(coalesce(public.achievement_progress(auth.uid(), a.metric, a.metric_param), 0), a.target)
+    end,
+    a.xp_reward,
+    ua.achievement_id is not null,
+    ua.earned_at
+  from public.achievements a
+  left join public.user_achievements ua on ua.achievement_id = a.id and ua.user_id = auth.uid()
+  where auth.uid() is not null
+  order by a.sort_order, a.name;
+$$;
+
+grant execute on function public.get_achievements() to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,533 @@
+-- ============================================================
+-- 20260317_user_time_zones.sql
+-- Per-user time zones for day and week boundaries:
+-- - profiles.timezone (IANA name, null = UTC) + timezone_updated_at.
+--   Both are server-managed; set_time_zone() validates the name and
+--   allows one change per 24h so zone hopping can't re-open a day.
+-- - user_time_zone / user_today / user_week_start helpers.
+-- - recalculate_streaks, log_workout, claim_daily_bonus, weekly
+--   challenges and the weekly leaderboard now use the player's local
+--   day/week. log_workout defaults to the local today and only accepts
+--   today or yesterday.
+-- Quest recurrence windows follow in 20260328_local_quest_windows.sql.
+-- Safe to re-run.
+-- ============================================================
+
+alter table public.profiles
+  add column if not exists timezone text,
+  add column if not exists timezone_updated_at timestamptz;
+
+-- ------------------------------------------------------------
+-- Profile guard: time zone is set through set_time_zone only
+-- ------------------------------------------------------------
+
+create or replace function public.guard_profile_progress()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_locked text[] := array[
+    'xp_total', 'total_xp', 'current_streak', 'longest_streak',
+    'last_workout_date', 'is_qa', 'perks', 'equipped_title_id',
+    'timezone', 'timezone_updated_at'
+  ];
+  v_col text;
+begin
+  if current_user not in ('authenticated', 'anon') then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    new := jsonb_populate_record(
+      new,
+      jsonb_build_object(
+        'xp_total', 0,
+        'total_xp', 0,
+        'current_streak', 0,
+        'longest_streak', 0,
+        'last_workout_date', null,
+        'is_qa', false,
+        'perks', '{}'::jsonb,
+        'equipped_title_id', null,
+        'timezone', null,
+        'timezone_updated_at', null
+      )
+    );
+    return new;
+  end if;
+
+  foreach v_col in array v_locked loop
+    if (to_jsonb(new) -> v_col) is distinct from (to_jsonb(old) -> v_col) then
+      raise exception 'Profile column % is server-managed', v_col;
+    end if;
+  end loop;
+
+  return new;
+end;
+$$;
+
+-- ------------------------------------------------------------
+-- Clock helpers (internal)
+-- ------------------------------------------------------------
+
+create or replace function public.user_time_zone(p_user_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((select p.timezone from public.profiles p where p.id = p_user_id), 'UTC');
+$$;
+
+create or replace function public.user_today(p_user_id uuid)
+returns date
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select (now() at time zone public.user_time_zone(p_user_id))::date;
+$$;
+
+-- Monday of the player's current local week.
+create or replace function public.user_week_start(p_user_id uuid)
+returns date
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select date_trunc('week', now() at time zone public.user_time_zone(p_user_id))::date;
+$$;
+
+revoke all on function public.user_time_zone(uuid) from public;
+revoke all on function public.user_time_zone(uuid) from anon, authenticated;
+revoke all on function public.user_today(uuid) from public;
+revoke all on function public.user_today(uuid) from anon, authenticated;
+revoke all on function public.user_week_start(uuid) from public;
+revoke all on function public.user_week_start(uuid) from anon, authenticated;
+
+-- ------------------------------------------------------------
+-- Streaks: consecutive completed local days ending today
+-- ------------------------------------------------------------
+
+create or replace function public.recalculate_streaks(p_user_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  d date := public.user_today(p_user_id);
+  streak int := 0;
+  longest int;
+begin
+  while exists (
+    select 1 from public.workout_logs wl
+    where wl.user_id = p_user_id and wl.log_date = d and wl.completed = true
+  ) loop
+    streak := streak + 1;
+    d := d - interval '1 day';
+  end loop;
+
+  select coalesce(longest_streak, 0) into longest
+  from public.profiles
+  where id = p_user_id;
+
+  update public.profiles
+  set current_streak = streak,
+      longest_streak = greatest(longest, streak)
+  where id = p_user_id;
+end;
+$$;
+
+-- ------------------------------------------------------------
+-- RPC: log_workout (local today or yesterday; null = today)
+-- ------------------------------------------------------------
+
+create or replace function public.log_workout(
+  p_date date,
+  p_completed boolean,
+  p_optional_payload jsonb default '{}'::jsonb
+)
+returns table(awarded_xp int, bonus_xp int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_log_id uuid;
+  v_today date;
+  v_date date;
+  v_base_xp int := 40;
+  v_bonus_xp int := 0;
+  v_total_xp int := 0;
+  v_walk_bonus boolean := coalesce((p_optional_payload->>'bonus_walk_45')::boolean, false);
+  v_run_bonus boolean := coalesce((p_optional_payload->>'bonus_run_45')::boolean, false);
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  v_today := public.user_today(auth.uid());
+  v_date := coalesce(p_date, v_today);
+
+  -- Yesterday stays open for late logging; anything else is backfill.
+  if v_date > v_today or v_date < v_today - 1 then
+    raise exception 'Workouts can only be logged for today or yesterday';
+  end if;
+
+  insert into public.workout_logs(user_id, log_date, completed, payload)
+  values (auth.uid(), v_date, p_completed, p_optional_payload)
+  on conflict (user_id, log_date)
+  do update set completed = excluded.completed, payload = excluded.payload
+  returning id into v_log_id;
+
+  if p_completed then
+    if v_walk_bonus then
+      v_bonus_xp := v_bonus_xp + 10;
+    end if;
+    if v_run_bonus then
+      v_bonus_xp := v_bonus_xp + 15;
+    end if;
+
+    v_total_xp := public.award_xp(auth.uid(), 'workout', v_log_id, v_base_xp + v_bonus_xp);
+
+    if v_total_xp > 0 then
+      update public.profiles
+      set last_workout_date = greatest(coalesce(last_workout_date, v_date), v_date)
+      where id = auth.uid();
+    else
+      v_bonus_xp := 0;
+    end if;
+  end if;
+
+  perform public.recalculate_streaks(auth.uid());
+
+  return query select coalesce(v_total_xp, 0), coalesce(v_bonus_xp, 0);
+end;
+$$;
+
+grant execute on function public.log_workout(date, boolean, jsonb) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: set_time_zone
+-- ------------------------------------------------------------
+
+create or replace function public.set_time_zone(p_time_zone text)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_current text;
+  v_updated_at timestamptz;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_time_zone is null or not exists (select 1 from pg_timezone_names where name = p_time_zone) then
+    raise exception 'Unknown time zone: %', coalesce(p_time_zone, '(none)');
+  end if;
+
+  select p.timezone, p.timezone_updated_at into v_current, v_updated_at
+  from public.profiles p
+  where p.id = auth.uid();
+
+  if v_current = p_time_zone then
+    return v_current;
+  end if;
+
+  if v_current is not null and v_updated_at > now() - interval '24 hours' then
+    raise exception 'Time zone can only be changed once per day';
+  end if;
+
+  update public.profiles
+  set timezone = p_time_zone,
+      timezone_updated_at = now()
+  where id = auth.uid();
+
+  perform public.recalculate_streaks(auth.uid());
+
+  return p_time_zone;
+end;
+$$;
+
+grant execute on function public.set_time_zone(text) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: claim_daily_bonus (local calendar day)
+-- ------------------------------------------------------------
+
+create or replace function public.claim_daily_bonus()
+returns table(awarded_xp int, streak_days int, cycle_day int, already_claimed boolean)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_today date := public.user_today(auth.uid());
+  v_claim_id uuid;
+  v_prev public.daily_claims%rowtype;
+  v_existing public.daily_claims%rowtype;
+  v_streak int := 1;
+  v_cycle int;
+  v_xp int;
+  v_awarded int;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  -- Serialize claims per user so the streak math sees the latest row.
+  perform pg_advisory_xact_lock(hashtext('daily_claim:' || auth.uid()::text));
+
+  select * into v_existing
+  from public.daily_claims dc
+  where dc.user_id = auth.uid()
+    and dc.claim_date = v_today;
+
+  if found then
+    return query select 0, v_existing.streak_days, v_existing.cycle_day, true;
+    return;
+  end if;
+
+  select * into v_prev
+  from public.daily_claims dc
+  where dc.user_id = auth.uid()
+    and dc.claim_date < v_today
+  order by dc.claim_date desc
+  limit 1;
+
+  if found and v_prev.claim_date = v_today - 1 then
+    v_streak := v_prev.streak_days + 1;
+  end if;
+
+  v_cycle := ((v_streak - 1) % 7) + 1;
+
+  select r.xp_reward into v_xp
+  from public.daily_bonus_rewards r
+  where r.cycle_day = v_cycle;
+
+  v_claim_id := md5(auth.uid()::text || ':daily:' || v_today::text)::uuid;
+  v_awarded := public.award_xp(auth.uid(), 'daily_login', v_claim_id, coalesce(v_xp, 10));
+
+  insert into public.daily_claims(id, user_id, claim_date, streak_days, cycle_day, xp_awarded)
+  values (v_claim_id, auth.uid(), v_today, v_streak, v_cycle, v_awarded);
+
+  return query select v_awarded, v_streak, v_cycle, v_awarded = 0;
+end;
+$$;
+
+grant execute on function public.claim_daily_bonus() to authenticated;
+
+-- ------------------------------------------------------------
+-- Weekly challenges (local Monday weeks)
+-- ------------------------------------------------------------
+
+create or replace function public.weekly_challenge_progress(p_user_id uuid, p_metric text, p_week_start date)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case p_metric
+    when 'quests' then (
+      select count(*)::int
+      from public.quest_completions qc
+      where qc.user_id = p_user_id
+        and qc.completed_at >= (p_week_start::timestamp at time zone public.user_time_zone(p_user_id))
+    )
+    when 'xp' then (
+      -- Challenge payouts themselves do not count toward XP challenges.
+      select coalesce(sum(x.amount), 0)::int
+      from public.xp_events x
+      where x.user_id = p_user_id
+        and x.source_type <> 'weekly_challenge'
+        and x.created_at >= (p_week_start::timestamp at time zone public.user_time_zone(p_user_id))
+    )
+    when 'workouts' then (
+      select count(*)::int
+      from public.workout_logs w
+      where w.user_id = p_user_id
+        and w.completed = true
+        and w.log_date >= p_week_start
+    )
+    else 0
+  end;
+$$;
+
+revoke all on function public.weekly_challenge_progress(uuid, text, date) from public;
+revoke all on function public.weekly_challenge_progress(uuid, text, date) from anon, authenticated;
+
+create or replace function public.get_weekly_challenges()
+returns table(
+  challenge_id uuid,
+  slug text,
+  title text,
+  description text,
+  metric text,
+  target int,
+  progress int,
+  xp_reward int,
+  reward_title text,
+  week_start date,
+  resets_at timestamptz,
+  claimed boolean
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with wk as (
+    select
+      public.user_week_start(auth.uid()) as start,
+      public.user_time_zone(auth.uid()) as tz
+  )
+  select
+    c.id,
+    c.slug,
+    c.title,
+    c.description,
+    c.metric,
+    c.target,
+    public.weekly_challenge_progress(auth.uid(), c.metric, wk.start),
+    c.xp_reward,
+    c.reward_title,
+    wk.start,
+    ((wk.start + 7)::timestamp at time zone wk.tz),
+    exists (
+      select 1 from public.weekly_challenge_claims wc
+      where wc.user_id = auth.uid()
+        and wc.challenge_id = c.id
+        and wc.week_start = wk.start
+    )
+  from public.weekly_challenges c
+  cross join wk
+  left join public.profiles p on p.id = auth.uid()
+  where auth.uid() is not null
+    and c.is_active = true
+    and (c.path is null or c.path = p.path)
+  order by c.sort_order, c.title;
+$$;
+
+grant execute on function public.get_weekly_challenges() to authenticated;
+
+create or replace function public.claim_weekly_challenge(p_challenge_id uuid)
+returns table(awarded_xp int, reward_title text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_week_start date := public.user_week_start(auth.uid());
+  v_challenge public.weekly_challenges%rowtype;
+  v_progress int;
+  v_claim_id uuid;
+  v_awarded int;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select c.* into v_challenge
+  from public.weekly_challenges c
+  left join public.profiles p on p.id = auth.uid()
+  where c.id = p_challenge_id
+    and c.is_active = true
+    and (c.path is null or c.path = p.path);
+
+  if not found then
+    raise exception 'Weekly challenge not found';
+  end if;
+
+  v_progress := public.weekly_challenge_progress(auth.uid(), v_challenge.metric, v_week_start);
+
+  if v_progress < v_challenge.target then
+    raise exception 'Weekly challenge not complete (% of %).', v_progress, v_challenge.target;
+  end if;
+
+  insert into public.weekly_challenge_claims(user_id, challenge_id, week_start, reward_title)
+  values (auth.uid(), v_challenge.id, v_week_start, v_challenge.reward_title)
+  on conflict (user_id, challenge_id, week_start) do nothing
+  returning id into v_claim_id;
+
+  if v_claim_id is null then
+    raise exception 'Weekly challenge already claimed';
+  end if;
+
+  v_awarded := public.award_xp(auth.uid(), 'weekly_challenge', v_claim_id, v_challenge.xp_reward);
+
+  update public.weekly_challenge_claims
+  set xp_awarded = v_awarded
+  where id = v_claim_id;
+
+  perform public.grant_title(
+    auth.uid(),
+    v_challenge.reward_title_id,
+    'weekly_challenge',
+    v_challenge.slug || ':' || v_week_start::text
+  );
+
+  return query select v_awarded, v_challenge.reward_title;
+end;
+$$;
+
+grant execute on function public.claim_weekly_challenge(uuid) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: get_leaderboard (weekly window follows the viewer's week)
+-- ------------------------------------------------------------
+
+create or replace function public.get_leaderboard(p_group_id uuid, p_timeframe text default 'weekly')
+returns table(user_id uuid, username text, xp integer, rank integer, level integer, rank_tier text)
+language sql
+security definer
+set search_path = public
+as $$
+  with timeframe as (
+    select case
+      when p_timeframe = 'weekly'
+        then public.user_week_start(auth.uid())::timestamp at time zone public.user_time_zone(auth.uid())
+      else to_timestamp(0)
+    end as start_ts
+  ),
+  members as (
+    select gm.user_id
+    from public.group_members gm
+    where gm.group_id = p_group_id
+  ),
+  sums as (
+    select
+      x.user_id,
+      sum(x.amount)::int as xp
+    from public.xp_events x, timeframe t
+    where x.user_id in (select user_id from members)
+      and x.created_at >= t.start_ts
+    group by x.user_id
+  )
+  select
+    m.user_id,
+    coalesce(
+      nullif(p.display_name, ''),
+      nullif(p.username, ''),
+      concat('Hunter#', right(replace(m.user_id::text, '-', ''), 4))
+    ) as username,
+    coalesce(s.xp, 0) as xp,
+    dense_rank() over (order by coalesce(s.xp,0) desc)::int as rank,
+    public.level_from_xp(coalesce(p.xp_total, 0)) as level,
+    public.rank_for_xp(coalesce(p.xp_total, 0)) as rank_tier
+  from members m
+  left join sums s on s.user_id = m.user_id
+  left join public.profiles p on p.id = m.user_id
+  order by xp desc, username asc;
+$$;
+
+grant execute on function public.get_leaderboard(uuid, text) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,262 @@
+-- ============================================================
+-- 20260318_onboarding.sql
+-- Guided onboarding after path selection:
+-- - onboarding_progress: one row per player with the current step and
+--   the answers so far, so the flow resumes across sessions.
+--   Steps: focus -> quests -> workout -> guild -> reminder -> done.
+-- - save_onboarding_step(step, payload): applies the step (accepts
+--   starter quests, selects the workout plan, joins a guild by code)
+--   and advances. Only the current step or an earlier one can be
+--   saved; earlier steps are re-applied without moving the flow back.
+-- - complete_onboarding(): pays the starter reward once through the
+--   XP ledger (source_type 'onboarding', source_id = user id).
+-- Players who already picked a path are marked done (no reward).
+-- Safe to re-run.
+-- ============================================================
+
+create table if not exists public.onboarding_progress (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  current_step text not null default 'focus'
+    check (current_step in ('focus', 'quests', 'workout', 'guild', 'reminder', 'done')),
+  focus_categories text[] not null default '{}',
+  starter_quest_ids uuid[] not null default '{}',
+  workout_plan_id uuid references public.workout_plans(id) on delete set null,
+  group_id uuid references public.groups(id) on delete set null,
+  reminder_time time,
+  reward_xp integer not null default 0,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.onboarding_progress enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='onboarding_progress_select_own') then
+    create policy onboarding_progress_select_own on public.onboarding_progress
+      for select using (auth.uid() = user_id);
+  end if;
+end
+$$;
+
+-- Existing players skip the flow.
+insert into public.onboarding_progress(user_id, current_step, completed_at)
+select p.id, 'done', now()
+from public.profiles p
+where p.path is not null
+on conflict (user_id) do nothing;
+
+-- ------------------------------------------------------------
+-- RPC: get_onboarding
+-- ------------------------------------------------------------
+
+create or replace function public.get_onboarding()
+returns table(
+  current_step text,
+  focus_categories text[],
+  starter_quest_ids uuid[],
+  workout_plan_id uuid,
+  group_id uuid,
+  reminder_time time,
+  reward_xp int,
+  completed_at timestamptz
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  insert into public.onboarding_progress(user_id)
+  values (auth.uid())
+  on conflict (user_id) do nothing;
+
+  return query
+  select o.current_step, o.focus_categories, o.starter_quest_ids, o.workout_plan_id,
+         o.group_id, o.reminder_time, o.reward_xp, o.completed_at
+  from public.onboarding_progress o
+  where o.user_id = auth.uid();
+end;
+$$;
+
+grant execute on function public.get_onboarding() to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: save_onboarding_step
+-- Payloads:
+--   focus    { categories: text[] }      1-4 categories
+--   quests   { quest_ids: uuid[] }       1-3 quests, accepted via select_quest
+--   workout  { plan_id: uuid | null }    null keeps the default plan
+--   guild    { code: text | null }       null skips
+--   reminder { time: 'HH:MM' | null }    null skips
+-- Returns the next step.
+-- ------------------------------------------------------------
+
+create or replace function public.save_onboarding_step(p_step text, p_payload jsonb default '{}'::jsonb)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_steps text[] := array['focus', 'quests', 'workout', 'guild', 'reminder', 'done'];
+  v_progress public.onboarding_progress%rowtype;
+  v_next text;
+  v_advance text;
+  v_categories text[];
+  v_quest_ids uuid[];
+  v_quest_id uuid;
+  v_plan_id uuid;
+  v_code text;
+  v_group_id uuid;
+  v_time time;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_step is null or p_step = 'done' or not (p_step = any(v_steps)) then
+    raise exception 'Unknown onboarding step: %', coalesce(p_step, '(none)');
+  end if;
+
+  insert into public.onboarding_progress(user_id)
+  values (auth.uid())
+  on conflict (user_id) do nothing;
+
+  select * into v_progress
+  from public.onboarding_progress
+  where user_id = auth.uid()
+  for update;
+
+  if v_progress.completed_at is not null then
+    raise exception 'Onboarding already completed';
+  end if;
+
+  if array_position(v_steps, p_step) > array_position(v_steps, v_progress.current_step) then
+    raise exception 'Finish the % step first', v_progress.current_step;
+  end if;
+
+  v_next := v_steps[array_position(v_steps, p_step) + 1];
+  -- Re-saving an earlier step keeps the furthest step reached.
+  v_advance := case when p_step = v_progress.current_step then v_next else v_progress.current_step end;
+
+  if p_step = 'focus' then
+    select coalesce(array_agg(distinct lower(trim(c))), '{}')
+    into v_categories
+    from jsonb_array_elements_text(coalesce(p_payload->'categories', '[]'::jsonb)) c
+    where trim(c) <> '';
+
+    if cardinality(v_categories) not between 1 and 4 then
+      raise exception 'Pick between 1 and 4 focus categories';
+    end if;
+
+    update public.onboarding_progress
+    set focus_categories = v_categories, current_step = v_advance, updated_at = now()
+    where user_id = auth.uid();
+
+  elsif p_step = 'quests' then
+    select coalesce(array_agg(distinct q::uuid), '{}')
+    into v_quest_ids
+    from jsonb_array_elements_text(coalesce(p_payload->'quest_ids', '[]'::jsonb)) q;
+
+    if cardinality(v_quest_ids) not between 1 and 3 then
+      raise exception 'Accept between 1 and 3 starter quests';
+    end if;
+
+    foreach v_quest_id in array v_quest_ids loop
+      perform public.select_quest(v_quest_id);
+    end loop;
+
+    update public.onboarding_progress
+    set starter_quest_ids = v_quest_ids, current_step = v_advance, updated_at = now()
+    where user_id = auth.uid();
+
+  elsif p_step = 'workout' then
+    v_plan_id := nullif(p_payload->>'plan_id', '')::uuid;
+
+    if v_plan_id is not null then
+      if not exists (select 1 from public.workout_plans where id = v_plan_id and is_active = true) then
+        raise exception 'Workout plan not found';
+      end if;
+      perform public.select_workout_plan(v_plan_id);
+    end if;
+
+    update public.onboarding_progress
+    set workout_plan_id = v_plan_id, current_step = v_advance, updated_at = now()
+    where user_id = auth.uid();
+
+  elsif p_step = 'guild' then
+    v_code := nullif(upper(trim(coalesce(p_payload->>'code', ''))), '');
+
+    if v_code is not null then
+      v_group_id := public.join_guild_by_code(v_code);
+    end if;
+
+    update public.onboarding_progress
+    set group_id = v_group_id, current_step = v_advance, updated_at = now()
+    where user_id = auth.uid();
+
+  elsif p_step = 'reminder' then
+    v_time := nullif(p_payload->>'time', '')::time;
+
+    update public.onboarding_progress
+    set reminder_time = v_time, current_step = v_advance, updated_at = now()
+    where user_id = auth.uid();
+  end if;
+
+  return v_next;
+end;
+$$;
+
+grant execute on function public.save_onboarding_step(text, jsonb) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: complete_onboarding (starter reward)
+-- ------------------------------------------------------------
+
+create or replace function public.complete_onboarding()
+returns table(awarded_xp int)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_reward int := 100;
+  v_progress public.onboarding_progress%rowtype;
+  v_awarded int;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select * into v_progress
+  from public.onboarding_progress
+  where user_id = auth.uid()
+  for update;
+
+  if not found or v_progress.current_step <> 'done' then
+    raise exception 'Finish every onboarding step first';
+  end if;
+
+  if v_progress.completed_at is not null then
+    return query select 0;
+    return;
+  end if;
+
+  v_awarded := public.award_xp(auth.uid(), 'onboarding', auth.uid(), v_reward);
+
+  update public.onboarding_progress
+  set completed_at = now(), reward_xp = v_awarded, updated_at = now()
+  where user_id = auth.uid();
+
+  return query select v_awarded;
+end;
+$$;
+
+grant execute on function public.complete_onboarding() to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,403 @@
+-- ============================================================
+-- 20260319_weekly_boss.sql
+-- Shared weekly boss:
+-- - boss_encounters: one row per kind + window. The weekly boss spawns
+--   lazily each UTC Monday; HP scales with last week's active players.
+-- - boss_contributions: damage per player per encounter.
+-- - XP from quests and workouts deals damage 1:1 (trigger on xp_events).
+--   A hit only writes the player's own contribution row; the shared
+--   encounter row is never locked inside an XP transaction.
+-- - settle_due_weekly_bosses() folds contributions into damage_total
+--   (capped at max_hp), records defeated_at once they reach max_hp,
+--   then pays every contributor once through the XP ledger
+--   (source_type 'boss_defeat', source_id = encounter id), grants the
+--   reward title and sets settled_at; the ledger row also unlocks the
+--   'first-boss-kill' raid badge (20260316_achievements.sql). Escaped
+--   bosses are closed without a payout. Runs every five minutes via
+--   pg_cron where available and lazily from get_weekly_boss().
+-- - get_weekly_boss() / get_boss_contributors() for the boss page.
+-- Safe to re-run.
+-- ============================================================
+
+insert into public.titles (slug, name, description, rarity, unlock_type, sort_order)
+values ('monarch-slayer', 'Monarch Slayer', 'Help bring down a weekly boss.', 'epic', 'reward', 30)
+on conflict (slug) do update
+set
+  name = excluded.name,
+  description = excluded.description,
+  rarity = excluded.rarity,
+  unlock_type = excluded.unlock_type,
+  sort_order = excluded.sort_order;
+
+create table if not exists public.boss_encounters (
+  id uuid primary key default gen_random_uuid(),
+  kind text not null default 'weekly' check (kind in ('weekly')),
+  name text not null,
+  max_hp integer not null check (max_hp > 0),
+  damage_total integer not null default 0 check (damage_total >= 0),
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  defeated_at timestamptz,
+  settled_at timestamptz,
+  reward_xp integer not null default 200 check (reward_xp >= 0),
+  reward_title_id uuid references public.titles(id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (kind, starts_at),
+  check (ends_at > starts_at)
+);
+
+alter table public.boss_encounters
+  add column if not exists settled_at timestamptz;
+
+create table if not exists public.boss_contributions (
+  encounter_id uuid not null references public.boss_encounters(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  damage integer not null default 0 check (damage >= 0),
+  hits integer not null default 0,
+  last_hit_at timestamptz not null default now(),
+  primary key (encounter_id, user_id)
+);
+
+create index if not exists boss_contributions_damage_idx
+  on public.boss_contributions(encounter_id, damage desc);
+
+alter table public.boss_encounters enable row level security;
+alter table public.boss_contributions enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='boss_encounters_select_auth') then
+    create policy boss_encounters_select_auth on public.boss_encounters
+      for select using (auth.role() = 'authenticated');
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='boss_contributions_select_auth') then
+    create policy boss_contributions_select_auth on public.boss_contributions
+      for select using (auth.role() = 'authenticated');
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- Spawn + damage (internal)
+-- ------------------------------------------------------------
+
+create or replace function public.ensure_weekly_boss()
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_start timestamptz := date_trunc('week', now() at time zone 'utc') at time zone 'utc';
+  v_id uuid;
+  v_active int;
+begin
+  select e.id into v_id
+  from public.boss_encounters e
+  where e.kind = 'weekly'
+    and e.starts_at = v_start;
+
+  if v_id is not null then
+    return v_id;
+  end if;
+
+  select count(distinct x.user_id)::int into v_active
+  from public.xp_events x
+  where x.created_at >= v_start - interval '7 days'
+    and x.created_at < v_start;
+
+  insert into public.boss_encounters(kind, name, max_hp, starts_at, ends_at, reward_xp, reward_title_id)
+  values (
+    'weekly',
+    'Shadow Gate: Iron Monarch',
+    greatest(2000, 300 * coalesce(v_active, 0)),
+    v_start,
+    v_start + interval '7 days',
+    200,
+    (select t.id from public.titles t where t.slug = 'monarch-slayer')
+  )
+  on conflict (kind, starts_at) do nothing;
+
+  select e.id into v_id
+  from public.boss_encounters e
+  where e.kind = 'weekly'
+    and e.starts_at = v_start;
+
+  return v_id;
+end;
+$$;
+
+revoke all on function public.ensure_weekly_boss() from public;
+revoke all on function public.ensure_weekly_boss() from anon, authenticated;
+
+-- Folds contributions into the encounter and records the kill.
+create or replace function public.refresh_boss_encounter(p_encounter_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_damage int;
+begin
+  select coalesce(sum(c.damage), 0)::int into v_damage
+  from public.boss_contributions c
+  where c.encounter_id = p_encounter_id;
+
+  update public.boss_encounters
+  set damage_total = least(v_damage, max_hp),
+      defeated_at = case when v_damage >= max_hp then now() else null end
+  where id = p_encounter_id
+    and defeated_at is null;
+end;
+$$;
+
+revoke all on function public.refresh_boss_encounter(uuid) from public;
+revoke all on function public.refresh_boss_encounter(uuid) from anon, authenticated;
+
+-- Pays every contributor once. Safe to call repeatedly.
+create or replace function public.payout_boss_encounter(p_encounter_id uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_encounter public.boss_encounters%rowtype;
+  v_contributor record;
+  v_paid int := 0;
+begin
+  select * into v_encounter
+  from public.boss_encounters
+  where id = p_encounter_id
+  for update;
+
+  if not found or v_encounter.defeated_at is null or v_encounter.settled_at is not null then
+    return 0;
+  end if;
+
+  for v_contributor in
+    select c.user_id
+    from public.boss_contributions c
+    where c.encounter_id = p_encounter_id
+      and c.damage > 0
+  loop
+    if public.award_xp(v_contributor.user_id, 'boss_defeat', p_encounter_id, v_encounter.reward_xp) > 0 then
+      v_paid := v_paid + 1;
+    end if;
+
+    perform public.grant_title(v_contributor.user_id, v_encounter.reward_title_id, 'boss', p_encounter_id::text);
+  end loop;
+
+  update public.boss_encounters
+  set settled_at = now()
+  where id = p_encounter_id;
+
+  return v_paid;
+end;
+$$;
+
+revoke all on function public.payout_boss_encounter(uuid) from public;
+revoke all on function public.payout_boss_encounter(uuid) from anon, authenticated;
+
+create or replace function public.settle_due_weekly_bosses()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+  v_paid int := 0;
+begin
+  for v_id in
+    select e.id
+    from public.boss_encounters e
+    where e.kind = 'weekly'
+      and e.settled_at is null
+      and e.starts_at <= now()
+  loop
+    perform public.refresh_boss_encounter(v_id);
+    v_paid := v_paid + public.payout_boss_encounter(v_id);
+
+    -- Escaped bosses are closed without a payout.
+    update public.boss_encounters
+    set settled_at = now()
+    where id = v_id
+      and defeated_at is null
+      and ends_at <= now();
+  end loop;
+
+  return v_paid;
+end;
+$$;
+
+revoke all on function public.settle_due_weekly_bosses() from public;
+revoke all on function public.settle_due_weekly_bosses() from anon, authenticated;
+
+create or replace function public.deal_boss_damage(p_user_id uuid, p_amount integer)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+  v_encounter public.boss_encounters%rowtype;
+begin
+  if p_user_id is null or coalesce(p_amount, 0) <= 0 then
+    return;
+  end if;
+
+  v_id := public.ensure_weekly_boss();
+
+  select * into v_encounter
+  from public.boss_encounters
+  where id = v_id;
+
+  if v_encounter.defeated_at is not null or now() >= v_encounter.ends_at then
+    return;
+  end if;
+
+  -- Only the player's own row is written; settle_due_weekly_bosses()
+  -- totals the damage and records the kill.
+  insert into public.boss_contributions(encounter_id, user_id, damage, hits, last_hit_at)
+  values (v_id, p_user_id, p_amount, 1, now())
+  on conflict (encounter_id, user_id) do update
+    set damage = boss_contributions.damage + excluded.damage,
+        hits = boss_contributions.hits + 1,
+        last_hit_at = excluded.last_hit_at;
+end;
+$$;
+
+revoke all on function public.deal_boss_damage(uuid, integer) from public;
+revoke all on function public.deal_boss_damage(uuid, integer) from anon, authenticated;
+
+create or replace function public.xp_events_boss_damage()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- Only real activity hurts the boss: quests and workouts.
+  if new.source_type in ('quest', 'quest_verified', 'questline', 'workout') then
+    perform public.deal_boss_damage(new.user_id, new.amount);
+  end if;
+  return new;
+end;
+$$;
+
+do $$
+begin
+  if not exists (select 1 from pg_trigger where tgname = 'xp_events_boss_damage') then
+    create trigger xp_events_boss_damage
+    after insert on public.xp_events
+    for each row execute function public.xp_events_boss_damage();
+  end if;
+end
+$$;
+
+-- Kill payouts where pg_cron is enabled; get_weekly_boss() covers the rest.
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron') then
+    perform cron.schedule(
+      'settle-weekly-bosses',
+      '*/5 * * * *',
+      'select public.settle_due_weekly_bosses()'
+    );
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPCs
+-- ------------------------------------------------------------
+
+create or replace function public.get_weekly_boss()
+returns table(
+  encounter_id uuid,
+  name text,
+  max_hp int,
+  damage_total int,
+  hp_remaining int,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  defeated_at timestamptz,
+  reward_xp int,
+  reward_title text,
+  contributors int,
+  my_damage int,
+  my_rank int,
+  rewarded boolean
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  perform public.settle_due_weekly_bosses();
+  v_id := public.ensure_weekly_boss();
+
+  return query
+  with ranked as (
+    select c.user_id, c.damage, rank() over (order by c.damage desc)::int as pos
+    from public.boss_contributions c
+    where c.encounter_id = v_id
+      and c.damage > 0
+  )
+  select
+    e.id,
+    e.name,
+    e.max_hp,
+    e.damage_total,
+    greatest(e.max_hp - e.damage_total, 0),
+    e.starts_at,
+    e.ends_at,
+    e.defeated_at,
+    e.reward_xp,
+    t.name,
+    (select count(*)::int from ranked),
+    coalesce((select r.damage from ranked r where r.user_id = auth.uid()), 0),
+    (select r.pos from ranked r where r.user_id = auth.uid()),
+    exists (
+      select 1 from public.xp_events x
+      where x.user_id = auth.uid()
+        and x.source_type = 'boss_defeat'
+        and x.source_id = e.id
+    )
+  from public.boss_encounters e
+  left join public.titles t on t.id = e.reward_title_id
+  where e.id = v_id;
+end;
+$$;
+
+grant execute on function public.get_weekly_boss() to authenticated;
+
+create or replace function public.get_boss_contributors(p_encounter_id uuid, p_limit int default 10)
+returns table(user_id uuid, damage int, hits int, rank int)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select c.user_id, c.damage, c.hits, rank() over (order by c.damage desc)::int
+  from public.boss_contributions c
+  where auth.uid() is not null
+    and c.encounter_id = p_encounter_id
+    and c.damage > 0
+  order by c.damage desc, c.last_hit_at asc
+  limit greatest(1, least(coalesce(p_limit, 10), 100));
+$$;
+
+grant execute on function public.get_boss_contributors(uuid, int) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
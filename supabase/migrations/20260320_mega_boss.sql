@@ -0,0 +1,451 @@
+-- ============================================================
+-- 20260320_mega_boss.sql
+-- Monthly mega-boss:
+-- - boss_encounters gains kind 'monthly' (one per UTC calendar month);
+--   settled_at (20260319_weekly_boss.sql) marks the month-end payout.
+--   All XP except boss payouts counts toward its goal; contributions
+--   keep counting after the goal is reached. A hit only writes the
+--   player's own contribution row; refresh_mega_boss() folds them into
+--   damage_total and records when the goal was reached.
+-- - mega_boss_tiers: contribution tiers by percentile (top 10%, top
+--   50%, participated) with XP, title and cosmetic rewards.
+-- - settle_mega_boss(encounter): pays each contributor once for their
+--   tier (source_type 'mega_boss') if the goal was reached. Runs
+--   lazily on the first access after month end and hourly via pg_cron
+--   where available; the hourly pass also refreshes the live month.
+-- - get_mega_boss() for the boss page; contributor leaderboard reuses
+--   get_boss_contributors().
+-- Safe to re-run.
+-- ============================================================
+
+alter table public.boss_encounters
+  add column if not exists settled_at timestamptz;
+
+alter table public.boss_encounters
+  drop constraint if exists boss_encounters_kind_check;
+alter table public.boss_encounters
+  add constraint boss_encounters_kind_check check (kind in ('weekly', 'monthly'));
+
+alter table public.boss_contributions
+  add column if not exists reward_tier text,
+  add column if not exists reward_xp integer not null default 0;
+
+-- Reward-only cosmetics (granted by whatever pays the reward).
+alter table public.cosmetics
+  drop constraint if exists cosmetics_unlock_type_check;
+alter table public.cosmetics
+  add constraint cosmetics_unlock_type_check
+  check (unlock_type in ('default', 'level', 'rank', 'achievement', 'reward'));
+
+insert into public.cosmetics (slug, kind, name, description, icon, style_key, unlock_type, sort_order)
+values ('frame-abyss', 'frame', 'Abyss Frame', 'Top half of a monthly mega-boss raid.', '🌀', 'abyss', 'reward', 15)
+on conflict (slug) do update
+set
+  kind = excluded.kind,
+  name = excluded.name,
+  description = excluded.description,
+  icon = excluded.icon,
+  style_key = excluded.style_key,
+  unlock_type = excluded.unlock_type,
+  sort_order = excluded.sort_order;
+
+insert into public.titles (slug, name, description, rarity, unlock_type, sort_order)
+values ('abyss-conqueror', 'Abyss Conqueror', 'Top 10% damage against a monthly mega-boss.', 'legendary', 'reward', 31)
+on conflict (slug) do update
+set
+  name = excluded.name,
+  description = excluded.description,
+  rarity = excluded.rarity,
+  unlock_type = excluded.unlock_type,
+  sort_order = excluded.sort_order;
+
+create table if not exists public.mega_boss_tiers (
+  tier text primary key,
+  label text not null,
+  top_percent integer check (top_percent is null or top_percent between 1 and 100),
+  xp_reward integer not null default 0 check (xp_reward >= 0),
+  reward_title_id uuid references public.titles(id) on delete set null,
+  reward_cosmetic_id uuid references public.cosmetics(id) on delete set null,
+  sort_order integer not null default 0
+);
+
+insert into public.mega_boss_tiers (tier, label, top_percent, xp_reward, reward_title_id, reward_cosmetic_id, sort_order)
+values
+  (
+    'top10', 'TOP 10%', 10, 500,
+    (select id from public.titles where slug = 'abyss-conqueror'),
+    (select id from public.cosmetics where slug = 'frame-abyss'),
+    1
+  ),
+  ('top50', 'TOP 50%', 50, 300, null, (select id from public.cosmetics where slug = 'frame-abyss'), 2),
+  ('participant', 'PARTICIPATED', null, 100, null, null, 3)
+on conflict (tier) do update
+set
+  label = excluded.label,
+  top_percent = excluded.top_percent,
+  xp_reward = excluded.xp_reward,
+  reward_title_id = excluded.reward_title_id,
+  reward_cosmetic_id = excluded.reward_cosmetic_id,
+  sort_order = excluded.sort_order;
+
+alter table public.mega_boss_tiers enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='mega_boss_tiers_select_auth') then
+    create policy mega_boss_tiers_select_auth on public.mega_boss_tiers
+      for select using (auth.role() = 'authenticated');
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- Standings + settlement (internal)
+-- ------------------------------------------------------------
+
+-- Tier = smallest top_percent bucket the player's position fits in.
+create or replace function public.mega_boss_standings(p_encounter_id uuid)
+returns table(user_id uuid, damage int, pos int, tier text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with ranked as (
+    select
+      c.user_id,
+      c.damage,
+      row_number() over (order by c.damage desc, c.last_hit_at asc)::int as pos,
+      count(*) over ()::int as total
+    from public.boss_contributions c
+    where c.encounter_id = p_encounter_id
+      and c.damage > 0
+  )
+  select
+    r.user_id,
+    r.damage,
+    r.pos,
+    (
+      select t.tier
+      from public.mega_boss_tiers t
+      where t.top_percent is null
+         or r.pos <= ceil(r.total * t.top_percent / 100.0)
+      order by coalesce(t.top_percent, 101), t.sort_order
+      limit 1
+    )
+  from ranked r;
+$$;
+
+revoke all on function public.mega_boss_standings(uuid) from public;
+revoke all on function public.mega_boss_standings(uuid) from anon, authenticated;
+
+-- Folds contributions into the encounter and records when the goal was reached.
+create or replace function public.refresh_mega_boss(p_encounter_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_damage int;
+begin
+  select coalesce(sum(c.damage), 0)::int into v_damage
+  from public.boss_contributions c
+  where c.encounter_id = p_encounter_id;
+
+  update public.boss_encounters
+  set damage_total = v_damage,
+      defeated_at = coalesce(defeated_at, case when v_damage >= max_hp then least(now(), ends_at) end)
+  where id = p_encounter_id
+    and kind = 'monthly'
+    and settled_at is null;
+end;
+$$;
+
+revoke all on function public.refresh_mega_boss(uuid) from public;
+revoke all on function public.refresh_mega_boss(uuid) from anon, authenticated;
+
+create or replace function public.settle_mega_boss(p_encounter_id uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_encounter public.boss_encounters%rowtype;
+  v_row record;
+  v_awarded int;
+  v_paid int := 0;
+begin
+  -- Hits stop at month end, so this total is final.
+  perform public.refresh_mega_boss(p_encounter_id);
+
+  select * into v_encounter
+  from public.boss_encounters
+  where id = p_encounter_id
+    and kind = 'monthly'
+  for update;
+
+  if not found or v_encounter.settled_at is not null or now() < v_encounter.ends_at then
+    return 0;
+  end if;
+
+  for v_row in
+    select s.user_id, s.tier, t.xp_reward, t.reward_title_id, t.reward_cosmetic_id
+    from public.mega_boss_standings(p_encounter_id) s
+    join public.mega_boss_tiers t on t.tier = s.tier
+  loop
+    v_awarded := 0;
+
+    -- The raid only pays out if the community reached the goal.
+    if v_encounter.defeated_at is not null then
+      v_awarded := public.award_xp(v_row.user_id, 'mega_boss', p_encounter_id, v_row.xp_reward);
+
+      perform public.grant_title(v_row.user_id, v_row.reward_title_id, 'mega_boss', p_encounter_id::text);
+
+      if v_row.reward_cosmetic_id is not null then
+        insert into public.user_cosmetics(user_id, cosmetic_id, source)
+        values (v_row.user_id, v_row.reward_cosmetic_id, 'mega_boss')
+        on conflict (user_id, cosmetic_id) do nothing;
+      end if;
+
+      v_paid := v_paid + 1;
+    end if;
+
+    update public.boss_contributions
+    set reward_tier = v_row.tier, reward_xp = coalesce(v_awarded, 0)
+    where encounter_id = p_encounter_id
+      and user_id = v_row.user_id;
+  end loop;
+
+  update public.boss_encounters
+  set settled_at = now()
+  where id = p_encounter_id;
+
+  return v_paid;
+end;
+$$;
+
+revoke all on function public.settle_mega_boss(uuid) from public;
+revoke all on function public.settle_mega_boss(uuid) from anon, authenticated;
+
+create or replace function public.settle_due_mega_bosses()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+  v_paid int := 0;
+begin
+  for v_id in
+    select e.id
+    from public.boss_encounters e
+    where e.kind = 'monthly'
+      and e.settled_at is null
+      and e.starts_at <= now()
+  loop
+    -- Refreshes every open month; only ended ones pay out.
+    v_paid := v_paid + public.settle_mega_boss(v_id);
+  end loop;
+
+  return v_paid;
+end;
+$$;
+
+revoke all on function public.settle_due_mega_bosses() from public;
+revoke all on function public.settle_due_mega_bosses() from anon, authenticated;
+
+create or replace function public.ensure_monthly_boss()
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_start timestamptz := date_trunc('month', now() at time zone 'utc') at time zone 'utc';
+  v_id uuid;
+  v_active int;
+begin
+  select e.id into v_id
+  from public.boss_encounters e
+  where e.kind = 'monthly'
+    and e.starts_at = v_start;
+
+  if v_id is not null then
+    return v_id;
+  end if;
+
+  -- First touch of a new month closes out the previous one.
+  perform public.settle_due_mega_bosses();
+
+  select count(distinct x.user_id)::int into v_active
+  from public.xp_events x
+  where x.created_at >= v_start - interval '1 month'
+    and x.created_at < v_start;
+
+  insert into public.boss_encounters(kind, name, max_hp, starts_at, ends_at, reward_xp)
+  values (
+    'monthly',
+    'Abyss Sovereign',
+    greatest(20000, 1500 * coalesce(v_active, 0)),
+    v_start,
+    v_start + interval '1 month',
+    0
+  )
+  on conflict (kind, starts_at) do nothing;
+
+  select e.id into v_id
+  from public.boss_encounters e
+  where e.kind = 'monthly'
+    and e.starts_at = v_start;
+
+  return v_id;
+end;
+$$;
+
+revoke all on function public.ensure_monthly_boss() from public;
+revoke all on function public.ensure_monthly_boss() from anon, authenticated;
+
+create or replace function public.deal_mega_boss_damage(p_user_id uuid, p_amount integer)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+  v_encounter public.boss_encounters%rowtype;
+begin
+  if p_user_id is null or coalesce(p_amount, 0) <= 0 then
+    return;
+  end if;
+
+  v_id := public.ensure_monthly_boss();
+
+  select * into v_encounter
+  from public.boss_encounters
+  where id = v_id;
+
+  if now() >= v_encounter.ends_at then
+    return;
+  end if;
+
+  -- Only the player's own row is written; refresh_mega_boss() totals it.
+  insert into public.boss_contributions(encounter_id, user_id, damage, hits, last_hit_at)
+  values (v_id, p_user_id, p_amount, 1, now())
+  on conflict (encounter_id, user_id) do update
+    set damage = boss_contributions.damage + excluded.damage,
+        hits = boss_contributions.hits + 1,
+        last_hit_at = excluded.last_hit_at;
+end;
+$$;
+
+revoke all on function public.deal_mega_boss_damage(uuid, integer) from public;
+revoke all on function public.deal_mega_boss_damage(uuid, integer) from anon, authenticated;
+
+create or replace function public.xp_events_boss_damage()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- Only real activity hurts the weekly boss: quests and workouts.
+  if new.source_type in ('quest', 'quest_verified', 'questline', 'workout') then
+    perform public.deal_boss_damage(new.user_id, new.amount);
+  end if;
+
+  -- Every XP source counts toward the mega-boss except boss payouts.
+  if new.source_type not in ('boss_defeat', 'mega_boss') then
+    perform public.deal_mega_boss_damage(new.user_id, new.amount);
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Month-end payout where pg_cron is enabled; first access covers the rest.
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron') then
+    perform cron.schedule(
+      'settle-mega-bosses',
+      '5 * * * *',
+      'select public.settle_due_mega_bosses()'
+    );
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPC: get_mega_boss
+-- ------------------------------------------------------------
+
+create or replace function public.get_mega_boss()
+returns table(
+  encounter_id uuid,
+  name text,
+  goal int,
+  damage_total int,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  defeated_at timestamptz,
+  contributors int,
+  my_damage int,
+  my_position int,
+  my_tier text,
+  last_tier text,
+  last_reward_xp int
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  v_id := public.ensure_monthly_boss();
+  perform public.refresh_mega_boss(v_id);
+
+  return query
+  with standings as (
+    select * from public.mega_boss_standings(v_id)
+  ),
+  last_result as (
+    select c.reward_tier, c.reward_xp
+    from public.boss_contributions c
+    join public.boss_encounters e on e.id = c.encounter_id
+    where e.kind = 'monthly'
+      and e.settled_at is not null
+      and c.user_id = auth.uid()
+    order by e.starts_at desc
+    limit 1
+  )
+  select
+    e.id,
+    e.name,
+    e.max_hp,
+    e.damage_total,
+    e.starts_at,
+    e.ends_at,
+    e.defeated_at,
+    (select count(*)::int from standings),
+    coalesce((select s.damage from standings s where s.user_id = auth.uid()), 0),
+    (select s.pos from standings s where s.user_id = auth.uid()),
+    (select s.tier from standings s where s.user_id = auth.uid()),
+    (select l.reward_tier from last_result l),
+    (select l.reward_xp from last_result l)
+  from public.boss_encounters e
+  where e.id = v_id;
+end;
+$$;
+
+grant execute on function public.get_mega_boss() to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
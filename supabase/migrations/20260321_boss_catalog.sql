@@ -0,0 +1,500 @@
+-- ============================================================
+-- 20260321_boss_catalog.sql
+-- Boss catalog for the weekly boss:
+-- - boss_catalog: bosses by tier (E..S). Base rows have path null;
+--   path variants point at their base (variant_of) and reskin it for
+--   one path. A variant without modifier rows uses its base's.
+-- - boss_modifiers: damage multiplier per quest category (> 1 weakness,
+--   < 1 resistance; unlisted categories take 1x).
+-- - The weekly spawn climbs a tier after a kill and drops one after an
+--   escape, rotating through the bosses of that tier.
+-- - Damage formula: greatest(1, round(xp * multiplier)) where the
+--   multiplier comes from the player's variant and the category of the
+--   XP source (quests by quest category, workouts count as 'gym',
+--   questline bonuses are neutral). Overkill is still capped.
+-- - get_weekly_boss() now returns the caller's variant (name, tier,
+--   icon, description); get_boss_weaknesses() returns its chart.
+-- Safe to re-run.
+-- ============================================================
+
+create table if not exists public.boss_catalog (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null unique,
+  name text not null,
+  description text,
+  icon text,
+  tier text not null check (tier in ('E', 'D', 'C', 'B', 'A', 'S')),
+  path text,
+  variant_of uuid references public.boss_catalog(id) on delete cascade,
+  base_hp integer not null default 2000 check (base_hp > 0),
+  hp_per_player integer not null default 300 check (hp_per_player >= 0),
+  is_active boolean not null default true,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now(),
+  check ((variant_of is null) = (path is null))
+);
+
+create unique index if not exists boss_catalog_variant_path_idx
+  on public.boss_catalog(variant_of, path)
+  where variant_of is not null;
+
+create table if not exists public.boss_modifiers (
+  boss_id uuid not null references public.boss_catalog(id) on delete cascade,
+  category text not null,
+  multiplier numeric(4,2) not null check (multiplier > 0),
+  primary key (boss_id, category)
+);
+
+alter table public.boss_encounters
+  add column if not exists catalog_id uuid references public.boss_catalog(id) on delete set null;
+
+-- Base bosses.
+insert into public.boss_catalog (slug, name, description, icon, tier, base_hp, hp_per_player, sort_order)
+values
+  ('sloth-wraith', 'Sloth Wraith', 'Feeds on skipped sessions. Sweat burns it.', '🥱', 'E', 1500, 250, 1),
+  ('procrastination-hydra', 'Procrastination Hydra', 'Every "later" grows a new head. Study severs them.', '🐍', 'D', 2000, 300, 2),
+  ('iron-monarch', 'Iron Monarch', 'An armored king of the shadow gate.', '⚔️', 'C', 2500, 350, 3),
+  ('bug-lich', 'Bug Lich', 'Undead swarm of regressions. Only shipped code kills it.', '🪲', 'B', 3000, 400, 4),
+  ('debt-leviathan', 'Debt Leviathan', 'Drowns hunters in overdue invoices.', '🐋', 'A', 4000, 500, 5),
+  ('void-emperor', 'Void Emperor', 'Resists brute force. Outthink it.', '🌑', 'S', 5000, 600, 6)
+on conflict (slug) do update
+set
+  name = excluded.name,
+  description = excluded.description,
+  icon = excluded.icon,
+  tier = excluded.tier,
+  base_hp = excluded.base_hp,
+  hp_per_player = excluded.hp_per_player,
+  sort_order = excluded.sort_order;
+
+-- Path variants.
+insert into public.boss_catalog (slug, name, description, icon, tier, path, variant_of, base_hp, hp_per_player, sort_order)
+select v.slug, v.name, v.description, v.icon, b.tier, v.path, b.id, b.base_hp, b.hp_per_player, b.sort_order
+from (
+  values
+    ('sloth-wraith-hunter', 'sloth-wraith', 'HUNTER', 'Red Gate: Sloth Wraith', 'A red gate that only closes for hunters who train.', '🥱'),
+    ('sloth-wraith-demon', 'sloth-wraith', 'HEAVENLY_DEMON', 'Stagnant Qi Wraith', 'Blocked meridians given form. Move your body, move your qi.', '🌫️'),
+    ('iron-monarch-hunter', 'iron-monarch', 'HUNTER', 'Shadow Gate: Iron Monarch', 'The monarch of the shadow gate.', '⚔️'),
+    ('bug-lich-demon', 'bug-lich', 'HEAVENLY_DEMON', 'Heart Devil of a Thousand Bugs', 'An inner demon born from unfinished code.', '👹')
+) as v(slug, base_slug, path, name, description, icon)
+join public.boss_catalog b on b.slug = v.base_slug
+on conflict (slug) do update
+set
+  name = excluded.name,
+  description = excluded.description,
+  icon = excluded.icon,
+  tier = excluded.tier,
+  path = excluded.path,
+  variant_of = excluded.variant_of,
+  base_hp = excluded.base_hp,
+  hp_per_player = excluded.hp_per_player,
+  sort_order = excluded.sort_order;
+
+insert into public.boss_modifiers (boss_id, category, multiplier)
+select b.id, m.category, m.multiplier
+from (
+  values
+    ('sloth-wraith', 'gym', 2.00),
+    ('sloth-wraith', 'business', 0.50),
+    ('sloth-wraith-demon', 'gym', 2.00),
+    ('sloth-wraith-demon', 'study', 1.25),
+    ('sloth-wraith-demon', 'business', 0.50),
+    ('procrastination-hydra', 'study', 2.00),
+    ('procrastination-hydra', 'coding', 0.50),
+    ('iron-monarch', 'gym', 1.50),
+    ('iron-monarch', 'study', 0.75),
+    ('bug-lich', 'coding', 2.00),
+    ('bug-lich', 'gym', 0.50),
+    ('debt-leviathan', 'business', 2.00),
+    ('debt-leviathan', 'study', 0.50),
+    ('void-emperor', 'coding', 1.25),
+    ('void-emperor', 'business', 1.25),
+    ('void-emperor', 'gym', 0.75),
+    ('void-emperor', 'study', 0.75)
+) as m(slug, category, multiplier)
+join public.boss_catalog b on b.slug = m.slug
+on conflict (boss_id, category) do update
+set multiplier = excluded.multiplier;
+
+alter table public.boss_catalog enable row level security;
+alter table public.boss_modifiers enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='boss_catalog_select_auth') then
+    create policy boss_catalog_select_auth on public.boss_catalog
+      for select using (auth.role() = 'authenticated');
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='boss_modifiers_select_auth') then
+    create policy boss_modifiers_select_auth on public.boss_modifiers
+      for select using (auth.role() = 'authenticated');
+  end if;
+end
+$$;
+
+-- The boss that was already running before the catalog existed.
+update public.boss_encounters
+set catalog_id = (select id from public.boss_catalog where slug = 'iron-monarch')
+where kind = 'weekly'
+  and catalog_id is null;
+
+-- ------------------------------------------------------------
+-- Variants + damage formula (internal)
+-- ------------------------------------------------------------
+
+-- The player's path variant of a base boss, or the base itself.
+create or replace function public.boss_variant_for(p_catalog_id uuid, p_user_id uuid)
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (
+      select v.id
+      from public.boss_catalog v
+      join public.profiles p on p.id = p_user_id
+      where v.variant_of = p_catalog_id
+        and v.path = p.path
+        and v.is_active = true
+    ),
+    p_catalog_id
+  );
+$$;
+
+revoke all on function public.boss_variant_for(uuid, uuid) from public;
+revoke all on function public.boss_variant_for(uuid, uuid) from anon, authenticated;
+
+-- Variant modifiers, falling back to the base boss when the variant has none.
+create or replace function public.boss_modifier_rows(p_boss_id uuid)
+returns table(category text, multiplier numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select m.category, m.multiplier
+  from public.boss_modifiers m
+  where m.boss_id = coalesce(
+    (select p_boss_id where exists (select 1 from public.boss_modifiers x where x.boss_id = p_boss_id)),
+    (select b.variant_of from public.boss_catalog b where b.id = p_boss_id)
+  );
+$$;
+
+revoke all on function public.boss_modifier_rows(uuid) from public;
+revoke all on function public.boss_modifier_rows(uuid) from anon, authenticated;
+
+create or replace function public.boss_damage_for(p_catalog_id uuid, p_user_id uuid, p_category text, p_amount integer)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when coalesce(p_amount, 0) <= 0 then 0
+    else greatest(1, round(p_amount * coalesce(
+      (
+        select m.multiplier
+        from public.boss_modifier_rows(public.boss_variant_for(p_catalog_id, p_user_id)) m
+        where m.category = lower(p_category)
+      ),
+      1
+    ))::int)
+  end;
+$$;
+
+revoke all on function public.boss_damage_for(uuid, uuid, text, integer) from public;
+revoke all on function public.boss_damage_for(uuid, uuid, text, integer) from anon, authenticated;
+
+-- Quest category behind an XP ledger row. Quest rows point at the
+-- completion (older rows at the active quest); workouts are 'gym'.
+create or replace function public.xp_event_category(p_source_type text, p_source_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when p_source_type = 'workout' then 'gym'
+    when p_source_type in ('quest', 'quest_verified') then (
+      select lower(q.category)
+      from public.user_active_quests ua
+      join public.quests q on q.id = ua.quest_id
+      where ua.id = coalesce(
+        (select qc.active_quest_id from public.quest_completions qc where qc.id = p_source_id),
+        p_source_id
+      )
+    )
+    else null
+  end;
+$$;
+
+revoke all on function public.xp_event_category(text, uuid) from public;
+revoke all on function public.xp_event_category(text, uuid) from anon, authenticated;
+
+-- ------------------------------------------------------------
+-- Spawn + damage (redefined)
+-- ------------------------------------------------------------
+
+create or replace function public.ensure_weekly_boss()
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_start timestamptz := date_trunc('week', now() at time zone 'utc') at time zone 'utc';
+  v_tiers text[] := array['E', 'D', 'C', 'B', 'A', 'S'];
+  v_id uuid;
+  v_active int;
+  v_previous record;
+  v_tier_index int := 1;
+  v_boss public.boss_catalog%rowtype;
+begin
+  select e.id into v_id
+  from public.boss_encounters e
+  where e.kind = 'weekly'
+    and e.starts_at = v_start;
+
+  if v_id is not null then
+    return v_id;
+  end if;
+
+  select count(distinct x.user_id)::int into v_active
+  from public.xp_events x
+  where x.created_at >= v_start - interval '7 days'
+    and x.created_at < v_start;
+
+  -- A kill raises the tier, an escape lowers it.
+  select e.defeated_at, b.tier into v_previous
+  from public.boss_encounters e
+  left join public.boss_catalog b on b.id = e.catalog_id
+  where e.kind = 'weekly'
+    and e.starts_at < v_start
+  order by e.starts_at desc
+  limit 1;
+
+  if found and v_previous.tier is not null then
+    v_tier_index := array_position(v_tiers, v_previous.tier)
+      + case when v_previous.defeated_at is not null then 1 else -1 end;
+    v_tier_index := least(greatest(v_tier_index, 1), array_length(v_tiers, 1));
+  end if;
+
+  -- Rotate through the tier by week number; any base boss if the tier is empty.
+  select b.* into v_boss
+  from public.boss_catalog b
+  where b.variant_of is null
+    and b.is_active = true
+  order by
+    (b.tier = v_tiers[v_tier_index]) desc,
+    abs(array_position(v_tiers, b.tier) - v_tier_index),
+    (b.sort_order + extract(week from v_start)::int) % greatest(1, (
+      select count(*)::int from public.boss_catalog c
+      where c.variant_of is null and c.is_active = true and c.tier = b.tier
+    )),
+    b.sort_order
+  limit 1;
+
+  insert into public.boss_encounters(kind, name, max_hp, starts_at, ends_at, reward_xp, reward_title_id, catalog_id)
+  values (
+    'weekly',
+    coalesce(v_boss.name, 'Shadow Gate: Iron Monarch'),
+    greatest(coalesce(v_boss.base_hp, 2000), coalesce(v_boss.hp_per_player, 300) * coalesce(v_active, 0)),
+    v_start,
+    v_start + interval '7 days',
+    200,
+    (select t.id from public.titles t where t.slug = 'monarch-slayer'),
+    v_boss.id
+  )
+  on conflict (kind, starts_at) do nothing;
+
+  select e.id into v_id
+  from public.boss_encounters e
+  where e.kind = 'weekly'
+    and e.starts_at = v_start;
+
+  return v_id;
+end;
+$$;
+
+-- Now takes the XP source category; the two-argument form is replaced.
+drop function if exists public.deal_boss_damage(uuid, integer);
+
+create or replace function public.deal_boss_damage(p_user_id uuid, p_amount integer, p_category text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_encounter public.boss_encounters%rowtype;
+  v_damage int;
+begin
+  if p_user_id is null or coalesce(p_amount, 0) <= 0 then
+    return;
+  end if;
+
+  select * into v_encounter
+  from public.boss_encounters
+  where id = public.ensure_weekly_boss()
+  for update;
+
+  if v_encounter.defeated_at is not null or now() >= v_encounter.ends_at then
+    return;
+  end if;
+
+  v_damage := public.boss_damage_for(v_encounter.catalog_id, p_user_id, p_category, p_amount);
+
+  -- Overkill is capped at the HP that was left.
+  v_damage := least(v_damage, v_encounter.max_hp - v_encounter.damage_total);
+
+  insert into public.boss_contributions(encounter_id, user_id, damage, hits, last_hit_at)
+  values (v_encounter.id, p_user_id, v_damage, 1, now())
+  on conflict (encounter_id, user_id) do update
+    set damage = boss_contributions.damage + excluded.damage,
+        hits = boss_contributions.hits + 1,
+        last_hit_at = excluded.last_hit_at;
+
+  update public.boss_encounters
+  set damage_total = damage_total + v_damage,
+      defeated_at = case when damage_total + v_damage >= max_hp then now() else null end
+  where id = v_encounter.id;
+
+  if v_encounter.damage_total + v_damage >= v_encounter.max_hp then
+    perform public.payout_boss_encounter(v_encounter.id);
+  end if;
+end;
+$$;
+
+revoke all on function public.deal_boss_damage(uuid, integer, text) from public;
+revoke all on function public.deal_boss_damage(uuid, integer, text) from anon, authenticated;
+
+create or replace function public.xp_events_boss_damage()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- Only real activity hurts the weekly boss: quests and workouts.
+  if new.source_type in ('quest', 'quest_verified', 'questline', 'workout') then
+    perform public.deal_boss_damage(
+      new.user_id,
+      new.amount,
+      public.xp_event_category(new.source_type, new.source_id)
+    );
+  end if;
+
+  -- Every XP source counts toward the mega-boss except boss payouts.
+  if new.source_type not in ('boss_defeat', 'mega_boss') then
+    perform public.deal_mega_boss_damage(new.user_id, new.amount);
+  end if;
+
+  return new;
+end;
+$$;
+
+-- ------------------------------------------------------------
+-- RPCs
+-- ------------------------------------------------------------
+
+-- Return type changed (variant columns); drop before recreating.
+drop function if exists public.get_weekly_boss();
+
+create or replace function public.get_weekly_boss()
+returns table(
+  encounter_id uuid,
+  boss_id uuid,
+  name text,
+  description text,
+  icon text,
+  tier text,
+  max_hp int,
+  damage_total int,
+  hp_remaining int,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  defeated_at timestamptz,
+  reward_xp int,
+  reward_title text,
+  contributors int,
+  my_damage int,
+  my_rank int,
+  rewarded boolean
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  v_id := public.ensure_weekly_boss();
+
+  return query
+  with ranked as (
+    select c.user_id, c.damage, rank() over (order by c.damage desc)::int as pos
+    from public.boss_contributions c
+    where c.encounter_id = v_id
+      and c.damage > 0
+  )
+  select
+    e.id,
+    b.id,
+    coalesce(b.name, e.name),
+    b.description,
+    b.icon,
+    b.tier,
+    e.max_hp,
+    e.damage_total,
+    greatest(e.max_hp - e.damage_total, 0),
+    e.starts_at,
+    e.ends_at,
+    e.defeated_at,
+    e.reward_xp,
+    t.name,
+    (select count(*)::int from ranked),
+    coalesce((select r.damage from ranked r where r.user_id = auth.uid()), 0),
+    (select r.pos from ranked r where r.user_id = auth.uid()),
+    exists (
+      select 1 from public.xp_events x
+      where x.user_id = auth.uid()
+        and x.source_type = 'boss_defeat'
+        and x.source_id = e.id
+    )
+  from public.boss_encounters e
+  left join public.boss_catalog b on b.id = public.boss_variant_for(e.catalog_id, auth.uid())
+  left join public.titles t on t.id = e.reward_title_id
+  where e.id = v_id;
+end;
+$$;
+
+grant execute on function public.get_weekly_boss() to authenticated;
+
+-- Weakness chart of the caller's variant for an encounter.
+create or replace function public.get_boss_weaknesses(p_encounter_id uuid)
+returns table(category text, multiplier numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select m.category, m.multiplier
+  from public.boss_encounters e
+  cross join lateral public.boss_modifier_rows(public.boss_variant_for(e.catalog_id, auth.uid())) m
+  where auth.uid() is not null
+    and e.id = p_encounter_id
+  order by m.multiplier desc, m.category;
+$$;
+
+grant execute on function public.get_boss_weaknesses(uuid) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
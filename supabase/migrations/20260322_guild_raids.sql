@@ -0,0 +1,643 @@
+-- ============================================================
+-- 20260322_guild_raids.sql
+-- Persisted guild raid bosses:
+-- - guild_raids: one row per raid instance per guild, picked from
+--   boss_catalog (20260321_boss_catalog.sql). The tier climbs with the
+--   guild's kill count; HP scales with member count. A raid runs for
+--   3 days; 12 hours after it is killed or escapes, the next raid is
+--   scheduled as a new row with a future starts_at.
+-- - guild_raid_damage: damage ledger, one row per XP event per raid.
+--   Real activity (quests, workouts) hits the active raid of the
+--   player's primary guild only (the one they joined first), using the
+--   catalog damage formula. Members who joined less than
+--   min_membership_hours before the raid started deal no damage.
+-- - resolve_guild_raid(raid): on kill or timeout, picks the MVP (most
+--   damage, earliest last hit on ties), pays a kill through the XP
+--   ledger ('guild_raid' for every participant, 'guild_raid_mvp' bonus)
+--   when the guild had at least min_members eligible members, and
+--   schedules the respawn. Runs inline on the killing blow, lazily on
+--   read and hourly via pg_cron where available.
+-- - get_guild_raid / get_guild_raid_damage / get_guild_raid_log /
+--   get_guild_raid_history for the guild page (members only).
+-- Safe to re-run.
+-- ============================================================
+
+create table if not exists public.guild_raids (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.groups(id) on delete cascade,
+  catalog_id uuid references public.boss_catalog(id) on delete set null,
+  name text not null,
+  tier text not null,
+  max_hp integer not null check (max_hp > 0),
+  damage_total integer not null default 0 check (damage_total >= 0),
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  defeated_at timestamptz,
+  resolved_at timestamptz,
+  outcome text check (outcome in ('defeated', 'escaped')),
+  mvp_user_id uuid references auth.users(id) on delete set null,
+  reward_xp integer not null default 150 check (reward_xp >= 0),
+  mvp_bonus_xp integer not null default 100 check (mvp_bonus_xp >= 0),
+  min_members integer not null default 3 check (min_members >= 1),
+  min_membership_hours integer not null default 24 check (min_membership_hours >= 0),
+  created_at timestamptz not null default now(),
+  unique (group_id, starts_at),
+  check (ends_at > starts_at)
+);
+
+alter table public.guild_raids
+  add column if not exists min_members integer not null default 3,
+  add column if not exists min_membership_hours integer not null default 24;
+
+create index if not exists guild_raids_open_idx
+  on public.guild_raids(group_id, starts_at desc)
+  where resolved_at is null;
+
+create table if not exists public.guild_raid_damage (
+  id uuid primary key default gen_random_uuid(),
+  raid_id uuid not null references public.guild_raids(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  xp_event_id uuid not null references public.xp_events(id) on delete cascade,
+  category text,
+  xp_amount integer not null check (xp_amount > 0),
+  damage integer not null check (damage > 0),
+  created_at timestamptz not null default now(),
+  unique (raid_id, xp_event_id)
+);
+
+create index if not exists guild_raid_damage_raid_idx
+  on public.guild_raid_damage(raid_id, created_at desc);
+
+alter table public.guild_raids enable row level security;
+alter table public.guild_raid_damage enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='guild_raids_select_member') then
+    create policy guild_raids_select_member on public.guild_raids
+      for select using (
+        exists (
+          select 1 from public.group_members gm
+          where gm.group_id = guild_raids.group_id and gm.user_id = auth.uid()
+        )
+      );
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='guild_raid_damage_select_member') then
+    create policy guild_raid_damage_select_member on public.guild_raid_damage
+      for select using (
+        exists (
+          select 1
+          from public.guild_raids r
+          join public.group_members gm on gm.group_id = r.group_id
+          where r.id = guild_raid_damage.raid_id and gm.user_id = auth.uid()
+        )
+      );
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- Eligibility (internal)
+-- ------------------------------------------------------------
+
+-- The guild whose raid a player's activity hits: the one joined first.
+create or replace function public.primary_guild_for(p_user_id uuid)
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select gm.group_id
+  from public.group_members gm
+  where gm.user_id = p_user_id
+  order by gm.joined_at asc, gm.group_id
+  limit 1;
+$$;
+
+-- Members who had joined long enough before the raid started.
+create or replace function public.guild_raid_eligible_members(p_raid_id uuid)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select count(*)::int
+  from public.guild_raids r
+  join public.group_members gm on gm.group_id = r.group_id
+  where r.id = p_raid_id
+    and gm.joined_at <= r.starts_at - make_interval(hours => r.min_membership_hours);
+$$;
+
+revoke all on function public.primary_guild_for(uuid) from public;
+revoke all on function public.primary_guild_for(uuid) from anon, authenticated;
+revoke all on function public.guild_raid_eligible_members(uuid) from public;
+revoke all on function public.guild_raid_eligible_members(uuid) from anon, authenticated;
+
+-- ------------------------------------------------------------
+-- Spawn + resolve (internal)
+-- ------------------------------------------------------------
+
+create or replace function public.spawn_guild_raid(p_group_id uuid, p_starts_at timestamptz)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tiers text[] := array['E', 'D', 'C', 'B', 'A', 'S'];
+  v_kills int;
+  v_raids int;
+  v_members int;
+  v_tier text;
+  v_boss public.boss_catalog%rowtype;
+  v_id uuid;
+begin
+  select r.id into v_id
+  from public.guild_raids r
+  where r.group_id = p_group_id
+    and r.resolved_at is null
+  order by r.starts_at desc
+  limit 1;
+
+  if v_id is not null then
+    return v_id;
+  end if;
+
+  select
+    count(*) filter (where r.outcome = 'defeated')::int,
+    count(*)::int
+  into v_kills, v_raids
+  from public.guild_raids r
+  where r.group_id = p_group_id;
+
+  select count(*)::int into v_members
+  from public.group_members gm
+  where gm.group_id = p_group_id;
+
+  -- One tier up per kill, capped at S.
+  v_tier := v_tiers[least(v_kills + 1, array_length(v_tiers, 1))];
+
+  select b.* into v_boss
+  from public.boss_catalog b
+  where b.variant_of is null
+    and b.is_active = true
+  order by
+    (b.tier = v_tier) desc,
+    abs(array_position(v_tiers, b.tier) - array_position(v_tiers, v_tier)),
+    (b.sort_order + v_raids) % greatest(1, (
+      select count(*)::int from public.boss_catalog c
+      where c.variant_of is null and c.is_active = true and c.tier = b.tier
+    )),
+    b.sort_order
+  limit 1;
+
+  insert into public.guild_raids(group_id, catalog_id, name, tier, max_hp, starts_at, ends_at)
+  values (
+    p_group_id,
+    v_boss.id,
+    coalesce(v_boss.name, 'Shadow Monarch'),
+    coalesce(v_boss.tier, v_tier),
+    coalesce(v_boss.base_hp, 2000) / 2 + coalesce(v_boss.hp_per_player, 300) * greatest(v_members, 1),
+    p_starts_at,
+    p_starts_at + interval '3 days'
+  )
+  on conflict (group_id, starts_at) do nothing;
+
+  select r.id into v_id
+  from public.guild_raids r
+  where r.group_id = p_group_id
+    and r.starts_at = p_starts_at;
+
+  return v_id;
+end;
+$$;
+
+revoke all on function public.spawn_guild_raid(uuid, timestamptz) from public;
+revoke all on function public.spawn_guild_raid(uuid, timestamptz) from anon, authenticated;
+
+create or replace function public.resolve_guild_raid(p_raid_id uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_raid public.guild_raids%rowtype;
+  v_mvp uuid;
+  v_participant uuid;
+begin
+  select * into v_raid
+  from public.guild_raids
+  where id = p_raid_id
+  for update;
+
+  if not found or v_raid.resolved_at is not null then
+    return false;
+  end if;
+
+  if v_raid.defeated_at is null and now() < v_raid.ends_at then
+    return false;
+  end if;
+
+  select d.user_id into v_mvp
+  from public.guild_raid_damage d
+  where d.raid_id = p_raid_id
+  group by d.user_id
+  order by sum(d.damage) desc, max(d.created_at) asc
+  limit 1;
+
+  update public.guild_raids
+  set resolved_at = now(),
+      outcome = case when defeated_at is not null then 'defeated' else 'escaped' end,
+      mvp_user_id = v_mvp
+  where id = p_raid_id;
+
+  -- Too few established members: the kill counts, but nobody is paid.
+  if v_raid.defeated_at is not null
+    and public.guild_raid_eligible_members(p_raid_id) >= v_raid.min_members then
+    for v_participant in
+      select distinct d.user_id
+      from public.guild_raid_damage d
+      where d.raid_id = p_raid_id
+    loop
+      perform public.award_xp(v_participant, 'guild_raid', p_raid_id, v_raid.reward_xp);
+    end loop;
+
+    if v_mvp is not null then
+      perform public.award_xp(v_mvp, 'guild_raid_mvp', p_raid_id, v_raid.mvp_bonus_xp);
+    end if;
+  end if;
+
+  perform public.spawn_guild_raid(
+    v_raid.group_id,
+    coalesce(v_raid.defeated_at, v_raid.ends_at) + interval '12 hours'
+  );
+
+  return true;
+end;
+$$;
+
+revoke all on function public.resolve_guild_raid(uuid) from public;
+revoke all on function public.resolve_guild_raid(uuid) from anon, authenticated;
+
+-- Current raid of a guild (active or scheduled); resolves a finished one first.
+create or replace function public.ensure_guild_raid(p_group_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+begin
+  select r.id into v_id
+  from public.guild_raids r
+  where r.group_id = p_group_id
+    and r.resolved_at is null
+  order by r.starts_at desc
+  limit 1;
+
+  if v_id is not null and public.resolve_guild_raid(v_id) then
+    v_id := null;
+  end if;
+
+  return coalesce(v_id, public.spawn_guild_raid(p_group_id, now()));
+end;
+$$;
+
+revoke all on function public.ensure_guild_raid(uuid) from public;
+revoke all on function public.ensure_guild_raid(uuid) from anon, authenticated;
+
+create or replace function public.process_guild_raids()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+  v_resolved int := 0;
+begin
+  for v_id in
+    select r.id
+    from public.guild_raids r
+    where r.resolved_at is null
+      and (r.defeated_at is not null or r.ends_at <= now())
+  loop
+    if public.resolve_guild_raid(v_id) then
+      v_resolved := v_resolved + 1;
+    end if;
+  end loop;
+
+  return v_resolved;
+end;
+$$;
+
+revoke all on function public.process_guild_raids() from public;
+revoke all on function public.process_guild_raids() from anon, authenticated;
+
+create or replace function public.deal_guild_raid_damage(
+  p_user_id uuid,
+  p_xp_event_id uuid,
+  p_amount integer,
+  p_category text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group_id uuid;
+  v_raid public.guild_raids%rowtype;
+  v_damage int;
+  v_rows int;
+begin
+  if p_user_id is null or coalesce(p_amount, 0) <= 0 then
+    return;
+  end if;
+
+  -- One guild per player, so extra guilds never multiply the same activity.
+  v_group_id := public.primary_guild_for(p_user_id);
+  if v_group_id is null then
+    return;
+  end if;
+
+  select r.* into v_raid
+  from public.guild_raids r
+  join public.group_members gm on gm.group_id = r.group_id and gm.user_id = p_user_id
+  where r.group_id = v_group_id
+    and r.resolved_at is null
+    and r.defeated_at is null
+    and r.starts_at <= now()
+    and now() < r.ends_at
+    and gm.joined_at <= r.starts_at - make_interval(hours => r.min_membership_hours)
+  for update of r;
+
+  if not found then
+    return;
+  end if;
+
+  -- Same formula as the weekly boss; overkill is capped.
+  v_damage := least(
+    public.boss_damage_for(v_raid.catalog_id, p_user_id, p_category, p_amount),
+    v_raid.max_hp - v_raid.damage_total
+  );
+
+  if v_damage <= 0 then
+    return;
+  end if;
+
+  insert into public.guild_raid_damage(raid_id, user_id, xp_event_id, category, xp_amount, damage)
+  values (v_raid.id, p_user_id, p_xp_event_id, p_category, p_amount, v_damage)
+  on conflict (raid_id, xp_event_id) do nothing;
+
+  get diagnostics v_rows = row_count;
+  if v_rows = 0 then
+    return;
+  end if;
+
+  update public.guild_raids
+  set damage_total = damage_total + v_damage,
+      defeated_at = case when damage_total + v_damage >= max_hp then now() else null end
+  where id = v_raid.id;
+
+  if v_raid.damage_total + v_damage >= v_raid.max_hp then
+    perform public.resolve_guild_raid(v_raid.id);
+  end if;
+end;
+$$;
+
+revoke all on function public.deal_guild_raid_damage(uuid, uuid, integer, text) from public;
+revoke all on function public.deal_guild_raid_damage(uuid, uuid, integer, text) from anon, authenticated;
+
+create or replace function public.xp_events_boss_damage()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_category text;
+begin
+  -- Only real activity hurts the weekly boss and guild raids: quests and workouts.
+  if new.source_type in ('quest', 'quest_verified', 'questline', 'workout') then
+    v_category := public.xp_event_category(new.source_type, new.source_id);
+    perform public.deal_boss_damage(new.user_id, new.amount, v_category);
+    perform public.deal_guild_raid_damage(new.user_id, new.id, new.amount, v_category);
+  end if;
+
+  -- Every XP source counts toward the mega-boss except boss payouts.
+  if new.source_type not in ('boss_defeat', 'mega_boss', 'guild_raid', 'guild_raid_mvp') then
+    perform public.deal_mega_boss_damage(new.user_id, new.amount);
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Timed-out raids escape and respawns get scheduled even if nobody looks.
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron') then
+    perform cron.schedule(
+      'process-guild-raids',
+      '15 * * * *',
+      'select public.process_guild_raids()'
+    );
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- RPCs (guild members only)
+-- ------------------------------------------------------------
+
+-- Return type gained eligibility columns; drop before recreating.
+drop function if exists public.get_guild_raid(uuid);
+
+create or replace function public.get_guild_raid(p_group_id uuid)
+returns table(
+  raid_id uuid,
+  name text,
+  icon text,
+  tier text,
+  max_hp int,
+  damage_total int,
+  hp_remaining int,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  defeated_at timestamptz,
+  reward_xp int,
+  mvp_bonus_xp int,
+  participants int,
+  my_damage int,
+  my_rank int,
+  min_members int,
+  eligible_members int,
+  my_hits_counted boolean
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if not exists (
+    select 1 from public.group_members gm
+    where gm.group_id = p_group_id and gm.user_id = auth.uid()
+  ) then
+    raise exception 'Not a member of this guild';
+  end if;
+
+  v_id := public.ensure_guild_raid(p_group_id);
+
+  return query
+  with ranked as (
+    select d.user_id, sum(d.damage)::int as damage, rank() over (order by sum(d.damage) desc)::int as pos
+    from public.guild_raid_damage d
+    where d.raid_id = v_id
+    group by d.user_id
+  )
+  select
+    r.id,
+    r.name,
+    b.icon,
+    r.tier,
+    r.max_hp,
+    r.damage_total,
+    greatest(r.max_hp - r.damage_total, 0),
+    r.starts_at,
+    r.ends_at,
+    r.defeated_at,
+    r.reward_xp,
+    r.mvp_bonus_xp,
+    (select count(*)::int from ranked),
+    coalesce((select k.damage from ranked k where k.user_id = auth.uid()), 0),
+    (select k.pos from ranked k where k.user_id = auth.uid()),
+    r.min_members,
+    public.guild_raid_eligible_members(r.id),
+    public.primary_guild_for(auth.uid()) = r.group_id and exists (
+      select 1 from public.group_members gm
+      where gm.group_id = r.group_id
+        and gm.user_id = auth.uid()
+        and gm.joined_at <= r.starts_at - make_interval(hours => r.min_membership_hours)
+    )
+  from public.guild_raids r
+  left join public.boss_catalog b on b.id = r.catalog_id
+  where r.id = v_id;
+end;
+$$;
+
+grant execute on function public.get_guild_raid(uuid) to authenticated;
+
+-- Per-member totals for one raid.
+create or replace function public.get_guild_raid_damage(p_raid_id uuid)
+returns table(user_id uuid, damage int, hits int, last_hit_at timestamptz, rank int, is_mvp boolean)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    d.user_id,
+    sum(d.damage)::int,
+    count(*)::int,
+    max(d.created_at),
+    rank() over (order by sum(d.damage) desc)::int,
+    r.mvp_user_id is not null and r.mvp_user_id = d.user_id
+  from public.guild_raid_damage d
+  join public.guild_raids r on r.id = d.raid_id
+  where d.raid_id = p_raid_id
+    and exists (
+      select 1 from public.group_members gm
+      where gm.group_id = r.group_id and gm.user_id = auth.uid()
+    )
+  group by d.user_id, r.mvp_user_id
+  order by sum(d.damage) desc, max(d.created_at) asc;
+$$;
+
+grant execute on function public.get_guild_raid_damage(uuid) to authenticated;
+
+-- Most recent hits for one raid.
+create or replace function public.get_guild_raid_log(p_raid_id uuid, p_limit int default 20)
+returns table(user_id uuid, category text, xp_amount int, damage int, created_at timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select d.user_id, d.category, d.xp_amount, d.damage, d.created_at
+  from public.guild_raid_damage d
+  join public.guild_raids r on r.id = d.raid_id
+  where d.raid_id = p_raid_id
+    and exists (
+      select 1 from public.group_members gm
+      where gm.group_id = r.group_id and gm.user_id = auth.uid()
+    )
+  order by d.created_at desc
+  limit greatest(1, least(coalesce(p_limit, 20), 100));
+$$;
+
+grant execute on function public.get_guild_raid_log(uuid, int) to authenticated;
+
+create or replace function public.get_guild_raid_history(p_group_id uuid, p_limit int default 8)
+returns table(
+  raid_id uuid,
+  name text,
+  icon text,
+  tier text,
+  outcome text,
+  resolved_at timestamptz,
+  damage_total int,
+  max_hp int,
+  reward_xp int,
+  participants int,
+  mvp_user_id uuid,
+  mvp_damage int
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    r.id,
+    r.name,
+    b.icon,
+    r.tier,
+    r.outcome,
+    r.resolved_at,
+    r.damage_total,
+    r.max_hp,
+    r.reward_xp,
+    (select count(distinct d.user_id)::int from public.guild_raid_damage d where d.raid_id = r.id),
+    r.mvp_user_id,
+    (
+      select coalesce(sum(d.damage), 0)::int
+      from public.guild_raid_damage d
+      where d.raid_id = r.id and d.user_id = r.mvp_user_id
+    )
+  from public.guild_raids r
+  left join public.boss_catalog b on b.id = r.catalog_id
+  where r.group_id = p_group_id
+    and r.resolved_at is not null
+    and exists (
+      select 1 from public.group_members gm
+      where gm.group_id = r.group_id and gm.user_id = auth.uid()
+    )
+  order by r.resolved_at desc
+  limit greatest(1, least(coalesce(p_limit, 8), 50));
+$$;
+
+grant execute on function public.get_guild_raid_history(uuid, int) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
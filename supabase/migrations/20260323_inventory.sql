@@ -0,0 +1,742 @@
+-- ============================================================
+-- 20260323_inventory.sql
+-- Player inventory and consumables:
+-- - items: definitions. effect is one of xp_multiplier (timed XP
+--   boost on quest/workout XP), streak_shield (covers yesterday for the
+--   workout streak), quest_reroll (swaps an active quest for another of
+--   the same category) and quest_slot (timed extra active-quest slot).
+--   shelf_life_days makes unused stacks expire.
+-- - user_items: one stack per grant (source + source_ref keeps grants
+--   idempotent, like award_xp).
+-- - user_item_effects: timed effects from used items.
+-- - streak_shield_days: shielded dates bridge the workout streak.
+-- - item_drops: loot table. Boss payouts (by XP ledger source_type;
+--   mega-boss rows use source_key = boss_contributions.reward_tier),
+--   achievements (source_key = slug) and daily login claims
+--   (source_key = cycle day) grant items by trigger. source_key ''
+--   matches every key of its source_type. settle_mega_boss is
+--   redefined to record the tier before it pays the XP.
+-- - award_xp / recalculate_streaks / active_quest_slots_for are
+--   redefined to honour effects and shields.
+-- - get_inventory(), get_item_effects(), use_item(slug, target).
+-- Safe to re-run.
+-- ============================================================
+
+create table if not exists public.items (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null unique,
+  name text not null,
+  description text,
+  icon text,
+  rarity text not null default 'common' check (rarity in ('common', 'rare', 'epic', 'legendary')),
+  effect text not null check (effect in ('xp_multiplier', 'streak_shield', 'quest_reroll', 'quest_slot')),
+  effect_value numeric(4,2) not null default 1 check (effect_value > 0),
+  effect_hours integer check (effect_hours is null or effect_hours > 0),
+  shelf_life_days integer check (shelf_life_days is null or shelf_life_days > 0),
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now(),
+  check (effect not in ('xp_multiplier', 'quest_slot') or effect_hours is not null)
+);
+
+insert into public.items (slug, name, description, icon, rarity, effect, effect_value, effect_hours, shelf_life_days, sort_order)
+values
+  ('xp-potion', 'XP Potion', '+50% XP from quests and workouts for 24 hours.', '🧪', 'rare', 'xp_multiplier', 1.50, 24, 30, 1),
+  ('greater-xp-potion', 'Greater XP Potion', 'Double XP from quests and workouts for 12 hours.', '⚗️', 'epic', 'xp_multiplier', 2.00, 12, 30, 2),
+  ('streak-shield', 'Streak Shield', 'Covers a missed workout yesterday so your streak survives.', '🛡️', 'rare', 'streak_shield', 1, null, null, 10),
+  ('quest-reroll', 'Quest Reroll', 'Swap an active quest for another of the same category.', '🎲', 'common', 'quest_reroll', 1, null, null, 20),
+  ('slot-token', 'Slot Token', 'One extra active quest slot for 7 days.', '🎟️', 'rare', 'quest_slot', 1, 168, 60, 30)
+on conflict (slug) do update
+set
+  name = excluded.name,
+  description = excluded.description,
+  icon = excluded.icon,
+  rarity = excluded.rarity,
+  effect = excluded.effect,
+  effect_value = excluded.effect_value,
+  effect_hours = excluded.effect_hours,
+  shelf_life_days = excluded.shelf_life_days,
+  sort_order = excluded.sort_order;
+
+create table if not exists public.user_items (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  item_id uuid not null references public.items(id) on delete cascade,
+  quantity integer not null check (quantity >= 0),
+  source text not null,
+  source_ref text not null,
+  acquired_at timestamptz not null default now(),
+  expires_at timestamptz,
+  unique (user_id, item_id, source, source_ref)
+);
+
+create index if not exists user_items_user_idx
+  on public.user_items(user_id, item_id)
+  where quantity > 0;
+
+create table if not exists public.user_item_effects (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  item_id uuid not null references public.items(id) on delete cascade,
+  effect text not null,
+  effect_value numeric(4,2) not null,
+  started_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists user_item_effects_user_idx
+  on public.user_item_effects(user_id, effect, expires_at desc);
+
+create table if not exists public.streak_shield_days (
+  user_id uuid not null references auth.users(id) on delete cascade,
+  shield_date date not null,
+  created_at timestamptz not null default now(),
+  primary key (user_id, shield_date)
+);
+
+create table if not exists public.item_drops (
+  id uuid primary key default gen_random_uuid(),
+  source_type text not null
+    check (source_type in ('boss_defeat', 'mega_boss', 'guild_raid', 'guild_raid_mvp', 'achievement', 'daily_login')),
+  source_key text not null default '',
+  item_id uuid not null references public.items(id) on delete cascade,
+  quantity integer not null default 1 check (quantity > 0),
+  unique (source_type, source_key, item_id)
+);
+
+-- Mega-boss drops by reward tier (mega_boss_tiers.tier); '' = every tier.
+insert into public.item_drops (source_type, source_key, item_id, quantity)
+select d.source_type, d.source_key, i.id, d.quantity
+from (
+  values
+    ('boss_defeat', '', 'xp-potion', 1),
+    ('mega_boss', '', 'quest-reroll', 1),
+    ('mega_boss', 'top50', 'xp-potion', 1),
+    ('mega_boss', 'top10', 'xp-potion', 1),
+    ('mega_boss', 'top10', 'greater-xp-potion', 1),
+    ('mega_boss', 'top10', 'slot-token', 1),
+    ('guild_raid', '', 'quest-reroll', 1),
+    ('guild_raid_mvp', '', 'streak-shield', 1),
+    ('achievement', 'first-workout', 'quest-reroll', 1),
+    ('achievement', 'workouts-10', 'slot-token', 1),
+    ('achievement', 'streak-7', 'streak-shield', 1),
+    ('achievement', 'quests-10', 'quest-reroll', 2),
+    ('achievement', 'first-boss-kill', 'xp-potion', 1),
+    ('achievement', 'level-10', 'greater-xp-potion', 1),
+    ('daily_login', '4', 'quest-reroll', 1),
+    ('daily_login', '7', 'streak-shield', 1)
+) as d(source_type, source_key, item_slug, quantity)
+join public.items i on i.slug = d.item_slug
+on conflict (source_type, source_key, item_id) do update
+set quantity = excluded.quantity;
+
+alter table public.items enable row level security;
+alter table public.user_items enable row level security;
+alter table public.user_item_effects enable row level security;
+alter table public.streak_shield_days enable row level security;
+alter table public.item_drops enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where policyname='items_select_auth') then
+    create policy items_select_auth on public.items
+      for select using (auth.role() = 'authenticated');
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='item_drops_select_auth') then
+    create policy item_drops_select_auth on public.item_drops
+      for select using (auth.role() = 'authenticated');
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='user_items_select_own') then
+    create policy user_items_select_own on public.user_items
+      for select using (auth.uid() = user_id);
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='user_item_effects_select_own') then
+    create policy user_item_effects_select_own on public.user_item_effects
+      for select using (auth.uid() = user_id);
+  end if;
+
+  if not exists (select 1 from pg_policies where policyname='streak_shield_days_select_own') then
+    create policy streak_shield_days_select_own on public.streak_shield_days
+      for select using (auth.uid() = user_id);
+  end if;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- Grants (internal)
+-- ------------------------------------------------------------
+
+create or replace function public.grant_item(
+  p_user_id uuid,
+  p_item_id uuid,
+  p_quantity integer,
+  p_source text,
+  p_source_ref text
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_rows int;
+begin
+  if p_user_id is null or p_item_id is null or coalesce(p_quantity, 0) <= 0 then
+    return false;
+  end if;
+
+  insert into public.user_items(user_id, item_id, quantity, source, source_ref, expires_at)
+  select p_user_id, i.id, p_quantity, p_source, p_source_ref,
+         now() + make_interval(days => i.shelf_life_days)
+  from public.items i
+  where i.id = p_item_id
+  on conflict (user_id, item_id, source, source_ref) do nothing;
+
+  get diagnostics v_rows = row_count;
+  return v_rows > 0;
+end;
+$$;
+
+revoke all on function public.grant_item(uuid, uuid, integer, text, text) from public;
+revoke all on function public.grant_item(uuid, uuid, integer, text, text) from anon, authenticated;
+
+create or replace function public.grant_item_drops(
+  p_user_id uuid,
+  p_source_type text,
+  p_source_key text,
+  p_source_ref text
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_drop record;
+  v_granted int := 0;
+begin
+  for v_drop in
+    select d.item_id, d.quantity
+    from public.item_drops d
+    where d.source_type = p_source_type
+      and d.source_key in ('', coalesce(p_source_key, ''))
+  loop
+    if public.grant_item(p_user_id, v_drop.item_id, v_drop.quantity, p_source_type, p_source_ref) then
+      v_granted := v_granted + 1;
+    end if;
+  end loop;
+
+  return v_granted;
+end;
+$$;
+
+revoke all on function public.grant_item_drops(uuid, text, text, text) from public;
+revoke all on function public.grant_item_drops(uuid, text, text, text) from anon, authenticated;
+
+create or replace function public.grant_item_drops_trigger()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_table_name = 'xp_events' then
+    if new.source_type = 'mega_boss' then
+      -- settle_mega_boss records the tier before paying the XP.
+      perform public.grant_item_drops(
+        new.user_id,
+        'mega_boss',
+        (
+          select c.reward_tier from public.boss_contributions c
+          where c.encounter_id = new.source_id and c.user_id = new.user_id
+        ),
+        new.source_id::text
+      );
+    elsif new.source_type in ('boss_defeat', 'guild_raid', 'guild_raid_mvp') then
+      perform public.grant_item_drops(new.user_id, new.source_type, null, new.source_id::text);
+    end if;
+  elsif tg_table_name = 'user_achievements' then
+    perform public.grant_item_drops(
+      new.user_id,
+      'achievement',
+      (select a.slug from public.achievements a where a.id = new.achievement_id),
+      new.achievement_id::text
+    );
+  elsif tg_table_name = 'daily_claims' then
+    perform public.grant_item_drops(new.user_id, 'daily_login', new.cycle_day::text, new.id::text);
+  end if;
+  return new;
+end;
+$$;
+
+do $$
+begin
+  if not exists (select 1 from pg_trigger where tgname = 'xp_events_grant_item_drops') then
+    create trigger xp_events_grant_item_drops
+    after insert on public.xp_events
+    for each row execute function public.grant_item_drops_trigger();
+  end if;
+
+  if not exists (select 1 from pg_trigger where tgname = 'user_achievements_grant_item_drops') then
+    create trigger user_achievements_grant_item_drops
+    after insert on public.user_achievements
+    for each row execute function public.grant_item_drops_trigger();
+  end if;
+
+  if not exists (select 1 from pg_trigger where tgname = 'daily_claims_grant_item_drops') then
+    create trigger daily_claims_grant_item_drops
+    after insert on public.daily_claims
+    for each row execute function public.grant_item_drops_trigger();
+  end if;
+end
+$$;
+
+-- Mega-boss settlement (redefined): the drop trigger needs the tier.
+create or replace function public.settle_mega_boss(p_encounter_id uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_encounter public.boss_encounters%rowtype;
+  v_row record;
+  v_awarded int;
+  v_paid int := 0;
+begin
+  -- Hits stop at month end, so this total is final.
+  perform public.refresh_mega_boss(p_encounter_id);
+
+  select * into v_encounter
+  from public.boss_encounters
+  where id = p_encounter_id
+    and kind = 'monthly'
+  for update;
+
+  if not found or v_encounter.settled_at is not null or now() < v_encounter.ends_at then
+    return 0;
+  end if;
+
+  for v_row in
+    select s.user_id, s.tier, t.xp_reward, t.reward_title_id, t.reward_cosmetic_id
+    from public.mega_boss_standings(p_encounter_id) s
+    join public.mega_boss_tiers t on t.tier = s.tier
+  loop
+    v_awarded := 0;
+
+    -- Tier first: item drops read it when the XP row lands.
+    update public.boss_contributions
+    set reward_tier = v_row.tier
+    where encounter_id = p_encounter_id
+      and user_id = v_row.user_id;
+
+    -- The raid only pays out if the community reached the goal.
+    if v_encounter.defeated_at is not null then
+      v_awarded := public.award_xp(v_row.user_id, 'mega_boss', p_encounter_id, v_row.xp_reward);
+
+      perform public.grant_title(v_row.user_id, v_row.reward_title_id, 'mega_boss', p_encounter_id::text);
+
+      if v_row.reward_cosmetic_id is not null then
+        insert into public.user_cosmetics(user_id, cosmetic_id, source)
+        values (v_row.user_id, v_row.reward_cosmetic_id, 'mega_boss')
+        on conflict (user_id, cosmetic_id) do nothing;
+      end if;
+
+      v_paid := v_paid + 1;
+    end if;
+
+    update public.boss_contributions
+    set reward_xp = coalesce(v_awarded, 0)
+    where encounter_id = p_encounter_id
+      and user_id = v_row.user_id;
+  end loop;
+
+  update public.boss_encounters
+  set settled_at = now()
+  where id = p_encounter_id;
+
+  return v_paid;
+end;
+$$;
+
+revoke all on function public.settle_mega_boss(uuid) from public;
+revoke all on function public.settle_mega_boss(uuid) from anon, authenticated;
+
+-- Backfill achievement drops for badges earned before the inventory existed.
+do $$
+declare
+  v_row record;
+begin
+  for v_row in
+    select ua.user_id, ua.achievement_id, a.slug
+    from public.user_achievements ua
+    join public.achievements a on a.id = ua.achievement_id
+  loop
+    perform public.grant_item_drops(v_row.user_id, 'achievement', v_row.slug, v_row.achievement_id::text);
+  end loop;
+end
+$$;
+
+-- ------------------------------------------------------------
+-- Effects in existing rules (redefined)
+-- ------------------------------------------------------------
+
+create or replace function public.item_effect_value(p_user_id uuid, p_effect text)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case p_effect
+    -- Potions don't stack; the strongest active one wins.
+    when 'xp_multiplier' then coalesce(max(e.effect_value), 1)
+    else coalesce(sum(e.effect_value), 0)
+  end
+  from public.user_item_effects e
+  where e.user_id = p_user_id
+    and e.effect = p_effect
+    and e.expires_at > now();
+$$;
+
+revoke all on function public.item_effect_value(uuid, text) from public;
+revoke all on function public.item_effect_value(uuid, text) from anon, authenticated;
+
+create or replace function public.award_xp(
+  p_user_id uuid,
+  p_source_type text,
+  p_source_id uuid,
+  p_amount integer
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_amount int := coalesce(p_amount, 0);
+  v_rows int;
+begin
+  if p_user_id is null or p_source_type is null or p_source_id is null then
+    raise exception 'award_xp requires user, source type and source id';
+  end if;
+
+  if v_amount <= 0 then
+    return 0;
+  end if;
+
+  -- XP potions boost activity only, never rewards.
+  if p_source_type in ('quest', 'quest_verified', 'questline', 'workout') then
+    v_amount := round(v_amount * public.item_effect_value(p_user_id, 'xp_multiplier'))::int;
+  end if;
+
+  insert into public.xp_events(user_id, source_type, source_id, amount)
+  values (p_user_id, p_source_type, p_source_id, v_amount)
+  on conflict (user_id, source_type, source_id) do nothing;
+
+  get diagnostics v_rows = row_count;
+
+  if v_rows = 0 then
+    return 0;
+  end if;
+
+  update public.profiles
+  set xp_total = xp_total + v_amount
+  where id = p_user_id;
+
+  return v_amount;
+end;
+$$;
+
+revoke all on function public.award_xp(uuid, text, uuid, integer) from public;
+revoke all on function public.award_xp(uuid, text, uuid, integer) from anon, authenticated;
+
+create or replace function public.active_quest_slots_for(p_user_id uuid)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (
+      select t.active_quest_slots
+      from public.profiles p
+      join public.rank_tiers t on t.rank = public.rank_for_xp(p.xp_total)
+      where p.id = p_user_id
+    ),
+    3
+  ) + floor(public.item_effect_value(p_user_id, 'quest_slot'))::int;
+$$;
+
+grant execute on function public.active_quest_slots_for(uuid) to authenticated;
+
+-- Shielded days keep the chain going without adding to it.
+create or replace function public.recalculate_streaks(p_user_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  d date := public.user_today(p_user_id);
+  streak int := 0;
+  longest int;
+begin
+  loop
+    if exists (
+      select 1 from public.workout_logs wl
+      where wl.user_id = p_user_id and wl.log_date = d and wl.completed = true
+    ) then
+      streak := streak + 1;
+    elsif not exists (
+      select 1 from public.streak_shield_days s
+      where s.user_id = p_user_id and s.shield_date = d
+    ) then
+      exit;
+    end if;
+    d := d - interval '1 day';
+  end loop;
+
+  select coalesce(longest_streak, 0) into longest
+  from public.profiles
+  where id = p_user_id;
+
+  update public.profiles
+  set current_streak = streak,
+      longest_streak = greatest(longest, streak)
+  where id = p_user_id;
+end;
+$$;
+
+-- ------------------------------------------------------------
+-- RPCs
+-- ------------------------------------------------------------
+
+create or replace function public.get_inventory()
+returns table(
+  item_id uuid,
+  slug text,
+  name text,
+  description text,
+  icon text,
+  rarity text,
+  effect text,
+  effect_value numeric,
+  effect_hours int,
+  quantity int,
+  next_expires_at timestamptz,
+  expiring_quantity int
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with stacks as (
+    select ui.item_id, ui.quantity, ui.expires_at
+    from public.user_items ui
+    where auth.uid() is not null
+      and ui.user_id = auth.uid()
+      and ui.quantity > 0
+      and (ui.expires_at is null or ui.expires_at > now())
+  ),
+  totals as (
+    select s.item_id, sum(s.quantity)::int as quantity, min(s.expires_at) as next_expires_at
+    from stacks s
+    group by s.item_id
+  )
+  select
+    i.id,
+    i.slug,
+    i.name,
+    i.description,
+    i.icon,
+    i.rarity,
+    i.effect,
+    i.effect_value,
+    i.effect_hours,
+    t.quantity,
+    t.next_expires_at,
+    (
+      select coalesce(sum(s.quantity), 0)::int
+      from stacks s
+      where s.item_id = i.id and s.expires_at = t.next_expires_at
+    )
+  from totals t
+  join public.items i on i.id = t.item_id
+  order by i.sort_order, i.name;
+$$;
+
+grant execute on function public.get_inventory() to authenticated;
+
+create or replace function public.get_item_effects()
+returns table(effect_id uuid, slug text, name text, icon text, effect text, effect_value numeric, started_at timestamptz, expires_at timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select e.id, i.slug, i.name, i.icon, e.effect, e.effect_value, e.started_at, e.expires_at
+  from public.user_item_effects e
+  join public.items i on i.id = e.item_id
+  where auth.uid() is not null
+    and e.user_id = auth.uid()
+    and e.expires_at > now()
+  order by e.expires_at;
+$$;
+
+grant execute on function public.get_item_effects() to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: use_item
+-- Targets:
+--   xp_multiplier / quest_slot   none
+--   streak_shield                none (covers yesterday, local date)
+--   quest_reroll                 user_active_quests.id to replace
+-- Returns the remaining quantity and what the item did.
+-- ------------------------------------------------------------
+
+create or replace function public.use_item(p_item_slug text, p_target_id uuid default null)
+returns table(remaining int, effect_expires_at timestamptz, shielded_date date, new_quest_id uuid)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_item public.items%rowtype;
+  v_stack_id uuid;
+  v_expires timestamptz;
+  v_shield date;
+  v_old record;
+  v_new_quest uuid;
+  v_remaining int;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('inventory:' || auth.uid()::text));
+
+  select * into v_item
+  from public.items
+  where slug = p_item_slug;
+
+  if not found then
+    raise exception 'Item not found';
+  end if;
+
+  -- Soonest-expiring stack first.
+  select ui.id into v_stack_id
+  from public.user_items ui
+  where ui.user_id = auth.uid()
+    and ui.item_id = v_item.id
+    and ui.quantity > 0
+    and (ui.expires_at is null or ui.expires_at > now())
+  order by ui.expires_at nulls last, ui.acquired_at
+  limit 1
+  for update;
+
+  if v_stack_id is null then
+    raise exception 'No % left', v_item.name;
+  end if;
+
+  if v_item.effect = 'xp_multiplier' then
+    if public.item_effect_value(auth.uid(), 'xp_multiplier') > 1 then
+      raise exception 'An XP potion is already active';
+    end if;
+    v_expires := now() + make_interval(hours => v_item.effect_hours);
+    insert into public.user_item_effects(user_id, item_id, effect, effect_value, expires_at)
+    values (auth.uid(), v_item.id, v_item.effect, v_item.effect_value, v_expires);
+
+  elsif v_item.effect = 'quest_slot' then
+    v_expires := now() + make_interval(hours => v_item.effect_hours);
+    insert into public.user_item_effects(user_id, item_id, effect, effect_value, expires_at)
+    values (auth.uid(), v_item.id, v_item.effect, v_item.effect_value, v_expires);
+
+  elsif v_item.effect = 'streak_shield' then
+    v_shield := public.user_today(auth.uid()) - 1;
+
+    if exists (
+      select 1 from public.workout_logs wl
+      where wl.user_id = auth.uid() and wl.log_date = v_shield and wl.completed = true
+    ) then
+      raise exception 'Yesterday already has a workout; no shield needed';
+    end if;
+
+    insert into public.streak_shield_days(user_id, shield_date)
+    values (auth.uid(), v_shield)
+    on conflict (user_id, shield_date) do nothing;
+
+    if not found then
+      raise exception 'Yesterday is already shielded';
+    end if;
+
+    perform public.recalculate_streaks(auth.uid());
+
+  elsif v_item.effect = 'quest_reroll' then
+    select ua.id, ua.quest_id, q.category, q.path into v_old
+    from public.user_active_quests ua
+    join public.quests q on q.id = ua.quest_id
+    where ua.id = p_target_id
+      and ua.user_id = auth.uid()
+      and ua.status = 'active';
+
+    if not found then
+      raise exception 'Pick an active quest to reroll';
+    end if;
+
+    -- Same path, same category when possible; never questline steps,
+    -- custom quests, quests already active or one-off quests already done.
+    select q.id into v_new_quest
+    from public.quests q
+    where q.is_active = true
+      and q.created_by is null
+      and q.path = v_old.path
+      and q.id <> v_old.quest_id
+      and not exists (select 1 from public.questline_steps s where s.quest_id = q.id)
+      and not exists (
+        select 1 from public.user_active_quests ua
+        where ua.user_id = auth.uid()
+          and ua.quest_id = q.id
+          and (
+            ua.status = 'active'
+            or (q.recurrence = 'once' and exists (
+              select 1 from public.quest_completions qc where qc.active_quest_id = ua.id
+            ))
+          )
+      )
+    order by (lower(q.category) = lower(v_old.category)) desc, random()
+    limit 1;
+
+    if v_new_quest is null then
+      raise exception 'No other quest available to roll';
+    end if;
+
+    update public.user_active_quests
+    set status = 'abandoned',
+        deadline_at = null
+    where id = v_old.id;
+
+    perform public.select_quest(v_new_quest);
+  end if;
+
+  update public.user_items
+  set quantity = quantity - 1
+  where id = v_stack_id;
+
+  select coalesce(sum(ui.quantity), 0)::int into v_remaining
+  from public.user_items ui
+  where ui.user_id = auth.uid()
+    and ui.item_id = v_item.id
+    and (ui.expires_at is null or ui.expires_at > now());
+
+  return query select v_remaining, v_expires, v_shield, v_new_quest;
+end;
+$$;
+
+grant execute on function public.use_item(text, uuid) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,212 @@
+-- ============================================================
+-- 20260324_quest_completion_keys.sql
+-- Quest completions keyed on (user, quest, period)
+-- (20260304_recurring_quests.sql): the complete_quest and select_quest
+-- definitions from 20260307_quest_evidence.sql and
+-- 20260310_rank_quest_slots.sql still keyed on the active quest id.
+-- - complete_quest writes quest_id, derives the completion id (and the
+--   XP source id) from quest_completion_id() and counts n_per_week
+--   slots per quest.
+-- - select_quest checks one-time completions per quest.
+-- Safe to re-run.
+-- ============================================================
+
+-- ------------------------------------------------------------
+-- RPC: complete_quest
+-- ------------------------------------------------------------
+
+create or replace function public.complete_quest(
+  p_active_quest_id uuid,
+  p_optional_note text default null,
+  p_attachment_paths text[] default '{}'
+)
+returns table(awarded_xp int, completion_id uuid)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_quest_id uuid;
+  v_xp int;
+  v_recurrence text;
+  v_per_week int;
+  v_status text;
+  v_deadline timestamptz;
+  v_now timestamptz := now();
+  v_period text;
+  v_done int;
+  v_completion_id uuid;
+  v_awarded int := 0;
+  v_path text;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if coalesce(array_length(p_attachment_paths, 1), 0) > 3 then
+    raise exception 'At most 3 attachments per completion';
+  end if;
+
+  foreach v_path in array coalesce(p_attachment_paths, '{}') loop
+    if split_part(v_path, '/', 1) <> auth.uid()::text then
+      raise exception 'Attachment % is not in your evidence folder', v_path;
+    end if;
+  end loop;
+
+  select q.id, q.xp_reward, q.recurrence, q.recurrence_count, ua.status, ua.deadline_at
+  into v_quest_id, v_xp, v_recurrence, v_per_week, v_status, v_deadline
+  from public.user_active_quests ua
+  join public.quests q on q.id = ua.quest_id
+  where ua.id = p_active_quest_id
+    and ua.user_id = auth.uid();
+
+  if not found then
+    raise exception 'Quest not found for user';
+  end if;
+
+  if v_status <> 'active' then
+    raise exception 'Quest is %, accept it again to continue', v_status;
+  end if;
+
+  if v_deadline is not null and v_deadline < v_now then
+    raise exception 'Quest deadline has passed';
+  end if;
+
+  if v_recurrence = 'weekdays' and extract(isodow from v_now at time zone 'utc') > 5 then
+    raise exception 'Weekday quest is off until Monday';
+  end if;
+
+  v_period := public.quest_period_key(v_recurrence, v_now);
+
+  if v_recurrence = 'n_per_week' then
+    select count(*)::int into v_done
+    from public.quest_completions
+    where user_id = auth.uid()
+      and quest_id = v_quest_id
+      and period_key like v_period || '#%';
+
+    if v_done >= coalesce(v_per_week, 1) then
+      return query select 0, null::uuid;
+      return;
+    end if;
+
+    v_period := v_period || '#' || (v_done + 1);
+  end if;
+
+  insert into public.quest_completions(id, active_quest_id, quest_id, user_id, optional_note, note, period_key)
+  values (
+    public.quest_completion_id(auth.uid(), v_quest_id, v_period),
+    p_active_quest_id, v_quest_id, auth.uid(), p_optional_note, p_optional_note, v_period
+  )
+  on conflict (user_id, quest_id, period_key) do nothing
+  returning id into v_completion_id;
+
+  -- Already completed for this period: idempotent no-op.
+  if v_completion_id is null then
+    return query select 0, null::uuid;
+    return;
+  end if;
+
+  insert into public.quest_completion_attachments(completion_id, user_id, storage_path)
+  select v_completion_id, auth.uid(), p
+  from unnest(coalesce(p_attachment_paths, '{}')) as p
+  on conflict (storage_path) do nothing;
+
+  v_awarded := public.award_xp(auth.uid(), 'quest', v_completion_id, coalesce(v_xp, 0));
+
+  if v_recurrence = 'once' then
+    update public.user_active_quests
+    set status = 'completed',
+        deadline_at = null
+    where id = p_active_quest_id;
+  end if;
+
+  return query select v_awarded, v_completion_id;
+end;
+$$;
+
+grant execute on function public.complete_quest(uuid, text, text[]) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: select_quest
+-- ------------------------------------------------------------
+
+create or replace function public.select_quest(p_quest_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_active_count integer;
+  v_limit integer;
+  v_recurrence text;
+  v_active_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  perform public.expire_overdue_quests_for(auth.uid());
+
+  select q.recurrence into v_recurrence
+  from public.quests q
+  where q.id = p_quest_id
+    and q.is_active = true
+    and (q.created_by is null or q.created_by = auth.uid());
+
+  if not found then
+    raise exception 'Quest not found';
+  end if;
+
+  if not public.questline_step_unlocked(auth.uid(), p_quest_id) then
+    raise exception 'Complete the previous questline step first';
+  end if;
+
+  select ua.id into v_active_id
+  from public.user_active_quests ua
+  where ua.user_id = auth.uid()
+    and ua.quest_id = p_quest_id;
+
+  if v_active_id is not null then
+    if v_recurrence = 'once' and exists (
+      select 1 from public.quest_completions qc
+      where qc.user_id = auth.uid()
+        and qc.quest_id = p_quest_id
+    ) then
+      raise exception 'Quest already completed';
+    end if;
+
+    if exists (
+      select 1 from public.user_active_quests
+      where id = v_active_id and status = 'active'
+    ) then
+      update public.user_active_quests
+      set selected_at = now()
+      where id = v_active_id;
+      return;
+    end if;
+  end if;
+
+  v_limit := public.active_quest_slots_for(auth.uid());
+
+  select count(*)::int into v_active_count
+  from public.user_active_quests
+  where user_id = auth.uid()
+    and status = 'active';
+
+  if coalesce(v_active_count, 0) >= v_limit then
+    raise exception 'Active quest limit reached (% of % slots).', v_active_count, v_limit;
+  end if;
+
+  -- Abandoned/expired (or finished recurring) quests keep their row and history and are re-armed.
+  insert into public.user_active_quests(user_id, quest_id, status, selected_at)
+  values (auth.uid(), p_quest_id, 'active', now())
+  on conflict (user_id, quest_id) do update
+    set status = 'active', selected_at = excluded.selected_at, deadline_at = null;
+end;
+$$;
+
+grant execute on function public.select_quest(uuid) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,60 @@
+-- ============================================================
+-- 20260326_weekly_challenge_bounds.sql
+-- Weekly challenge progress (20260313_weekly_challenges.sql) on the
+-- local-week definition from 20260317_user_time_zones.sql:
+-- - every metric stops at the end of the challenge week, so a past
+--   week's progress no longer grows.
+-- - quests and workouts only count once the XP ledger has paid for
+--   them.
+-- Safe to re-run.
+-- ============================================================
+
+create or replace function public.weekly_challenge_progress(p_user_id uuid, p_metric text, p_week_start date)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  -- Quests and workouts only count once the ledger has paid for them.
+  select case p_metric
+    when 'quests' then (
+      select count(*)::int
+      from public.quest_completions qc
+      join public.xp_events x
+        on x.user_id = qc.user_id
+       and x.source_type = 'quest'
+       and x.source_id = qc.id
+      where qc.user_id = p_user_id
+        and qc.completed_at >= (p_week_start::timestamp at time zone public.user_time_zone(p_user_id))
+        and qc.completed_at < ((p_week_start + 7)::timestamp at time zone public.user_time_zone(p_user_id))
+    )
+    when 'xp' then (
+      -- Challenge payouts themselves do not count toward XP challenges.
+      select coalesce(sum(x.amount), 0)::int
+      from public.xp_events x
+      where x.user_id = p_user_id
+        and x.source_type <> 'weekly_challenge'
+        and x.created_at >= (p_week_start::timestamp at time zone public.user_time_zone(p_user_id))
+        and x.created_at < ((p_week_start + 7)::timestamp at time zone public.user_time_zone(p_user_id))
+    )
+    when 'workouts' then (
+      select count(*)::int
+      from public.workout_logs w
+      join public.xp_events x
+        on x.user_id = w.user_id
+       and x.source_type = 'workout'
+       and x.source_id = w.id
+      where w.user_id = p_user_id
+        and w.completed = true
+        and w.log_date >= p_week_start
+        and w.log_date < p_week_start + 7
+    )
+    else 0
+  end;
+$$;
+
+revoke all on function public.weekly_challenge_progress(uuid, text, date) from public;
+revoke all on function public.weekly_challenge_progress(uuid, text, date) from anon, authenticated;
+
+select pg_notify('pgrst', 'reload schema');
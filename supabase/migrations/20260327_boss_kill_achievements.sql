@@ -0,0 +1,86 @@
+-- ============================================================
+-- 20260327_boss_kill_achievements.sql
+-- Boss kill achievements (20260316_achievements.sql) count every boss
+-- payout now that mega-bosses (20260320) and guild raids (20260322)
+-- exist: xp_events 'boss_defeat', 'mega_boss' and 'guild_raid'.
+-- Players with earlier mega-boss or raid payouts are re-evaluated.
+-- Safe to re-run.
+-- ============================================================
+
+create or replace function public.achievement_progress(p_user_id uuid, p_metric text, p_param text default null)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case p_metric
+    when 'workouts' then (
+      select count(*)::int
+      from public.workout_logs w
+      join public.xp_events x
+        on x.user_id = w.user_id
+       and x.source_type = 'workout'
+       and x.source_id = w.id
+      where w.user_id = p_user_id
+        and w.completed = true
+    )
+    when 'streak' then (
+      select greatest(coalesce(p.current_streak, 0), coalesce(p.longest_streak, 0))::int
+      from public.profiles p
+      where p.id = p_user_id
+    )
+    when 'quests' then (
+      select count(*)::int
+      from public.quest_completions qc
+      join public.xp_events x
+        on x.user_id = qc.user_id
+       and x.source_type = 'quest'
+       and x.source_id = qc.id
+      where qc.user_id = p_user_id
+    )
+    when 'category_quests' then (
+      select count(*)::int
+      from public.quest_completions qc
+      join public.xp_events x
+        on x.user_id = qc.user_id
+       and x.source_type = 'quest'
+       and x.source_id = qc.id
+      join public.quests q on q.id = qc.quest_id
+      where qc.user_id = p_user_id
+        and lower(q.category) = lower(p_param)
+    )
+    when 'level' then (
+      select public.level_from_xp(coalesce(p.xp_total, 0))
+      from public.profiles p
+      where p.id = p_user_id
+    )
+    when 'boss_kills' then (
+      select count(*)::int
+      from public.xp_events x
+      where x.user_id = p_user_id
+        and x.source_type in ('boss_defeat', 'mega_boss', 'guild_raid')
+    )
+    else 0
+  end;
+$$;
+
+revoke all on function public.achievement_progress(uuid, text, text) from public;
+revoke all on function public.achievement_progress(uuid, text, text) from anon, authenticated;
+
+-- Backfill players whose kills only came from the new sources.
+do $$
+declare
+  v_id uuid;
+begin
+  for v_id in
+    select distinct x.user_id
+    from public.xp_events x
+    where x.source_type in ('mega_boss', 'guild_raid')
+  loop
+    perform public.evaluate_achievements(v_id);
+  end loop;
+end
+$$;
+
+select pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,309 @@
+-- ============================================================
+-- 20260328_local_quest_windows.sql
+-- Quest recurrence windows on the player's local clock
+-- (20260317_user_time_zones.sql), like workouts and daily claims:
+-- - quest_period_key(recurrence, at, time_zone): local days and
+--   Monday weeks. The two-argument form stays on UTC for existing
+--   period keys.
+-- - complete_quest checks weekday quests and keys periods in the
+--   player's time zone.
+-- - get_quest_history / get_quest_heatmap filter and bucket by local
+--   day.
+-- Safe to re-run.
+-- ============================================================
+
+create or replace function public.quest_period_key(p_recurrence text, p_at timestamptz, p_time_zone text)
+returns text
+language sql
+immutable
+set search_path = public
+as $$
+  select case
+    when p_recurrence in ('daily', 'weekdays') then to_char(p_at at time zone p_time_zone, 'YYYY-MM-DD')
+    when p_recurrence in ('weekly', 'n_per_week') then to_char(p_at at time zone p_time_zone, 'IYYY-"W"IW')
+    else 'once'
+  end;
+$$;
+
+grant execute on function public.quest_period_key(text, timestamptz, text) to authenticated;
+
+-- ------------------------------------------------------------
+-- RPC: complete_quest
+-- ------------------------------------------------------------
+
+create or replace function public.complete_quest(
+  p_active_quest_id uuid,
+  p_optional_note text default null,
+  p_attachment_paths text[] default '{}'
+)
+returns table(awarded_xp int, completion_id uuid)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_quest_id uuid;
+  v_custom boolean;
+  v_xp int;
+  v_recurrence text;
+  v_per_week int;
+  v_status text;
+  v_deadline timestamptz;
+  v_now timestamptz := now();
+  v_tz text := public.user_time_zone(auth.uid());
+  v_period text;
+  v_done int;
+  v_completion_id uuid;
+  v_awarded int := 0;
+  v_path text;
+  v_custom_today int;
+  v_custom_daily_cap int := 60;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if coalesce(array_length(p_attachment_paths, 1), 0) > 3 then
+    raise exception 'At most 3 attachments per completion';
+  end if;
+
+  foreach v_path in array coalesce(p_attachment_paths, '{}') loop
+    if split_part(v_path, '/', 1) <> auth.uid()::text then
+      raise exception 'Attachment % is not in your evidence folder', v_path;
+    end if;
+  end loop;
+
+  select q.id, q.created_by is not null, q.xp_reward, q.recurrence, q.recurrence_count, ua.status, ua.deadline_at
+  into v_quest_id, v_custom, v_xp, v_recurrence, v_per_week, v_status, v_deadline
+  from public.user_active_quests ua
+  join public.quests q on q.id = ua.quest_id
+  where ua.id = p_active_quest_id
+    and ua.user_id = auth.uid();
+
+  if not found then
+    raise exception 'Quest not found for user';
+  end if;
+
+  if v_status <> 'active' then
+    raise exception 'Quest is %, accept it again to continue', v_status;
+  end if;
+
+  if v_deadline is not null and v_deadline < v_now then
+    raise exception 'Quest deadline has passed';
+  end if;
+
+  if v_recurrence = 'weekdays' and extract(isodow from v_now at time zone v_tz) > 5 then
+    raise exception 'Weekday quest is off until Monday';
+  end if;
+
+  v_period := public.quest_period_key(v_recurrence, v_now, v_tz);
+
+  if v_recurrence = 'n_per_week' then
+    select count(*)::int into v_done
+    from public.quest_completions
+    where user_id = auth.uid()
+      and quest_id = v_quest_id
+      and period_key like v_period || '#%';
+
+    if v_done >= coalesce(v_per_week, 1) then
+      return query select 0, null::uuid;
+      return;
+    end if;
+
+    v_period := v_period || '#' || (v_done + 1);
+  end if;
+
+  insert into public.quest_completions(id, active_quest_id, quest_id, user_id, optional_note, note, period_key)
+  values (
+    public.quest_completion_id(auth.uid(), v_quest_id, v_period),
+    p_active_quest_id, v_quest_id, auth.uid(), p_optional_note, p_optional_note, v_period
+  )
+  on conflict (user_id, quest_id, period_key) do nothing
+  returning id into v_completion_id;
+
+  -- Already completed for this period: idempotent no-op.
+  if v_completion_id is null then
+    return query select 0, null::uuid;
+    return;
+  end if;
+
+  insert into public.quest_completion_attachments(completion_id, user_id, storage_path)
+  select v_completion_id, auth.uid(), p
+  from unnest(coalesce(p_attachment_paths, '{}')) as p
+  on conflict (storage_path) do nothing;
+
+  if v_custom then
+    -- Custom quests pay under their own source, up to the daily cap.
+    perform pg_advisory_xact_lock(hashtext('custom_quest_xp:' || auth.uid()::text));
+
+    select coalesce(sum(x.amount), 0)::int into v_custom_today
+    from public.xp_events x
+    where x.user_id = auth.uid()
+      and x.source_type = 'custom_quest'
+      and (x.created_at at time zone v_tz)::date = public.user_today(auth.uid());
+
+    v_awarded := public.award_xp(
+      auth.uid(),
+      'custom_quest',
+      v_completion_id,
+      least(coalesce(v_xp, 0), greatest(v_custom_daily_cap - v_custom_today, 0))
+    );
+  else
+    v_awarded := public.award_xp(auth.uid(), 'quest', v_completion_id, coalesce(v_xp, 0));
+  end if;
+
+  if v_recurrence = 'once' then
+    update public.user_active_quests
+    set status = 'completed',
+        deadline_at = null
+    where id = p_active_quest_id;
+  end if;
+
+  return query select v_awarded, v_completion_id;
+end;
+$$;
+
+grant execute on function public.complete_quest(uuid, text, text[]) to authenticated;
+
+-- ------------------------------------------------------------
+-- Quest history (local days)
+-- ------------------------------------------------------------
+
+create or replace function public.get_quest_history(
+  p_from date default null,
+  p_to date default null,
+  p_category text default null,
+  p_difficulty text default null,
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table(
+  completion_id uuid,
+  completed_at timestamptz,
+  quest_id uuid,
+  quest_title text,
+  category text,
+  difficulty text,
+  note text,
+  awarded_xp int,
+  bonus_xp int,
+  verification_status text,
+  attachment_paths text[],
+  total_count bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with filtered as (
+    select
+      qc.id,
+      qc.active_quest_id,
+      qc.completed_at,
+      q.id as q_id,
+      q.title,
+      q.category,
+      q.difficulty,
+      coalesce(qc.optional_note, qc.note) as note,
+      qc.verification_status
+    from public.quest_completions qc
+    join public.user_active_quests ua on ua.id = qc.active_quest_id
+    join public.quests q on q.id = ua.quest_id
+    where qc.user_id = auth.uid()
+      and (p_from is null or qc.completed_at >= (p_from::timestamp at time zone public.user_time_zone(auth.uid())))
+      and (p_to is null or qc.completed_at < ((p_to + 1)::timestamp at time zone public.user_time_zone(auth.uid())))
+      and (nullif(p_category, '') is null or lower(q.category) = lower(p_category))
+      and (nullif(p_difficulty, '') is null or lower(q.difficulty) = lower(p_difficulty))
+  ),
+  page as (
+    select f.*, count(*) over () as total
+    from filtered f
+    order by f.completed_at desc
+    limit least(greatest(coalesce(p_limit, 20), 1), 500)
+    offset greatest(coalesce(p_offset, 0), 0)
+  )
+  select
+    pg.id,
+    pg.completed_at,
+    pg.q_id,
+    pg.title,
+    pg.category,
+    pg.difficulty,
+    pg.note,
+    coalesce(
+      (
+        select x.amount from public.xp_events x
+        where x.user_id = auth.uid() and x.source_type in ('quest', 'custom_quest') and x.source_id = pg.id
+      ),
+      (
+        select x.amount from public.xp_events x
+        where x.user_id = auth.uid() and x.source_type = 'quest' and x.source_id = pg.active_quest_id
+          and not exists (
+            select 1 from public.quest_completions older
+            where older.active_quest_id = pg.active_quest_id
+              and older.completed_at < pg.completed_at
+          )
+      ),
+      0
+    )::int,
+    coalesce(
+      (
+        select x.amount from public.xp_events x
+        where x.user_id = auth.uid() and x.source_type = 'quest_verified' and x.source_id = pg.id
+      ),
+      0
+    )::int,
+    pg.verification_status,
+    coalesce(
+      (
+        select array_agg(a.storage_path order by a.created_at)
+        from public.quest_completion_attachments a
+        where a.completion_id = pg.id
+      ),
+      '{}'::text[]
+    ),
+    pg.total
+  from page pg
+  order by pg.completed_at desc;
+$$;
+
+grant execute on function public.get_quest_history(date, date, text, text, integer, integer) to authenticated;
+
+create or replace function public.get_quest_heatmap(p_from date, p_to date)
+returns table(day date, completions int, xp int)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with days as (
+    select generate_series(p_from, least(p_to, p_from + 400), interval '1 day')::date as d
+  ),
+  done as (
+    select (qc.completed_at at time zone public.user_time_zone(auth.uid()))::date as d, count(*)::int as n
+    from public.quest_completions qc
+    where qc.user_id = auth.uid()
+      and qc.completed_at >= (p_from::timestamp at time zone public.user_time_zone(auth.uid()))
+      and qc.completed_at < ((p_to + 1)::timestamp at time zone public.user_time_zone(auth.uid()))
+    group by 1
+  ),
+  earned as (
+    select (x.created_at at time zone public.user_time_zone(auth.uid()))::date as d, sum(x.amount)::int as n
+    from public.xp_events x
+    where x.user_id = auth.uid()
+      and x.source_type in ('quest', 'custom_quest', 'quest_verified', 'questline')
+      and x.created_at >= (p_from::timestamp at time zone public.user_time_zone(auth.uid()))
+      and x.created_at < ((p_to + 1)::timestamp at time zone public.user_time_zone(auth.uid()))
+    group by 1
+  )
+  select days.d, coalesce(done.n, 0), coalesce(earned.n, 0)
+  from days
+  left join done on done.d = days.d
+  left join earned on earned.d = days.d
+  order by days.d;
+$$;
+
+grant execute on function public.get_quest_heatmap(date, date) to authenticated;
+
+select pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,218 @@
+-- ============================================================
+-- 20260329_weekly_boss_settlement.sql
+-- Catalog weekly boss (20260321_boss_catalog.sql) on the settle pass
+-- from 20260319_weekly_boss.sql:
+-- - deal_boss_damage only writes the player's own contribution row;
+--   no lock on the shared encounter and no payout inside the XP
+--   transaction. Overkill is capped when damage_total is folded in.
+-- - ensure_weekly_boss folds in last week's final hits before picking
+--   the next tier.
+-- - get_weekly_boss settles due kills before reading the encounter.
+-- Safe to re-run.
+-- ============================================================
+
+create or replace function public.ensure_weekly_boss()
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_start timestamptz := date_trunc('week', now() at time zone 'utc') at time zone 'utc';
+  v_tiers text[] := array['E', 'D', 'C', 'B', 'A', 'S'];
+  v_id uuid;
+  v_active int;
+  v_previous record;
+  v_tier_index int := 1;
+  v_boss public.boss_catalog%rowtype;
+begin
+  select e.id into v_id
+  from public.boss_encounters e
+  where e.kind = 'weekly'
+    and e.starts_at = v_start;
+
+  if v_id is not null then
+    return v_id;
+  end if;
+
+  select count(distinct x.user_id)::int into v_active
+  from public.xp_events x
+  where x.created_at >= v_start - interval '7 days'
+    and x.created_at < v_start;
+
+  -- Fold in last week's final hits before reading its outcome.
+  perform public.refresh_boss_encounter(e.id)
+  from public.boss_encounters e
+  where e.kind = 'weekly'
+    and e.starts_at < v_start
+    and e.settled_at is null;
+
+  -- A kill raises the tier, an escape lowers it.
+  select e.defeated_at, b.tier into v_previous
+  from public.boss_encounters e
+  left join public.boss_catalog b on b.id = e.catalog_id
+  where e.kind = 'weekly'
+    and e.starts_at < v_start
+  order by e.starts_at desc
+  limit 1;
+
+  if found and v_previous.tier is not null then
+    v_tier_index := array_position(v_tiers, v_previous.tier)
+      + case when v_previous.defeated_at is not null then 1 else -1 end;
+    v_tier_index := least(greatest(v_tier_index, 1), array_length(v_tiers, 1));
+  end if;
+
+  -- Rotate through the tier by week number; any base boss if the tier is empty.
+  select b.* into v_boss
+  from public.boss_catalog b
+  where b.variant_of is null
+    and b.is_active = true
+  order by
+    (b.tier = v_tiers[v_tier_index]) desc,
+    abs(array_position(v_tiers, b.tier) - v_tier_index),
+    (b.sort_order + extract(week from v_start)::int) % greatest(1, (
+      select count(*)::int from public.boss_catalog c
+      where c.variant_of is null and c.is_active = true and c.tier = b.tier
+    )),
+    b.sort_order
+  limit 1;
+
+  insert into public.boss_encounters(kind, name, max_hp, starts_at, ends_at, reward_xp, reward_title_id, catalog_id)
+  values (
+    'weekly',
+    coalesce(v_boss.name, 'Shadow Gate: Iron Monarch'),
+    greatest(coalesce(v_boss.base_hp, 2000), coalesce(v_boss.hp_per_player, 300) * coalesce(v_active, 0)),
+    v_start,
+    v_start + interval '7 days',
+    200,
+    (select t.id from public.titles t where t.slug = 'monarch-slayer'),
+    v_boss.id
+  )
+  on conflict (kind, starts_at) do nothing;
+
+  select e.id into v_id
+  from public.boss_encounters e
+  where e.kind = 'weekly'
+    and e.starts_at = v_start;
+
+  return v_id;
+end;
+$$;
+
+create or replace function public.deal_boss_damage(p_user_id uuid, p_amount integer, p_category text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+  v_encounter public.boss_encounters%rowtype;
+  v_damage int;
+begin
+  if p_user_id is null or coalesce(p_amount, 0) <= 0 then
+    return;
+  end if;
+
+  v_id := public.ensure_weekly_boss();
+
+  select * into v_encounter
+  from public.boss_encounters
+  where id = v_id;
+
+  if v_encounter.defeated_at is not null or now() >= v_encounter.ends_at then
+    return;
+  end if;
+
+  v_damage := public.boss_damage_for(v_encounter.catalog_id, p_user_id, p_category, p_amount);
+
+  -- Only the player's own row is written; settle_due_weekly_bosses()
+  -- totals the damage and records the kill.
+  insert into public.boss_contributions(encounter_id, user_id, damage, hits, last_hit_at)
+  values (v_id, p_user_id, v_damage, 1, now())
+  on conflict (encounter_id, user_id) do update
+    set damage = boss_contributions.damage + excluded.damage,
+        hits = boss_contributions.hits + 1,
+        last_hit_at = excluded.last_hit_at;
+end;
+$$;
+
+revoke all on function public.deal_boss_damage(uuid, integer, text) from public;
+revoke all on function public.deal_boss_damage(uuid, integer, text) from anon, authenticated;
+
+create or replace function public.get_weekly_boss()
+returns table(
+  encounter_id uuid,
+  boss_id uuid,
+  name text,
+  description text,
+  icon text,
+  tier text,
+  max_hp int,
+  damage_total int,
+  hp_remaining int,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  defeated_at timestamptz,
+  reward_xp int,
+  reward_title text,
+  contributors int,
+  my_damage int,
+  my_rank int,
+  rewarded boolean
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  perform public.settle_due_weekly_bosses();
+  v_id := public.ensure_weekly_boss();
+
+  return query
+  with ranked as (
+    select c.user_id, c.damage, rank() over (order by c.damage desc)::int as pos
+    from public.boss_contributions c
+    where c.encounter_id = v_id
+      and c.damage > 0
+  )
+  select
+    e.id,
+    b.id,
+    coalesce(b.name, e.name),
+    b.description,
+    b.icon,
+    b.tier,
+    e.max_hp,
+    e.damage_total,
+    greatest(e.max_hp - e.damage_total, 0),
+    e.starts_at,
+    e.ends_at,
+    e.defeated_at,
+    e.reward_xp,
+    t.name,
+    (select count(*)::int from ranked),
+    coalesce((select r.damage from ranked r where r.user_id = auth.uid()), 0),
+    (select r.pos from ranked r where r.user_id = auth.uid()),
+    exists (
+      select 1 from public.xp_events x
+      where x.user_id = auth.uid()
+        and x.source_type = 'boss_defeat'
+        and x.source_id = e.id
+    )
+  from public.boss_encounters e
+  left join public.boss_catalog b on b.id = public.boss_variant_for(e.catalog_id, auth.uid())
+  left join public.titles t on t.id = e.reward_title_id
+  where e.id = v_id;
+end;
+$$;
+
+grant execute on function public.get_weekly_boss() to authenticated;
+
+select pg_notify('pgrst', 'reload schema');